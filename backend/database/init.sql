@@ -37,7 +37,14 @@ CREATE TABLE IF NOT EXISTS pipelines (
     token TEXT,
     branch VARCHAR(100) DEFAULT 'main',
     status VARCHAR(50) DEFAULT 'active',
+    config JSONB DEFAULT '{}',
+    webhook_secret TEXT,
     last_build_id UUID,
+    last_sync TIMESTAMP,
+    sync_interval INTEGER DEFAULT 5,
+    sync_failures INTEGER DEFAULT 0,
+    last_sync_error TEXT,
+    next_sync_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -47,16 +54,87 @@ CREATE TABLE IF NOT EXISTS builds (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     pipeline_id UUID REFERENCES pipelines(id) ON DELETE CASCADE,
     build_number INTEGER NOT NULL,
+    external_id VARCHAR(255),
     status VARCHAR(50) NOT NULL,
     started_at TIMESTAMP,
     completed_at TIMESTAMP,
     duration INTEGER,
     commit_hash VARCHAR(100),
+    committed_at TIMESTAMP,
     branch VARCHAR(100),
     triggered_by VARCHAR(255),
     environment VARCHAR(100),
     message TEXT,
     test_results JSONB,
+    failure_category VARCHAR(50),
+    failure_excerpt TEXT,
+    failure_rule VARCHAR(255),
+    flaky_recovered BOOLEAN DEFAULT false,
+    recovered_by UUID REFERENCES builds(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create build_jobs table
+CREATE TABLE IF NOT EXISTS build_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    build_id UUID REFERENCES builds(id) ON DELETE CASCADE,
+    external_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    stage VARCHAR(255),
+    stage_index INTEGER,
+    status VARCHAR(50) NOT NULL,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    duration INTEGER,
+    runner VARCHAR(255),
+    allow_failure BOOLEAN DEFAULT false,
+    log_url TEXT,
+    steps JSONB DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create build_log_chunks table (gzip-compressed log slices with a search vector)
+CREATE TABLE IF NOT EXISTS build_log_chunks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    build_id UUID NOT NULL REFERENCES builds(id) ON DELETE CASCADE,
+    section VARCHAR(255) NOT NULL DEFAULT 'console',
+    section_index INTEGER NOT NULL DEFAULT 0,
+    chunk_index INTEGER NOT NULL,
+    start_line INTEGER NOT NULL,
+    line_count INTEGER NOT NULL,
+    byte_size INTEGER NOT NULL,
+    content BYTEA NOT NULL,
+    search_vector TSVECTOR,
+    expires_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create test_suites table
+CREATE TABLE IF NOT EXISTS test_suites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    build_id UUID REFERENCES builds(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    format VARCHAR(20) NOT NULL,
+    name VARCHAR(500) NOT NULL,
+    tests INTEGER DEFAULT 0,
+    passed INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    skipped INTEGER DEFAULT 0,
+    duration REAL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create test_cases table
+CREATE TABLE IF NOT EXISTS test_cases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    suite_id UUID REFERENCES test_suites(id) ON DELETE CASCADE,
+    build_id UUID REFERENCES builds(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    classname TEXT,
+    status VARCHAR(20) NOT NULL,
+    duration REAL,
+    message TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -66,8 +144,50 @@ CREATE TABLE IF NOT EXISTS metrics (
     pipeline_id UUID REFERENCES pipelines(id) ON DELETE CASCADE,
     metric_type VARCHAR(100) NOT NULL,
     value DECIMAL(10,2) NOT NULL,
+    unit VARCHAR(20),
+    period VARCHAR(20),
+    period_start TIMESTAMP,
+    period_end TIMESTAMP,
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    metadata JSONB
+    metadata JSONB,
+    calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create oncall_schedules table
+CREATE TABLE IF NOT EXISTS oncall_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    user_ids JSONB NOT NULL DEFAULT '[]',
+    rotation_hours INTEGER NOT NULL DEFAULT 168,
+    handoff_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create oncall_overrides table
+CREATE TABLE IF NOT EXISTS oncall_overrides (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    schedule_id UUID REFERENCES oncall_schedules(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    reason TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create escalation_policies table
+CREATE TABLE IF NOT EXISTS escalation_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    steps JSONB NOT NULL DEFAULT '[]',
+    repeat_count INTEGER DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create alerts table
@@ -75,12 +195,30 @@ CREATE TABLE IF NOT EXISTS alerts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(255) NOT NULL,
     description TEXT,
-    type VARCHAR(100) NOT NULL,
+    type VARCHAR(100) NOT NULL DEFAULT 'build_metric',
+    pipeline_id UUID REFERENCES pipelines(id) ON DELETE CASCADE,
+    condition_type VARCHAR(50),
+    threshold DOUBLE PRECISION,
+    operator VARCHAR(5),
+    window_minutes INTEGER DEFAULT 1440,
     severity VARCHAR(50) DEFAULT 'medium',
     enabled BOOLEAN DEFAULT true,
+    status VARCHAR(50) DEFAULT 'active',
+    cooldown_minutes INTEGER DEFAULT 30,
+    resolve_after_successes INTEGER DEFAULT 1,
+    last_triggered TIMESTAMP,
+    last_resolved TIMESTAMP,
+    acknowledged_at TIMESTAMP,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
     conditions JSONB,
     notifications JSONB,
     channels JSONB,
+    labels JSONB,
+    escalation_policy_id UUID REFERENCES escalation_policies(id) ON DELETE SET NULL,
+    escalation_level INTEGER DEFAULT 0,
+    next_escalation_at TIMESTAMP,
+    metadata JSONB,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -90,9 +228,113 @@ CREATE TABLE IF NOT EXISTS alert_history (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     alert_id UUID REFERENCES alerts(id) ON DELETE CASCADE,
     status VARCHAR(50) NOT NULL,
+    severity VARCHAR(50),
     message TEXT,
+    metadata JSONB,
+    triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    notification_sent BOOLEAN DEFAULT false,
+    notification_channels JSONB,
+    notification_error TEXT,
     sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    recipients JSONB
+    recipients JSONB,
+    resolved_at TIMESTAMP,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolution_notes TEXT
+);
+
+-- Create alert_silences table (one-off silences and recurring maintenance windows)
+CREATE TABLE IF NOT EXISTS alert_silences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    pipeline_id UUID REFERENCES pipelines(id) ON DELETE CASCADE,
+    alert_id UUID REFERENCES alerts(id) ON DELETE CASCADE,
+    severity VARCHAR(50),
+    labels JSONB,
+    reason TEXT NOT NULL,
+    starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ends_at TIMESTAMP,
+    schedule VARCHAR(100),
+    duration_minutes INTEGER,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create incidents table
+CREATE TABLE IF NOT EXISTS incidents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    pipeline_id UUID REFERENCES pipelines(id) ON DELETE CASCADE,
+    source VARCHAR(50) NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    severity VARCHAR(50) DEFAULT 'high',
+    status VARCHAR(50) DEFAULT 'open',
+    event_count INTEGER DEFAULT 0,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_event_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_at TIMESTAMP,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolution VARCHAR(50),
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create incident_events table
+CREATE TABLE IF NOT EXISTS incident_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    incident_id UUID REFERENCES incidents(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    message TEXT,
+    build_id UUID REFERENCES builds(id) ON DELETE SET NULL,
+    alert_id UUID REFERENCES alerts(id) ON DELETE SET NULL,
+    alert_history_id UUID REFERENCES alert_history(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create webhook_deliveries table
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_type VARCHAR(100),
+    pipeline_id UUID REFERENCES pipelines(id) ON DELETE SET NULL,
+    headers JSONB,
+    raw_body TEXT,
+    status VARCHAR(50) NOT NULL DEFAULT 'received',
+    response_code INTEGER,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP
+);
+
+-- Create audit_logs table
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(100) NOT NULL,
+    resource_type VARCHAR(50) NOT NULL,
+    resource_id VARCHAR(255),
+    outcome VARCHAR(50) NOT NULL DEFAULT 'success',
+    details JSONB,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create failure_rules table
+CREATE TABLE IF NOT EXISTS failure_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    pattern TEXT NOT NULL,
+    priority INTEGER DEFAULT 100,
+    enabled BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create indexes for better performance
@@ -101,10 +343,36 @@ CREATE INDEX IF NOT EXISTS idx_pipelines_status ON pipelines(status);
 CREATE INDEX IF NOT EXISTS idx_builds_pipeline_id ON builds(pipeline_id);
 CREATE INDEX IF NOT EXISTS idx_builds_status ON builds(status);
 CREATE INDEX IF NOT EXISTS idx_builds_started_at ON builds(started_at);
+CREATE INDEX IF NOT EXISTS idx_builds_failure_category ON builds(failure_category);
+CREATE INDEX IF NOT EXISTS idx_builds_commit_hash ON builds(pipeline_id, commit_hash);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_builds_pipeline_external_id ON builds(pipeline_id, external_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_build_jobs_build_external_id ON build_jobs(build_id, external_id);
+CREATE INDEX IF NOT EXISTS idx_build_jobs_stage ON build_jobs(stage);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_build_log_chunks_build_chunk ON build_log_chunks(build_id, section_index, chunk_index);
+CREATE INDEX IF NOT EXISTS idx_build_log_chunks_search ON build_log_chunks USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_build_log_chunks_expires_at ON build_log_chunks(expires_at);
+CREATE INDEX IF NOT EXISTS idx_test_suites_build_id ON test_suites(build_id);
+CREATE INDEX IF NOT EXISTS idx_test_cases_build_id ON test_cases(build_id, status);
+CREATE INDEX IF NOT EXISTS idx_test_cases_name ON test_cases(name, classname);
 CREATE INDEX IF NOT EXISTS idx_metrics_pipeline_id ON metrics(pipeline_id);
 CREATE INDEX IF NOT EXISTS idx_metrics_timestamp ON metrics(timestamp);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_metrics_rollup ON metrics(pipeline_id, metric_type, period, period_start);
+CREATE INDEX IF NOT EXISTS idx_metrics_period_start ON metrics(period, period_start);
 CREATE INDEX IF NOT EXISTS idx_alerts_type ON alerts(type);
 CREATE INDEX IF NOT EXISTS idx_alerts_enabled ON alerts(enabled);
+CREATE INDEX IF NOT EXISTS idx_alerts_pipeline_id ON alerts(pipeline_id);
+CREATE INDEX IF NOT EXISTS idx_alert_history_alert_id ON alert_history(alert_id, triggered_at);
+CREATE INDEX IF NOT EXISTS idx_alert_silences_ends_at ON alert_silences(ends_at);
+CREATE INDEX IF NOT EXISTS idx_alerts_next_escalation_at ON alerts(next_escalation_at);
+CREATE INDEX IF NOT EXISTS idx_oncall_overrides_schedule_id ON oncall_overrides(schedule_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_incidents_group ON incidents(pipeline_id, source, category, status);
+CREATE INDEX IF NOT EXISTS idx_incidents_opened_at ON incidents(opened_at);
+CREATE INDEX IF NOT EXISTS idx_incident_events_incident_id ON incident_events(incident_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_provider ON webhook_deliveries(provider);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries(received_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
 
 -- Insert sample data for testing
 INSERT INTO users (email, password_hash, name, role, company) VALUES
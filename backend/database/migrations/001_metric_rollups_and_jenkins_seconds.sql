@@ -0,0 +1,46 @@
+-- Brings a database created before the metric rollups and the Jenkins seconds fix up to date.
+-- Fresh databases get all of this from init.sql. Run with:
+--   psql "$DATABASE_URL" -f backend/database/migrations/001_metric_rollups_and_jenkins_seconds.sql
+
+BEGIN;
+
+-- Rollup columns of the metrics table
+ALTER TABLE metrics ADD COLUMN IF NOT EXISTS unit VARCHAR(20);
+ALTER TABLE metrics ADD COLUMN IF NOT EXISTS period VARCHAR(20);
+ALTER TABLE metrics ADD COLUMN IF NOT EXISTS period_start TIMESTAMP;
+ALTER TABLE metrics ADD COLUMN IF NOT EXISTS period_end TIMESTAMP;
+ALTER TABLE metrics ADD COLUMN IF NOT EXISTS calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_metrics_rollup ON metrics(pipeline_id, metric_type, period, period_start);
+CREATE INDEX IF NOT EXISTS idx_metrics_period_start ON metrics(period, period_start);
+
+-- Jenkins syncs used to store durations in milliseconds. Convert the Jenkins builds whose
+-- duration equals their elapsed time in milliseconds (seconds values never match), then drop the
+-- rollups if anything changed or they predate sum_squares; the rollup worker rebuilds the whole
+-- history when the metrics table has no rollups
+DO $$
+DECLARE
+    converted INTEGER;
+BEGIN
+    UPDATE builds b
+    SET duration = ROUND(b.duration / 1000.0)
+    FROM pipelines p
+    WHERE b.pipeline_id = p.id
+      AND p.type = 'jenkins'
+      AND b.duration >= 1000
+      AND b.started_at IS NOT NULL
+      AND b.completed_at IS NOT NULL
+      AND ABS(b.duration - EXTRACT(EPOCH FROM (b.completed_at - b.started_at)) * 1000) <= 1000;
+    GET DIAGNOSTICS converted = ROW_COUNT;
+    RAISE NOTICE 'Converted % Jenkins build durations to seconds', converted;
+
+    IF converted > 0 OR EXISTS (
+        SELECT 1 FROM metrics
+        WHERE period IS NOT NULL AND metric_type = 'build_time' AND NOT (metadata ? 'sum_squares')
+    ) THEN
+        DELETE FROM metrics WHERE period IS NOT NULL;
+        RAISE NOTICE 'Cleared metric rollups, the rollup worker rebuilds them on its next start';
+    END IF;
+END $$;
+
+COMMIT;
@@ -17,7 +17,32 @@ module.exports = (sequelize) => {
     },
     type: {
       type: DataTypes.STRING,
-      allowNull: false
+      allowNull: false,
+      defaultValue: 'build_metric'
+    },
+    pipeline_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'pipelines',
+        key: 'id'
+      }
+    },
+    condition_type: {
+      type: DataTypes.ENUM('success_rate', 'build_time', 'failure_count', 'consecutive_failures'),
+      allowNull: true
+    },
+    threshold: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    operator: {
+      type: DataTypes.ENUM('<', '<=', '>', '>=', '==', '!='),
+      allowNull: true
+    },
+    window_minutes: {
+      type: DataTypes.INTEGER, // builds started this far back are evaluated
+      defaultValue: 1440
     },
     severity: {
       type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
@@ -27,6 +52,38 @@ module.exports = (sequelize) => {
       type: DataTypes.BOOLEAN,
       defaultValue: true
     },
+    status: {
+      type: DataTypes.ENUM('active', 'inactive', 'triggered', 'acknowledged'),
+      defaultValue: 'active'
+    },
+    cooldown_minutes: {
+      type: DataTypes.INTEGER, // minimum minutes between notifications
+      defaultValue: 30
+    },
+    resolve_after_successes: {
+      type: DataTypes.INTEGER, // successful builds in a row needed to auto-resolve
+      defaultValue: 1
+    },
+    last_triggered: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_resolved: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledged_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledged_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
     conditions: {
       type: DataTypes.JSONB,
       allowNull: true
@@ -39,6 +96,38 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       allowNull: true
     },
+    labels: {
+      type: DataTypes.JSONB, // { key: value } pairs silences can match on
+      allowNull: true
+    },
+    escalation_policy_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'escalation_policies',
+        key: 'id'
+      }
+    },
+    escalation_level: {
+      type: DataTypes.INTEGER, // escalation steps notified since the last trigger
+      defaultValue: 0
+    },
+    next_escalation_at: {
+      type: DataTypes.DATE, // null when no escalation is pending
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -53,5 +142,83 @@ module.exports = (sequelize) => {
     underscored: true
   });
 
+  // Instance methods
+  Alert.prototype.canTrigger = function() {
+    if (!this.enabled || this.status === 'acknowledged') {
+      return false;
+    }
+
+    if (this.last_triggered && this.cooldown_minutes > 0) {
+      const cooldownEnd = new Date(new Date(this.last_triggered).getTime() + (this.cooldown_minutes * 60 * 1000));
+      if (new Date() < cooldownEnd) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  Alert.prototype.trigger = function(metadata = {}) {
+    this.status = 'triggered';
+    this.last_triggered = new Date();
+    this.metadata = { ...this.metadata, ...metadata };
+    this.updated_at = new Date();
+    return this.save();
+  };
+
+  // Record a trigger that a silence held back: the cooldown starts, the status stays
+  Alert.prototype.suppress = function(metadata = {}) {
+    this.last_triggered = new Date();
+    this.metadata = { ...this.metadata, ...metadata };
+    this.updated_at = new Date();
+    return this.save();
+  };
+
+  // Acknowledging stops any pending escalation
+  Alert.prototype.acknowledge = function(userId) {
+    this.status = 'acknowledged';
+    this.acknowledged_at = new Date();
+    this.acknowledged_by = userId;
+    this.next_escalation_at = null;
+    this.updated_at = new Date();
+    return this.save();
+  };
+
+  Alert.prototype.isOpen = function() {
+    return this.status === 'triggered' || this.status === 'acknowledged';
+  };
+
+  // Back to active; last_triggered is kept so the cooldown still holds back a flapping rule
+  Alert.prototype.resolve = function(metadata = {}) {
+    this.status = 'active';
+    this.last_resolved = new Date();
+    this.acknowledged_at = null;
+    this.acknowledged_by = null;
+    this.next_escalation_at = null;
+    this.metadata = { ...this.metadata, ...metadata };
+    this.updated_at = new Date();
+    return this.save();
+  };
+
+  Alert.prototype.getConditionDescription = function() {
+    const conditionMap = {
+      'success_rate': 'Success Rate',
+      'build_time': 'Build Time',
+      'failure_count': 'Failure Count',
+      'consecutive_failures': 'Consecutive Failures'
+    };
+
+    const operatorMap = {
+      '<': 'less than',
+      '<=': 'less than or equal to',
+      '>': 'greater than',
+      '>=': 'greater than or equal to',
+      '==': 'equal to',
+      '!=': 'not equal to'
+    };
+
+    return `${conditionMap[this.condition_type]} ${operatorMap[this.operator]} ${this.threshold}`;
+  };
+
   return Alert;
 };
@@ -19,10 +19,34 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    severity: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     message: {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    triggered_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    notification_sent: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    notification_channels: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    notification_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     sent_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -30,6 +54,22 @@ module.exports = (sequelize) => {
     recipients: {
       type: DataTypes.JSONB,
       allowNull: true
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolved_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    resolution_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
     tableName: 'alert_history',
@@ -37,5 +77,31 @@ module.exports = (sequelize) => {
     underscored: true
   });
 
+  // Instance methods
+  AlertHistory.prototype.markNotificationSent = function(channels, error = null) {
+    this.notification_sent = true;
+    this.notification_channels = channels;
+    this.notification_error = error;
+    this.sent_at = new Date();
+    return this.save();
+  };
+
+  AlertHistory.prototype.markResolved = function(userId, notes = '', metadata = {}) {
+    this.status = 'resolved';
+    this.resolved_at = new Date();
+    this.resolved_by = userId;
+    this.resolution_notes = notes;
+    this.metadata = { ...this.metadata, ...metadata };
+    return this.save();
+  };
+
+  // Seconds from trigger to resolution, or to now while unresolved
+  AlertHistory.prototype.getDuration = function() {
+    if (!this.triggered_at) return null;
+
+    const endTime = this.resolved_at || new Date();
+    return Math.floor((new Date(endTime) - new Date(this.triggered_at)) / 1000);
+  };
+
   return AlertHistory;
 };
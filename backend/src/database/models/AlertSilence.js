@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AlertSilence = sequelize.define('AlertSilence', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Scope: every field that is set must match the alert
+    pipeline_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'pipelines',
+        key: 'id'
+      }
+    },
+    alert_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'alerts',
+        key: 'id'
+      }
+    },
+    severity: {
+      type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+      allowNull: true
+    },
+    labels: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Recurring maintenance window: a cron expression (UTC) for the window starts
+    schedule: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    duration_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'alert_silences',
+    timestamps: false,
+    underscored: true
+  });
+
+  return AlertSilence;
+};
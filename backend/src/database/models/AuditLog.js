@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    resource_type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    resource_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    outcome: {
+      type: DataTypes.ENUM('success', 'failed'),
+      defaultValue: 'success'
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: false,
+    underscored: true
+  });
+
+  return AuditLog;
+};
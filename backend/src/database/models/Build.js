@@ -19,6 +19,10 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       allowNull: false
     },
+    external_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     status: {
       type: DataTypes.ENUM('pending', 'running', 'success', 'failed', 'cancelled'),
       allowNull: false
@@ -32,13 +36,17 @@ module.exports = (sequelize) => {
       allowNull: true
     },
     duration: {
-      type: DataTypes.INTEGER,
+      type: DataTypes.INTEGER, // in seconds
       allowNull: true
     },
     commit_hash: {
       type: DataTypes.STRING,
       allowNull: true
     },
+    committed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     branch: {
       type: DataTypes.STRING,
       allowNull: true
@@ -59,6 +67,31 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       allowNull: true
     },
+    failure_category: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    failure_excerpt: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    failure_rule: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Failed build whose commit later passed on a rerun
+    flaky_recovered: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    recovered_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'builds',
+        key: 'id'
+      }
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
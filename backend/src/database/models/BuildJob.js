@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BuildJob = sequelize.define('BuildJob', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    build_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'builds',
+        key: 'id'
+      }
+    },
+    external_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    stage: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    stage_index: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'running', 'success', 'failed', 'cancelled'),
+      allowNull: false
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    duration: {
+      type: DataTypes.INTEGER, // in seconds
+      allowNull: true
+    },
+    runner: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    allow_failure: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    log_url: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    steps: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'build_jobs',
+    timestamps: false,
+    underscored: true
+  });
+
+  return BuildJob;
+};
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BuildLogChunk = sequelize.define('BuildLogChunk', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    build_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'builds',
+        key: 'id'
+      }
+    },
+    // Log the chunk belongs to: the console for Jenkins, a job for GitLab and GitHub
+    section: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'console'
+    },
+    section_index: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    chunk_index: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // 1-based number of the chunk's first line within its section
+    start_line: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    line_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Uncompressed size in bytes
+    byte_size: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // gzip-compressed text
+    content: {
+      type: DataTypes.BLOB,
+      allowNull: false
+    },
+    search_vector: {
+      type: DataTypes.TSVECTOR,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'build_log_chunks',
+    timestamps: false,
+    underscored: true
+  });
+
+  return BuildLogChunk;
+};
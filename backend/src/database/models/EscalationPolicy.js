@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EscalationPolicy = sequelize.define('EscalationPolicy', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Ordered [{ delay_minutes, user_ids, schedule_ids, channels }]; each step runs delay_minutes
+    // after the previous one, the first after the trigger
+    steps: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    repeat_count: {
+      type: DataTypes.INTEGER, // times the steps run again after the last one
+      defaultValue: 0
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'escalation_policies',
+    timestamps: false,
+    underscored: true
+  });
+
+  // Steps notified in total before escalation stops
+  EscalationPolicy.prototype.getTotalSteps = function() {
+    return (this.steps || []).length * ((this.repeat_count || 0) + 1);
+  };
+
+  return EscalationPolicy;
+};
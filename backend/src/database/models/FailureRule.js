@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FailureRule = sequelize.define('FailureRule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    category: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    pattern: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      defaultValue: 100
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'failure_rules',
+    timestamps: false,
+    underscored: true
+  });
+
+  return FailureRule;
+};
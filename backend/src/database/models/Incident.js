@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Incident = sequelize.define('Incident', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Grouping key: triggers with the same pipeline, source and category join one open incident
+    pipeline_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'pipelines',
+        key: 'id'
+      }
+    },
+    source: {
+      type: DataTypes.ENUM('build_failure', 'alert_rule'),
+      allowNull: false
+    },
+    category: {
+      type: DataTypes.STRING, // failure category, or the rule's condition type
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    severity: {
+      type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+      defaultValue: 'high'
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+      defaultValue: 'open'
+    },
+    event_count: {
+      type: DataTypes.INTEGER, // failed builds or alert triggers grouped into the incident
+      defaultValue: 0
+    },
+    opened_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    last_event_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    acknowledged_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledged_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolved_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    resolution: {
+      type: DataTypes.ENUM('recovered', 'inactive', 'alert_resolved', 'manual'),
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'incidents',
+    timestamps: false,
+    underscored: true
+  });
+
+  // Instance methods
+  Incident.prototype.isOpen = function() {
+    return this.status === 'open' || this.status === 'acknowledged';
+  };
+
+  // Seconds from opening to resolution, or to now while open
+  Incident.prototype.getDuration = function() {
+    const endTime = this.resolved_at || new Date();
+    return Math.floor((new Date(endTime) - new Date(this.opened_at)) / 1000);
+  };
+
+  return Incident;
+};
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const IncidentEvent = sequelize.define('IncidentEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    incident_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'incidents',
+        key: 'id'
+      }
+    },
+    // opened, build_failed, alert_triggered, alert_escalated, escalated, acknowledged,
+    // alert_resolved, resolved
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    build_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'builds',
+        key: 'id'
+      }
+    },
+    alert_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'alerts',
+        key: 'id'
+      }
+    },
+    alert_history_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'alert_history',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'incident_events',
+    timestamps: false,
+    underscored: true
+  });
+
+  return IncidentEvent;
+};
@@ -23,6 +23,25 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
     },
+    unit: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    period: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [['hourly', 'daily', 'weekly', 'monthly']]
+      }
+    },
+    period_start: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    period_end: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     timestamp: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -30,6 +49,10 @@ module.exports = (sequelize) => {
     metadata: {
       type: DataTypes.JSONB,
       allowNull: true
+    },
+    calculated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
     }
   }, {
     tableName: 'metrics',
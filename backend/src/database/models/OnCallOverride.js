@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OnCallOverride = sequelize.define('OnCallOverride', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    schedule_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'oncall_schedules',
+        key: 'id'
+      }
+    },
+    // Takes the shift from the rotation between starts_at and ends_at
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'oncall_overrides',
+    timestamps: false,
+    underscored: true
+  });
+
+  return OnCallOverride;
+};
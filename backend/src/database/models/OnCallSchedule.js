@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OnCallSchedule = sequelize.define('OnCallSchedule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Rotation: the users take shifts of rotation_hours in this order, the first one from handoff_at
+    user_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    rotation_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 168
+    },
+    handoff_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'oncall_schedules',
+    timestamps: false,
+    underscored: true
+  });
+
+  // User whose rotation shift covers the given time, ignoring overrides; null without users or
+  // before the first handoff
+  OnCallSchedule.prototype.getRotationUserId = function(at = new Date()) {
+    const users = this.user_ids || [];
+    const elapsed = new Date(at) - new Date(this.handoff_at);
+    if (users.length === 0 || elapsed < 0) return null;
+
+    const shift = Math.floor(elapsed / (this.rotation_hours * 60 * 60 * 1000));
+    return users[shift % users.length];
+  };
+
+  return OnCallSchedule;
+};
@@ -28,13 +28,45 @@ module.exports = (sequelize) => {
       defaultValue: 'main'
     },
     status: {
-      type: DataTypes.ENUM('active', 'inactive', 'error'),
+      type: DataTypes.ENUM('active', 'inactive', 'error', 'maintenance'),
       defaultValue: 'active'
     },
+    config: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    webhook_secret: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     last_build_id: {
       type: DataTypes.UUID,
       allowNull: true
     },
+    last_sync: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    sync_interval: {
+      type: DataTypes.INTEGER, // in minutes
+      defaultValue: 5,
+      validate: {
+        min: 1,
+        max: 1440 // max 24 hours
+      }
+    },
+    sync_failures: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    last_sync_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    next_sync_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -49,5 +81,15 @@ module.exports = (sequelize) => {
     underscored: true
   });
 
+  // Instance methods
+  Pipeline.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    if ('webhook_secret' in values) {
+      values.has_webhook_secret = !!values.webhook_secret;
+      delete values.webhook_secret;
+    }
+    return values;
+  };
+
   return Pipeline;
 };
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TestCase = sequelize.define('TestCase', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    suite_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'test_suites',
+        key: 'id'
+      }
+    },
+    build_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'builds',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    classname: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('passed', 'failed', 'skipped'),
+      allowNull: false
+    },
+    // Seconds
+    duration: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'test_cases',
+    timestamps: false,
+    underscored: true
+  });
+
+  return TestCase;
+};
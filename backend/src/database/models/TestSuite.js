@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TestSuite = sequelize.define('TestSuite', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    build_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'builds',
+        key: 'id'
+      }
+    },
+    // Report file the suite was read from; re-ingesting a source replaces its suites. Artifact
+    // paths can be long, so this is unbounded
+    source: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    format: {
+      type: DataTypes.ENUM('junit', 'tap', 'jest'),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    tests: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    passed: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    failed: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    skipped: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Seconds
+    duration: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'test_suites',
+    timestamps: false,
+    underscored: true
+  });
+
+  return TestSuite;
+};
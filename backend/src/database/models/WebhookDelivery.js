@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    event_type: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    pipeline_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'pipelines',
+        key: 'id'
+      }
+    },
+    headers: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    raw_body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('received', 'processed', 'ignored', 'failed', 'rejected'),
+      defaultValue: 'received'
+    },
+    response_code: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webhook_deliveries',
+    timestamps: false,
+    underscored: true
+  });
+
+  // Instance methods
+  WebhookDelivery.prototype.getPayload = function() {
+    if (!this.raw_body) return {};
+
+    const contentType = (this.headers && this.headers['content-type']) || '';
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      return Object.fromEntries(new URLSearchParams(this.raw_body));
+    }
+    return JSON.parse(this.raw_body);
+  };
+
+  return WebhookDelivery;
+};
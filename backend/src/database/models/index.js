@@ -5,9 +5,22 @@ const { sequelize } = require('../connection');
 const User = require('./User')(sequelize);
 const Pipeline = require('./Pipeline')(sequelize);
 const Build = require('./Build')(sequelize);
+const BuildJob = require('./BuildJob')(sequelize);
+const BuildLogChunk = require('./BuildLogChunk')(sequelize);
+const TestSuite = require('./TestSuite')(sequelize);
+const TestCase = require('./TestCase')(sequelize);
 const Metrics = require('./Metrics')(sequelize);
 const Alert = require('./Alert')(sequelize);
 const AlertHistory = require('./AlertHistory')(sequelize);
+const AlertSilence = require('./AlertSilence')(sequelize);
+const EscalationPolicy = require('./EscalationPolicy')(sequelize);
+const OnCallSchedule = require('./OnCallSchedule')(sequelize);
+const OnCallOverride = require('./OnCallOverride')(sequelize);
+const Incident = require('./Incident')(sequelize);
+const IncidentEvent = require('./IncidentEvent')(sequelize);
+const WebhookDelivery = require('./WebhookDelivery')(sequelize);
+const AuditLog = require('./AuditLog')(sequelize);
+const FailureRule = require('./FailureRule')(sequelize);
 
 // Define associations
 User.hasMany(Pipeline, { foreignKey: 'created_by', as: 'pipelines' });
@@ -16,6 +29,21 @@ Pipeline.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 Pipeline.hasMany(Build, { foreignKey: 'pipeline_id', as: 'builds' });
 Build.belongsTo(Pipeline, { foreignKey: 'pipeline_id', as: 'pipeline' });
 
+Build.hasMany(BuildJob, { foreignKey: 'build_id', as: 'jobs' });
+BuildJob.belongsTo(Build, { foreignKey: 'build_id', as: 'build' });
+
+Build.hasMany(BuildLogChunk, { foreignKey: 'build_id', as: 'log_chunks' });
+BuildLogChunk.belongsTo(Build, { foreignKey: 'build_id', as: 'build' });
+
+Build.hasMany(TestSuite, { foreignKey: 'build_id', as: 'test_suites' });
+TestSuite.belongsTo(Build, { foreignKey: 'build_id', as: 'build' });
+
+TestSuite.hasMany(TestCase, { foreignKey: 'suite_id', as: 'cases' });
+TestCase.belongsTo(TestSuite, { foreignKey: 'suite_id', as: 'suite' });
+
+Build.hasMany(TestCase, { foreignKey: 'build_id', as: 'test_cases' });
+TestCase.belongsTo(Build, { foreignKey: 'build_id', as: 'build' });
+
 Pipeline.hasMany(Metrics, { foreignKey: 'pipeline_id', as: 'metrics' });
 Metrics.belongsTo(Pipeline, { foreignKey: 'pipeline_id', as: 'pipeline' });
 
@@ -34,6 +62,60 @@ Alert.belongsTo(User, { foreignKey: 'acknowledged_by', as: 'acknowledger' });
 User.hasMany(AlertHistory, { foreignKey: 'resolved_by', as: 'resolved_alerts' });
 AlertHistory.belongsTo(User, { foreignKey: 'resolved_by', as: 'resolver' });
 
+Pipeline.hasMany(AlertSilence, { foreignKey: 'pipeline_id', as: 'silences' });
+AlertSilence.belongsTo(Pipeline, { foreignKey: 'pipeline_id', as: 'pipeline' });
+
+Alert.hasMany(AlertSilence, { foreignKey: 'alert_id', as: 'silences' });
+AlertSilence.belongsTo(Alert, { foreignKey: 'alert_id', as: 'alert' });
+
+User.hasMany(AlertSilence, { foreignKey: 'created_by', as: 'silences' });
+AlertSilence.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+EscalationPolicy.hasMany(Alert, { foreignKey: 'escalation_policy_id', as: 'alerts' });
+Alert.belongsTo(EscalationPolicy, { foreignKey: 'escalation_policy_id', as: 'escalation_policy' });
+
+User.hasMany(EscalationPolicy, { foreignKey: 'created_by', as: 'escalation_policies' });
+EscalationPolicy.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+OnCallSchedule.hasMany(OnCallOverride, { foreignKey: 'schedule_id', as: 'overrides' });
+OnCallOverride.belongsTo(OnCallSchedule, { foreignKey: 'schedule_id', as: 'schedule' });
+
+User.hasMany(OnCallOverride, { foreignKey: 'user_id', as: 'oncall_overrides' });
+OnCallOverride.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+User.hasMany(OnCallSchedule, { foreignKey: 'created_by', as: 'oncall_schedules' });
+OnCallSchedule.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+Pipeline.hasMany(Incident, { foreignKey: 'pipeline_id', as: 'incidents' });
+Incident.belongsTo(Pipeline, { foreignKey: 'pipeline_id', as: 'pipeline' });
+
+Incident.hasMany(IncidentEvent, { foreignKey: 'incident_id', as: 'events' });
+IncidentEvent.belongsTo(Incident, { foreignKey: 'incident_id', as: 'incident' });
+
+User.hasMany(Incident, { foreignKey: 'acknowledged_by', as: 'acknowledged_incidents' });
+Incident.belongsTo(User, { foreignKey: 'acknowledged_by', as: 'acknowledger' });
+
+User.hasMany(Incident, { foreignKey: 'resolved_by', as: 'resolved_incidents' });
+Incident.belongsTo(User, { foreignKey: 'resolved_by', as: 'resolver' });
+
+Build.hasMany(IncidentEvent, { foreignKey: 'build_id', as: 'incident_events' });
+IncidentEvent.belongsTo(Build, { foreignKey: 'build_id', as: 'build' });
+
+Alert.hasMany(IncidentEvent, { foreignKey: 'alert_id', as: 'incident_events' });
+IncidentEvent.belongsTo(Alert, { foreignKey: 'alert_id', as: 'alert' });
+
+User.hasMany(IncidentEvent, { foreignKey: 'user_id', as: 'incident_events' });
+IncidentEvent.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Pipeline.hasMany(WebhookDelivery, { foreignKey: 'pipeline_id', as: 'webhook_deliveries' });
+WebhookDelivery.belongsTo(Pipeline, { foreignKey: 'pipeline_id', as: 'pipeline' });
+
+User.hasMany(AuditLog, { foreignKey: 'user_id', as: 'audit_logs' });
+AuditLog.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+User.hasMany(FailureRule, { foreignKey: 'created_by', as: 'failure_rules' });
+FailureRule.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
 // Export models and sequelize instance
 module.exports = {
   sequelize,
@@ -41,7 +123,20 @@ module.exports = {
   User,
   Pipeline,
   Build,
+  BuildJob,
+  BuildLogChunk,
+  TestSuite,
+  TestCase,
   Metrics,
   Alert,
-  AlertHistory
+  AlertHistory,
+  AlertSilence,
+  EscalationPolicy,
+  OnCallSchedule,
+  OnCallOverride,
+  Incident,
+  IncidentEvent,
+  WebhookDelivery,
+  AuditLog,
+  FailureRule
 };
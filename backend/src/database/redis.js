@@ -107,6 +107,97 @@ async function clearCache() {
   }
 }
 
+// Counter helpers (hash fields shared by every replica)
+async function incrementCounter(key, field, by = 1) {
+  try {
+    if (redisClient && redisClient.isReady) {
+      return await redisClient.hIncrBy(key, field, by);
+    }
+    return null;
+  } catch (error) {
+    logger.error('Redis increment counter error:', error);
+    return null;
+  }
+}
+
+async function getCounters(key) {
+  try {
+    if (redisClient && redisClient.isReady) {
+      const values = await redisClient.hGetAll(key);
+      return Object.fromEntries(Object.entries(values).map(([field, value]) => [field, Number(value)]));
+    }
+    return {};
+  } catch (error) {
+    logger.error('Redis get counters error:', error);
+    return {};
+  }
+}
+
+// Whether the client is connected. acquireLock() returns null both when the lock is held
+// elsewhere and when Redis is down; callers use this to tell the two apart
+function isRedisReady() {
+  return !!(redisClient && redisClient.isReady);
+}
+
+// Distributed lock helpers (SET NX with expiry, released only by the holder)
+async function acquireLock(key, ttlMs = 60000) {
+  try {
+    if (redisClient && redisClient.isReady) {
+      const token = `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      const result = await redisClient.set(key, token, { NX: true, PX: ttlMs });
+      return result === 'OK' ? token : null;
+    }
+    return null;
+  } catch (error) {
+    logger.error('Redis acquire lock error:', error);
+    return null;
+  }
+}
+
+async function releaseLock(key, token) {
+  try {
+    if (redisClient && redisClient.isReady) {
+      const script = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+      const result = await redisClient.eval(script, { keys: [key], arguments: [token] });
+      return result === 1;
+    }
+    return false;
+  } catch (error) {
+    logger.error('Redis release lock error:', error);
+    return false;
+  }
+}
+
+// Run fn while holding the lock at key. This is the one policy for work that replicas must not
+// run concurrently (scheduled jobs, per-pipeline syncs, incident grouping): it never runs
+// unlocked. When the lock stays held elsewhere for waitMs, or Redis is unavailable, fn is
+// skipped and onSkipped(reason) decides the result ('held' or 'unavailable'; null by default).
+// A held lock is routine and logged at debug, missing Redis as a warning. Skipped scheduled
+// work catches up on the next run
+async function withSchedulerLock(key, fn, { ttlMs = 60000, waitMs = 0, label = key, onSkipped = () => null } = {}) {
+  const retryMs = 100;
+  let lockToken = await acquireLock(key, ttlMs);
+  for (let waited = 0; !lockToken && isRedisReady() && waited < waitMs; waited += retryMs) {
+    await new Promise(resolve => setTimeout(resolve, retryMs));
+    lockToken = await acquireLock(key, ttlMs);
+  }
+
+  if (!lockToken) {
+    if (isRedisReady()) {
+      logger.debug(`${label} skipped, lock held elsewhere`);
+      return onSkipped('held');
+    }
+    logger.warn(`${label} skipped, Redis unavailable`);
+    return onSkipped('unavailable');
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(key, lockToken);
+  }
+}
+
 module.exports = {
   redisClient,
   connectRedis,
@@ -114,5 +205,11 @@ module.exports = {
   setCache,
   getCache,
   deleteCache,
-  clearCache
+  clearCache,
+  incrementCounter,
+  getCounters,
+  isRedisReady,
+  acquireLock,
+  releaseLock,
+  withSchedulerLock
 };
@@ -0,0 +1,26 @@
+const { AuditLog } = require('../database/models');
+const { logger } = require('../utils/logger');
+
+// Record a user-initiated action; audit failures are logged but never fail the request
+async function recordAudit(req, { action, resourceType, resourceId = null, outcome = 'success', details = null }) {
+  logger.info(`Audit: ${action} on ${resourceType} ${resourceId} by user ${req.user?.id} (${outcome})`);
+
+  try {
+    return await AuditLog.create({
+      user_id: req.user?.id || null,
+      action,
+      resource_type: resourceType,
+      resource_id: resourceId ? resourceId.toString() : null,
+      outcome,
+      details,
+      ip_address: req.ip || null
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit entry for ${action}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,166 @@
+const { getCache, setCache, incrementCounter, getCounters } = require('../database/redis');
+const { logger } = require('../utils/logger');
+
+// Seconds a cached metrics response is served before it is recomputed
+const DEFAULT_TTL_SECONDS = parseInt(process.env.METRICS_CACHE_TTL_SECONDS) || 300;
+
+// Generation counters, as fields of one hash:
+//   "rollups:<YYYY-MM-DD>" - rollups overlapping that UTC day changed
+//   "builds:<pipeline id>" - builds of the pipeline were created, updated or deleted
+//   "pipelines"            - a pipeline was created, updated or deleted
+// A cached response's key holds the sum of the counters its scope depends on, so bumping a
+// counter drops only the responses that read it; the orphaned entries expire on their TTL
+const STATE_KEY = 'metrics:cache:state';
+
+// Hit and miss counts per namespace, as "<namespace>:hits" / "<namespace>:misses" fields
+const STATS_KEY = 'metrics:cache:stats';
+
+// UTC date of a timestamp, as used in rollup counter names
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+// Scope of routes reading the rollups of the last `days` (default 30): every rollup counter from
+// the window's first day on. The first day is part of the tag, so the sum can't fall back to
+// an older value as the window slides
+function rollupScope(req) {
+  const since = new Date();
+  since.setUTCDate(since.getUTCDate() - (parseInt(req.query.days) || 30) - 1);
+  const sinceDay = dayKey(since);
+
+  return {
+    tag: sinceDay,
+    includes: field => field.startsWith('rollups:') && field.slice('rollups:'.length) >= sinceDay
+  };
+}
+
+// Scope of routes reading builds, of one pipeline_id or of all pipelines
+function buildScope(req) {
+  const pipelineId = req.query.pipeline_id;
+  return {
+    tag: '',
+    includes: field => (pipelineId ? field === `builds:${pipelineId}` : field.startsWith('builds:'))
+  };
+}
+
+// Scope of the rollup-backed routes (dashboard, trends, performance): they also read pipelines
+// and the latest or running builds straight from their tables
+function metricsScope(req) {
+  const rollups = rollupScope(req);
+  const builds = buildScope(req);
+  return {
+    tag: rollups.tag,
+    includes: field => rollups.includes(field) || builds.includes(field) || field === 'pipelines'
+  };
+}
+
+async function getGeneration({ includes }) {
+  const state = await getCounters(STATE_KEY);
+  return Object.entries(state)
+    .filter(([field]) => includes(field))
+    .reduce((sum, [, count]) => sum + count, 0);
+}
+
+// Responses differ by route and query only: the cached routes return the same data to every
+// user. A route that filters by user must put the user in its scope tag
+function buildCacheKey(req, namespace, generation) {
+  const params = Object.keys(req.query)
+    .sort()
+    .map(name => `${name}=${req.query[name]}`)
+    .join('&');
+
+  return `metrics:cache:${generation}:${namespace}:${params}`;
+}
+
+// Serve successful JSON responses of a route from Redis. On a miss the route runs as usual and
+// its response is stored; X-Cache tells which one happened. scope(req) names the counters the
+// response depends on (metricsScope or buildScope). Cache errors never fail the request
+function cacheResponse(namespace, { scope, ttl = DEFAULT_TTL_SECONDS } = {}) {
+  return async (req, res, next) => {
+    let key;
+    try {
+      const requestScope = scope(req);
+      key = buildCacheKey(req, namespace, `${requestScope.tag}:${await getGeneration(requestScope)}`);
+
+      const cached = await getCache(key);
+      if (cached) {
+        await incrementCounter(STATS_KEY, `${namespace}:hits`);
+        res.set('X-Cache', 'HIT');
+        return res.json(cached);
+      }
+
+      await incrementCounter(STATS_KEY, `${namespace}:misses`);
+    } catch (error) {
+      logger.error(`Metrics cache lookup failed for ${namespace}:`, error);
+      return next();
+    }
+
+    res.set('X-Cache', 'MISS');
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode === 200 && body?.success) {
+        setCache(key, body, ttl);
+      }
+      return sendJson(body);
+    };
+
+    next();
+  };
+}
+
+// Drop the cached responses that read rollups overlapping the given days
+async function invalidateRollupCache(days, reason) {
+  const fields = [...new Set(days.map(day => `rollups:${dayKey(day)}`))];
+  await Promise.all(fields.map(field => incrementCounter(STATE_KEY, field)));
+  logger.debug(`Metrics cache invalidated for ${fields.length} days of rollups (${reason})`);
+}
+
+// Drop the cached responses that read a pipeline's builds
+async function invalidateBuildCache(pipelineId, reason) {
+  await incrementCounter(STATE_KEY, `builds:${pipelineId}`);
+  logger.debug(`Metrics cache invalidated for builds of pipeline ${pipelineId} (${reason})`);
+}
+
+// Drop the cached responses that read pipelines
+async function invalidatePipelineCache(pipelineId, reason) {
+  await incrementCounter(STATE_KEY, 'pipelines');
+  logger.debug(`Metrics cache invalidated for pipelines, pipeline ${pipelineId} changed (${reason})`);
+}
+
+// Hit and miss counts per namespace and overall
+async function getCacheStats() {
+  const counters = await getCounters(STATS_KEY);
+
+  const hitRate = ({ hits, misses }) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 10000) / 100 : 0);
+
+  const namespaces = {};
+  for (const [field, count] of Object.entries(counters)) {
+    const [namespace, kind] = field.split(':');
+    if (!namespaces[namespace]) {
+      namespaces[namespace] = { hits: 0, misses: 0 };
+    }
+    namespaces[namespace][kind] = count;
+  }
+  Object.values(namespaces).forEach(stats => { stats.hit_rate = hitRate(stats); });
+
+  const totals = Object.values(namespaces).reduce((acc, stats) => ({
+    hits: acc.hits + stats.hits,
+    misses: acc.misses + stats.misses
+  }), { hits: 0, misses: 0 });
+
+  return {
+    ttl_seconds: DEFAULT_TTL_SECONDS,
+    namespaces,
+    totals: { ...totals, hit_rate: hitRate(totals) }
+  };
+}
+
+module.exports = {
+  cacheResponse,
+  metricsScope,
+  buildScope,
+  invalidateRollupCache,
+  invalidateBuildCache,
+  invalidatePipelineCache,
+  getCacheStats
+};
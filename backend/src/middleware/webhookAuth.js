@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { Pipeline } = require('../database/models');
+const { completeDelivery } = require('./webhookDelivery');
+const { logger } = require('../utils/logger');
+
+// Per-provider settings: pipeline type, how to find candidate pipelines
+// from the payload, the global fallback secret and the verification scheme
+const PROVIDERS = {
+  github: {
+    type: 'github-actions',
+    envSecret: 'GITHUB_WEBHOOK_SECRET',
+    match: (body) => body.repository?.full_name && { repository: body.repository.full_name },
+    verify: verifyGitHubSignature
+  },
+  gitlab: {
+    type: 'gitlab-ci',
+    envSecret: 'GITLAB_WEBHOOK_SECRET',
+    match: (body) => body.project?.id && { project_id: body.project.id.toString() },
+    verify: verifyGitLabToken
+  },
+  jenkins: {
+    type: 'jenkins',
+    envSecret: 'JENKINS_WEBHOOK_SECRET',
+    match: (body) => body.name && { job_name: body.name },
+    verify: verifySharedSecret
+  },
+  azure: {
+    type: 'azure-devops',
+    envSecret: 'AZURE_WEBHOOK_SECRET',
+    match: (body) => {
+      const projectId = body.resource?.project?.id ||
+        body.resource?.repository?.project?.id ||
+        body.resourceContainers?.project?.id;
+      return projectId && { project_id: projectId.toString() };
+    },
+    verify: verifySharedSecret
+  },
+  circleci: {
+    type: 'circleci',
+    envSecret: 'CIRCLECI_WEBHOOK_SECRET',
+    match: (body) => body.project?.slug && { project_slug: body.project.slug },
+    verify: verifyCircleCISignature
+  },
+  travis: {
+    type: 'travis-ci',
+    // Travis signs with its own key pair, so the "secret" is Travis' public key
+    envSecret: 'TRAVIS_WEBHOOK_PUBLIC_KEY',
+    match: (body) => {
+      const repository = parseTravisPayload(body)?.repository;
+      return repository && { repository: `${repository.owner_name}/${repository.name}` };
+    },
+    verify: verifyTravisSignature
+  }
+};
+
+// Constant-time string comparison that tolerates different lengths
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+// GitHub: HMAC-SHA256 of the raw body in X-Hub-Signature-256
+function verifyGitHubSignature(req, secret) {
+  const signature = req.headers['x-hub-signature-256'];
+  if (!signature) return false;
+
+  const expected = 'sha256=' + crypto
+    .createHmac('sha256', secret)
+    .update(req.rawBody || '')
+    .digest('hex');
+
+  return safeEqual(signature, expected);
+}
+
+// GitLab: plain secret token in X-Gitlab-Token
+function verifyGitLabToken(req, secret) {
+  return safeEqual(req.headers['x-gitlab-token'], secret);
+}
+
+// Jenkins / Azure DevOps: X-Webhook-Secret header, bearer token or basic auth password
+function verifySharedSecret(req, secret) {
+  if (safeEqual(req.headers['x-webhook-secret'], secret)) return true;
+
+  const authHeader = req.headers['authorization'] || '';
+  const [scheme, credentials] = authHeader.split(' ');
+
+  if (scheme === 'Bearer') {
+    return safeEqual(credentials, secret);
+  }
+
+  if (scheme === 'Basic' && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const password = decoded.slice(decoded.indexOf(':') + 1);
+    return safeEqual(password, secret);
+  }
+
+  return false;
+}
+
+// CircleCI: HMAC-SHA256 of the raw body in circleci-signature, as v1=<hex>[,...]
+function verifyCircleCISignature(req, secret) {
+  const header = req.headers['circleci-signature'];
+  if (!header) return false;
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(req.rawBody || '')
+    .digest('hex');
+
+  return header.split(',').some(part => {
+    const [version, signature] = part.trim().split('=');
+    return version === 'v1' && safeEqual(signature, expected);
+  });
+}
+
+// Travis CI: base64 RSA-SHA1 signature of the form-encoded payload field in the Signature header
+function verifyTravisSignature(req, publicKey) {
+  const signature = req.headers['signature'];
+  const payload = req.body?.payload;
+  if (!signature || typeof payload !== 'string') return false;
+
+  try {
+    return crypto.verify('sha1', Buffer.from(payload), publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    // A malformed key or signature is a failed verification, not a server error
+    return false;
+  }
+}
+
+// Travis posts its build as a JSON string in the payload form field
+function parseTravisPayload(body) {
+  try {
+    return typeof body.payload === 'string' ? JSON.parse(body.payload) : body.payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reject a delivery with 401 and keep a record of why
+function rejectDelivery(req, res, provider, reason, pipelines = []) {
+  logger.warn('Webhook delivery rejected:', {
+    provider,
+    reason,
+    ip: req.ip,
+    pipeline_ids: pipelines.map(p => p.id),
+    event: req.headers['x-github-event'] || req.headers['x-gitlab-event'] || req.headers['circleci-event-type'] || req.body?.eventType || null
+  });
+
+  req.webhookRejection = reason;
+
+  return completeDelivery(req.webhookDelivery, {
+    status: 'rejected',
+    responseCode: 401,
+    error: reason,
+    pipelineId: pipelines[0]?.id
+  }).then(() => res.status(401).json({
+    success: false,
+    error: 'Webhook signature verification failed',
+    reason,
+    delivery_id: req.webhookDelivery?.id
+  }));
+}
+
+// Express middleware verifying a webhook delivery against the secrets of the pipelines it targets
+function verifyWebhook(provider) {
+  const settings = PROVIDERS[provider];
+
+  return async (req, res, next) => {
+    try {
+      const criteria = settings.match(req.body || {});
+      const pipelines = criteria
+        ? await Pipeline.findAll({ where: { type: settings.type, config: criteria } })
+        : [];
+
+      const secrets = pipelines.map(p => p.webhook_secret).filter(Boolean);
+      if (process.env[settings.envSecret]) {
+        secrets.push(process.env[settings.envSecret]);
+      }
+
+      if (secrets.length === 0) {
+        return rejectDelivery(req, res, provider, 'No webhook secret configured for target pipeline', pipelines);
+      }
+
+      const verifiedPipelines = pipelines.filter(p => p.webhook_secret && settings.verify(req, p.webhook_secret));
+      const globalSecretValid = process.env[settings.envSecret] && settings.verify(req, process.env[settings.envSecret]);
+
+      if (verifiedPipelines.length === 0 && !globalSecretValid) {
+        return rejectDelivery(req, res, provider, 'Invalid signature or token', pipelines);
+      }
+
+      req.webhookPipelines = globalSecretValid ? pipelines : verifiedPipelines;
+      next();
+    } catch (error) {
+      logger.error(`Error verifying ${provider} webhook:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify webhook'
+      });
+    }
+  };
+}
+
+module.exports = {
+  verifyWebhook,
+  verifyGitHubSignature,
+  verifyGitLabToken,
+  verifySharedSecret,
+  verifyCircleCISignature,
+  verifyTravisSignature,
+  parseTravisPayload
+};
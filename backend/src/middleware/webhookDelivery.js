@@ -0,0 +1,66 @@
+const { WebhookDelivery } = require('../database/models');
+const { logger } = require('../utils/logger');
+
+// Headers that carry webhook credentials and must never be persisted
+const REDACTED_HEADERS = ['authorization', 'x-gitlab-token', 'x-webhook-secret', 'cookie'];
+
+// Headers that identify the event type for each provider
+const EVENT_HEADERS = ['x-github-event', 'x-gitlab-event', 'x-jenkins-event', 'circleci-event-type'];
+
+function redactHeaders(headers) {
+  const redacted = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    redacted[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+  }
+  return redacted;
+}
+
+function detectEventType(req) {
+  for (const header of EVENT_HEADERS) {
+    if (req.headers[header]) return req.headers[header];
+  }
+  return req.body?.eventType || req.body?.object_kind || null;
+}
+
+// Express middleware storing every inbound delivery before it is verified or processed
+function recordDelivery(provider) {
+  return async (req, res, next) => {
+    try {
+      req.webhookDelivery = await WebhookDelivery.create({
+        provider,
+        event_type: detectEventType(req),
+        headers: redactHeaders(req.headers),
+        raw_body: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {}),
+        status: 'received'
+      });
+    } catch (error) {
+      // Losing the log entry must not lose the delivery itself
+      logger.error(`Failed to record ${provider} webhook delivery:`, error);
+    }
+    next();
+  };
+}
+
+// Persist the outcome of a delivery; no-op when the delivery could not be recorded
+async function completeDelivery(delivery, { status, responseCode, error = null, pipelineId }) {
+  if (!delivery) return;
+
+  try {
+    await delivery.update({
+      status,
+      response_code: responseCode,
+      error,
+      attempts: (delivery.attempts || 0) + (status === 'rejected' ? 0 : 1),
+      processed_at: new Date(),
+      ...(pipelineId && { pipeline_id: pipelineId })
+    });
+  } catch (updateError) {
+    logger.error(`Failed to update webhook delivery ${delivery.id}:`, updateError);
+  }
+}
+
+module.exports = {
+  recordDelivery,
+  completeDelivery,
+  redactHeaders
+};
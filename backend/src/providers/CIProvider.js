@@ -0,0 +1,112 @@
+// Statuses accepted by the builds table
+const BUILD_STATUSES = ['pending', 'running', 'success', 'failed', 'cancelled'];
+
+// Artifact paths treated as test reports unless the pipeline sets config.test_report_patterns
+const DEFAULT_TEST_REPORT_PATTERNS = [
+  '(^|/)(TEST-[^/]*|[^/]*junit[^/]*)\\.xml$',
+  '\\.tap$',
+  '(^|/)[^/]*(jest|test-results?)[^/]*\\.json$'
+];
+
+// Common contract every CI provider adapter implements.
+//
+// Runs are returned in the shape stored in the builds table:
+//   { external_id, build_number, status, branch, commit_hash, committed_at?, message,
+//     triggered_by, environment, started_at, completed_at, duration, jobs? }
+// where jobs (optional) are in the shape stored in build_jobs. A run's external_id is
+// the id the other methods accept as runId.
+//
+// parseWebhook(payload, headers) returns null for events that are not handled, otherwise
+//   { event, match, runs, partial?, filter? }
+// match is the pipeline.config criteria of the pipelines the event belongs to, partial marks
+// runs that must only create a missing build (not overwrite one), and filter further narrows
+// the matched pipelines.
+class CIProvider {
+  constructor(pipeline = null) {
+    this.pipeline = pipeline;
+    this.config = pipeline?.config || {};
+  }
+
+  // Recent runs, newest first
+  async listRuns(options = {}) {
+    return this.unsupported('listRuns');
+  }
+
+  // A single run, with its jobs when the provider reports them
+  async getRun(runId) {
+    return this.unsupported('getRun');
+  }
+
+  // Logs of a run as [{ name, content }]
+  async getLogs(runId, options = {}) {
+    return this.unsupported('getLogs');
+  }
+
+  // Log output appended since the cursor returned by the previous call (start with {}):
+  //   { chunks: [{ name, content }], cursor, complete }
+  // complete is true once the run has finished and all of its output has been returned
+  async tailLogs(runId, cursor = {}) {
+    return this.unsupported('tailLogs');
+  }
+
+  // Test report files (JUnit XML, TAP or Jest JSON) published by a run as [{ name, content }]
+  async getTestReports(runId) {
+    return this.unsupported('getTestReports');
+  }
+
+  // Start a new run; options: { branch, parameters }
+  async trigger(options = {}) {
+    return this.unsupported('trigger');
+  }
+
+  async cancel(runId) {
+    return this.unsupported('cancel');
+  }
+
+  // Re-run a finished run; options: { failedOnly } where the provider can limit the rerun
+  async retry(runId, options = {}) {
+    return this.unsupported('retry');
+  }
+
+  // Coerce a provider status into the build status set
+  normalizeStatus(status) {
+    if (BUILD_STATUSES.includes(status)) return status;
+    if (['skipped', 'not_built', 'aborted'].includes(status)) return 'cancelled';
+    if (status === 'unstable') return 'failed';
+    return 'pending';
+  }
+
+  parseWebhook(payload, headers = {}) {
+    return null;
+  }
+
+  // Whether an artifact path matches one of the test report patterns (regular expressions)
+  isTestReportPath(path) {
+    const patterns = this.config.test_report_patterns || DEFAULT_TEST_REPORT_PATTERNS;
+    return patterns.some(pattern => new RegExp(pattern, 'i').test(path));
+  }
+
+  unsupported(operation) {
+    const error = new Error(`${operation} is not supported for ${this.constructor.type} pipelines`);
+    error.code = 'PROVIDER_OPERATION_UNSUPPORTED';
+    throw error;
+  }
+
+  // Split a repository URL such as https://gitlab.com/group/project into origin and path
+  parseRepositoryUrl(url) {
+    const parsed = new URL(url);
+    return {
+      origin: parsed.origin,
+      path: parsed.pathname.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '')
+    };
+  }
+
+  // Whole seconds between two timestamps, or null while the run is unfinished
+  secondsBetween(start, end) {
+    return start && end ? Math.floor((new Date(end) - new Date(start)) / 1000) : null;
+  }
+}
+
+CIProvider.BUILD_STATUSES = BUILD_STATUSES;
+
+module.exports = CIProvider;
@@ -0,0 +1,199 @@
+const CIProvider = require('./CIProvider');
+const AzureDevOpsService = require('../services/azureDevOps');
+
+// Azure DevOps runs are builds, identified by the build (run) id. options.adapter is handed
+// to the service's HTTP client, e.g. a recorded-fixture stub
+class AzureProvider extends CIProvider {
+  constructor(pipeline, options = {}) {
+    super(pipeline);
+    this.service = pipeline
+      ? new AzureDevOpsService(AzureDevOpsService.configFromPipeline(pipeline, options))
+      // Only used to normalize webhook payloads
+      : new AzureDevOpsService({ organizationUrl: 'https://dev.azure.com', project: '', ...options });
+  }
+
+  async listRuns(options = {}) {
+    const runsResult = await this.service.getRuns({
+      definitionId: this.config.definition_id,
+      branch: options.branch,
+      top: options.limit || 30
+    });
+
+    return runsResult.data.map(run => this.transformRun(run));
+  }
+
+  async getRun(runId) {
+    const runResult = await this.service.getRun(runId);
+    const run = runResult.data;
+    const stages = run.timeline.filter(record => record.type === 'stage');
+
+    return {
+      ...this.transformRun(run),
+      jobs: run.timeline
+        .filter(record => record.type === 'job')
+        .map(record => {
+          const stageIndex = stages.findIndex(stage => stage.id === record.parent_id);
+          return {
+            external_id: record.id,
+            name: record.name,
+            stage: stageIndex === -1 ? null : stages[stageIndex].name,
+            stage_index: stageIndex === -1 ? null : stageIndex,
+            status: record.status,
+            started_at: record.started_at ? new Date(record.started_at) : null,
+            completed_at: record.finished_at ? new Date(record.finished_at) : null,
+            duration: this.secondsBetween(record.started_at, record.finished_at),
+            runner: record.worker || null
+          };
+        })
+    };
+  }
+
+  // One log per job of the run's timeline
+  async getLogs(runId) {
+    const runResult = await this.service.getRun(runId);
+    const jobs = runResult.data.timeline.filter(record => record.type === 'job' && record.log_id);
+
+    const logs = [];
+    for (const job of jobs) {
+      const logResult = await this.service.getRunLogs(runId, job.log_id);
+      logs.push({ name: job.name, content: logResult.data.log });
+    }
+    return logs;
+  }
+
+  async trigger(options = {}) {
+    const definitionId = options.definition_id || this.config.definition_id;
+    if (!definitionId) {
+      throw new Error('A definition_id is required to trigger an Azure DevOps pipeline');
+    }
+
+    const triggerResult = await this.service.triggerPipeline(
+      definitionId,
+      options.branch || this.pipeline.branch || 'main',
+      options.parameters || {}
+    );
+    return triggerResult.data;
+  }
+
+  async cancel(runId) {
+    const cancelResult = await this.service.cancelRun(runId);
+    return cancelResult.data;
+  }
+
+  async retry(runId) {
+    const retryResult = await this.service.retryRun(runId);
+    return retryResult.data;
+  }
+
+  // Accepts either a state/result pair from the API or an already mapped status
+  normalizeStatus(state, result) {
+    if (result !== undefined) {
+      return this.service.mapBuildStatus(state, result);
+    }
+    return super.normalizeStatus(state);
+  }
+
+  parseWebhook(payload) {
+    const { eventType, resource } = payload;
+    if (!resource) return null;
+
+    const projectId = resource.project?.id ||
+      resource.repository?.project?.id ||
+      payload.resourceContainers?.project?.id;
+    if (!projectId) return null;
+
+    const match = { project_id: projectId.toString() };
+
+    // Classic build event: the resource is a full build
+    if (eventType === 'build.complete') {
+      const startedAt = resource.startTime ? new Date(resource.startTime) : new Date(resource.queueTime);
+      const completedAt = resource.finishTime ? new Date(resource.finishTime) : null;
+
+      return {
+        event: eventType,
+        match,
+        runs: [{
+          external_id: resource.id.toString(),
+          build_number: resource.id,
+          status: this.normalizeStatus(resource.status, resource.result),
+          branch: resource.sourceBranch?.replace('refs/heads/', '') || 'main',
+          commit_hash: resource.sourceVersion || `azure-${resource.id}`,
+          message: `Azure DevOps: ${resource.definition?.name || 'pipeline'} ${resource.buildNumber}`,
+          triggered_by: resource.requestedFor?.displayName || 'Azure DevOps',
+          environment: 'azure-devops',
+          started_at: startedAt,
+          completed_at: completedAt,
+          duration: this.secondsBetween(startedAt, completedAt)
+        }]
+      };
+    }
+
+    // Pipelines run state event: run ids match the build ids used by the sync
+    if (eventType === 'ms.vss-pipelines.run-state-changed-event') {
+      const run = resource.run || {};
+      const runId = run.id || resource.runId;
+      const startedAt = run.createdDate ? new Date(run.createdDate) : new Date();
+      const completedAt = run.finishedDate ? new Date(run.finishedDate) : null;
+      const branch = run.resources?.repositories?.self?.refName;
+
+      return {
+        event: eventType,
+        match,
+        runs: [{
+          external_id: runId.toString(),
+          build_number: runId,
+          status: this.normalizeStatus(run.state, run.result || null),
+          branch: branch?.replace('refs/heads/', '') || 'main',
+          commit_hash: run.resources?.repositories?.self?.version || `azure-${runId}`,
+          message: `Azure DevOps: ${resource.pipeline?.name || run.pipeline?.name || 'pipeline'} ${run.name || runId}`,
+          triggered_by: 'Azure DevOps',
+          environment: 'azure-devops',
+          started_at: startedAt,
+          completed_at: completedAt,
+          duration: this.secondsBetween(startedAt, completedAt)
+        }]
+      };
+    }
+
+    if (eventType === 'git.push') {
+      const branch = resource.refUpdates?.[0]?.name?.replace('refs/heads/', '') || 'main';
+
+      return {
+        event: eventType,
+        match,
+        runs: (resource.commits || []).map(commit => ({
+          external_id: `push-${commit.commitId.substring(0, 8)}`,
+          status: 'pending',
+          branch,
+          commit_hash: commit.commitId,
+          message: commit.comment,
+          triggered_by: commit.author?.name || 'Unknown',
+          environment: 'azure-devops',
+          started_at: new Date()
+        }))
+      };
+    }
+
+    return null;
+  }
+
+  transformRun(run) {
+    return {
+      external_id: run.id.toString(),
+      build_number: run.id,
+      status: super.normalizeStatus(run.status),
+      branch: run.branch,
+      commit_hash: run.commit_hash,
+      message: `Azure DevOps: ${run.definition.name || 'pipeline'} ${run.build_number}`,
+      triggered_by: run.requested_by || 'azure-devops',
+      environment: 'azure-devops',
+      started_at: run.started_at ? new Date(run.started_at) : new Date(run.queued_at),
+      completed_at: run.finished_at ? new Date(run.finished_at) : null,
+      duration: run.duration
+    };
+  }
+}
+
+AzureProvider.type = 'azure-devops';
+
+module.exports = AzureProvider;
@@ -0,0 +1,172 @@
+const CIProvider = require('./CIProvider');
+const CircleCIService = require('../services/circleCI');
+
+// CircleCI workflows are stored as builds (one CircleCI pipeline can run several),
+// identified by the workflow id
+class CircleCIProvider extends CIProvider {
+  constructor(pipeline) {
+    super(pipeline);
+    this.service = new CircleCIService({
+      baseUrl: this.config.base_url,
+      apiToken: pipeline?.token
+    });
+    this.projectSlug = pipeline && this.resolveProjectSlug(pipeline);
+  }
+
+  async listRuns(options = {}) {
+    const limit = options.limit || 30;
+    const circlePipelines = [];
+    let pageToken;
+
+    do {
+      const page = await this.service.getProjectPipelines(this.projectSlug, { branch: options.branch, pageToken });
+      circlePipelines.push(...page.data);
+      pageToken = page.next_page_token;
+    } while (pageToken && circlePipelines.length < limit);
+
+    const runs = [];
+    for (const circlePipeline of circlePipelines.slice(0, limit)) {
+      const workflowsResult = await this.service.getPipelineWorkflows(circlePipeline.id);
+
+      for (const workflow of workflowsResult.data) {
+        const jobsResult = await this.service.getWorkflowJobs(workflow.id);
+        runs.push({
+          ...this.transformWorkflow(circlePipeline, workflow),
+          jobs: jobsResult.data.map(job => this.transformJob(circlePipeline, workflow, job))
+        });
+      }
+    }
+
+    return runs;
+  }
+
+  async getRun(workflowId) {
+    const workflowResult = await this.service.getWorkflow(workflowId);
+    const workflow = workflowResult.data;
+
+    const [pipelineResult, jobsResult] = await Promise.all([
+      this.service.getPipeline(workflow.pipeline_id),
+      this.service.getWorkflowJobs(workflowId)
+    ]);
+
+    return {
+      ...this.transformWorkflow(pipelineResult.data, workflow),
+      jobs: jobsResult.data.map(job => this.transformJob(pipelineResult.data, workflow, job))
+    };
+  }
+
+  async trigger(options = {}) {
+    const triggerResult = await this.service.triggerPipeline(
+      this.projectSlug,
+      options.branch || this.pipeline.branch || 'main',
+      options.parameters || {}
+    );
+    return triggerResult.data;
+  }
+
+  async cancel(workflowId) {
+    const cancelResult = await this.service.cancelWorkflow(workflowId);
+    return cancelResult.data;
+  }
+
+  async retry(workflowId, options = {}) {
+    const rerunResult = await this.service.rerunWorkflow(workflowId, options.failedOnly !== false);
+    return rerunResult.data;
+  }
+
+  normalizeStatus(status) {
+    return super.normalizeStatus(this.service.mapWorkflowStatus(status));
+  }
+
+  // workflow-completed and job-completed events; both carry the current workflow
+  parseWebhook(payload) {
+    const { type, project, workflow, pipeline: circlePipeline, job } = payload;
+    if (!project?.slug || !workflow) return null;
+
+    const match = { project_slug: project.slug };
+    const pipelineFields = {
+      id: circlePipeline.id,
+      number: circlePipeline.number,
+      created_at: circlePipeline.created_at,
+      branch: circlePipeline.vcs?.branch,
+      tag: circlePipeline.vcs?.tag,
+      revision: circlePipeline.vcs?.revision,
+      commit_message: circlePipeline.vcs?.commit?.subject,
+      actor: circlePipeline.vcs?.commit?.author?.name,
+      trigger_type: circlePipeline.trigger?.type
+    };
+    const run = this.transformWorkflow(pipelineFields, workflow);
+
+    if (type === 'workflow-completed') {
+      return { event: type, match, runs: [run] };
+    }
+
+    if (type === 'job-completed' && job) {
+      return {
+        event: type,
+        match,
+        runs: [{
+          ...run,
+          jobs: [{
+            ...this.transformJob(pipelineFields, workflow, { ...job, job_number: job.number }),
+            log_url: workflow.url && job.number ? `${workflow.url}/jobs/${job.number}` : null
+          }]
+        }]
+      };
+    }
+
+    return null;
+  }
+
+  transformWorkflow(circlePipeline, workflow) {
+    const startedAt = workflow.created_at ? new Date(workflow.created_at) : new Date(circlePipeline.created_at);
+    const completedAt = workflow.stopped_at ? new Date(workflow.stopped_at) : null;
+
+    return {
+      external_id: workflow.id,
+      build_number: circlePipeline.number,
+      status: this.normalizeStatus(workflow.status),
+      branch: circlePipeline.branch || circlePipeline.tag,
+      commit_hash: circlePipeline.revision,
+      message: circlePipeline.commit_message || `CircleCI workflow ${workflow.name}`,
+      triggered_by: circlePipeline.actor || circlePipeline.trigger_type || 'circleci',
+      environment: 'circleci',
+      started_at: startedAt,
+      completed_at: completedAt,
+      duration: this.secondsBetween(startedAt, completedAt)
+    };
+  }
+
+  transformJob(circlePipeline, workflow, job) {
+    return {
+      external_id: job.id || `${workflow.id}:${job.name}`,
+      name: job.name,
+      stage: workflow.name,
+      status: super.normalizeStatus(this.service.mapJobStatus(job.status)),
+      started_at: job.started_at ? new Date(job.started_at) : null,
+      completed_at: job.stopped_at ? new Date(job.stopped_at) : null,
+      duration: this.secondsBetween(job.started_at, job.stopped_at),
+      log_url: job.job_number && this.projectSlug
+        ? `https://app.circleci.com/pipelines/${this.projectSlug}/${circlePipeline.number}/workflows/${workflow.id}/jobs/${job.job_number}`
+        : null
+    };
+  }
+
+  // Project slug from config, or derived from a GitHub/Bitbucket or app.circleci.com URL
+  resolveProjectSlug(pipeline) {
+    if (this.config.project_slug) return this.config.project_slug;
+
+    const { origin, path } = this.parseRepositoryUrl(pipeline.url);
+    if (origin.includes('github.com')) return `gh/${path}`;
+    if (origin.includes('bitbucket.org')) return `bb/${path}`;
+
+    // https://app.circleci.com/pipelines/github/org/repo
+    const [, vcs, ...rest] = path.split('/');
+    const vcsSlug = { github: 'gh', bitbucket: 'bb' }[vcs] || vcs;
+    return `${vcsSlug}/${rest.join('/')}`;
+  }
+}
+
+CircleCIProvider.type = 'circleci';
+
+module.exports = CircleCIProvider;
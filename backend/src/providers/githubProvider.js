@@ -0,0 +1,227 @@
+const CIProvider = require('./CIProvider');
+const GitHubActionsService = require('../services/githubActions');
+
+// GitHub Actions runs are workflow runs, identified by the run id
+class GitHubProvider extends CIProvider {
+  constructor(pipeline) {
+    super(pipeline);
+
+    if (pipeline) {
+      const repository = this.config.repository || this.parseRepositoryUrl(pipeline.url).path;
+      [this.owner, this.repo] = repository.split('/');
+      this.service = new GitHubActionsService(pipeline.token, this.config.api_url);
+    } else {
+      // Only used to normalize webhook payloads, so the token is optional
+      this.service = new GitHubActionsService(process.env.GITHUB_TOKEN);
+    }
+  }
+
+  async listRuns(options = {}) {
+    const workflowRuns = await this.service.getWorkflowRuns(this.owner, this.repo, {
+      per_page: options.limit || 30,
+      branch: options.branch
+    });
+
+    return workflowRuns.map(run => this.transformRun(run));
+  }
+
+  async getRun(runId) {
+    const [run, jobs] = await Promise.all([
+      this.service.getWorkflowRun(this.owner, this.repo, runId),
+      this.service.getWorkflowRunJobs(this.owner, this.repo, runId)
+    ]);
+
+    return {
+      ...this.transformRun(run),
+      jobs: jobs.map(job => this.transformJob(job))
+    };
+  }
+
+  async getLogs(runId) {
+    const jobs = await this.service.getWorkflowRunJobs(this.owner, this.repo, runId);
+
+    const logs = [];
+    for (const job of jobs) {
+      const content = await this.service.getJobLogs(this.owner, this.repo, job.id);
+      logs.push({ name: job.name, content });
+    }
+    return logs;
+  }
+
+  // GitHub only serves a job's log once the job has completed, so each job arrives as one chunk
+  async tailLogs(runId, cursor = {}) {
+    const run = await this.service.getWorkflowRun(this.owner, this.repo, runId);
+    const jobs = await this.service.getWorkflowRunJobs(this.owner, this.repo, runId);
+    const delivered = [...(cursor.delivered || [])];
+    const chunks = [];
+
+    for (const job of jobs) {
+      if (job.status !== 'completed' || delivered.includes(job.id)) continue;
+
+      const content = await this.service.getJobLogs(this.owner, this.repo, job.id);
+      chunks.push({ name: job.name, content });
+      delivered.push(job.id);
+    }
+
+    const runFinished = !['pending', 'running'].includes(super.normalizeStatus(run.status));
+
+    return {
+      chunks,
+      cursor: { delivered },
+      complete: runFinished && jobs.every(job => delivered.includes(job.id))
+    };
+  }
+
+  // Dispatches the workflow given in options.workflow or config.workflow_id
+  async trigger(options = {}) {
+    const workflowId = options.workflow || this.config.workflow_id;
+    if (!workflowId) {
+      throw new Error('A workflow (file name or id) is required to trigger a GitHub Actions run');
+    }
+
+    const ref = options.branch || this.pipeline.branch || 'main';
+    await this.service.triggerWorkflow(this.owner, this.repo, workflowId, ref, options.parameters || {});
+
+    return { message: 'Workflow dispatched successfully', workflow: workflowId, ref };
+  }
+
+  async cancel(runId) {
+    await this.service.cancelWorkflowRun(this.owner, this.repo, runId);
+    return { message: 'Workflow run cancellation requested', run_id: runId };
+  }
+
+  // Re-runs only the failed jobs unless options.failedOnly is false
+  async retry(runId, options = {}) {
+    const failedOnly = options.failedOnly !== false;
+    await this.service.rerunWorkflowRun(this.owner, this.repo, runId, failedOnly);
+    return {
+      message: failedOnly ? 'Failed jobs of the workflow run re-queued' : 'Workflow run re-queued',
+      run_id: runId
+    };
+  }
+
+  // Accepts either a status/conclusion pair from the API or an already mapped status
+  normalizeStatus(status, conclusion) {
+    if (conclusion !== undefined) {
+      return this.service.mapRunStatus(status, conclusion);
+    }
+    return super.normalizeStatus(status);
+  }
+
+  // Routed on X-GitHub-Event through GitHubActionsService.handleWebhookEvent
+  async parseWebhook(payload, headers = {}) {
+    const event = headers['x-github-event'];
+    if (!event) return null;
+
+    const eventData = await this.service.handleWebhookEvent(event, payload);
+    if (!eventData) return null;
+
+    const match = { repository: eventData.repository };
+
+    switch (eventData.type) {
+      case 'workflow_run':
+      case 'deployment_status':
+        return { event, match, runs: [eventData.build] };
+
+      case 'workflow_job':
+        // Jobs can arrive before their workflow_run; start a placeholder build that the run event fills in
+        return { event, match, partial: true, runs: [{ ...eventData.build, jobs: [eventData.job] }] };
+
+      case 'push': {
+        // Branch deletions and tag pushes carry no head commit
+        const headCommit = eventData.head_commit;
+        if (!headCommit) return { event, match, runs: [] };
+
+        return {
+          event,
+          match,
+          // Only pipelines watching the pushed branch get a build
+          filter: (pipeline) => (pipeline.config?.branches || [pipeline.branch]).includes(eventData.branch),
+          runs: [{
+            external_id: `push-${headCommit.id.substring(0, 8)}`,
+            status: 'pending',
+            branch: eventData.branch,
+            commit_hash: headCommit.id,
+            committed_at: new Date(headCommit.timestamp),
+            message: headCommit.message,
+            triggered_by: headCommit.author?.username || headCommit.author?.name || 'Unknown',
+            environment: 'github-actions',
+            started_at: new Date(headCommit.timestamp)
+          }]
+        };
+      }
+
+      case 'pull_request':
+        // Only handle PR open and sync events
+        if (!['opened', 'synchronize'].includes(eventData.action)) {
+          return { event, match, runs: [] };
+        }
+
+        return {
+          event,
+          match,
+          runs: [{
+            external_id: `pr-${eventData.pr_number}`,
+            status: 'pending',
+            branch: eventData.branch,
+            commit_hash: eventData.commit_hash,
+            message: `PR: ${eventData.title}`,
+            triggered_by: eventData.author || 'Unknown',
+            environment: 'github-actions',
+            started_at: new Date()
+          }]
+        };
+
+      default:
+        // check_suite, release and ping are acknowledged without a build
+        return { event, match, runs: [] };
+    }
+  }
+
+  transformRun(run) {
+    const status = super.normalizeStatus(run.status);
+    const finished = !['pending', 'running'].includes(status);
+    const startedAt = run.started_at ? new Date(run.started_at) : null;
+    const completedAt = finished && run.completed_at ? new Date(run.completed_at) : null;
+
+    return {
+      external_id: run.id.toString(),
+      build_number: run.run_number,
+      status,
+      branch: run.branch,
+      commit_hash: run.commit_hash,
+      committed_at: run.committed_at ? new Date(run.committed_at) : null,
+      message: run.commit_message,
+      triggered_by: run.author,
+      environment: 'github-actions',
+      started_at: startedAt,
+      completed_at: completedAt,
+      duration: this.secondsBetween(startedAt, completedAt)
+    };
+  }
+
+  transformJob(job) {
+    return {
+      external_id: job.id.toString(),
+      name: job.name,
+      stage: job.workflow_name || null,
+      status: this.service.mapRunStatus(job.status, job.conclusion),
+      started_at: job.started_at ? new Date(job.started_at) : null,
+      completed_at: job.completed_at ? new Date(job.completed_at) : null,
+      duration: this.secondsBetween(job.started_at, job.completed_at),
+      runner: job.runner_name || null,
+      log_url: job.html_url || null,
+      steps: (job.steps || []).map(step => ({
+        number: step.number,
+        name: step.name,
+        status: this.service.mapRunStatus(step.status, step.conclusion),
+        started_at: step.started_at || null,
+        completed_at: step.completed_at || null
+      }))
+    };
+  }
+}
+
+GitHubProvider.type = 'github-actions';
+
+module.exports = GitHubProvider;
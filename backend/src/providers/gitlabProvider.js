@@ -0,0 +1,229 @@
+const CIProvider = require('./CIProvider');
+const GitLabCIService = require('../services/gitlabCI');
+
+// Artifact paths checked for test reports unless the pipeline sets config.test_report_paths
+const DEFAULT_TEST_REPORT_PATHS = ['junit.xml', 'report.xml'];
+
+// GitLab runs are pipelines, identified by the pipeline id
+class GitLabProvider extends CIProvider {
+  constructor(pipeline) {
+    super(pipeline);
+
+    if (pipeline) {
+      const { origin, path } = this.parseRepositoryUrl(pipeline.url);
+      this.projectId = this.config.project_id || path;
+      this.service = new GitLabCIService({
+        baseUrl: this.config.base_url || origin,
+        accessToken: pipeline.token
+      });
+    } else {
+      // Only used to normalize webhook payloads
+      this.service = new GitLabCIService({ baseUrl: 'https://gitlab.com' });
+    }
+  }
+
+  async listRuns(options = {}) {
+    const pipelinesResult = await this.service.getProjectPipelines(this.projectId, 1, options.limit || 30);
+    return pipelinesResult.data.map(run => this.transformPipeline(run));
+  }
+
+  async getRun(runId) {
+    const [pipelineResult, jobsResult] = await Promise.all([
+      this.service.getPipeline(this.projectId, runId),
+      this.service.getPipelineJobs(this.projectId, runId)
+    ]);
+
+    const stages = this.stageOrder(jobsResult.data);
+    return {
+      ...this.transformPipeline(pipelineResult.data),
+      jobs: jobsResult.data.map(job => this.transformJob(job, stages))
+    };
+  }
+
+  async getLogs(runId) {
+    const jobsResult = await this.service.getPipelineJobs(this.projectId, runId);
+
+    const logs = [];
+    for (const job of jobsResult.data) {
+      const traceResult = await this.service.getJobTrace(this.projectId, job.id);
+      logs.push({ name: `${job.stage}/${job.name}`, content: traceResult.data.trace });
+    }
+    return logs;
+  }
+
+  // Job traces through byte ranges; the cursor holds the offset reached in each job
+  async tailLogs(runId, cursor = {}) {
+    // Read the pipeline status first so a finished pipeline's traces are known to be final
+    const pipelineResult = await this.service.getPipeline(this.projectId, runId);
+    const jobsResult = await this.service.getPipelineJobs(this.projectId, runId);
+    const offsets = { ...cursor.offsets };
+    const chunks = [];
+
+    for (const job of jobsResult.data) {
+      // Jobs that never started have no trace
+      if (['created', 'pending', 'manual', 'scheduled', 'skipped'].includes(job.status)) continue;
+
+      const traceResult = await this.service.getJobTraceFrom(this.projectId, job.id, offsets[job.id] || 0);
+      if (traceResult.data.trace) {
+        chunks.push({ name: `${job.stage}/${job.name}`, content: traceResult.data.trace });
+      }
+      offsets[job.id] = traceResult.data.next_offset;
+    }
+
+    return {
+      chunks,
+      cursor: { offsets },
+      complete: !['created', 'waiting_for_resource', 'preparing', 'pending', 'running'].includes(pipelineResult.data.status)
+    };
+  }
+
+  // GitLab only serves single artifact files by path, so reports are looked up at the paths
+  // listed in config.test_report_paths in every job that uploaded an artifacts archive
+  async getTestReports(runId) {
+    const paths = this.config.test_report_paths || DEFAULT_TEST_REPORT_PATHS;
+    const jobsResult = await this.service.getPipelineJobs(this.projectId, runId);
+
+    const reports = [];
+    for (const job of jobsResult.data) {
+      if (!job.artifacts.some(artifact => artifact.file_type === 'archive')) continue;
+
+      for (const path of paths) {
+        const fileResult = await this.service.getJobArtifactFile(this.projectId, job.id, path);
+        if (fileResult.data.content !== null) {
+          reports.push({ name: `${job.stage}/${job.name}/${path}`, content: fileResult.data.content });
+        }
+      }
+    }
+    return reports;
+  }
+
+  async trigger(options = {}) {
+    const triggerResult = await this.service.triggerPipeline(
+      this.projectId,
+      options.branch || this.pipeline.branch || 'main',
+      options.parameters || {}
+    );
+    return triggerResult.data;
+  }
+
+  async cancel(runId) {
+    const cancelResult = await this.service.cancelPipeline(this.projectId, runId);
+    return cancelResult.data;
+  }
+
+  async retry(runId) {
+    const retryResult = await this.service.retryPipeline(this.projectId, runId);
+    return retryResult.data;
+  }
+
+  normalizeStatus(status) {
+    switch (status) {
+      case 'success': return 'success';
+      case 'failed': return 'failed';
+      case 'canceled':
+      case 'skipped':
+        return 'cancelled';
+      case 'running': return 'running';
+      default: return super.normalizeStatus(status);
+    }
+  }
+
+  // Pipeline hooks become a build with one job per GitLab job; push hooks a pending build
+  async parseWebhook(payload) {
+    const { object_kind, project } = payload;
+    if (!project) return null;
+
+    const match = { project_id: project.id.toString() };
+
+    if (object_kind === 'pipeline') {
+      const { data } = await this.service.handleWebhookEvent(payload);
+      if (!data.pipeline) return null;
+
+      const run = data.pipeline;
+      return {
+        event: 'pipeline',
+        match,
+        runs: [{
+          ...this.transformPipeline({
+            ...run,
+            user: { username: run.user },
+            commit_message: run.commit_message
+          }),
+          jobs: (data.builds || []).map(job => this.transformJob({
+            ...job,
+            runner: job.runner && { description: job.runner },
+            web_url: job.trace_url
+          }, run.stages))
+        }]
+      };
+    }
+
+    if (object_kind === 'push' && payload.checkout_sha) {
+      const commit = payload.commits?.find(c => c.id === payload.checkout_sha) || {};
+      return {
+        event: 'push',
+        match,
+        runs: [{
+          external_id: `push-${payload.checkout_sha.substring(0, 8)}`,
+          status: 'pending',
+          branch: payload.ref?.replace('refs/heads/', '') || 'main',
+          commit_hash: payload.checkout_sha,
+          committed_at: commit.timestamp ? new Date(commit.timestamp) : null,
+          message: commit.message || `Push to ${payload.ref}`,
+          triggered_by: payload.user_username || payload.user_name || 'Unknown',
+          environment: 'gitlab-ci',
+          started_at: new Date()
+        }]
+      };
+    }
+
+    return null;
+  }
+
+  transformPipeline(run) {
+    return {
+      external_id: run.id.toString(),
+      build_number: run.iid || run.id,
+      status: this.normalizeStatus(run.status),
+      branch: run.ref,
+      commit_hash: run.sha,
+      message: run.commit_message || `GitLab CI pipeline #${run.id}`,
+      triggered_by: run.user?.username || run.source || 'gitlab-ci',
+      environment: 'gitlab-ci',
+      started_at: run.started_at ? new Date(run.started_at) : new Date(run.created_at),
+      completed_at: run.finished_at ? new Date(run.finished_at) : null,
+      duration: run.duration || null
+    };
+  }
+
+  // The jobs API carries no stage list (webhooks send run.stages); GitLab creates a pipeline's
+  // jobs stage by stage, so ordering stages by their lowest job id recovers the execution order
+  stageOrder(jobs) {
+    const firstJobId = new Map();
+    for (const job of jobs) {
+      if (!job.stage) continue;
+      firstJobId.set(job.stage, Math.min(firstJobId.get(job.stage) ?? Infinity, job.id));
+    }
+    return [...firstJobId.keys()].sort((a, b) => firstJobId.get(a) - firstJobId.get(b));
+  }
+
+  transformJob(job, stages = []) {
+    return {
+      external_id: job.id.toString(),
+      name: job.name,
+      stage: job.stage,
+      stage_index: stages.includes(job.stage) ? stages.indexOf(job.stage) : null,
+      status: this.normalizeStatus(job.status),
+      started_at: job.started_at ? new Date(job.started_at) : null,
+      completed_at: job.finished_at ? new Date(job.finished_at) : null,
+      duration: job.duration ? Math.round(job.duration) : null,
+      runner: job.runner?.description || null,
+      allow_failure: job.allow_failure || false,
+      log_url: job.web_url || null
+    };
+  }
+}
+
+GitLabProvider.type = 'gitlab-ci';
+
+module.exports = GitLabProvider;
@@ -0,0 +1,69 @@
+const CIProvider = require('./CIProvider');
+const JenkinsProvider = require('./jenkinsProvider');
+const GitLabProvider = require('./gitlabProvider');
+const GitHubProvider = require('./githubProvider');
+const AzureProvider = require('./azureProvider');
+const CircleCIProvider = require('./circleciProvider');
+const TravisProvider = require('./travisProvider');
+
+// Provider adapters keyed on pipeline.type
+const registry = new Map();
+
+function registerProvider(ProviderClass) {
+  if (!(ProviderClass.prototype instanceof CIProvider)) {
+    throw new Error(`${ProviderClass.name} must extend CIProvider`);
+  }
+  registry.set(ProviderClass.type, ProviderClass);
+}
+
+function isSupportedType(type) {
+  return registry.has(type);
+}
+
+function getSupportedTypes() {
+  return [...registry.keys()];
+}
+
+function getProviderClass(type) {
+  const ProviderClass = registry.get(type);
+  if (!ProviderClass) {
+    const error = new Error(`No CI provider registered for pipeline type: ${type}`);
+    error.code = 'PROVIDER_NOT_FOUND';
+    throw error;
+  }
+  return ProviderClass;
+}
+
+// Adapter bound to a stored pipeline (its URL, token and config)
+function getProvider(pipeline) {
+  const ProviderClass = getProviderClass(pipeline.type);
+  return new ProviderClass(pipeline);
+}
+
+// Adapter without a pipeline, for work that needs no credentials such as parsing webhooks
+function getProviderForType(type) {
+  const ProviderClass = getProviderClass(type);
+  return new ProviderClass(null);
+}
+
+// External ids of builds recorded from push, pull request, deployment and test events
+// rather than provider runs
+const PLACEHOLDER_EXTERNAL_ID = /^(push|pr|deployment|test)-/;
+
+// Whether a build is backed by a provider run that adapters can look up
+function hasProviderRun(build) {
+  return Boolean(build.external_id) && !PLACEHOLDER_EXTERNAL_ID.test(build.external_id);
+}
+
+[JenkinsProvider, GitLabProvider, GitHubProvider, AzureProvider, CircleCIProvider, TravisProvider]
+  .forEach(registerProvider);
+
+module.exports = {
+  CIProvider,
+  registerProvider,
+  isSupportedType,
+  getSupportedTypes,
+  getProvider,
+  getProviderForType,
+  hasProviderRun
+};
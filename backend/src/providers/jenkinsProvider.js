@@ -0,0 +1,192 @@
+const CIProvider = require('./CIProvider');
+const JenkinsService = require('../services/jenkins');
+const { durationInSeconds } = require('../utils/statistics');
+
+// Jenkins runs are identified as <job name>#<build number>
+class JenkinsProvider extends CIProvider {
+  constructor(pipeline) {
+    super(pipeline);
+    this.service = pipeline && new JenkinsService({
+      baseUrl: pipeline.url,
+      username: this.config.username || 'admin',
+      apiToken: pipeline.token
+    });
+  }
+
+  // Builds of the configured job, or of every job
+  async listRuns(options = {}) {
+    const limit = options.limit || 30;
+
+    let jobs;
+    if (this.config.job_name) {
+      const jobResult = await this.service.getJob(this.config.job_name);
+      jobs = [jobResult.data];
+    } else {
+      const jobsResult = await this.service.getJobs();
+      jobs = jobsResult.data;
+    }
+
+    const runs = [];
+    for (const job of jobs) {
+      for (const build of (job.builds || []).slice(0, limit)) {
+        const building = build.result === null || build.result === undefined;
+        runs.push(this.transformBuild(job.name, { ...build, building }));
+      }
+    }
+
+    return runs;
+  }
+
+  async getRun(runId) {
+    const { jobName, buildNumber } = this.parseRunId(runId);
+    const buildResult = await this.service.getBuild(jobName, buildNumber);
+    const build = buildResult.data;
+
+    return this.transformBuild(jobName, {
+      ...build,
+      result: build.building ? null : build.status
+    });
+  }
+
+  async getLogs(runId) {
+    const { jobName, buildNumber } = this.parseRunId(runId);
+    const consoleResult = await this.service.getBuildConsoleOutput(jobName, buildNumber);
+
+    return [{ name: 'console', content: consoleResult.data.console_output }];
+  }
+
+  // Console output through progressiveText byte offsets
+  async tailLogs(runId, cursor = {}) {
+    const { jobName, buildNumber } = this.parseRunId(runId);
+    const outputResult = await this.service.getProgressiveConsoleOutput(jobName, buildNumber, cursor.offset || 0);
+    const { text, next_offset: nextOffset, more_data: moreData } = outputResult.data;
+
+    return {
+      chunks: text ? [{ name: 'console', content: text }] : [],
+      cursor: { offset: nextOffset },
+      complete: !moreData
+    };
+  }
+
+  // Archived artifacts whose path matches the test report patterns
+  async getTestReports(runId) {
+    const { jobName, buildNumber } = this.parseRunId(runId);
+    const artifactsResult = await this.service.getBuildArtifacts(jobName, buildNumber);
+
+    const reports = [];
+    for (const artifact of artifactsResult.data.artifacts) {
+      if (!this.isTestReportPath(artifact.relativePath)) continue;
+
+      const contentResult = await this.service.getArtifactContent(jobName, buildNumber, artifact.relativePath);
+      reports.push({ name: artifact.relativePath, content: contentResult.data.content });
+    }
+    return reports;
+  }
+
+  async trigger(options = {}) {
+    const jobName = options.job_name || this.config.job_name;
+    if (!jobName) {
+      throw new Error('A job_name is required to trigger a Jenkins build');
+    }
+
+    const triggerResult = await this.service.triggerBuild(jobName, options.parameters || {});
+    return triggerResult.data;
+  }
+
+  async cancel(runId) {
+    const { jobName, buildNumber } = this.parseRunId(runId);
+    const stopResult = await this.service.stopBuild(jobName, buildNumber);
+    return stopResult.data;
+  }
+
+  // Jenkins has no rerun of a finished build, so a retry queues the job again
+  async retry(runId) {
+    const { jobName } = this.parseRunId(runId);
+    const triggerResult = await this.service.triggerBuild(jobName);
+    return triggerResult.data;
+  }
+
+  normalizeStatus(result, building = false) {
+    if (building) return 'running';
+
+    switch (result) {
+      case 'SUCCESS': return 'success';
+      case 'FAILURE':
+      case 'UNSTABLE':
+        return 'failed';
+      case 'ABORTED':
+      case 'NOT_BUILT':
+        return 'cancelled';
+      case 'IN_PROGRESS': return 'running';
+      default: return super.normalizeStatus(result);
+    }
+  }
+
+  // Notification plugin payload: { name, url, build: { number, phase, status, scm, ... } }
+  parseWebhook(payload) {
+    const { name, build } = payload;
+    if (!name || !build) return null;
+
+    const finished = ['COMPLETED', 'FINALIZED'].includes(build.phase) || (!build.phase && build.status);
+    const startedAt = build.timestamp ? new Date(parseInt(build.timestamp)) : new Date();
+    const completedAt = finished && build.duration ? new Date(startedAt.getTime() + parseInt(build.duration)) : null;
+
+    return {
+      event: build.phase ? build.phase.toLowerCase() : 'build',
+      match: { job_name: name },
+      runs: [{
+        external_id: `${name}#${build.number}`,
+        build_number: build.number,
+        status: finished ? this.normalizeStatus(build.status) : 'running',
+        branch: build.scm?.branch || 'main',
+        commit_hash: build.scm?.commit || null,
+        message: `Jenkins build ${name} #${build.number}`,
+        triggered_by: 'jenkins',
+        environment: 'jenkins',
+        started_at: startedAt,
+        completed_at: completedAt,
+        // Jenkins reports durations in milliseconds
+        duration: completedAt ? durationInSeconds(build.duration, 'ms') : null
+      }]
+    };
+  }
+
+  transformBuild(jobName, build) {
+    const startedAt = build.timestamp ? new Date(build.timestamp) : null;
+    const completedAt = !build.building && startedAt ? new Date(build.timestamp + (build.duration || 0)) : null;
+
+    return {
+      external_id: `${jobName}#${build.number}`,
+      build_number: build.number,
+      status: this.normalizeStatus(build.result, build.building),
+      branch: this.pipeline.branch || 'main',
+      commit_hash: null,
+      message: `Jenkins build ${jobName} #${build.number}`,
+      triggered_by: 'jenkins',
+      environment: 'jenkins',
+      started_at: startedAt,
+      completed_at: completedAt,
+      // Jenkins reports durations in milliseconds
+      duration: completedAt && build.duration ? durationInSeconds(build.duration, 'ms') : null
+    };
+  }
+
+  parseRunId(runId) {
+    const separator = String(runId).lastIndexOf('#');
+    if (separator === -1) {
+      if (!this.config.job_name) {
+        throw new Error(`Jenkins run id must be <job>#<number>, got ${runId}`);
+      }
+      return { jobName: this.config.job_name, buildNumber: runId };
+    }
+
+    return {
+      jobName: runId.slice(0, separator),
+      buildNumber: runId.slice(separator + 1)
+    };
+  }
+}
+
+JenkinsProvider.type = 'jenkins';
+
+module.exports = JenkinsProvider;
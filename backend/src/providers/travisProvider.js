@@ -0,0 +1,145 @@
+const CIProvider = require('./CIProvider');
+const TravisCIService = require('../services/travisCI');
+
+// Travis CI runs are builds, identified by the build id
+class TravisProvider extends CIProvider {
+  constructor(pipeline) {
+    super(pipeline);
+    this.service = new TravisCIService({
+      baseUrl: this.config.api_url,
+      apiToken: pipeline?.token
+    });
+    this.repository = pipeline && (this.config.repository ||
+      this.parseRepositoryUrl(pipeline.url).path.replace(/^github\//, ''));
+  }
+
+  async listRuns(options = {}) {
+    const buildsResult = await this.service.getRepositoryBuilds(this.repository, options.limit || 30);
+
+    const runs = [];
+    for (const build of buildsResult.data) {
+      const jobsResult = await this.service.getBuildJobs(build.id);
+      runs.push({
+        ...this.transformBuild(build),
+        jobs: jobsResult.data.map(job => this.transformJob(job))
+      });
+    }
+    return runs;
+  }
+
+  async getRun(buildId) {
+    const [buildResult, jobsResult] = await Promise.all([
+      this.service.getBuild(buildId),
+      this.service.getBuildJobs(buildId)
+    ]);
+
+    return {
+      ...this.transformBuild(buildResult.data),
+      jobs: jobsResult.data.map(job => this.transformJob(job))
+    };
+  }
+
+  async getLogs(buildId) {
+    const jobsResult = await this.service.getBuildJobs(buildId);
+
+    const logs = [];
+    for (const job of jobsResult.data) {
+      const logResult = await this.service.getJobLog(job.id);
+      logs.push({ name: `Job ${job.number}`, content: logResult.data.log });
+    }
+    return logs;
+  }
+
+  async trigger(options = {}) {
+    const triggerResult = await this.service.triggerBuild(
+      this.repository,
+      options.branch || this.pipeline.branch || 'main',
+      options.parameters || {}
+    );
+    return triggerResult.data;
+  }
+
+  async cancel(buildId) {
+    const cancelResult = await this.service.cancelBuild(buildId);
+    return cancelResult.data;
+  }
+
+  async retry(buildId) {
+    const restartResult = await this.service.restartBuild(buildId);
+    return restartResult.data;
+  }
+
+  normalizeStatus(state) {
+    return super.normalizeStatus(this.service.mapBuildState(state));
+  }
+
+  // Travis posts the build as a JSON string in the payload form field
+  parseWebhook(body) {
+    let payload;
+    try {
+      payload = typeof body.payload === 'string' ? JSON.parse(body.payload) : body.payload;
+    } catch (error) {
+      throw new Error('Travis CI payload field is not valid JSON');
+    }
+    if (!payload?.repository) return null;
+
+    const startedAt = payload.started_at ? new Date(payload.started_at) : new Date();
+    const completedAt = payload.finished_at ? new Date(payload.finished_at) : null;
+
+    return {
+      event: payload.type || 'build',
+      match: { repository: `${payload.repository.owner_name}/${payload.repository.name}` },
+      runs: [{
+        external_id: payload.id.toString(),
+        build_number: parseInt(payload.number),
+        status: this.normalizeStatus(payload.state),
+        branch: payload.branch,
+        commit_hash: payload.commit,
+        message: payload.message || `Travis CI build #${payload.number}`,
+        triggered_by: payload.author_name || payload.type || 'travis-ci',
+        environment: 'travis-ci',
+        started_at: startedAt,
+        completed_at: completedAt,
+        duration: payload.duration || null,
+        jobs: (payload.matrix || []).map(job => this.transformJob({
+          ...job,
+          stage: job.stage?.name || null
+        }))
+      }]
+    };
+  }
+
+  transformBuild(build) {
+    return {
+      external_id: build.id.toString(),
+      build_number: parseInt(build.number),
+      status: this.normalizeStatus(build.state),
+      branch: build.branch,
+      commit_hash: build.commit_hash,
+      message: build.commit_message || `Travis CI build #${build.number}`,
+      triggered_by: build.author || build.event_type || 'travis-ci',
+      environment: 'travis-ci',
+      started_at: build.started_at ? new Date(build.started_at) : null,
+      completed_at: build.finished_at ? new Date(build.finished_at) : null,
+      // Travis reports the summed job duration in seconds
+      duration: build.duration || null
+    };
+  }
+
+  transformJob(job) {
+    return {
+      external_id: job.id.toString(),
+      name: `Job ${job.number}`,
+      stage: job.stage,
+      status: this.normalizeStatus(job.state),
+      started_at: job.started_at ? new Date(job.started_at) : null,
+      completed_at: job.finished_at ? new Date(job.finished_at) : null,
+      duration: this.secondsBetween(job.started_at, job.finished_at),
+      allow_failure: job.allow_failure || false
+    };
+  }
+}
+
+TravisProvider.type = 'travis-ci';
+
+module.exports = TravisProvider;
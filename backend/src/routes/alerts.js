@@ -1,10 +1,19 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const { Alert, AlertHistory, Pipeline, Build } = require('../database/models');
+const { Alert, AlertHistory, EscalationPolicy, Pipeline } = require('../database/models');
+const AlertEvaluator = require('../services/alertEvaluator');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
+const alertEvaluator = new AlertEvaluator();
+
+// Fields PUT /api/alerts/:id may change; status, acknowledgement and escalation progress are
+// managed by the alert actions and the escalation service
+const UPDATABLE_FIELDS = [
+  'name', 'description', 'condition_type', 'threshold', 'operator', 'severity', 'channels', 'enabled',
+  'cooldown_minutes', 'window_minutes', 'resolve_after_successes', 'labels', 'escalation_policy_id'
+];
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
@@ -15,7 +24,7 @@ router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
   query('status').optional().isIn(['active', 'inactive', 'triggered']),
   query('severity').optional().isIn(['low', 'medium', 'high', 'critical']),
-  query('pipeline_id').optional().isInt().withMessage('Pipeline ID must be an integer')
+  query('pipeline_id').optional().isUUID().withMessage('Pipeline ID must be a valid UUID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -34,7 +43,7 @@ router.get('/', [
     const whereClause = {};
     if (status) whereClause.status = status;
     if (severity) whereClause.severity = severity;
-    if (pipeline_id) whereClause.pipeline_id = parseInt(pipeline_id);
+    if (pipeline_id) whereClause.pipeline_id = pipeline_id;
 
     const { count, rows: alerts } = await Alert.findAndCountAll({
       where: whereClause,
@@ -78,6 +87,10 @@ router.get('/:id', async (req, res) => {
         model: Pipeline,
         as: 'pipeline',
         attributes: ['id', 'name', 'type', 'status']
+      }, {
+        model: EscalationPolicy,
+        as: 'escalation_policy',
+        attributes: ['id', 'name', 'steps', 'repeat_count']
       }]
     });
     
@@ -105,7 +118,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', [
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be 1-100 characters'),
   body('description').optional().trim().isLength({ max: 500 }),
-  body('pipeline_id').isString().withMessage('Pipeline ID must be a string'),
+  body('pipeline_id').isUUID().withMessage('Pipeline ID must be a valid UUID'),
   body('condition_type').isIn(['success_rate', 'build_time', 'failure_count', 'consecutive_failures']).withMessage('Invalid condition type'),
   body('threshold').isFloat({ min: 0 }).withMessage('Threshold must be a positive number'),
   body('operator').isIn(['<', '<=', '>', '>=', '==', '!=']).withMessage('Invalid operator'),
@@ -113,7 +126,11 @@ router.post('/', [
   body('channels').isArray().withMessage('Channels must be an array'),
   body('channels.*').isIn(['email', 'slack', 'webhook']).withMessage('Invalid channel type'),
   body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
-  body('cooldown_minutes').optional().isInt({ min: 1, max: 1440 }).withMessage('Cooldown must be 1-1440 minutes')
+  body('cooldown_minutes').optional().isInt({ min: 1, max: 1440 }).withMessage('Cooldown must be 1-1440 minutes'),
+  body('window_minutes').optional().isInt({ min: 5, max: 43200 }).withMessage('Window must be 5-43200 minutes'),
+  body('resolve_after_successes').optional().isInt({ min: 0, max: 50 }).withMessage('Resolve after successes must be 0-50'),
+  body('labels').optional().isObject().withMessage('Labels must be an object of key/value pairs'),
+  body('escalation_policy_id').optional({ nullable: true }).isUUID().withMessage('Escalation policy ID must be a valid UUID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -135,7 +152,11 @@ router.post('/', [
       severity, 
       channels, 
       enabled = true,
-      cooldown_minutes = 30
+      cooldown_minutes = 30,
+      window_minutes = AlertEvaluator.DEFAULT_WINDOW_MINUTES,
+      resolve_after_successes = AlertEvaluator.DEFAULT_RESOLVE_AFTER_SUCCESSES,
+      labels = {},
+      escalation_policy_id = null
     } = req.body;
 
     // Check if pipeline exists
@@ -147,6 +168,13 @@ router.post('/', [
       });
     }
 
+    if (escalation_policy_id && !(await EscalationPolicy.findByPk(escalation_policy_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
     // Check if alert with same name already exists for this pipeline
     const existingAlert = await Alert.findOne({ 
       where: { name, pipeline_id } 
@@ -170,6 +198,10 @@ router.post('/', [
       channels,
       enabled,
       cooldown_minutes,
+      window_minutes,
+      resolve_after_successes,
+      labels,
+      escalation_policy_id,
       created_by: req.user.id
     });
 
@@ -199,7 +231,11 @@ router.put('/:id', [
   body('channels').optional().isArray(),
   body('channels.*').optional().isIn(['email', 'slack', 'webhook']),
   body('enabled').optional().isBoolean(),
-  body('cooldown_minutes').optional().isInt({ min: 1, max: 1440 })
+  body('cooldown_minutes').optional().isInt({ min: 1, max: 1440 }),
+  body('window_minutes').optional().isInt({ min: 5, max: 43200 }),
+  body('resolve_after_successes').optional().isInt({ min: 0, max: 50 }),
+  body('labels').optional().isObject(),
+  body('escalation_policy_id').optional({ nullable: true }).isUUID()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -234,7 +270,17 @@ router.put('/:id', [
       }
     }
 
-    await alert.update(req.body);
+    if (req.body.escalation_policy_id && !(await EscalationPolicy.findByPk(req.body.escalation_policy_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    const updates = Object.fromEntries(UPDATABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    await alert.update(updates);
     
     logger.info(`Alert updated: ${alert.id} by user ${req.user.id}`);
     
@@ -281,7 +327,7 @@ router.delete('/:id', requireRole('admin'), async (req, res) => {
   }
 });
 
-// POST /api/alerts/:id/test - Test alert rule
+// POST /api/alerts/:id/test - Dry-run an alert rule against current pipeline builds
 router.post('/:id/test', async (req, res) => {
   try {
     const { id } = req.params;
@@ -306,19 +352,23 @@ router.post('/:id/test', async (req, res) => {
       });
     }
 
-    // TODO: Implement actual alert testing logic
-    // This would evaluate the alert condition against current pipeline metrics
-    // and return whether the alert would trigger
-    
-    logger.info(`Alert test triggered: ${alert.id} by user ${req.user.id}`);
+    if (!alert.condition_type || !alert.pipeline_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Alert has no pipeline condition to evaluate'
+      });
+    }
+
+    // Nothing is triggered, recorded or sent
+    const result = await alertEvaluator.evaluate(alert, { dryRun: true });
+
+    logger.info(`Alert test evaluated: ${alert.id} by user ${req.user.id}`);
     
     res.json({
       success: true,
-      message: 'Alert test initiated',
+      message: result.condition_met ? 'Alert condition is met' : 'Alert condition is not met',
       data: {
-        alert_id: alert.id,
-        alert_name: alert.name,
-        condition: `${alert.condition_type} ${alert.operator} ${alert.threshold}`,
+        ...result,
         severity: alert.severity
       }
     });
@@ -360,7 +410,7 @@ router.get('/:id/history', [
     }
 
     const { count, rows: history } = await AlertHistory.findAndCountAll({
-      where: { alert_id: parseInt(id) },
+      where: { alert_id: id },
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['triggered_at', 'DESC']]
@@ -396,7 +446,7 @@ router.get('/:id/history', [
 router.get('/history/all', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
-  query('alert_id').optional().isInt().withMessage('Alert ID must be an integer'),
+  query('alert_id').optional().isUUID().withMessage('Alert ID must be a valid UUID'),
   query('severity').optional().isIn(['low', 'medium', 'high', 'critical']),
   query('date_from').optional().isISO8601().withMessage('Date from must be valid ISO date'),
   query('date_to').optional().isISO8601().withMessage('Date to must be valid ISO date')
@@ -424,7 +474,7 @@ router.get('/history/all', [
     
     // Build where clause
     const whereClause = {};
-    if (alert_id) whereClause.alert_id = parseInt(alert_id);
+    if (alert_id) whereClause.alert_id = alert_id;
     if (severity) whereClause.severity = severity;
     
     // Date range filtering
@@ -443,7 +493,7 @@ router.get('/history/all', [
         include: [{
           model: Pipeline,
           as: 'pipeline',
-          attributes: ['id', 'name', 'type', 'team']
+          attributes: ['id', 'name', 'type']
         }]
       }],
       limit: parseInt(limit),
@@ -472,7 +522,7 @@ router.get('/history/all', [
   }
 });
 
-// POST /api/alerts/:id/acknowledge - Acknowledge triggered alert
+// POST /api/alerts/:id/acknowledge - Acknowledge triggered alert and stop its escalation
 router.post('/:id/acknowledge', async (req, res) => {
   try {
     const { id } = req.params;
@@ -487,23 +537,22 @@ router.post('/:id/acknowledge', async (req, res) => {
       });
     }
 
-    // Update alert status to acknowledged
-    await alert.update({
-      status: 'acknowledged',
-      acknowledged_at: new Date(),
-      acknowledged_by: acknowledged_by || req.user.id
-    });
+    // Update alert status to acknowledged; a pending escalation step is cancelled
+    const escalationStopped = !!alert.next_escalation_at;
+    await alert.acknowledge(acknowledged_by || req.user.id);
 
     // Create history entry
     await AlertHistory.create({
-      alert_id: parseInt(id),
+      alert_id: id,
       triggered_at: new Date(),
       status: 'acknowledged',
       severity: alert.severity,
       metadata: {
         acknowledged_by: acknowledged_by || req.user.id,
         notes: notes || '',
-        action: 'acknowledged'
+        action: 'acknowledged',
+        escalation_stopped: escalationStopped,
+        escalation_level: alert.escalation_level
       }
     });
 
@@ -515,7 +564,8 @@ router.post('/:id/acknowledge', async (req, res) => {
       data: {
         alert_id: alert.id,
         status: 'acknowledged',
-        acknowledged_at: alert.acknowledged_at
+        acknowledged_at: alert.acknowledged_at,
+        escalation_stopped: escalationStopped
       }
     });
   } catch (error) {
@@ -527,4 +577,64 @@ router.post('/:id/acknowledge', async (req, res) => {
   }
 });
 
+// POST /api/alerts/:id/resolve - Resolve a triggered or acknowledged alert
+router.post('/:id/resolve', [
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const alert = await Alert.findByPk(id, {
+      include: [{
+        model: Pipeline,
+        as: 'pipeline',
+        attributes: ['id', 'name', 'type']
+      }]
+    });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    if (!alert.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        error: `Only triggered or acknowledged alerts can be resolved, alert status is ${alert.status}`
+      });
+    }
+
+    const resolution = await alertEvaluator.resolve(alert, {
+      resolvedBy: req.user.id,
+      notes: req.body.notes || ''
+    });
+
+    res.json({
+      success: true,
+      message: 'Alert resolved successfully',
+      data: {
+        alert_id: alert.id,
+        status: alert.status,
+        ...resolution
+      }
+    });
+  } catch (error) {
+    logger.error('Error resolving alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve alert'
+    });
+  }
+});
+
 module.exports = router;
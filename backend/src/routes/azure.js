@@ -0,0 +1,240 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../middleware/audit');
+const { Pipeline } = require('../database/models');
+const AzureDevOpsService = require('../services/azureDevOps');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Resolve the Azure DevOps pipeline from ?pipeline_id and attach a client for it
+async function loadAzurePipeline(req, res, next) {
+  try {
+    const { pipeline_id } = req.query;
+
+    if (!pipeline_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pipeline ID is required'
+      });
+    }
+
+    const pipeline = await Pipeline.findByPk(pipeline_id);
+
+    if (!pipeline || pipeline.type !== 'azure-devops') {
+      return res.status(404).json({
+        success: false,
+        error: 'Azure DevOps pipeline not found'
+      });
+    }
+
+    req.pipeline = pipeline;
+    req.azureService = new AzureDevOpsService(AzureDevOpsService.configFromPipeline(pipeline));
+    next();
+  } catch (error) {
+    logger.error('Error loading Azure DevOps pipeline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load Azure DevOps pipeline',
+      details: error.message
+    });
+  }
+}
+
+function pipelineSummary(pipeline) {
+  return {
+    id: pipeline.id,
+    name: pipeline.name,
+    url: pipeline.url
+  };
+}
+
+// GET /api/azure/status - Test Azure DevOps connection
+router.get('/status', loadAzurePipeline, async (req, res) => {
+  try {
+    const connectionResult = await req.azureService.testConnection();
+
+    res.json({
+      success: true,
+      data: {
+        pipeline: pipelineSummary(req.pipeline),
+        connection: connectionResult
+      }
+    });
+  } catch (error) {
+    logger.error('Error testing Azure DevOps connection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test Azure DevOps connection',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/azure/pipelines - Get pipeline definitions in the project
+router.get('/pipelines', loadAzurePipeline, async (req, res) => {
+  try {
+    const pipelinesResult = await req.azureService.getPipelines();
+
+    res.json({
+      success: true,
+      data: {
+        pipeline: pipelineSummary(req.pipeline),
+        pipelines: pipelinesResult.data
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching Azure DevOps pipelines:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Azure DevOps pipelines',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/azure/runs - Get recent runs (optionally ?definition_id, ?branch, ?top)
+router.get('/runs', loadAzurePipeline, async (req, res) => {
+  try {
+    const { definition_id, branch, top } = req.query;
+
+    const runsResult = await req.azureService.getRuns({
+      definitionId: definition_id || req.pipeline.config?.definition_id,
+      branch,
+      top: top ? Math.min(parseInt(top), 100) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        pipeline: pipelineSummary(req.pipeline),
+        runs: runsResult.data
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching Azure DevOps runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Azure DevOps runs',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/azure/runs/:runId - Get run details with its stage/job timeline
+router.get('/runs/:runId', loadAzurePipeline, async (req, res) => {
+  try {
+    const runResult = await req.azureService.getRun(req.params.runId);
+
+    res.json({
+      success: true,
+      data: {
+        pipeline: pipelineSummary(req.pipeline),
+        run: runResult.data
+      }
+    });
+  } catch (error) {
+    logger.error(`Error fetching Azure DevOps run ${req.params.runId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Azure DevOps run',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/azure/runs/:runId/logs - List run logs, or fetch one with ?log_id
+router.get('/runs/:runId/logs', loadAzurePipeline, async (req, res) => {
+  try {
+    const logsResult = await req.azureService.getRunLogs(req.params.runId, req.query.log_id);
+
+    res.json({
+      success: true,
+      data: logsResult.data
+    });
+  } catch (error) {
+    logger.error(`Error fetching Azure DevOps logs for run ${req.params.runId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Azure DevOps run logs',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/azure/pipelines/:definitionId/runs - Trigger a pipeline run
+router.post('/pipelines/:definitionId/runs', requireRole(['admin', 'super_admin']), loadAzurePipeline, async (req, res) => {
+  const { branch, variables } = req.body;
+  const audit = {
+    action: 'azure_run.trigger',
+    resourceType: 'azure_run',
+    details: {
+      pipeline_id: req.pipeline.id,
+      definition_id: req.params.definitionId,
+      branch: branch || req.pipeline.branch || 'main'
+    }
+  };
+
+  try {
+    const runResult = await req.azureService.triggerPipeline(
+      req.params.definitionId,
+      audit.details.branch,
+      variables || {}
+    );
+
+    await recordAudit(req, { ...audit, resourceId: runResult.data?.id });
+
+    res.json({
+      success: true,
+      data: {
+        pipeline: pipelineSummary(req.pipeline),
+        run: runResult.data
+      }
+    });
+  } catch (error) {
+    await recordAudit(req, { ...audit, outcome: 'failed', details: { ...audit.details, error: error.message } });
+    logger.error(`Error triggering Azure DevOps pipeline ${req.params.definitionId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to trigger Azure DevOps pipeline',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/azure/runs/:runId/cancel - Cancel a queued or running run
+router.post('/runs/:runId/cancel', requireRole(['admin', 'super_admin']), loadAzurePipeline, async (req, res) => {
+  const audit = {
+    action: 'azure_run.cancel',
+    resourceType: 'azure_run',
+    resourceId: req.params.runId,
+    details: { pipeline_id: req.pipeline.id }
+  };
+
+  try {
+    const cancelResult = await req.azureService.cancelRun(req.params.runId);
+
+    await recordAudit(req, audit);
+
+    res.json({
+      success: true,
+      data: {
+        pipeline: pipelineSummary(req.pipeline),
+        run: cancelResult.data
+      }
+    });
+  } catch (error) {
+    await recordAudit(req, { ...audit, outcome: 'failed', details: { ...audit.details, error: error.message } });
+    logger.error(`Error cancelling Azure DevOps run ${req.params.runId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel Azure DevOps run',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
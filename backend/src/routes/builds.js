@@ -1,10 +1,30 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
-const { Build, Pipeline } = require('../database/models');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../middleware/audit');
+const { cacheResponse, buildScope, invalidateBuildCache } = require('../middleware/cache');
+const { Build, BuildJob, Pipeline } = require('../database/models');
+const { getProvider, hasProviderRun } = require('../providers');
+const LogStorageService = require('../services/logStorage');
+const FailureClassifier = require('../services/failureClassifier');
+const TestResultService = require('../services/testResults');
+const TestReportParser = require('../services/testReportParser');
+const PipelineSyncService = require('../services/pipelineSync');
+const MetricRollupService = require('../services/metricRollups');
+const statistics = require('../utils/statistics');
+const { emitBuildStatus } = require('../websocket/socket');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
+const logStorage = new LogStorageService();
+const failureClassifier = new FailureClassifier({ logStorage });
+const testResultService = new TestResultService();
+const rollupService = new MetricRollupService();
+const pipelineSyncService = new PipelineSyncService({ failureClassifier, testResultService, rollupService });
+
+// Raw report uploads (JUnit XML, TAP); JSON bodies go through the app-wide JSON parser
+const parseReportBody = express.text({ type: ['application/xml', 'text/xml', 'text/plain'], limit: '10mb' });
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
@@ -15,6 +35,7 @@ router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
   query('pipeline_id').optional().isInt().withMessage('Pipeline ID must be an integer'),
   query('status').optional().isIn(['pending', 'running', 'success', 'failed', 'cancelled']),
+  query('failure_category').optional().isIn(FailureClassifier.FAILURE_CATEGORIES).withMessage('Invalid failure category'),
   query('branch').optional().trim(),
   query('author').optional().trim(),
   query('date_from').optional().isISO8601().withMessage('Date from must be valid ISO date'),
@@ -35,6 +56,7 @@ router.get('/', [
       limit = 20, 
       pipeline_id, 
       status, 
+      failure_category,
       branch, 
       author, 
       date_from, 
@@ -47,14 +69,15 @@ router.get('/', [
     const whereClause = {};
     if (pipeline_id) whereClause.pipeline_id = parseInt(pipeline_id);
     if (status) whereClause.status = status;
-    if (branch) whereClause.branch = { [require('sequelize').Op.iLike]: `%${branch}%` };
-    if (author) whereClause.author = { [require('sequelize').Op.iLike]: `%${author}%` };
+    if (failure_category) whereClause.failure_category = failure_category;
+    if (branch) whereClause.branch = { [Op.iLike]: `%${branch}%` };
+    if (author) whereClause.author = { [Op.iLike]: `%${author}%` };
     
     // Date range filtering
     if (date_from || date_to) {
       whereClause.started_at = {};
-      if (date_from) whereClause.started_at[require('sequelize').Op.gte] = new Date(date_from);
-      if (date_to) whereClause.started_at[require('sequelize').Op.lte] = new Date(date_to);
+      if (date_from) whereClause.started_at[Op.gte] = new Date(date_from);
+      if (date_to) whereClause.started_at[Op.lte] = new Date(date_to);
     }
 
     const { count, rows: builds } = await Build.findAndCountAll({
@@ -90,6 +113,48 @@ router.get('/', [
   }
 });
 
+// GET /api/builds/search/logs - Full-text search across stored build logs
+router.get('/search/logs', [
+  query('q').trim().isLength({ min: 2, max: 200 }).withMessage('Query must be 2-200 characters'),
+  query('pipeline_id').optional().isUUID().withMessage('Pipeline ID must be a UUID'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be 1-200'),
+  query('context').optional().isInt({ min: 0, max: 10 }).withMessage('Context must be 0-10 lines')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q, pipeline_id, limit = 50, context = 2 } = req.query;
+
+    const results = await logStorage.searchLogs(q, {
+      pipelineId: pipeline_id,
+      limit: parseInt(limit),
+      context: parseInt(context)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        builds: results,
+        total_matches: results.reduce((sum, result) => sum + result.matches.length, 0)
+      }
+    });
+  } catch (error) {
+    logger.error('Error searching build logs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search build logs'
+    });
+  }
+});
+
 // GET /api/builds/:id - Get build by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -99,6 +164,9 @@ router.get('/:id', async (req, res) => {
         model: Pipeline,
         as: 'pipeline',
         attributes: ['id', 'name', 'type', 'status']
+      }, {
+        model: BuildJob,
+        as: 'jobs'
       }]
     });
     
@@ -111,7 +179,10 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: build
+      data: {
+        ...build.toJSON(),
+        stages: buildStageGraph(build.jobs)
+      }
     });
   } catch (error) {
     logger.error('Error fetching build:', error);
@@ -122,12 +193,12 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// GET /api/builds/:id/logs - Get build logs
+// GET /api/builds/:id/logs - Get build logs from the log store, archiving them from the provider on first read
 router.get('/:id/logs', async (req, res) => {
   try {
     const { id } = req.params;
     const build = await Build.findByPk(id, {
-      attributes: ['id', 'logs', 'status', 'pipeline_id']
+      include: [{ model: Pipeline, as: 'pipeline' }]
     });
     
     if (!build) {
@@ -137,11 +208,14 @@ router.get('/:id/logs', async (req, res) => {
       });
     }
 
-    if (!build.logs) {
+    const sections = await logStorage.getOrArchiveLogs(build);
+
+    if (sections.length === 0) {
       return res.json({
         success: true,
         data: {
           logs: '',
+          sections: [],
           message: 'No logs available for this build'
         }
       });
@@ -150,7 +224,10 @@ router.get('/:id/logs', async (req, res) => {
     res.json({
       success: true,
       data: {
-        logs: build.logs,
+        logs: sections.length === 1
+          ? sections[0].content
+          : sections.map(section => `==> ${section.name} <==\n${section.content}`).join('\n\n'),
+        sections: sections.map(({ name, line_count }) => ({ name, line_count })),
         build_id: build.id,
         status: build.status
       }
@@ -206,6 +283,263 @@ router.get('/:id/artifacts', async (req, res) => {
   }
 });
 
+// GET /api/builds/:id/test-results - Test totals, suites and failing cases of a build
+router.get('/:id/test-results', async (req, res) => {
+  try {
+    const build = await Build.findByPk(req.params.id, { attributes: ['id'] });
+
+    if (!build) {
+      return res.status(404).json({
+        success: false,
+        error: 'Build not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        build_id: build.id,
+        ...await testResultService.getTestResults(build.id)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching test results:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch test results'
+    });
+  }
+});
+
+// POST /api/builds/:id/test-reports - Upload test reports: a raw JUnit XML or TAP body (?format=&name=),
+// a Jest JSON report, or { reports: [{ name, format, content }] }
+router.post('/:id/test-reports', requireRole(['admin', 'super_admin']), parseReportBody, [
+  query('format').optional().isIn(TestReportParser.REPORT_FORMATS).withMessage('Invalid report format'),
+  query('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters'),
+  body('reports').optional().isArray({ min: 1 }).withMessage('Reports must be a non-empty array'),
+  body('reports.*.format').optional().isIn(TestReportParser.REPORT_FORMATS).withMessage('Invalid report format'),
+  body('reports.*.content').optional().notEmpty().withMessage('Report content is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const build = await Build.findByPk(req.params.id);
+    if (!build) {
+      return res.status(404).json({
+        success: false,
+        error: 'Build not found'
+      });
+    }
+
+    const { format, name } = req.query;
+    let reports;
+    if (typeof req.body === 'string') {
+      reports = [{ name, format, content: req.body }];
+    } else if (Array.isArray(req.body?.reports)) {
+      reports = req.body.reports;
+    } else if (req.body?.content) {
+      reports = [{ name: req.body.name || name, format: req.body.format || format, content: req.body.content }];
+    } else if (Array.isArray(req.body?.testResults)) {
+      reports = [{ name: name || 'jest', format: 'jest', content: req.body }];
+    }
+
+    if (!reports || reports.some(report => !report.content)) {
+      return res.status(400).json({
+        success: false,
+        error: 'No test report content in request'
+      });
+    }
+
+    let summary;
+    try {
+      summary = await testResultService.ingestReports(build, reports);
+    } catch (parseError) {
+      if (parseError.code !== 'TEST_REPORT_INVALID') throw parseError;
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid test report',
+        details: parseError.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        build_id: build.id,
+        test_results: summary
+      }
+    });
+  } catch (error) {
+    logger.error('Error ingesting test reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to ingest test reports'
+    });
+  }
+});
+
+// POST /api/builds/:id/test-reports/fetch - Import test reports from the build's provider artifacts
+router.post('/:id/test-reports/fetch', requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const build = await Build.findByPk(req.params.id, {
+      include: [{ model: Pipeline, as: 'pipeline' }]
+    });
+
+    if (!build) {
+      return res.status(404).json({
+        success: false,
+        error: 'Build not found'
+      });
+    }
+
+    if (!hasProviderRun(build)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Build is not linked to a provider run'
+      });
+    }
+
+    let summary;
+    try {
+      summary = await testResultService.fetchFromProvider(build);
+    } catch (providerError) {
+      if (['PROVIDER_NOT_FOUND', 'PROVIDER_OPERATION_UNSUPPORTED'].includes(providerError.code)) {
+        return res.status(501).json({
+          success: false,
+          error: providerError.message
+        });
+      }
+      if (providerError.code === 'TEST_REPORT_INVALID') {
+        return res.status(422).json({
+          success: false,
+          error: 'Invalid test report in provider artifacts',
+          details: providerError.message
+        });
+      }
+
+      logger.error(`Failed to fetch test reports of build ${build.id} from provider:`, providerError);
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to fetch test reports from provider',
+        details: providerError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: summary ? 'Test reports imported' : 'No test reports found in provider artifacts',
+      data: {
+        build_id: build.id,
+        test_results: summary
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching test reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch test reports'
+    });
+  }
+});
+
+// POST /api/builds/:id/cancel - Cancel a running build on its provider
+router.post('/:id/cancel', requireRole(['admin', 'super_admin']), async (req, res) => {
+  await runProviderAction(req, res, {
+    action: 'cancel',
+    allowedStatuses: ['pending', 'running'],
+    operation: (provider, build) => provider.cancel(build.external_id),
+    // Mark the build right away; the next sync or webhook corrects it if the run finished first
+    onSuccess: async (build) => {
+      const completedAt = new Date();
+      await build.update({
+        status: 'cancelled',
+        completed_at: completedAt,
+        duration: build.started_at ? Math.floor((completedAt - new Date(build.started_at)) / 1000) : null
+      });
+      emitBuildStatus(build.toJSON());
+
+      try {
+        await rollupService.recomputeBuild(build);
+      } catch (rollupError) {
+        logger.error(`Error recomputing metric rollups of build ${build.id}:`, rollupError);
+      }
+    }
+  });
+});
+
+// POST /api/builds/:id/retry - Retry a finished build on its provider
+router.post('/:id/retry', requireRole(['admin', 'super_admin']), [
+  body('failed_only').optional().isBoolean().withMessage('failed_only must be a boolean')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  // The new attempt reaches the build through the regular sync and webhooks
+  await runProviderAction(req, res, {
+    action: 'retry',
+    allowedStatuses: ['failed', 'cancelled'],
+    operation: (provider, build) => provider.retry(build.external_id, { failedOnly: req.body.failed_only !== false })
+  });
+});
+
+// POST /api/builds/:id/classify - Re-run failure classification on a failed build's log
+router.post('/:id/classify', async (req, res) => {
+  try {
+    const build = await Build.findByPk(req.params.id, {
+      include: [{ model: Pipeline, as: 'pipeline' }]
+    });
+
+    if (!build) {
+      return res.status(404).json({
+        success: false,
+        error: 'Build not found'
+      });
+    }
+
+    if (build.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: `Only failed builds can be classified, build status is ${build.status}`
+      });
+    }
+
+    const result = await failureClassifier.classifyBuild(build);
+    if (!result) {
+      return res.status(422).json({
+        success: false,
+        error: 'No logs available to classify this build'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        build_id: build.id,
+        ...result
+      }
+    });
+  } catch (error) {
+    logger.error('Error classifying build failure:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to classify build failure'
+    });
+  }
+});
+
 // POST /api/builds - Create new build (usually from webhooks)
 router.post('/', async (req, res) => {
   try {
@@ -262,6 +596,8 @@ router.post('/', async (req, res) => {
       started_at: new Date()
     });
 
+    await invalidateBuildCache(build.pipeline_id, `build ${build.id} created`);
+
     logger.info(`Build created: ${build.id} for pipeline ${pipeline_id}`);
     
     res.status(201).json({
@@ -324,7 +660,6 @@ router.put('/:id', async (req, res) => {
 
     const updateData = {
       ...(status && { status }),
-      ...(logs && { logs }),
       ...(artifacts && { artifacts }),
       ...(failure_reason && { failure_reason }),
       ...(completed_at && { completed_at }),
@@ -332,7 +667,23 @@ router.put('/:id', async (req, res) => {
     };
 
     await build.update(updateData);
+
+    // Logs go to the log store as one console section, or as [{ name, content }] sections
+    const pipeline = await Pipeline.findByPk(build.pipeline_id);
+    if (logs) {
+      await logStorage.storeLogs(
+        { id: build.id, pipeline },
+        Array.isArray(logs) ? logs : [{ name: 'console', content: String(logs) }]
+      );
+    }
+
+    // Same follow-up as a build finishing through the sync or a webhook
+    if (PipelineSyncService.FINISHED_STATUSES.includes(status)) {
+      await pipelineSyncService.processFinishedBuild(build, pipeline);
+    }
     
+    await invalidateBuildCache(build.pipeline_id, `build ${id} updated`);
+
     logger.info(`Build updated: ${id} status: ${status || build.status}`);
     
     res.json({
@@ -349,7 +700,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // GET /api/builds/metrics/summary - Get build metrics summary
-router.get('/metrics/summary', async (req, res) => {
+router.get('/metrics/summary', cacheResponse('build_summary', { scope: buildScope }), async (req, res) => {
   try {
     const { pipeline_id, days = 30 } = req.query;
     
@@ -359,7 +710,7 @@ router.get('/metrics/summary', async (req, res) => {
     // Date range for metrics
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
-    whereClause.started_at = { [require('sequelize').Op.gte]: startDate };
+    whereClause.started_at = { [Op.gte]: startDate };
 
     const builds = await Build.findAll({
       where: whereClause,
@@ -377,9 +728,7 @@ router.get('/metrics/summary', async (req, res) => {
     const failedBuilds = statusCounts.failed || 0;
     const successRate = totalBuilds > 0 ? (successfulBuilds / totalBuilds) * 100 : 0;
 
-    const buildsWithDuration = builds.filter(b => b.duration && b.duration > 0);
-    const avgDuration = buildsWithDuration.length > 0 ? 
-      buildsWithDuration.reduce((sum, b) => sum + b.duration, 0) / buildsWithDuration.length : 0;
+    const durations = statistics.describe(builds.filter(b => b.duration > 0).map(b => b.duration));
 
     // Daily build count
     const dailyBuilds = builds.reduce((acc, build) => {
@@ -394,7 +743,10 @@ router.get('/metrics/summary', async (req, res) => {
         summary: {
           total_builds: totalBuilds,
           success_rate: Math.round(successRate * 100) / 100,
-          average_duration: Math.round(avgDuration * 100) / 100,
+          average_duration: durations.mean || 0,
+          median_duration: durations.median || 0,
+          p95_duration: durations.p95 || 0,
+          stddev_duration: durations.stddev || 0,
           status_distribution: statusCounts
         },
         trends: {
@@ -412,6 +764,78 @@ router.get('/metrics/summary', async (req, res) => {
   }
 });
 
+// GET /api/builds/metrics/stages - Get job outcomes per stage to show where builds fail
+router.get('/metrics/stages', [
+  query('pipeline_id').optional().isUUID().withMessage('Pipeline ID must be a UUID'),
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { pipeline_id, days = 30 } = req.query;
+
+    const buildWhere = {};
+    if (pipeline_id) buildWhere.pipeline_id = pipeline_id;
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(days));
+    buildWhere.started_at = { [Op.gte]: startDate };
+
+    const jobs = await BuildJob.findAll({
+      attributes: ['stage', 'status', 'duration', 'allow_failure'],
+      include: [{
+        model: Build,
+        as: 'build',
+        attributes: [],
+        where: buildWhere
+      }]
+    });
+
+    const stages = jobs.reduce((acc, job) => {
+      const name = job.stage || 'default';
+      const stage = acc[name] || (acc[name] = { stage: name, total_jobs: 0, failed_jobs: 0, durations: [] });
+
+      stage.total_jobs++;
+      if (job.status === 'failed' && !job.allow_failure) stage.failed_jobs++;
+      if (job.duration) stage.durations.push(job.duration);
+      return acc;
+    }, {});
+
+    const breakdown = Object.values(stages)
+      .map(({ durations, ...stage }) => {
+        const stats = statistics.describe(durations);
+        return {
+          ...stage,
+          failure_rate: Math.round((stage.failed_jobs / stage.total_jobs) * 10000) / 100,
+          average_duration: stats.mean || 0,
+          p95_duration: stats.p95 || 0
+        };
+      })
+      .sort((a, b) => b.failure_rate - a.failure_rate);
+
+    res.json({
+      success: true,
+      data: {
+        stages: breakdown,
+        period_days: parseInt(days)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching stage metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stage metrics'
+    });
+  }
+});
+
 // DELETE /api/builds/:id - Delete build by ID
 router.delete('/:id', async (req, res) => {
   try {
@@ -426,6 +850,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await build.destroy();
+    await invalidateBuildCache(build.pipeline_id, `build ${id} deleted`);
     
     logger.info(`Build deleted: ${id}`);
     
@@ -442,4 +867,144 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Run a cancel or retry of a build through its pipeline's provider adapter and audit the attempt
+async function runProviderAction(req, res, { action, allowedStatuses, operation, onSuccess }) {
+  try {
+    const build = await Build.findByPk(req.params.id, {
+      include: [{ model: Pipeline, as: 'pipeline' }]
+    });
+
+    if (!build) {
+      return res.status(404).json({
+        success: false,
+        error: 'Build not found'
+      });
+    }
+
+    // Placeholder builds from push and pull request events have no provider run behind them
+    if (!hasProviderRun(build)) {
+      return res.status(409).json({
+        success: false,
+        error: `Build is not linked to a provider run and cannot be ${action === 'cancel' ? 'cancelled' : 'retried'}`
+      });
+    }
+
+    if (!allowedStatuses.includes(build.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot ${action} a build with status ${build.status}`
+      });
+    }
+
+    const audit = {
+      action: `build.${action}`,
+      resourceType: 'build',
+      resourceId: build.id,
+      details: {
+        pipeline_id: build.pipeline_id,
+        provider: build.pipeline.type,
+        external_id: build.external_id,
+        previous_status: build.status
+      }
+    };
+
+    let result;
+    try {
+      result = await operation(getProvider(build.pipeline), build);
+    } catch (providerError) {
+      await recordAudit(req, { ...audit, outcome: 'failed', details: { ...audit.details, error: providerError.message } });
+
+      if (['PROVIDER_NOT_FOUND', 'PROVIDER_OPERATION_UNSUPPORTED'].includes(providerError.code)) {
+        return res.status(501).json({
+          success: false,
+          error: providerError.message
+        });
+      }
+
+      logger.error(`Failed to ${action} build ${build.id} on provider:`, providerError);
+      return res.status(502).json({
+        success: false,
+        error: `Failed to ${action} build with provider`,
+        details: providerError.message
+      });
+    }
+
+    if (onSuccess) {
+      await onSuccess(build);
+    }
+    await invalidateBuildCache(build.pipeline_id, `build ${build.id} ${action} requested`);
+    await recordAudit(req, audit);
+
+    res.json({
+      success: true,
+      message: action === 'cancel' ? 'Build cancellation requested' : 'Build retry requested',
+      data: {
+        build_id: build.id,
+        status: build.status,
+        provider_response: result
+      }
+    });
+  } catch (error) {
+    logger.error(`Error trying to ${action} build:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} build`
+    });
+  }
+}
+
+// Group jobs into stages in execution order, each stage depending on the one before it
+function buildStageGraph(jobs = []) {
+  const stages = new Map();
+
+  const ordered = [...jobs].sort((a, b) =>
+    (a.stage_index ?? Number.MAX_SAFE_INTEGER) - (b.stage_index ?? Number.MAX_SAFE_INTEGER) ||
+    new Date(a.started_at || a.created_at) - new Date(b.started_at || b.created_at)
+  );
+
+  for (const job of ordered) {
+    const name = job.stage || 'default';
+    if (!stages.has(name)) {
+      stages.set(name, { name, jobs: [] });
+    }
+    stages.get(name).jobs.push(job);
+  }
+
+  return [...stages.values()].map((stage, index, all) => {
+    const startTimes = stage.jobs.filter(j => j.started_at).map(j => new Date(j.started_at).getTime());
+    const endTimes = stage.jobs.filter(j => j.completed_at).map(j => new Date(j.completed_at).getTime());
+    const finished = stage.jobs.every(j => j.completed_at);
+
+    const startedAt = startTimes.length ? new Date(Math.min(...startTimes)) : null;
+    const completedAt = finished && endTimes.length ? new Date(Math.max(...endTimes)) : null;
+
+    return {
+      name: stage.name,
+      status: stageStatus(stage.jobs),
+      started_at: startedAt,
+      completed_at: completedAt,
+      duration: startedAt && completedAt ? Math.floor((completedAt - startedAt) / 1000) : null,
+      needs: index > 0 ? [all[index - 1].name] : [],
+      jobs: stage.jobs.map(j => ({
+        id: j.id,
+        name: j.name,
+        status: j.status,
+        duration: j.duration,
+        allow_failure: j.allow_failure,
+        log_url: j.log_url
+      }))
+    };
+  });
+}
+
+// A stage fails if any required job failed, otherwise it takes the least advanced job status
+function stageStatus(jobs) {
+  const statuses = jobs.map(j => (j.status === 'failed' && j.allow_failure ? 'success' : j.status));
+  if (statuses.includes('failed')) return 'failed';
+  if (statuses.includes('running')) return 'running';
+  if (statuses.includes('pending')) return 'pending';
+  if (statuses.every(s => s === 'cancelled')) return 'cancelled';
+  return 'success';
+}
+
 module.exports = router;
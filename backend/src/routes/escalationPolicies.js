@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../middleware/audit');
+const { EscalationPolicy, Alert } = require('../database/models');
+const EscalationService = require('../services/escalation');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+const escalationService = new EscalationService();
+
+const isValidSteps = (steps) => {
+  const invalid = escalationService.validateSteps(steps);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+  return true;
+};
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// GET /api/escalation-policies - List escalation policies with the alerts using them
+router.get('/', async (req, res) => {
+  try {
+    const policies = await EscalationPolicy.findAll({
+      include: [{
+        model: Alert,
+        as: 'alerts',
+        attributes: ['id', 'name', 'severity', 'status']
+      }],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    logger.error('Error fetching escalation policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch escalation policies'
+    });
+  }
+});
+
+// GET /api/escalation-policies/:id - Get escalation policy by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findByPk(req.params.id, {
+      include: [{
+        model: Alert,
+        as: 'alerts',
+        attributes: ['id', 'name', 'severity', 'status', 'escalation_level', 'next_escalation_at']
+      }]
+    });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    logger.error('Error fetching escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch escalation policy'
+    });
+  }
+});
+
+// POST /api/escalation-policies - Create an escalation policy
+router.post('/', requireRole(['admin', 'super_admin']), [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required and must be 1-255 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('steps').custom(isValidSteps),
+  body('repeat_count').optional().isInt({ min: 0, max: EscalationService.MAX_REPEAT_COUNT })
+    .withMessage(`Repeat count must be 0-${EscalationService.MAX_REPEAT_COUNT}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, steps, repeat_count = 0 } = req.body;
+
+    const missing = await escalationService.findMissingTargets(steps);
+    if (missing) {
+      return res.status(404).json({
+        success: false,
+        error: missing
+      });
+    }
+
+    const policy = await EscalationPolicy.create({
+      name,
+      description,
+      steps: escalationService.normalizeSteps(steps),
+      repeat_count,
+      created_by: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'escalation_policy.create',
+      resourceType: 'escalation_policy',
+      resourceId: policy.id,
+      details: { name, steps: policy.steps.length, repeat_count }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    logger.error('Error creating escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create escalation policy'
+    });
+  }
+});
+
+// PUT /api/escalation-policies/:id - Update an escalation policy; escalations in progress continue with the new steps
+router.put('/:id', requireRole(['admin', 'super_admin']), [
+  body('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('steps').optional().custom(isValidSteps),
+  body('repeat_count').optional().isInt({ min: 0, max: EscalationService.MAX_REPEAT_COUNT })
+    .withMessage(`Repeat count must be 0-${EscalationService.MAX_REPEAT_COUNT}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const policy = await EscalationPolicy.findByPk(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    const { name, description, steps, repeat_count } = req.body;
+
+    if (steps !== undefined) {
+      const missing = await escalationService.findMissingTargets(steps);
+      if (missing) {
+        return res.status(404).json({
+          success: false,
+          error: missing
+        });
+      }
+    }
+
+    await policy.update({
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description }),
+      ...(steps !== undefined && { steps: escalationService.normalizeSteps(steps) }),
+      ...(repeat_count !== undefined && { repeat_count }),
+      updated_at: new Date()
+    });
+
+    await recordAudit(req, {
+      action: 'escalation_policy.update',
+      resourceType: 'escalation_policy',
+      resourceId: policy.id,
+      details: { fields: Object.keys(req.body) }
+    });
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    logger.error('Error updating escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update escalation policy'
+    });
+  }
+});
+
+// DELETE /api/escalation-policies/:id - Delete an escalation policy; its alerts stop escalating
+router.delete('/:id', requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findByPk(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    await Alert.update(
+      { escalation_policy_id: null, next_escalation_at: null },
+      { where: { escalation_policy_id: policy.id } }
+    );
+    await policy.destroy();
+
+    await recordAudit(req, {
+      action: 'escalation_policy.delete',
+      resourceType: 'escalation_policy',
+      resourceId: req.params.id,
+      details: { name: policy.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Escalation policy deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete escalation policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { FailureRule } = require('../database/models');
+const FailureClassifier = require('../services/failureClassifier');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+const failureClassifier = new FailureClassifier();
+
+// Categories a rule can assign; 'unknown' is only used when nothing matches
+const RULE_CATEGORIES = FailureClassifier.FAILURE_CATEGORIES.filter(category => category !== 'unknown');
+
+// Largest log sample POST /test classifies
+const MAX_TEST_LOG_LENGTH = 256 * 1024;
+
+const isValidPattern = (pattern) => {
+  if (!failureClassifier.compilePattern(pattern)) {
+    throw new Error('Pattern must be a valid regular expression');
+  }
+  if (failureClassifier.hasAmbiguousRepetition(pattern)) {
+    throw new Error('Pattern must not repeat a group that contains a repetition or alternation, e.g. (a+)+ or (a|aa)+');
+  }
+  return true;
+};
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// GET /api/failure-rules - List user-defined and built-in failure classification rules
+router.get('/', async (req, res) => {
+  try {
+    const rules = await FailureRule.findAll({
+      order: [['priority', 'ASC'], ['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        builtin_rules: FailureClassifier.DEFAULT_RULES,
+        categories: FailureClassifier.FAILURE_CATEGORIES
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching failure rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch failure rules'
+    });
+  }
+});
+
+// POST /api/failure-rules/test - Classify a log sample with the current rules, or with a single pattern
+router.post('/test', requireRole(['admin', 'super_admin']), [
+  body('log').isString().isLength({ min: 1, max: MAX_TEST_LOG_LENGTH })
+    .withMessage(`Log text is required and must be at most ${MAX_TEST_LOG_LENGTH} characters`),
+  body('pattern').optional().isString().custom(isValidPattern),
+  body('category').optional().isIn(RULE_CATEGORIES).withMessage('Invalid category')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { log, pattern, category } = req.body;
+    const rules = pattern
+      ? [{ name: 'Test pattern', category: category || 'unknown', priority: 0, pattern }]
+      : await failureClassifier.getRules();
+
+    res.json({
+      success: true,
+      data: failureClassifier.classifyWithTimeout([{ name: 'console', content: log }], rules)
+    });
+  } catch (error) {
+    if (error.code === 'PATTERN_TIMEOUT') {
+      return res.status(422).json({
+        success: false,
+        error: 'Pattern took too long to match the log',
+        details: error.message
+      });
+    }
+    logger.error('Error testing failure rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test failure rules'
+    });
+  }
+});
+
+// POST /api/failure-rules - Create a failure classification rule
+router.post('/', requireRole(['admin', 'super_admin']), [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required and must be 1-255 characters'),
+  body('category').isIn(RULE_CATEGORIES).withMessage('Invalid category'),
+  body('pattern').isString().isLength({ min: 1 }).withMessage('Pattern is required').custom(isValidPattern),
+  body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, category, pattern, priority = 100, enabled = true } = req.body;
+
+    const rule = await FailureRule.create({
+      name,
+      category,
+      pattern,
+      priority,
+      enabled,
+      created_by: req.user.id
+    });
+
+    logger.info(`Failure rule created: ${rule.id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error creating failure rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create failure rule'
+    });
+  }
+});
+
+// PUT /api/failure-rules/:id - Update a failure classification rule
+router.put('/:id', requireRole(['admin', 'super_admin']), [
+  body('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters'),
+  body('category').optional().isIn(RULE_CATEGORIES).withMessage('Invalid category'),
+  body('pattern').optional().isString().isLength({ min: 1 }).withMessage('Pattern cannot be empty').custom(isValidPattern),
+  body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rule = await FailureRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failure rule not found'
+      });
+    }
+
+    const { name, category, pattern, priority, enabled } = req.body;
+    await rule.update({
+      ...(name !== undefined && { name }),
+      ...(category !== undefined && { category }),
+      ...(pattern !== undefined && { pattern }),
+      ...(priority !== undefined && { priority }),
+      ...(enabled !== undefined && { enabled }),
+      updated_at: new Date()
+    });
+
+    logger.info(`Failure rule updated: ${rule.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error updating failure rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update failure rule'
+    });
+  }
+});
+
+// DELETE /api/failure-rules/:id - Delete a failure classification rule
+router.delete('/:id', requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const rule = await FailureRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failure rule not found'
+      });
+    }
+
+    await rule.destroy();
+
+    logger.info(`Failure rule deleted: ${req.params.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Failure rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting failure rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete failure rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { recordAudit } = require('../middleware/audit');
+const { Incident, IncidentEvent, Pipeline, Build, Alert, User } = require('../database/models');
+const IncidentService = require('../services/incidents');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+const incidentService = new IncidentService();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// GET /api/incidents - Get incidents with pagination and filtering, most recent first
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  query('status').optional().isIn(['open', 'acknowledged', 'resolved']),
+  query('source').optional().isIn(['build_failure', 'alert_rule']),
+  query('severity').optional().isIn(IncidentService.SEVERITIES),
+  query('pipeline_id').optional().isUUID().withMessage('Pipeline ID must be a valid UUID'),
+  query('category').optional().trim().isLength({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, source, severity, pipeline_id, category } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+    if (source) whereClause.source = source;
+    if (severity) whereClause.severity = severity;
+    if (pipeline_id) whereClause.pipeline_id = pipeline_id;
+    if (category) whereClause.category = category;
+
+    const { count, rows: incidents } = await Incident.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: Pipeline,
+        as: 'pipeline',
+        attributes: ['id', 'name', 'type', 'status']
+      }],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['last_event_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        incidents,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching incidents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch incidents'
+    });
+  }
+});
+
+// GET /api/incidents/:id - Get incident by ID with its timeline
+router.get('/:id', async (req, res) => {
+  try {
+    const incident = await Incident.findByPk(req.params.id, {
+      include: [
+        {
+          model: Pipeline,
+          as: 'pipeline',
+          attributes: ['id', 'name', 'type', 'status']
+        },
+        {
+          model: IncidentEvent,
+          as: 'events',
+          include: [
+            { model: Build, as: 'build', attributes: ['id', 'build_number', 'status', 'branch', 'commit_hash', 'failure_category'] },
+            { model: Alert, as: 'alert', attributes: ['id', 'name', 'severity', 'status'] },
+            { model: User, as: 'user', attributes: ['id', 'name', 'email'] }
+          ]
+        },
+        { model: User, as: 'acknowledger', attributes: ['id', 'name', 'email'] },
+        { model: User, as: 'resolver', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [[{ model: IncidentEvent, as: 'events' }, 'created_at', 'ASC']]
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...incident.toJSON(),
+        duration_seconds: incident.getDuration()
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching incident:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch incident'
+    });
+  }
+});
+
+// POST /api/incidents/:id/acknowledge - Acknowledge an open incident and its triggered alerts
+router.post('/:id/acknowledge', [
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const incident = await Incident.findByPk(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found'
+      });
+    }
+
+    if (incident.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: `Only open incidents can be acknowledged, incident status is ${incident.status}`
+      });
+    }
+
+    const alertIds = await incidentService.acknowledge(incident, req.user.id, req.body.notes || '');
+
+    await recordAudit(req, {
+      action: 'incident.acknowledge',
+      resourceType: 'incident',
+      resourceId: incident.id,
+      details: { alert_ids: alertIds }
+    });
+
+    res.json({
+      success: true,
+      message: 'Incident acknowledged successfully',
+      data: {
+        incident_id: incident.id,
+        status: incident.status,
+        acknowledged_at: incident.acknowledged_at,
+        acknowledged_alert_ids: alertIds
+      }
+    });
+  } catch (error) {
+    logger.error('Error acknowledging incident:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge incident'
+    });
+  }
+});
+
+// POST /api/incidents/:id/resolve - Resolve an open or acknowledged incident; its triggered alerts are
+// acknowledged so they stop escalating, and resolve on their own once their conditions clear
+router.post('/:id/resolve', [
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const incident = await Incident.findByPk(req.params.id, {
+      include: [{ model: Pipeline, as: 'pipeline' }]
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found'
+      });
+    }
+
+    if (!incident.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Incident is already resolved'
+      });
+    }
+
+    const alertIds = await incidentService.acknowledgeAlerts(incident, req.user.id, req.body.notes || '');
+    await incidentService.resolve(incident, {
+      resolution: 'manual',
+      userId: req.user.id,
+      notes: req.body.notes || '',
+      pipeline: incident.pipeline
+    });
+
+    await recordAudit(req, {
+      action: 'incident.resolve',
+      resourceType: 'incident',
+      resourceId: incident.id,
+      details: { event_count: incident.event_count, alert_ids: alertIds }
+    });
+
+    res.json({
+      success: true,
+      message: 'Incident resolved successfully',
+      data: {
+        incident_id: incident.id,
+        status: incident.status,
+        resolved_at: incident.resolved_at,
+        resolution: incident.resolution,
+        acknowledged_alert_ids: alertIds
+      }
+    });
+  } catch (error) {
+    logger.error('Error resolving incident:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve incident'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { invalidateBuildCache } = require('../middleware/cache');
+const { durationInSeconds } = require('../utils/statistics');
 const JenkinsService = require('../services/jenkins');
+const FailureClassifier = require('../services/failureClassifier');
+const AlertEvaluator = require('../services/alertEvaluator');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -328,6 +332,7 @@ router.get('/sync/:pipeline_id', async (req, res) => {
     // Import SimpleAlertService for creating alerts
     const SimpleAlertService = require('../services/simpleAlertService');
     const alertService = new SimpleAlertService();
+    const failureClassifier = new FailureClassifier();
     
     // For each job, get recent builds and sync them
     for (const job of jobs) {
@@ -361,13 +366,23 @@ router.get('/sync/:pipeline_id', async (req, res) => {
                 author: 'jenkins',
                 started_at: new Date(build.timestamp),
                 completed_at: new Date(build.timestamp + (build.duration || 0)),
-                duration: build.duration || 0
+                // Jenkins reports durations in milliseconds
+                duration: durationInSeconds(build.duration || 0, 'ms')
               });
               
               syncedBuilds++;
               
-              // Create alert for failed builds
+              // Classify and alert on failed builds
               if (buildStatus === 'failed') {
+                try {
+                  const consoleResult = await jenkinsService.getBuildConsoleOutput(job.name, build.number);
+                  await failureClassifier.classifyBuild(newBuild, [
+                    { name: job.name, content: consoleResult.data.console_output }
+                  ]);
+                } catch (classifyError) {
+                  logger.error(`Error classifying failure of build ${newBuild.id}:`, classifyError);
+                }
+
                 try {
                   await alertService.sendBuildAlert(newBuild, pipeline, 'failed');
                   alertsCreated++;
@@ -375,6 +390,12 @@ router.get('/sync/:pipeline_id', async (req, res) => {
                 } catch (alertError) {
                   logger.error(`Error creating alert for build ${newBuild.id}:`, alertError);
                 }
+              } else if (buildStatus === 'success') {
+                try {
+                  await alertService.incidentService.recordBuild(newBuild, pipeline);
+                } catch (incidentError) {
+                  logger.error(`Error recording build ${newBuild.id} in incidents:`, incidentError);
+                }
               }
             }
             totalBuilds++;
@@ -384,6 +405,16 @@ router.get('/sync/:pipeline_id', async (req, res) => {
         }
       }
     }
+
+    if (syncedBuilds > 0) {
+      await invalidateBuildCache(pipeline_id, 'jenkins sync');
+
+      try {
+        await new AlertEvaluator().evaluatePipeline(pipeline_id);
+      } catch (alertError) {
+        logger.error(`Error evaluating alerts after jenkins sync of pipeline ${pipeline_id}:`, alertError);
+      }
+    }
     
     res.json({
       success: true,
@@ -1,16 +1,53 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { Op, fn, col } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { cacheResponse, metricsScope, getCacheStats } = require('../middleware/cache');
 const { Build, Pipeline } = require('../database/models');
+const FlakyTestAnalyzer = require('../services/flakyTests');
+const FlakyPipelineDetector = require('../services/flakyPipelines');
+const DoraMetricsService = require('../services/doraMetrics');
+const MetricRollupService = require('../services/metricRollups');
+const statistics = require('../utils/statistics');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
+const flakyTestAnalyzer = new FlakyTestAnalyzer();
+const flakyPipelineDetector = new FlakyPipelineDetector();
+const doraMetricsService = new DoraMetricsService();
+const metricRollupService = new MetricRollupService();
+
+// Build counts of a pipeline per value of a column, for breakdowns the rollups don't keep
+const countBuildsBy = async (column, pipelineId, startDate) => {
+  const rows = await Build.findAll({
+    where: {
+      pipeline_id: pipelineId,
+      started_at: { [Op.gte]: startDate }
+    },
+    attributes: [column, 'status', [fn('COUNT', col('id')), 'count']],
+    group: [column, 'status'],
+    raw: true
+  });
+
+  return rows.reduce((acc, row) => {
+    const key = row[column] || 'Unknown';
+    if (!acc[key]) {
+      acc[key] = { total: 0, success: 0, failed: 0 };
+    }
+    const count = Number(row.count);
+    acc[key].total += count;
+    if (['success', 'failed'].includes(row.status)) acc[key][row.status] += count;
+    return acc;
+  }, {});
+};
+
+const rollupDate = (row) => new Date(row.period_start).toISOString().split('T')[0];
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
 // GET /api/metrics/dashboard - Get dashboard overview metrics
-router.get('/dashboard', [
+router.get('/dashboard', cacheResponse('dashboard', { scope: metricsScope }), [
   query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365')
 ], async (req, res) => {
   try {
@@ -27,18 +64,11 @@ router.get('/dashboard', [
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
-    // Get all builds in the date range
-    const builds = await Build.findAll({
-      where: {
-        started_at: { [require('sequelize').Op.gte]: startDate }
-      },
-      include: [{
-        model: Pipeline,
-        as: 'pipeline',
-        attributes: ['id', 'name', 'type', 'status']
-      }],
-      order: [['started_at', 'ASC']]
-    });
+    // Daily and hourly rollups in the date range
+    const [dailyRollups, hourlyRollups] = await Promise.all([
+      metricRollupService.getRollups('daily', startDate),
+      metricRollupService.getRollups('hourly', startDate, { metricTypes: ['build_count'] })
+    ]);
 
     // Get all pipelines
     const pipelines = await Pipeline.findAll({
@@ -46,71 +76,57 @@ router.get('/dashboard', [
     });
 
     // Calculate overall metrics
-    const totalBuilds = builds.length;
-    const statusCounts = builds.reduce((acc, build) => {
-      acc[build.status] = (acc[build.status] || 0) + 1;
-      return acc;
-    }, {});
-
-    const successfulBuilds = statusCounts.success || 0;
-    const failedBuilds = statusCounts.failed || 0;
-    const runningBuilds = statusCounts.running || 0;
-    const pendingBuilds = statusCounts.pending || 0;
-
-    const successRate = totalBuilds > 0 ? (successfulBuilds / totalBuilds) * 100 : 0;
-    const failureRate = totalBuilds > 0 ? (failedBuilds / totalBuilds) * 100 : 0;
-
-    // Calculate average build duration
-    const buildsWithDuration = builds.filter(b => b.duration && b.duration > 0);
-    const avgDuration = buildsWithDuration.length > 0 ? 
-      buildsWithDuration.reduce((sum, b) => sum + b.duration, 0) / buildsWithDuration.length : 0;
+    const overall = metricRollupService.totals(dailyRollups);
+    const totalBuilds = overall.total;
+    const successRate = metricRollupService.successRate(overall);
+    const failureRate = totalBuilds > 0 ? (overall.failed / totalBuilds) * 100 : 0;
+    const avgDuration = metricRollupService.averageDuration(overall);
 
     // Pipeline-specific metrics
-    const pipelineMetrics = pipelines.map(pipeline => {
-      const pipelineBuilds = builds.filter(b => b.pipeline_id === pipeline.id);
-      const pipelineTotalBuilds = pipelineBuilds.length;
-      const pipelineSuccessBuilds = pipelineBuilds.filter(b => b.status === 'success').length;
-      const pipelineSuccessRate = pipelineTotalBuilds > 0 ? 
-        (pipelineSuccessBuilds / pipelineTotalBuilds) * 100 : 0;
-      
-      const pipelineBuildsWithDuration = pipelineBuilds.filter(b => b.duration && b.duration > 0);
-      const pipelineAvgDuration = pipelineBuildsWithDuration.length > 0 ? 
-        pipelineBuildsWithDuration.reduce((sum, b) => sum + b.duration, 0) / pipelineBuildsWithDuration.length : 0;
+    const pipelineStats = metricRollupService.collect(dailyRollups, row => row.pipeline_id);
+    const lastBuilds = await Promise.all(pipelines.map(pipeline => Build.findOne({
+      where: { pipeline_id: pipeline.id },
+      order: [['started_at', 'DESC']]
+    })));
+
+    const pipelineMetrics = pipelines.map((pipeline, index) => {
+      const stats = pipelineStats.get(pipeline.id) || metricRollupService.emptyStats();
 
       return {
         pipeline_id: pipeline.id,
         pipeline_name: pipeline.name,
         pipeline_type: pipeline.type,
         pipeline_status: pipeline.status,
-        total_builds: pipelineTotalBuilds,
-        success_rate: Math.round(pipelineSuccessRate * 100) / 100,
-        average_duration: Math.round(pipelineAvgDuration * 100) / 100,
-        last_build: pipelineBuilds[0] || null
+        total_builds: stats.total,
+        success_rate: metricRollupService.successRate(stats),
+        average_duration: metricRollupService.averageDuration(stats),
+        duration_stddev: metricRollupService.durationStddev(stats),
+        ...flakyPipelineDetector.score(stats.failed, stats.flaky_recovered),
+        last_build: lastBuilds[index]
       };
     });
 
     // Daily trends
     const dailyMetrics = {};
+    metricRollupService.collect(dailyRollups, rollupDate).forEach((stats, date) => {
+      dailyMetrics[date] = {
+        total: stats.total,
+        success: stats.success,
+        failed: stats.failed,
+        running: stats.running,
+        pending: stats.pending,
+        average_duration: metricRollupService.averageDuration(stats)
+      };
+    });
+
+    // Finished builds by hour of day (UTC)
     const hourlyMetrics = {};
-    
-    builds.forEach(build => {
-      const date = build.started_at.toISOString().split('T')[0];
-      const hour = build.started_at.getHours();
-      
-      if (!dailyMetrics[date]) {
-        dailyMetrics[date] = { total: 0, success: 0, failed: 0, running: 0, pending: 0 };
-      }
-      if (!hourlyMetrics[hour]) {
-        hourlyMetrics[hour] = { total: 0, success: 0, failed: 0 };
-      }
-      
-      dailyMetrics[date].total++;
-      dailyMetrics[date][build.status]++;
-      
-      if (['success', 'failed'].includes(build.status)) {
-        hourlyMetrics[hour].total++;
-        hourlyMetrics[hour][build.status]++;
-      }
+    metricRollupService.collect(hourlyRollups, row => new Date(row.period_start).getUTCHours()).forEach((stats, hour) => {
+      hourlyMetrics[hour] = {
+        total: stats.success + stats.failed,
+        success: stats.success,
+        failed: stats.failed
+      };
     });
 
     // Team metrics - simplified since team column doesn't exist
@@ -126,14 +142,10 @@ router.get('/dashboard', [
     });
 
     // Calculate team success rates
+    const pipelineTypes = new Map(pipelines.map(pipeline => [pipeline.id, pipeline.type || 'Unknown']));
+    const teamStats = metricRollupService.collect(dailyRollups, row => pipelineTypes.get(row.pipeline_id) || 'Unknown');
     Object.keys(teamMetrics).forEach(team => {
-      const teamBuilds = builds.filter(b => {
-        const pipeline = pipelines.find(p => p.id === b.pipeline_id);
-        return pipeline && pipeline.type === team;
-      });
-      const teamSuccessBuilds = teamBuilds.filter(b => b.status === 'success').length;
-      teamMetrics[team].success_rate = teamBuilds.length > 0 ? 
-        Math.round((teamSuccessBuilds / teamBuilds.length) * 10000) / 100 : 0;
+      teamMetrics[team].success_rate = metricRollupService.successRate(teamStats.get(team) || metricRollupService.emptyStats());
     });
 
     res.json({
@@ -141,15 +153,18 @@ router.get('/dashboard', [
       data: {
         overview: {
           total_builds: totalBuilds,
-          success_rate: Math.round(successRate * 100) / 100,
+          success_rate: successRate,
           failure_rate: Math.round(failureRate * 100) / 100,
-          average_duration: Math.round(avgDuration * 100) / 100,
+          average_duration: avgDuration,
+          duration_stddev: metricRollupService.durationStddev(overall),
           status_distribution: {
-            success: successfulBuilds,
-            failed: failedBuilds,
-            running: runningBuilds,
-            pending: pendingBuilds
-          }
+            success: overall.success,
+            failed: overall.failed,
+            running: overall.running,
+            pending: overall.pending
+          },
+          // Failed builds by classified failure category; unclassified failures count as unknown
+          failure_categories: overall.failure_categories
         },
         pipelines: pipelineMetrics,
         teams: teamMetrics,
@@ -169,6 +184,48 @@ router.get('/dashboard', [
   }
 });
 
+// GET /api/metrics/dora - Deployment frequency, lead time, change failure rate and time to restore
+router.get('/dora', [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365'),
+  query('pipeline_id').optional().isUUID().withMessage('Pipeline ID must be a valid UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { pipeline_id: pipelineId } = req.query;
+    if (pipelineId && !await Pipeline.findByPk(pipelineId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline not found'
+      });
+    }
+
+    const metrics = await doraMetricsService.getMetrics({
+      days: parseInt(req.query.days || 30),
+      pipelineId: pipelineId || null
+    });
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    logger.error('Error fetching DORA metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch DORA metrics'
+    });
+  }
+});
+
+
 // GET /api/metrics/pipelines/:id - Get detailed metrics for a specific pipeline
 router.get('/pipelines/:id', [
   query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365')
@@ -197,96 +254,41 @@ router.get('/pipelines/:id', [
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
-    const builds = await Build.findAll({
-      where: {
-        pipeline_id: parseInt(id),
-        started_at: { [require('sequelize').Op.gte]: startDate }
-      },
-      order: [['started_at', 'ASC']]
-    });
+    const [dailyRollups, hourlyRollups, branchMetrics, authorMetrics] = await Promise.all([
+      metricRollupService.getRollups('daily', startDate, { pipelineIds: [pipeline.id] }),
+      metricRollupService.getRollups('hourly', startDate, { pipelineIds: [pipeline.id], metricTypes: ['build_count'] }),
+      countBuildsBy('branch', pipeline.id, startDate),
+      countBuildsBy('triggered_by', pipeline.id, startDate)
+    ]);
 
     // Calculate pipeline-specific metrics
-    const totalBuilds = builds.length;
-    const statusCounts = builds.reduce((acc, build) => {
-      acc[build.status] = (acc[build.status] || 0) + 1;
-      return acc;
-    }, {});
-
-    const successfulBuilds = statusCounts.success || 0;
-    const failedBuilds = statusCounts.failed || 0;
-    const successRate = totalBuilds > 0 ? (successfulBuilds / totalBuilds) * 100 : 0;
-
-    // Duration analysis
-    const buildsWithDuration = builds.filter(b => b.duration && b.duration > 0);
-    const avgDuration = buildsWithDuration.length > 0 ? 
-      buildsWithDuration.reduce((sum, b) => sum + b.duration, 0) / buildsWithDuration.length : 0;
-    
-    const minDuration = buildsWithDuration.length > 0 ? 
-      Math.min(...buildsWithDuration.map(b => b.duration)) : 0;
-    const maxDuration = buildsWithDuration.length > 0 ? 
-      Math.max(...buildsWithDuration.map(b => b.duration)) : 0;
-
-    // Branch analysis
-    const branchMetrics = {};
-    builds.forEach(build => {
-      if (!branchMetrics[build.branch]) {
-        branchMetrics[build.branch] = { total: 0, success: 0, failed: 0 };
-      }
-      branchMetrics[build.branch].total++;
-      if (build.status === 'success') branchMetrics[build.branch].success++;
-      if (build.status === 'failed') branchMetrics[build.branch].failed++;
-    });
-
-    // Author analysis
-    const authorMetrics = {};
-    builds.forEach(build => {
-      if (!authorMetrics[build.author]) {
-        authorMetrics[build.author] = { total: 0, success: 0, failed: 0 };
-      }
-      authorMetrics[build.author].total++;
-      if (build.status === 'success') authorMetrics[build.author].success++;
-      if (build.status === 'failed') authorMetrics[build.author].failed++;
-    });
+    const stats = metricRollupService.totals(dailyRollups);
+    const successRate = metricRollupService.successRate(stats);
+    const statusCounts = Object.fromEntries(
+      ['success', 'failed', 'running', 'pending', 'cancelled']
+        .filter(status => stats[status] > 0)
+        .map(status => [status, stats[status]])
+    );
 
     // Time-based analysis
     const dailyMetrics = {};
-    const hourlyMetrics = {};
-    
-    builds.forEach(build => {
-      const date = build.started_at.toISOString().split('T')[0];
-      const hour = build.started_at.getHours();
-      
-      if (!dailyMetrics[date]) {
-        dailyMetrics[date] = { total: 0, success: 0, failed: 0, duration_sum: 0 };
-      }
-      if (!hourlyMetrics[hour]) {
-        hourlyMetrics[hour] = { total: 0, success: 0, failed: 0 };
-      }
-      
-      dailyMetrics[date].total++;
-      dailyMetrics[date][build.status]++;
-      if (build.duration) dailyMetrics[date].duration_sum += build.duration;
-      
-      hourlyMetrics[hour].total++;
-      if (['success', 'failed'].includes(build.status)) {
-        hourlyMetrics[hour][build.status]++;
-      }
-    });
-
-    // Calculate daily average duration
-    Object.keys(dailyMetrics).forEach(date => {
-      if (dailyMetrics[date].total > 0) {
-        dailyMetrics[date].average_duration = Math.round(
-          dailyMetrics[date].duration_sum / dailyMetrics[date].total * 100
-        ) / 100;
-      }
+    metricRollupService.collect(dailyRollups, rollupDate).forEach((dayStats, date) => {
+      dailyMetrics[date] = {
+        total: dayStats.total,
+        success: dayStats.success,
+        failed: dayStats.failed,
+        duration_sum: dayStats.duration_sum,
+        average_duration: metricRollupService.averageDuration(dayStats)
+      };
     });
 
-    // Failure analysis
-    const failureReasons = {};
-    builds.filter(b => b.status === 'failed' && b.failure_reason).forEach(build => {
-      const reason = build.failure_reason;
-      failureReasons[reason] = (failureReasons[reason] || 0) + 1;
+    const hourlyMetrics = {};
+    metricRollupService.collect(hourlyRollups, row => new Date(row.period_start).getUTCHours()).forEach((hourStats, hour) => {
+      hourlyMetrics[hour] = {
+        total: hourStats.total,
+        success: hourStats.success,
+        failed: hourStats.failed
+      };
     });
 
     res.json({
@@ -297,21 +299,22 @@ router.get('/pipelines/:id', [
           name: pipeline.name,
           type: pipeline.type,
           status: pipeline.status,
-          team: pipeline.team
+          team: pipeline.config?.team || null
         },
         summary: {
-          total_builds: totalBuilds,
-          success_rate: Math.round(successRate * 100) / 100,
+          total_builds: stats.total,
+          success_rate: successRate,
           failure_rate: Math.round((100 - successRate) * 100) / 100,
-          average_duration: Math.round(avgDuration * 100) / 100,
-          min_duration: minDuration,
-          max_duration: maxDuration,
+          average_duration: metricRollupService.averageDuration(stats),
+          duration_stddev: metricRollupService.durationStddev(stats),
+          min_duration: stats.duration_min || 0,
+          max_duration: stats.duration_max || 0,
           status_distribution: statusCounts
         },
         analysis: {
           branches: branchMetrics,
           authors: authorMetrics,
-          failure_reasons: failureReasons
+          failure_categories: stats.failure_categories
         },
         trends: {
           daily: dailyMetrics,
@@ -329,8 +332,65 @@ router.get('/pipelines/:id', [
   }
 });
 
+// GET /api/metrics/pipelines/:id/flaky-tests - Tests whose results flip between runs
+router.get('/pipelines/:id/flaky-tests', [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365'),
+  query('min_runs').optional().isInt({ min: 2, max: 1000 }).withMessage('Min runs must be 2-1000'),
+  query('threshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Threshold must be between 0 and 1'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const pipeline = await Pipeline.findByPk(req.params.id);
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline not found'
+      });
+    }
+
+    const days = parseInt(req.query.days || 30);
+    const minRuns = parseInt(req.query.min_runs || FlakyTestAnalyzer.DEFAULT_MIN_RUNS);
+    const threshold = req.query.threshold !== undefined
+      ? parseFloat(req.query.threshold)
+      : pipeline.config?.flaky_test_threshold ?? FlakyTestAnalyzer.DEFAULT_THRESHOLD;
+
+    const tests = await flakyTestAnalyzer.getFlakyTests(pipeline.id, {
+      days,
+      minRuns,
+      threshold,
+      limit: parseInt(req.query.limit || 50)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        pipeline_id: pipeline.id,
+        period_days: days,
+        min_runs: minRuns,
+        threshold,
+        flaky_tests: tests
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching flaky tests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flaky tests'
+    });
+  }
+});
+
 // GET /api/metrics/trends - Get trend analysis across all pipelines
-router.get('/trends', [
+router.get('/trends', cacheResponse('trends', { scope: metricsScope }), [
   query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365'),
   query('metric').optional().isIn(['success_rate', 'build_count', 'duration']).withMessage('Invalid metric type')
 ], async (req, res) => {
@@ -348,50 +408,14 @@ router.get('/trends', [
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
-    const builds = await Build.findAll({
-      where: {
-        started_at: { [require('sequelize').Op.gte]: startDate }
-      },
-      include: [{
-        model: Pipeline,
-        as: 'pipeline',
-        attributes: ['id', 'name', 'type', 'team']
-      }],
-      order: [['started_at', 'ASC']]
-    });
+    const dailyRollups = await metricRollupService.getRollups('daily', startDate);
 
     const pipelines = await Pipeline.findAll({
-      attributes: ['id', 'name', 'type', 'team']
+      attributes: ['id', 'name', 'type', 'config']
     });
 
-    // Group builds by date and pipeline
-    const datePipelineMetrics = {};
-    
-    builds.forEach(build => {
-      const date = build.started_at.toISOString().split('T')[0];
-      if (!datePipelineMetrics[date]) {
-        datePipelineMetrics[date] = {};
-      }
-      
-      const pipelineId = build.pipeline_id;
-      if (!datePipelineMetrics[date][pipelineId]) {
-        datePipelineMetrics[date][pipelineId] = {
-          total: 0,
-          success: 0,
-          failed: 0,
-          duration_sum: 0,
-          duration_count: 0
-        };
-      }
-      
-      datePipelineMetrics[date][pipelineId].total++;
-      if (build.status === 'success') datePipelineMetrics[date][pipelineId].success++;
-      if (build.status === 'failed') datePipelineMetrics[date][pipelineId].failed++;
-      if (build.duration) {
-        datePipelineMetrics[date][pipelineId].duration_sum += build.duration;
-        datePipelineMetrics[date][pipelineId].duration_count++;
-      }
-    });
+    // Group rollups by pipeline and date
+    const datePipelineMetrics = metricRollupService.collect(dailyRollups, row => `${row.pipeline_id}|${rollupDate(row)}`);
 
     // Calculate trends for each pipeline
     const trends = {};
@@ -400,7 +424,7 @@ router.get('/trends', [
       trends[pipelineId] = {
         pipeline_name: pipeline.name,
         pipeline_type: pipeline.type,
-        team: pipeline.team,
+        team: pipeline.config?.team || null,
         data: []
       };
 
@@ -409,25 +433,24 @@ router.get('/trends', [
         const date = new Date();
         date.setDate(date.getDate() - i);
         const dateStr = date.toISOString().split('T')[0];
-        
-        const dayData = datePipelineMetrics[dateStr]?.[pipelineId];
+
+        const dayData = datePipelineMetrics.get(`${pipelineId}|${dateStr}`);
         let value = 0;
-        
+
         if (dayData) {
           switch (metric) {
             case 'success_rate':
-              value = dayData.total > 0 ? (dayData.success / dayData.total) * 100 : 0;
+              value = metricRollupService.successRate(dayData);
               break;
             case 'build_count':
               value = dayData.total;
               break;
             case 'duration':
-              value = dayData.duration_count > 0 ? 
-                dayData.duration_sum / dayData.duration_count : 0;
+              value = metricRollupService.averageDuration(dayData);
               break;
           }
         }
-        
+
         trends[pipelineId].data.unshift({
           date: dateStr,
           value: Math.round(value * 100) / 100
@@ -453,112 +476,90 @@ router.get('/trends', [
 });
 
 // GET /api/metrics/performance - Get performance benchmarks and comparisons
-router.get('/performance', [
-  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365')
+router.get('/performance', cacheResponse('performance', { scope: metricsScope }), [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365'),
+  query('buckets').optional().custom(value => {
+    if (!statistics.parseBuckets(value)) {
+      throw new Error('Buckets must be a comma-separated list of positive numbers of seconds');
+    }
+    return true;
+  })
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { days = 30 } = req.query;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
+    const buckets = statistics.parseBuckets(req.query.buckets) || statistics.DEFAULT_DURATION_BUCKETS;
+
+    const [dailyRollups, pipelines] = await Promise.all([
+      metricRollupService.getRollups('daily', startDate),
+      Pipeline.findAll({ attributes: ['id', 'type', 'config'] })
+    ]);
 
-    const builds = await Build.findAll({
+    // Percentiles and histograms can't be merged from rollups, so they need the durations
+    // themselves; only the columns the breakdowns use are loaded
+    const durations = await Build.findAll({
       where: {
-        started_at: { [require('sequelize').Op.gte]: startDate },
-        status: { [require('sequelize').Op.in]: ['success', 'failed'] }
+        started_at: { [Op.gte]: startDate },
+        status: { [Op.in]: ['success', 'failed'] },
+        duration: { [Op.gt]: 0 }
       },
-      include: [{
-        model: Pipeline,
-        as: 'pipeline',
-        attributes: ['id', 'name', 'type', 'team']
-      }]
+      attributes: ['duration', 'branch', 'environment'],
+      raw: true
     });
-
-    // Calculate performance benchmarks
-    const allDurations = builds.filter(b => b.duration && b.duration > 0).map(b => b.duration);
-    const avgDuration = allDurations.length > 0 ? 
-      allDurations.reduce((sum, d) => sum + d, 0) / allDurations.length : 0;
-    
-    const sortedDurations = allDurations.sort((a, b) => a - b);
-    const medianDuration = sortedDurations.length > 0 ? 
-      sortedDurations[Math.floor(sortedDurations.length / 2)] : 0;
-    
-    const p95Duration = sortedDurations.length > 0 ? 
-      sortedDurations[Math.floor(sortedDurations.length * 0.95)] : 0;
-    const p99Duration = sortedDurations.length > 0 ? 
-      sortedDurations[Math.floor(sortedDurations.length * 0.99)] : 0;
-
-    // Team performance comparison
-    const teamPerformance = {};
-    builds.forEach(build => {
-      const team = build.pipeline?.team || 'Unknown';
-      if (!teamPerformance[team]) {
-        teamPerformance[team] = {
-          total_builds: 0,
-          success_builds: 0,
-          duration_sum: 0,
-          duration_count: 0
+    const distribution = statistics.describe(durations.map(build => build.duration), { buckets });
+
+    const overall = metricRollupService.totals(dailyRollups);
+    const pipelinesById = new Map(pipelines.map(pipeline => [pipeline.id, pipeline]));
+
+    // Finished builds and durations per group of pipelines
+    const comparison = (keyFn) => {
+      const result = {};
+      metricRollupService.collect(dailyRollups, row => keyFn(pipelinesById.get(row.pipeline_id))).forEach((stats, key) => {
+        const finished = stats.success + stats.failed;
+        result[key] = {
+          total_builds: finished,
+          success_builds: stats.success,
+          duration_sum: stats.duration_sum,
+          duration_count: stats.duration_count,
+          success_rate: finished > 0 ? Math.round((stats.success / finished) * 10000) / 100 : 0,
+          average_duration: metricRollupService.averageDuration(stats)
         };
-      }
-      
-      teamPerformance[team].total_builds++;
-      if (build.status === 'success') teamPerformance[team].success_builds++;
-      if (build.duration) {
-        teamPerformance[team].duration_sum += build.duration;
-        teamPerformance[team].duration_count++;
-      }
-    });
+      });
+      return result;
+    };
 
-    // Calculate team metrics
-    Object.keys(teamPerformance).forEach(team => {
-      const data = teamPerformance[team];
-      data.success_rate = data.total_builds > 0 ? 
-        Math.round((data.success_builds / data.total_builds) * 10000) / 100 : 0;
-      data.average_duration = data.duration_count > 0 ? 
-        Math.round((data.duration_sum / data.duration_count) * 100) / 100 : 0;
-    });
+    // Team performance comparison
+    const teamPerformance = comparison(pipeline => pipeline?.config?.team || 'Unknown');
 
     // Pipeline type performance
-    const typePerformance = {};
-    builds.forEach(build => {
-      const type = build.pipeline?.type || 'Unknown';
-      if (!typePerformance[type]) {
-        typePerformance[type] = {
-          total_builds: 0,
-          success_builds: 0,
-          duration_sum: 0,
-          duration_count: 0
-        };
-      }
-      
-      typePerformance[type].total_builds++;
-      if (build.status === 'success') typePerformance[type].success_builds++;
-      if (build.duration) {
-        typePerformance[type].duration_sum += build.duration;
-        typePerformance[type].duration_count++;
-      }
-    });
-
-    // Calculate type metrics
-    Object.keys(typePerformance).forEach(type => {
-      const data = typePerformance[type];
-      data.success_rate = data.total_builds > 0 ? 
-        Math.round((data.success_builds / data.total_builds) * 10000) / 100 : 0;
-      data.average_duration = data.duration_count > 0 ? 
-        Math.round((data.duration_sum / data.duration_count) * 100) / 100 : 0;
-    });
+    const typePerformance = comparison(pipeline => pipeline?.type || 'Unknown');
 
     res.json({
       success: true,
       data: {
         benchmarks: {
-          average_duration: Math.round(avgDuration * 100) / 100,
-          median_duration: Math.round(medianDuration * 100) / 100,
-          p95_duration: Math.round(p95Duration * 100) / 100,
-          p99_duration: Math.round(p99Duration * 100) / 100,
-          total_builds: builds.length
+          average_duration: distribution.mean || 0,
+          median_duration: distribution.median || 0,
+          p95_duration: distribution.p95 || 0,
+          p99_duration: distribution.p99 || 0,
+          stddev_duration: distribution.stddev || 0,
+          histogram: distribution.histogram,
+          total_builds: overall.success + overall.failed
         },
         team_comparison: teamPerformance,
         type_comparison: typePerformance,
+        branch_breakdown: statistics.breakdown(durations, build => build.branch, build => build.duration, { buckets }),
+        environment_breakdown: statistics.breakdown(durations, build => build.environment, build => build.duration, { buckets }),
         period_days: parseInt(days)
       }
     });
@@ -571,4 +572,65 @@ router.get('/performance', [
   }
 });
 
+// GET /api/metrics/cache/stats - Hit and miss counts of the metrics response cache
+router.get('/cache/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getCacheStats()
+    });
+  } catch (error) {
+    logger.error('Error fetching metrics cache stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch metrics cache stats'
+    });
+  }
+});
+
+// POST /api/metrics/rollups/recompute - Rebuild the metric rollups of a past range, e.g. after late builds
+router.post('/rollups/recompute', requireRole(['admin', 'super_admin']), [
+  body('start').isISO8601().withMessage('Start must be an ISO 8601 date'),
+  body('end').optional().isISO8601().withMessage('End must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const start = new Date(req.body.start);
+    const end = req.body.end ? new Date(req.body.end) : new Date();
+    if (start >= end) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start must be before end'
+      });
+    }
+
+    const rows = await metricRollupService.recompute(start, end);
+
+    logger.info(`Metric rollups recomputed for ${start.toISOString()} - ${end.toISOString()} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: {
+        start: start.toISOString(),
+        end: end.toISOString(),
+        rows
+      }
+    });
+  } catch (error) {
+    logger.error('Error recomputing metric rollups:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to recompute metric rollups'
+    });
+  }
+});
+
 module.exports = router;
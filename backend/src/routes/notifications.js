@@ -47,7 +47,8 @@ router.post('/test', async (req, res) => {
       name: 'Test Pipeline'
     };
 
-    const alert = await alertService.sendBuildAlert(testBuild, testPipeline, 'failed');
+    // Sent straight away rather than grouped into an incident
+    const alert = await alertService.sendBuildAlert(testBuild, testPipeline, 'failed', { group: false });
 
     res.json({
       success: true,
@@ -0,0 +1,422 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../middleware/audit');
+const { OnCallSchedule, OnCallOverride, EscalationPolicy, User } = require('../database/models');
+const OnCallService = require('../services/onCall');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+const onCallService = new OnCallService();
+
+// Longest rotation shift: 90 days
+const MAX_ROTATION_HOURS = 90 * 24;
+
+// Admins manage every override; other users only ones putting themselves on call
+const isAdmin = (user) => ['admin', 'super_admin'].includes(user.role);
+
+const findMissingUser = async (userIds) => {
+  const users = await User.findAll({ where: { id: userIds }, attributes: ['id'] });
+  return userIds.find(id => !users.some(user => user.id === id)) || null;
+};
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// GET /api/oncall-schedules - List on-call schedules with who is on call now
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await OnCallSchedule.findAll({
+      order: [['name', 'ASC']]
+    });
+
+    const now = new Date();
+    const described = [];
+    for (const schedule of schedules) {
+      described.push(await onCallService.describe(schedule, now));
+    }
+
+    res.json({
+      success: true,
+      data: described
+    });
+  } catch (error) {
+    logger.error('Error fetching on-call schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch on-call schedules'
+    });
+  }
+});
+
+// GET /api/oncall-schedules/:id - Get a schedule with its current and upcoming overrides
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await OnCallSchedule.findByPk(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'On-call schedule not found'
+      });
+    }
+
+    const now = new Date();
+    const overrides = await OnCallOverride.findAll({
+      where: { schedule_id: schedule.id, ends_at: { [Op.gt]: now } },
+      include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }],
+      order: [['starts_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...(await onCallService.describe(schedule, now)),
+        overrides
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching on-call schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch on-call schedule'
+    });
+  }
+});
+
+// GET /api/oncall-schedules/:id/oncall - Who is on call at a given time (default now)
+router.get('/:id/oncall', [
+  query('at').optional().isISO8601().withMessage('At must be a valid ISO date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await OnCallSchedule.findByPk(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'On-call schedule not found'
+      });
+    }
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const onCall = await onCallService.getOnCallUsers([schedule], at);
+
+    res.json({
+      success: true,
+      data: {
+        schedule_id: schedule.id,
+        at: at.toISOString(),
+        on_call: onCall[schedule.id]
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching on-call user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch on-call user'
+    });
+  }
+});
+
+// POST /api/oncall-schedules - Create an on-call schedule
+router.post('/', requireRole(['admin', 'super_admin']), [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required and must be 1-255 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('user_ids').isArray({ min: 1 }).withMessage('User IDs must be a non-empty array'),
+  body('user_ids.*').isUUID().withMessage('User IDs must be valid UUIDs'),
+  body('rotation_hours').optional().isInt({ min: 1, max: MAX_ROTATION_HOURS })
+    .withMessage(`Rotation must be 1-${MAX_ROTATION_HOURS} hours`),
+  body('handoff_at').optional().isISO8601().withMessage('Handoff at must be a valid ISO date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, user_ids, rotation_hours = 168, handoff_at } = req.body;
+
+    const missingUser = await findMissingUser(user_ids);
+    if (missingUser) {
+      return res.status(404).json({
+        success: false,
+        error: `User ${missingUser} not found`
+      });
+    }
+
+    const schedule = await OnCallSchedule.create({
+      name,
+      description,
+      user_ids,
+      rotation_hours,
+      handoff_at: handoff_at ? new Date(handoff_at) : new Date(),
+      created_by: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'oncall_schedule.create',
+      resourceType: 'oncall_schedule',
+      resourceId: schedule.id,
+      details: { name, user_ids, rotation_hours }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await onCallService.describe(schedule)
+    });
+  } catch (error) {
+    logger.error('Error creating on-call schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create on-call schedule'
+    });
+  }
+});
+
+// PUT /api/oncall-schedules/:id - Update an on-call schedule's rotation
+router.put('/:id', requireRole(['admin', 'super_admin']), [
+  body('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('user_ids').optional().isArray({ min: 1 }).withMessage('User IDs must be a non-empty array'),
+  body('user_ids.*').optional().isUUID().withMessage('User IDs must be valid UUIDs'),
+  body('rotation_hours').optional().isInt({ min: 1, max: MAX_ROTATION_HOURS })
+    .withMessage(`Rotation must be 1-${MAX_ROTATION_HOURS} hours`),
+  body('handoff_at').optional().isISO8601().withMessage('Handoff at must be a valid ISO date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await OnCallSchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'On-call schedule not found'
+      });
+    }
+
+    const { name, description, user_ids, rotation_hours, handoff_at } = req.body;
+
+    if (user_ids !== undefined) {
+      const missingUser = await findMissingUser(user_ids);
+      if (missingUser) {
+        return res.status(404).json({
+          success: false,
+          error: `User ${missingUser} not found`
+        });
+      }
+    }
+
+    await schedule.update({
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description }),
+      ...(user_ids !== undefined && { user_ids }),
+      ...(rotation_hours !== undefined && { rotation_hours }),
+      ...(handoff_at !== undefined && { handoff_at: new Date(handoff_at) }),
+      updated_at: new Date()
+    });
+
+    await recordAudit(req, {
+      action: 'oncall_schedule.update',
+      resourceType: 'oncall_schedule',
+      resourceId: schedule.id,
+      details: { fields: Object.keys(req.body) }
+    });
+
+    res.json({
+      success: true,
+      data: await onCallService.describe(schedule)
+    });
+  } catch (error) {
+    logger.error('Error updating on-call schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update on-call schedule'
+    });
+  }
+});
+
+// DELETE /api/oncall-schedules/:id - Delete an on-call schedule no escalation policy uses
+router.delete('/:id', requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const schedule = await OnCallSchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'On-call schedule not found'
+      });
+    }
+
+    const policies = await EscalationPolicy.findAll({ attributes: ['id', 'name', 'steps'] });
+    const usedBy = policies.filter(policy => (policy.steps || []).some(step => (step.schedule_ids || []).includes(schedule.id)));
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Schedule is used by escalation policies: ${usedBy.map(policy => policy.name).join(', ')}`
+      });
+    }
+
+    await schedule.destroy();
+
+    await recordAudit(req, {
+      action: 'oncall_schedule.delete',
+      resourceType: 'oncall_schedule',
+      resourceId: req.params.id,
+      details: { name: schedule.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'On-call schedule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting on-call schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete on-call schedule'
+    });
+  }
+});
+
+// POST /api/oncall-schedules/:id/overrides - Put a user on call in place of the rotation for a time range;
+// non-admins can only put themselves on call
+router.post('/:id/overrides', [
+  body('user_id').isUUID().withMessage('User ID must be a valid UUID'),
+  body('starts_at').isISO8601().withMessage('Starts at must be a valid ISO date'),
+  body('ends_at').isISO8601().withMessage('Ends at must be a valid ISO date'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { user_id, starts_at, ends_at, reason } = req.body;
+
+    if (!isAdmin(req.user) && user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can put another user on call'
+      });
+    }
+
+    if (new Date(ends_at) <= new Date(starts_at)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ends_at must be after starts_at'
+      });
+    }
+
+    const schedule = await OnCallSchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'On-call schedule not found'
+      });
+    }
+
+    if (await findMissingUser([user_id])) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const override = await OnCallOverride.create({
+      schedule_id: schedule.id,
+      user_id,
+      starts_at: new Date(starts_at),
+      ends_at: new Date(ends_at),
+      reason,
+      created_by: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'oncall_override.create',
+      resourceType: 'oncall_schedule',
+      resourceId: schedule.id,
+      details: { override_id: override.id, user_id, starts_at, ends_at }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: override
+    });
+  } catch (error) {
+    logger.error('Error creating on-call override:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create on-call override'
+    });
+  }
+});
+
+// DELETE /api/oncall-schedules/:id/overrides/:overrideId - Remove an override (admins, its user or its creator)
+router.delete('/:id/overrides/:overrideId', async (req, res) => {
+  try {
+    const override = await OnCallOverride.findOne({
+      where: { id: req.params.overrideId, schedule_id: req.params.id }
+    });
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        error: 'On-call override not found'
+      });
+    }
+
+    if (!isAdmin(req.user) && override.user_id !== req.user.id && override.created_by !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins, the overriding user or its creator can remove an override'
+      });
+    }
+
+    await override.destroy();
+
+    await recordAudit(req, {
+      action: 'oncall_override.delete',
+      resourceType: 'oncall_schedule',
+      resourceId: req.params.id,
+      details: { override_id: override.id, user_id: override.user_id }
+    });
+
+    res.json({
+      success: true,
+      message: 'On-call override deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting on-call override:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete on-call override'
+    });
+  }
+});
+
+module.exports = router;
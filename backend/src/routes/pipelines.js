@@ -1,11 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { invalidateBuildCache, invalidatePipelineCache } = require('../middleware/cache');
 const { Pipeline } = require('../database/models');
+const PipelineSyncService = require('../services/pipelineSync');
+const SyncScheduler = require('../services/syncScheduler');
+const { getProvider, getSupportedTypes } = require('../providers');
 const { logger } = require('../utils/logger');
 const { Op } = require('sequelize');
 
 const router = express.Router();
+const pipelineSyncService = new PipelineSyncService();
+// Manual syncs take the scheduler's per-pipeline lock so they never overlap a scheduled one
+const syncScheduler = new SyncScheduler({ syncService: pipelineSyncService });
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
@@ -83,10 +90,13 @@ router.get('/:id', async (req, res) => {
 // POST /api/pipelines - Create new pipeline
 router.post('/', [
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be 1-100 characters'),
-  body('type').isIn(['github-actions', 'jenkins', 'gitlab-ci', 'azure-devops']).withMessage('Invalid pipeline type'),
+  body('type').isIn(getSupportedTypes()).withMessage('Invalid pipeline type'),
   body('url').isString().withMessage('URL is required'),
   body('token').optional().isString().withMessage('Token must be a string'),
-  body('branch').optional().isString().withMessage('Branch must be a string')
+  body('branch').optional().isString().withMessage('Branch must be a string'),
+  body('sync_interval').optional().isInt({ min: 1, max: 1440 }).withMessage('Sync interval must be 1-1440 minutes'),
+  body('config').optional().isObject().withMessage('Config must be an object'),
+  body('webhook_secret').optional().isString().isLength({ min: 16 }).withMessage('Webhook secret must be at least 16 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -98,7 +108,7 @@ router.post('/', [
       });
     }
 
-    const { name, type, url, token, branch } = req.body;
+    const { name, type, url, token, branch, sync_interval, config, webhook_secret } = req.body;
     
     // Check if pipeline with same name already exists
     const existingPipeline = await Pipeline.findOne({ where: { name } });
@@ -115,9 +125,13 @@ router.post('/', [
       url,
       token,
       branch: branch || 'main',
+      sync_interval: sync_interval || 5,
+      config: config || {},
+      webhook_secret,
       status: 'active'
     });
 
+    await invalidatePipelineCache(pipeline.id, 'pipeline created');
     logger.info(`Pipeline created: ${pipeline.id}`);
     
     res.status(201).json({
@@ -139,7 +153,10 @@ router.put('/:id', [
   body('url').optional().isString(),
   body('token').optional().isString(),
   body('branch').optional().isString(),
-  body('status').optional().isIn(['active', 'inactive', 'error'])
+  body('status').optional().isIn(['active', 'inactive', 'error', 'maintenance']),
+  body('sync_interval').optional().isInt({ min: 1, max: 1440 }),
+  body('config').optional().isObject(),
+  body('webhook_secret').optional().isString().isLength({ min: 16 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -174,7 +191,17 @@ router.put('/:id', [
       }
     }
 
-    await pipeline.update(req.body);
+    const updates = { ...req.body };
+
+    // Re-activating a pipeline clears the scheduler's failure backoff
+    if (updates.status === 'active' && pipeline.status !== 'active') {
+      updates.sync_failures = 0;
+      updates.last_sync_error = null;
+      updates.next_sync_at = null;
+    }
+
+    await pipeline.update(updates);
+    await invalidatePipelineCache(pipeline.id, 'pipeline updated');
     
     logger.info(`Pipeline updated: ${pipeline.id}`);
     
@@ -205,6 +232,11 @@ router.delete('/:id', requireRole(['admin']), async (req, res) => {
     }
 
     await pipeline.destroy();
+    // Its builds go with it, which the unfiltered build summary has counted
+    await Promise.all([
+      invalidatePipelineCache(id, 'pipeline deleted'),
+      invalidateBuildCache(id, 'pipeline deleted')
+    ]);
     
     logger.info(`Pipeline deleted: ${id}`);
     
@@ -234,21 +266,35 @@ router.post('/:id/sync', async (req, res) => {
       });
     }
 
-    // Update last sync time
-    await pipeline.update({ 
-      last_sync: new Date(),
-      status: 'syncing'
-    });
-
-    // TODO: Trigger actual sync process based on pipeline type
-    // This would integrate with the respective CI/CD tool APIs
-    
     logger.info(`Pipeline sync triggered: ${id}`);
+
+    let report;
+    try {
+      report = await syncScheduler.runPipeline(pipeline, { manual: true });
+    } catch (syncError) {
+      if (syncError.code === 'SYNC_IN_PROGRESS' || syncError.code === 'SYNC_LOCK_UNAVAILABLE') {
+        return res.status(syncError.code === 'SYNC_IN_PROGRESS' ? 409 : 503).json({
+          success: false,
+          error: syncError.message
+        });
+      }
+      logger.error(`Pipeline sync failed for ${id}:`, syncError);
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to sync pipeline with provider',
+        details: syncError.message
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Pipeline sync initiated',
-      data: { last_sync: pipeline.last_sync }
+      message: 'Pipeline sync completed',
+      data: {
+        id: pipeline.id,
+        status: pipeline.status,
+        last_sync: pipeline.last_sync,
+        sync_report: report
+      }
     });
   } catch (error) {
     logger.error('Error triggering pipeline sync:', error);
@@ -259,6 +305,51 @@ router.post('/:id/sync', async (req, res) => {
   }
 });
 
+// GET /api/pipelines/:id/runs - List recent runs straight from the provider
+router.get('/:id/runs', async (req, res) => {
+  await withProvider(req, res, 'list pipeline runs', async (provider) => {
+    const { limit = 20, branch } = req.query;
+    return provider.listRuns({ limit: Math.min(parseInt(limit) || 20, 100), branch });
+  });
+});
+
+// GET /api/pipelines/:id/runs/:runId - Get a single provider run with its jobs
+router.get('/:id/runs/:runId', async (req, res) => {
+  await withProvider(req, res, 'fetch pipeline run', (provider) => provider.getRun(req.params.runId));
+});
+
+// GET /api/pipelines/:id/runs/:runId/logs - Get the logs of a provider run
+router.get('/:id/runs/:runId/logs', async (req, res) => {
+  await withProvider(req, res, 'fetch pipeline run logs', (provider) => provider.getLogs(req.params.runId));
+});
+
+// POST /api/pipelines/:id/runs - Trigger a new run on the provider
+router.post('/:id/runs', requireRole(['admin', 'super_admin']), [
+  body('branch').optional().isString(),
+  body('parameters').optional().isObject()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  await withProvider(req, res, 'trigger pipeline run', (provider) => provider.trigger(req.body));
+});
+
+// POST /api/pipelines/:id/runs/:runId/cancel - Cancel a provider run
+router.post('/:id/runs/:runId/cancel', requireRole(['admin', 'super_admin']), async (req, res) => {
+  await withProvider(req, res, 'cancel pipeline run', (provider) => provider.cancel(req.params.runId));
+});
+
+// POST /api/pipelines/:id/runs/:runId/retry - Retry a provider run
+router.post('/:id/runs/:runId/retry', requireRole(['admin', 'super_admin']), async (req, res) => {
+  await withProvider(req, res, 'retry pipeline run', (provider) => provider.retry(req.params.runId));
+});
+
 // GET /api/pipelines/:id/status - Get pipeline status and recent builds
 router.get('/:id/status', async (req, res) => {
   try {
@@ -316,4 +407,49 @@ router.get('/:id/status', async (req, res) => {
   }
 });
 
+// Load the pipeline, run an operation on its provider adapter and answer with the result.
+// Unsupported operations and pipeline types map to 501, provider API failures to 502
+async function withProvider(req, res, action, operation) {
+  try {
+    const pipeline = await Pipeline.findByPk(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline not found'
+      });
+    }
+
+    let data;
+    try {
+      data = await operation(getProvider(pipeline));
+    } catch (providerError) {
+      if (['PROVIDER_NOT_FOUND', 'PROVIDER_OPERATION_UNSUPPORTED'].includes(providerError.code)) {
+        return res.status(501).json({
+          success: false,
+          error: providerError.message
+        });
+      }
+
+      logger.error(`Failed to ${action} for pipeline ${pipeline.id}:`, providerError);
+      return res.status(502).json({
+        success: false,
+        error: `Failed to ${action} with provider`,
+        details: providerError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error(`Error trying to ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action}`
+    });
+  }
+}
+
 module.exports = router;
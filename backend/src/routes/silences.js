@@ -0,0 +1,250 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../middleware/audit');
+const { AlertSilence, Alert, Pipeline } = require('../database/models');
+const AlertSilenceService = require('../services/alertSilences');
+const { isValidCron } = require('../utils/cron');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+const silenceService = new AlertSilenceService();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// GET /api/silences - List silences and maintenance windows with their current state
+router.get('/', [
+  query('state').optional().isIn(['active', 'scheduled', 'expired']).withMessage('State must be active, scheduled or expired'),
+  query('pipeline_id').optional().isUUID().withMessage('Pipeline ID must be a valid UUID'),
+  query('alert_id').optional().isUUID().withMessage('Alert ID must be a valid UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { state, pipeline_id, alert_id } = req.query;
+
+    const whereClause = {};
+    if (pipeline_id) whereClause.pipeline_id = pipeline_id;
+    if (alert_id) whereClause.alert_id = alert_id;
+
+    const silences = await AlertSilence.findAll({
+      where: whereClause,
+      include: [
+        { model: Pipeline, as: 'pipeline', attributes: ['id', 'name', 'status'] },
+        { model: Alert, as: 'alert', attributes: ['id', 'name', 'severity'] }
+      ],
+      order: [['starts_at', 'DESC']]
+    });
+
+    const now = new Date();
+    const described = silences
+      .map(silence => silenceService.describe(silence, now))
+      .filter(silence => !state || silence.state === state);
+
+    // Pipelines in maintenance silence all of their alerts
+    const maintenancePipelines = await Pipeline.findAll({
+      where: { status: 'maintenance', ...(pipeline_id && { id: pipeline_id }) },
+      attributes: ['id', 'name', 'status']
+    });
+
+    res.json({
+      success: true,
+      data: {
+        silences: described,
+        maintenance_pipelines: maintenancePipelines
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching silences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch silences'
+    });
+  }
+});
+
+// POST /api/silences - Create a silence, or a recurring maintenance window with a schedule
+router.post('/', requireRole(['admin', 'super_admin']), [
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and must be 1-500 characters'),
+  body('pipeline_id').optional({ nullable: true }).isUUID().withMessage('Pipeline ID must be a valid UUID'),
+  body('alert_id').optional({ nullable: true }).isUUID().withMessage('Alert ID must be a valid UUID'),
+  body('severity').optional({ nullable: true }).isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity level'),
+  body('labels').optional({ nullable: true }).isObject().withMessage('Labels must be an object of key/value pairs'),
+  body('starts_at').optional({ nullable: true }).isISO8601().withMessage('Starts at must be a valid ISO date'),
+  body('ends_at').optional({ nullable: true }).isISO8601().withMessage('Ends at must be a valid ISO date'),
+  body('schedule').optional({ nullable: true }).custom(value => {
+    if (!isValidCron(value)) {
+      throw new Error('Schedule must be a cron expression: minute hour day-of-month month day-of-week');
+    }
+    return true;
+  }),
+  body('duration_minutes').optional({ nullable: true }).isInt({ min: 1, max: AlertSilenceService.MAX_WINDOW_MINUTES })
+    .withMessage(`Duration must be 1-${AlertSilenceService.MAX_WINDOW_MINUTES} minutes`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      reason,
+      pipeline_id = null,
+      alert_id = null,
+      severity = null,
+      labels = null,
+      starts_at,
+      ends_at = null,
+      schedule = null,
+      duration_minutes = null
+    } = req.body;
+
+    const invalid = silenceService.validate({ pipeline_id, alert_id, severity, labels, starts_at, ends_at, schedule, duration_minutes });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    if (pipeline_id && !(await Pipeline.findByPk(pipeline_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline not found'
+      });
+    }
+
+    if (alert_id && !(await Alert.findByPk(alert_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    const silence = await AlertSilence.create({
+      reason,
+      pipeline_id,
+      alert_id,
+      severity,
+      labels,
+      starts_at: starts_at ? new Date(starts_at) : new Date(),
+      ends_at: ends_at ? new Date(ends_at) : null,
+      schedule,
+      duration_minutes: schedule ? duration_minutes : null,
+      created_by: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'alert_silence.create',
+      resourceType: 'alert_silence',
+      resourceId: silence.id,
+      details: { reason, pipeline_id, alert_id, severity, labels, schedule }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: silenceService.describe(silence)
+    });
+  } catch (error) {
+    logger.error('Error creating silence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create silence'
+    });
+  }
+});
+
+// POST /api/silences/:id/expire - End a silence or maintenance window now
+router.post('/:id/expire', requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const silence = await AlertSilence.findByPk(req.params.id);
+
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Silence not found'
+      });
+    }
+
+    if (silenceService.getState(silence) === 'expired') {
+      return res.status(400).json({
+        success: false,
+        error: 'Silence has already expired'
+      });
+    }
+
+    const now = new Date();
+    await silence.update({
+      ends_at: now,
+      // A silence that never started ends where it would have begun
+      ...(new Date(silence.starts_at) > now && { starts_at: now }),
+      updated_at: now
+    });
+
+    await recordAudit(req, {
+      action: 'alert_silence.expire',
+      resourceType: 'alert_silence',
+      resourceId: silence.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Silence expired',
+      data: silenceService.describe(silence)
+    });
+  } catch (error) {
+    logger.error('Error expiring silence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to expire silence'
+    });
+  }
+});
+
+// DELETE /api/silences/:id - Delete a silence
+router.delete('/:id', requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const silence = await AlertSilence.findByPk(req.params.id);
+
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Silence not found'
+      });
+    }
+
+    await silence.destroy();
+
+    await recordAudit(req, {
+      action: 'alert_silence.delete',
+      resourceType: 'alert_silence',
+      resourceId: req.params.id,
+      details: { reason: silence.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Silence deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting silence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete silence'
+    });
+  }
+});
+
+module.exports = router;
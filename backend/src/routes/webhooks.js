@@ -1,160 +1,263 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { Pipeline, Build } = require('../database/models');
-const githubActionsService = require('../services/githubActions');
-const logger = require('../utils/logger');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { Pipeline, Build, WebhookDelivery } = require('../database/models');
+const { verifyWebhook } = require('../middleware/webhookAuth');
+const { recordDelivery, completeDelivery } = require('../middleware/webhookDelivery');
+const { getProviderForType } = require('../providers');
+const PipelineSyncService = require('../services/pipelineSync');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
-// Webhook endpoints don't require authentication (they're called by external services)
-// but we can use optionalAuth to get user info if available
+const pipelineSyncService = new PipelineSyncService();
+
+// Pipeline type served by each webhook endpoint; deliveries are normalized by that type's
+// provider adapter and ingested through the same upsert path as the scheduled sync
+const WEBHOOK_PIPELINE_TYPES = {
+  github: 'github-actions',
+  jenkins: 'jenkins',
+  gitlab: 'gitlab-ci',
+  azure: 'azure-devops',
+  circleci: 'circleci',
+  travis: 'travis-ci'
+};
+
+// Webhook endpoints don't use JWT authentication (they're called by external services);
+// instead each delivery is verified against the webhook secret of the pipeline it targets
 
 // POST /api/webhooks/github - GitHub webhook endpoint
-router.post('/github', [
+router.post('/github', recordDelivery('github'), verifyWebhook('github'), [
   body('ref').optional().isString(),
   body('head_commit').optional().isObject(),
   body('workflow_run').optional().isObject(),
   body('action').optional().isString()
 ], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.warn('GitHub webhook validation failed:', errors.array());
-      // Don't return error for webhook validation failures
-    }
-
-    const { ref, head_commit, workflow_run, action } = req.body;
-    
-    logger.info('GitHub webhook received:', {
-      ref,
-      action,
-      has_commit: !!head_commit,
-      has_workflow: !!workflow_run
-    });
-
-    // Handle different webhook event types
-    if (workflow_run) {
-      // GitHub Actions workflow run event
-      await handleGitHubWorkflowRun(workflow_run);
-    } else if (head_commit && ref) {
-      // Push event
-      await handleGitHubPush(ref, head_commit);
-    } else if (action === 'opened' || action === 'synchronize') {
-      // Pull request event
-      await handleGitHubPullRequest(req.body);
-    } else {
-      logger.info('Unhandled GitHub webhook event type');
-    }
-
-    // Always return 200 for webhooks
-    res.status(200).json({ success: true, message: 'Webhook processed' });
-  } catch (error) {
-    logger.error('Error processing GitHub webhook:', error);
-    // Return 200 even on error to prevent webhook retries
-    res.status(200).json({ success: false, message: 'Webhook processing failed' });
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('GitHub webhook validation failed:', errors.array());
+    // Don't return error for webhook validation failures
   }
+
+  await runDelivery(req, res, 'github');
 });
 
 // POST /api/webhooks/jenkins - Jenkins webhook endpoint
-router.post('/jenkins', [
+router.post('/jenkins', recordDelivery('jenkins'), verifyWebhook('jenkins'), [
   body('name').isString().withMessage('Build name is required'),
   body('url').isURL().withMessage('Build URL is required'),
   body('build').isObject().withMessage('Build details are required'),
   body('build.number').isInt().withMessage('Build number is required'),
   body('build.status').isString().withMessage('Build status is required')
 ], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.warn('Jenkins webhook validation failed:', errors.array());
-    }
-
-    const { name, url, build } = req.body;
-    
-    logger.info('Jenkins webhook received:', {
-      name,
-      build_number: build.number,
-      status: build.status
-    });
-
-    await handleJenkinsBuild(name, url, build);
-
-    res.status(200).json({ success: true, message: 'Webhook processed' });
-  } catch (error) {
-    logger.error('Error processing Jenkins webhook:', error);
-    res.status(200).json({ success: false, message: 'Webhook processing failed' });
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Jenkins webhook validation failed:', errors.array());
   }
+
+  await runDelivery(req, res, 'jenkins');
 });
 
 // POST /api/webhooks/gitlab - GitLab CI webhook endpoint
-router.post('/gitlab', [
+router.post('/gitlab', recordDelivery('gitlab'), verifyWebhook('gitlab'), [
   body('object_kind').isString().withMessage('Object kind is required'),
   body('project').isObject().withMessage('Project details are required'),
   body('commit').optional().isObject(),
   body('builds').optional().isArray()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('GitLab webhook validation failed:', errors.array());
+  }
+
+  await runDelivery(req, res, 'gitlab');
+});
+
+// POST /api/webhooks/azure - Azure DevOps webhook endpoint
+router.post('/azure', recordDelivery('azure'), verifyWebhook('azure'), [
+  body('eventType').isString().withMessage('Event type is required'),
+  body('resource').isObject().withMessage('Resource details are required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Azure DevOps webhook validation failed:', errors.array());
+  }
+
+  await runDelivery(req, res, 'azure');
+});
+
+// POST /api/webhooks/circleci - CircleCI webhook endpoint
+router.post('/circleci', recordDelivery('circleci'), verifyWebhook('circleci'), [
+  body('type').isString().withMessage('Event type is required'),
+  body('project').isObject().withMessage('Project details are required'),
+  body('workflow').optional().isObject(),
+  body('job').optional().isObject()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('CircleCI webhook validation failed:', errors.array());
+  }
+
+  await runDelivery(req, res, 'circleci');
+});
+
+// POST /api/webhooks/travis - Travis CI webhook endpoint (form-encoded payload field)
+router.post('/travis', recordDelivery('travis'), verifyWebhook('travis'), [
+  body('payload').isString().withMessage('Payload is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Travis CI webhook validation failed:', errors.array());
+  }
+
+  await runDelivery(req, res, 'travis');
+});
+
+// GET /api/webhooks/deliveries - Browse stored webhook deliveries
+router.get('/deliveries', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  query('provider').optional().isIn(Object.keys(WEBHOOK_PIPELINE_TYPES)),
+  query('status').optional().isIn(['received', 'processed', 'ignored', 'failed', 'rejected']),
+  query('pipeline_id').optional().isUUID().withMessage('Pipeline ID must be a UUID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      logger.warn('GitLab webhook validation failed:', errors.array());
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
     }
 
-    const { object_kind, project, commit, builds } = req.body;
-    
-    logger.info('GitLab webhook received:', {
-      object_kind,
-      project_name: project.name,
-      has_commit: !!commit,
-      builds_count: builds?.length || 0
+    const { page = 1, limit = 20, provider, status, pipeline_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (provider) whereClause.provider = provider;
+    if (status) whereClause.status = status;
+    if (pipeline_id) whereClause.pipeline_id = pipeline_id;
+
+    const { count, rows: deliveries } = await WebhookDelivery.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['raw_body', 'headers'] },
+      include: [{
+        model: Pipeline,
+        as: 'pipeline',
+        attributes: ['id', 'name', 'type']
+      }],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['received_at', 'DESC']]
     });
 
-    if (object_kind === 'pipeline') {
-      await handleGitLabPipeline(project, builds);
-    } else if (object_kind === 'push') {
-      await handleGitLabPush(project, commit);
-    } else {
-      logger.info('Unhandled GitLab webhook event type:', object_kind);
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// GET /api/webhooks/deliveries/:id - Get a stored delivery with headers and body
+router.get('/deliveries/:id', authenticateToken, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findByPk(req.params.id, {
+      include: [{
+        model: Pipeline,
+        as: 'pipeline',
+        attributes: ['id', 'name', 'type']
+      }]
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found'
+      });
     }
 
-    res.status(200).json({ success: true, message: 'Webhook processed' });
+    res.json({
+      success: true,
+      data: delivery
+    });
   } catch (error) {
-    logger.error('Error processing GitLab webhook:', error);
-    res.status(200).json({ success: false, message: 'Webhook processing failed' });
+    logger.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook delivery'
+    });
   }
 });
 
-// POST /api/webhooks/azure - Azure DevOps webhook endpoint
-router.post('/azure', [
-  body('eventType').isString().withMessage('Event type is required'),
-  body('resource').isObject().withMessage('Resource details are required')
-], async (req, res) => {
+// POST /api/webhooks/deliveries/:id/replay - Re-run a stored delivery through its handler
+router.post('/deliveries/:id/replay', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.warn('Azure DevOps webhook validation failed:', errors.array());
+    const delivery = await WebhookDelivery.findByPk(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found'
+      });
     }
 
-    const { eventType, resource } = req.body;
-    
-    logger.info('Azure DevOps webhook received:', {
-      eventType,
-      resource_type: resource.type,
-      resource_id: resource.id
-    });
+    // Rejected deliveries were never authenticated, so they must not be replayed
+    if (delivery.status === 'rejected') {
+      return res.status(409).json({
+        success: false,
+        error: 'Rejected deliveries cannot be replayed'
+      });
+    }
 
-    if (eventType === 'ms.vss-pipelines.run-state-changed-event') {
-      await handleAzurePipelineRun(resource);
-    } else if (eventType === 'git.push') {
-      await handleAzureGitPush(resource);
-    } else {
-      logger.info('Unhandled Azure DevOps webhook event type:', eventType);
+    let payload;
+    try {
+      payload = delivery.getPayload();
+    } catch (parseError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Stored delivery body could not be parsed',
+        details: parseError.message
+      });
     }
 
-    res.status(200).json({ success: true, message: 'Webhook processed' });
+    logger.info(`Replaying webhook delivery ${delivery.id} (${delivery.provider}) by user ${req.user.id}`);
+
+    // The stored credentials are redacted, so a replay can only write into the pipeline the
+    // delivery was verified against when it arrived
+    const pipeline = delivery.pipeline_id ? await Pipeline.findByPk(delivery.pipeline_id) : null;
+    const result = await processDelivery(delivery, delivery.provider, payload, delivery.headers || {}, pipeline ? [pipeline] : []);
+
+    res.status(result.success ? 200 : 500).json({
+      success: result.success,
+      message: result.success ? 'Webhook delivery replayed' : 'Webhook delivery replay failed',
+      data: {
+        delivery_id: delivery.id,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        error: delivery.error
+      }
+    });
   } catch (error) {
-    logger.error('Error processing Azure DevOps webhook:', error);
-    res.status(200).json({ success: false, message: 'Webhook processing failed' });
+    logger.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook delivery'
+    });
   }
 });
 
@@ -225,467 +328,88 @@ router.post('/test', authenticateToken, [
   }
 });
 
-// Helper functions for processing different webhook types
-
-async function handleGitHubWorkflowRun(workflowRun) {
-  try {
-    const { id, name, status, conclusion, head_branch, head_sha, created_at, updated_at } = workflowRun;
-    
-    // Find pipeline by GitHub repository
-    const pipeline = await Pipeline.findOne({
-      where: {
-        type: 'github-actions',
-        config: {
-          repository: workflowRun.repository.full_name
-        }
-      }
-    });
-
-    if (!pipeline) {
-      logger.warn('No pipeline found for GitHub repository:', workflowRun.repository.full_name);
-      return;
-    }
-
-    // Check if build already exists
-    let build = await Build.findOne({
-      where: { external_id: id.toString(), pipeline_id: pipeline.id }
-    });
-
-    if (build) {
-      // Update existing build
-      await build.update({
-        status: mapGitHubStatus(status, conclusion),
-        completed_at: conclusion ? new Date(updated_at) : null,
-        duration: conclusion ? 
-          Math.floor((new Date(updated_at) - new Date(created_at)) / 1000) : null
-      });
-      logger.info(`GitHub build updated: ${build.id} - ${build.status}`);
-    } else {
-      // Create new build
-      build = await Build.create({
-        pipeline_id: pipeline.id,
-        external_id: id.toString(),
-        branch: head_branch,
-        commit_hash: head_sha,
-        commit_message: `GitHub Actions: ${name}`,
-        author: workflowRun.actor?.login || 'Unknown',
-        status: mapGitHubStatus(status, conclusion),
-        trigger_type: 'webhook',
-        environment: 'github-actions',
-        started_at: new Date(created_at),
-        completed_at: conclusion ? new Date(updated_at) : null,
-        duration: conclusion ? 
-          Math.floor((new Date(updated_at) - new Date(created_at)) / 1000) : null
-      });
-      logger.info(`GitHub build created: ${build.id}`);
-    }
+// Delivery processing shared by live endpoints and replay
 
-    // TODO: Emit WebSocket event for real-time updates
-    // emitBuildStatus(build);
-    
-  } catch (error) {
-    logger.error('Error handling GitHub workflow run:', error);
-    throw error;
-  }
-}
+// Run a verified delivery against the pipelines whose secret verified it and answer the
+// provider with the outcome
+async function runDelivery(req, res, provider) {
+  const result = await processDelivery(req.webhookDelivery, provider, req.body, req.headers, req.webhookPipelines || []);
 
-async function handleGitHubPush(ref, headCommit) {
-  try {
-    const branch = ref.replace('refs/heads/', '');
-    const { id, message, author, timestamp } = headCommit;
-    
-    // Find pipelines for this repository and branch
-    const pipelines = await Pipeline.findAll({
-      where: {
-        type: 'github-actions',
-        config: {
-          branches: { [require('sequelize').Op.contains]: [branch] }
-        }
-      }
+  if (result.success) {
+    res.status(200).json({
+      success: true,
+      message: result.status === 'ignored' ? 'Webhook event ignored' : 'Webhook processed',
+      delivery_id: req.webhookDelivery?.id
     });
-
-    for (const pipeline of pipelines) {
-      // Create build record for push event
-      const build = await Build.create({
-        pipeline_id: pipeline.id,
-        external_id: `push-${id.substring(0, 8)}`,
-        branch,
-        commit_hash: id,
-        commit_message: message,
-        author: author.name || author.username || 'Unknown',
-        status: 'pending',
-        trigger_type: 'webhook',
-        environment: 'github-actions',
-        started_at: new Date(timestamp)
-      });
-      
-      logger.info(`GitHub push build created: ${build.id} for pipeline ${pipeline.id}`);
-    }
-    
-  } catch (error) {
-    logger.error('Error handling GitHub push:', error);
-    throw error;
-  }
-}
-
-async function handleGitHubPullRequest(payload) {
-  try {
-    const { action, pull_request, repository } = payload;
-    
-    if (action !== 'opened' && action !== 'synchronize') {
-      return; // Only handle PR open and sync events
-    }
-
-    const { head, title, user } = pull_request;
-    
-    // Find pipelines for this repository
-    const pipelines = await Pipeline.findAll({
-      where: {
-        type: 'github-actions',
-        config: {
-          repository: repository.full_name
-        }
-      }
+  } else {
+    // Non-2xx lets the provider show the failure and retry; the delivery can also be replayed
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed',
+      delivery_id: req.webhookDelivery?.id
     });
-
-    for (const pipeline of pipelines) {
-      // Create build record for PR event
-      const build = await Build.create({
-        pipeline_id: pipeline.id,
-        external_id: `pr-${pull_request.number}`,
-        branch: head.ref,
-        commit_hash: head.sha,
-        commit_message: `PR: ${title}`,
-        author: user.login,
-        status: 'pending',
-        trigger_type: 'webhook',
-        environment: 'github-actions',
-        started_at: new Date()
-      });
-      
-      logger.info(`GitHub PR build created: ${build.id} for pipeline ${pipeline.id}`);
-    }
-    
-  } catch (error) {
-    logger.error('Error handling GitHub pull request:', error);
-    throw error;
   }
 }
 
-async function handleJenkinsBuild(name, url, buildDetails) {
+// Dispatch a payload to its provider adapter and record the outcome on the delivery. Builds are
+// only written into the given verified pipelines
+async function processDelivery(delivery, provider, payload, headers, verifiedPipelines) {
+  const pipelineId = verifiedPipelines[0]?.id;
   try {
-    const { number, status, timestamp, duration, result } = buildDetails;
-    
-    // Find pipeline by Jenkins job name
-    const pipeline = await Pipeline.findOne({
-      where: {
-        type: 'jenkins',
-        config: {
-          job_name: name
-        }
-      }
-    });
-
-    if (!pipeline) {
-      logger.warn('No pipeline found for Jenkins job:', name);
-      return;
-    }
-
-    // Check if build already exists
-    let build = await Build.findOne({
-      where: { external_id: number.toString(), pipeline_id: pipeline.id }
-    });
-
-    if (build) {
-      // Update existing build
-      await build.update({
-        status: mapJenkinsStatus(status, result),
-        completed_at: result ? new Date(parseInt(timestamp) + parseInt(duration)) : null,
-        duration: duration ? Math.floor(duration / 1000) : null
-      });
-      logger.info(`Jenkins build updated: ${build.id} - ${build.status}`);
-    } else {
-      // Create new build
-      build = await Build.create({
-        pipeline_id: pipeline.id,
-        external_id: number.toString(),
-        branch: 'main', // Jenkins doesn't always provide branch info
-        commit_hash: `jenkins-${number}`,
-        commit_message: `Jenkins build #${number}`,
-        author: 'Jenkins',
-        status: mapJenkinsStatus(status, result),
-        trigger_type: 'webhook',
-        environment: 'jenkins',
-        started_at: new Date(parseInt(timestamp)),
-        completed_at: result ? new Date(parseInt(timestamp) + parseInt(duration)) : null,
-        duration: duration ? Math.floor(duration / 1000) : null
-      });
-      logger.info(`Jenkins build created: ${build.id}`);
-    }
-    
+    const handled = await ingestWebhook(provider, payload, headers, verifiedPipelines);
+    const status = handled === false ? 'ignored' : 'processed';
+    await completeDelivery(delivery, { status, responseCode: 200, pipelineId });
+    return { success: true, status };
   } catch (error) {
-    logger.error('Error handling Jenkins build:', error);
-    throw error;
+    logger.error(`Error processing ${provider} webhook:`, error);
+    await completeDelivery(delivery, { status: 'failed', responseCode: 500, error: error.message, pipelineId });
+    return { success: false, status: 'failed', error };
   }
 }
 
-async function handleGitLabPipeline(project, builds) {
-  try {
-    if (!builds || builds.length === 0) return;
-    
-    // Find pipeline by GitLab project
-    const pipeline = await Pipeline.findOne({
-      where: {
-        type: 'gitlab-ci',
-        config: {
-          project_id: project.id.toString()
-        }
-      }
-    });
-
-    if (!pipeline) {
-      logger.warn('No pipeline found for GitLab project:', project.name);
-      return;
-    }
-
-    for (const build of builds) {
-      const { id, status, stage, created_at, finished_at, duration } = build;
-      
-      // Check if build already exists
-      let existingBuild = await Build.findOne({
-        where: { external_id: id.toString(), pipeline_id: pipeline.id }
-      });
+// Normalize a payload through the provider adapter and upsert its runs into every verified
+// pipeline it belongs to. Returns false when the event type is not handled
+async function ingestWebhook(provider, payload, headers, verifiedPipelines) {
+  const type = WEBHOOK_PIPELINE_TYPES[provider];
+  const parsed = await getProviderForType(type).parseWebhook(payload, headers);
 
-      if (existingBuild) {
-        // Update existing build
-        await existingBuild.update({
-          status: mapGitLabStatus(status),
-          completed_at: finished_at ? new Date(finished_at) : null,
-          duration: duration || null
-        });
-        logger.info(`GitLab build updated: ${existingBuild.id} - ${existingBuild.status}`);
-      } else {
-        // Create new build
-        existingBuild = await Build.create({
-          pipeline_id: pipeline.id,
-          external_id: id.toString(),
-          branch: build.ref || 'main',
-          commit_hash: build.commit?.id || `gitlab-${id}`,
-          commit_message: build.commit?.message || `GitLab CI build #${id}`,
-          author: build.user?.name || 'GitLab CI',
-          status: mapGitLabStatus(status),
-          trigger_type: 'webhook',
-          environment: 'gitlab-ci',
-          started_at: new Date(created_at),
-          completed_at: finished_at ? new Date(finished_at) : null,
-          duration: duration || null
-        });
-        logger.info(`GitLab build created: ${existingBuild.id}`);
-      }
-    }
-    
-  } catch (error) {
-    logger.error('Error handling GitLab pipeline:', error);
-    throw error;
+  if (!parsed) {
+    logger.info(`Unhandled ${provider} webhook event`);
+    return false;
   }
-}
-
-async function handleGitLabPush(project, commit) {
-  try {
-    if (!commit) return;
-    
-    // Find pipelines for this project
-    const pipelines = await Pipeline.findAll({
-      where: {
-        type: 'gitlab-ci',
-        config: {
-          project_id: project.id.toString()
-        }
-      }
-    });
-
-    for (const pipeline of pipelines) {
-      // Create build record for push event
-      const build = await Build.create({
-        pipeline_id: pipeline.id,
-        external_id: `push-${commit.id.substring(0, 8)}`,
-        branch: commit.ref || 'main',
-        commit_hash: commit.id,
-        commit_message: commit.message,
-        author: commit.author_name || 'Unknown',
-        status: 'pending',
-        trigger_type: 'webhook',
-        environment: 'gitlab-ci',
-        started_at: new Date()
-      });
-      
-      logger.info(`GitLab push build created: ${build.id} for pipeline ${pipeline.id}`);
-    }
-    
-  } catch (error) {
-    logger.error('Error handling GitLab push:', error);
-    throw error;
-  }
-}
-
-async function handleAzurePipelineRun(resource) {
-  try {
-    const { id, name, state, result, startTime, finishTime, sourceVersion, sourceBranch } = resource;
-    
-    // Find pipeline by Azure DevOps project
-    const pipeline = await Pipeline.findOne({
-      where: {
-        type: 'azure-devops',
-        config: {
-          project_id: resource.project.id.toString()
-        }
-      }
-    });
-
-    if (!pipeline) {
-      logger.warn('No pipeline found for Azure DevOps project:', resource.project.name);
-      return;
-    }
-
-    // Check if build already exists
-    let build = await Build.findOne({
-      where: { external_id: id.toString(), pipeline_id: pipeline.id }
-    });
 
-    if (build) {
-      // Update existing build
-      await build.update({
-        status: mapAzureStatus(state, result),
-        completed_at: finishTime ? new Date(finishTime) : null,
-        duration: startTime && finishTime ? 
-          Math.floor((new Date(finishTime) - new Date(startTime)) / 1000) : null
-      });
-      logger.info(`Azure build updated: ${build.id} - ${build.status}`);
-    } else {
-      // Create new build
-      build = await Build.create({
-        pipeline_id: pipeline.id,
-        external_id: id.toString(),
-        branch: sourceBranch?.replace('refs/heads/', '') || 'main',
-        commit_hash: sourceVersion || `azure-${id}`,
-        commit_message: `Azure DevOps: ${name}`,
-        author: 'Azure DevOps',
-        status: mapAzureStatus(state, result),
-        trigger_type: 'webhook',
-        environment: 'azure-devops',
-        started_at: startTime ? new Date(startTime) : new Date(),
-        completed_at: finishTime ? new Date(finishTime) : null,
-        duration: startTime && finishTime ? 
-          Math.floor((new Date(finishTime) - new Date(startTime)) / 1000) : null
-      });
-      logger.info(`Azure build created: ${build.id}`);
-    }
-    
-  } catch (error) {
-    logger.error('Error handling Azure pipeline run:', error);
-    throw error;
+  logger.info(`${provider} webhook received:`, {
+    event: parsed.event,
+    match: parsed.match,
+    runs: parsed.runs.length
+  });
+
+  // Acknowledged events that produce no build (ping, release, closed pull requests, ...)
+  if (parsed.runs.length === 0) return true;
+
+  // A pipeline matching the payload whose secret did not verify it is never written to
+  let pipelines = verifiedPipelines.length > 0
+    ? await Pipeline.findAll({
+      where: { type, config: parsed.match, id: verifiedPipelines.map(pipeline => pipeline.id) }
+    })
+    : [];
+  if (parsed.filter) {
+    pipelines = pipelines.filter(parsed.filter);
   }
-}
 
-async function handleAzureGitPush(resource) {
-  try {
-    const { commits, refUpdates } = resource;
-    
-    if (!commits || commits.length === 0) return;
-    
-    // Find pipelines for this project
-    const pipelines = await Pipeline.findAll({
-      where: {
-        type: 'azure-devops',
-        config: {
-          project_id: resource.repository.project.id.toString()
-        }
-      }
-    });
-
-    for (const pipeline of pipelines) {
-      for (const commit of commits) {
-        // Create build record for push event
-        const build = await Build.create({
-          pipeline_id: pipeline.id,
-          external_id: `push-${commit.commitId.substring(0, 8)}`,
-          branch: refUpdates?.[0]?.name?.replace('refs/heads/', '') || 'main',
-          commit_hash: commit.commitId,
-          commit_message: commit.comment,
-          author: commit.author.name || 'Unknown',
-          status: 'pending',
-          trigger_type: 'webhook',
-          environment: 'azure-devops',
-          started_at: new Date()
-        });
-        
-        logger.info(`Azure push build created: ${build.id} for pipeline ${pipeline.id}`);
-      }
-    }
-    
-  } catch (error) {
-    logger.error('Error handling Azure git push:', error);
-    throw error;
+  if (pipelines.length === 0) {
+    logger.warn(`No verified ${type} pipeline found for webhook:`, parsed.match);
+    return true;
   }
-}
-
-// Status mapping functions
 
-function mapGitHubStatus(status, conclusion) {
-  if (status === 'completed') {
-    switch (conclusion) {
-      case 'success': return 'success';
-      case 'failure': return 'failed';
-      case 'cancelled': return 'cancelled';
-      case 'skipped': return 'cancelled';
-      default: return 'failed';
+  for (const pipeline of pipelines) {
+    for (const run of parsed.runs) {
+      const outcome = await pipelineSyncService.upsertBuild(pipeline, run, { partial: parsed.partial });
+      logger.info(`Build ${outcome} from ${provider} webhook: ${run.external_id} (${run.status}) for pipeline ${pipeline.id}`);
     }
-  } else if (status === 'in_progress') {
-    return 'running';
-  } else if (status === 'queued' || status === 'waiting') {
-    return 'pending';
-  } else {
-    return 'pending';
-  }
-}
-
-function mapJenkinsStatus(status, result) {
-  if (status === 'SUCCESS') return 'success';
-  if (status === 'FAILURE') return 'failed';
-  if (status === 'ABORTED') return 'cancelled';
-  if (status === 'UNSTABLE') return 'failed';
-  if (status === 'IN_PROGRESS') return 'running';
-  return 'pending';
-}
-
-function mapGitLabStatus(status) {
-  switch (status) {
-    case 'success': return 'success';
-    case 'failed': return 'failed';
-    case 'canceled': return 'cancelled';
-    case 'running': return 'running';
-    case 'pending': return 'pending';
-    case 'skipped': return 'cancelled';
-    default: return 'pending';
   }
-}
 
-function mapAzureStatus(state, result) {
-  if (state === 'completed') {
-    switch (result) {
-      case 'succeeded': return 'success';
-      case 'failed': return 'failed';
-      case 'canceled': return 'cancelled';
-      case 'partiallySucceeded': return 'failed';
-      default: return 'failed';
-    }
-  } else if (state === 'inProgress') {
-    return 'running';
-  } else if (state === 'notStarted' || state === 'postponed') {
-    return 'pending';
-  } else {
-    return 'pending';
-  }
+  return true;
 }
 
 module.exports = router;
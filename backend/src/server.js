@@ -18,8 +18,21 @@ const metricsRoutes = require('./routes/metrics');
 const alertRoutes = require('./routes/alerts');
 const webhookRoutes = require('./routes/webhooks');
 const jenkinsRoutes = require('./routes/jenkins');
+const azureRoutes = require('./routes/azure');
 const notificationRoutes = require('./routes/notifications');
+const failureRuleRoutes = require('./routes/failureRules');
+const silenceRoutes = require('./routes/silences');
+const escalationPolicyRoutes = require('./routes/escalationPolicies');
+const onCallScheduleRoutes = require('./routes/onCallSchedules');
+const incidentRoutes = require('./routes/incidents');
 const { setupWebSocket } = require('./websocket/socket');
+const SyncScheduler = require('./services/syncScheduler');
+const LogStreamer = require('./services/logStreamer');
+const LogRetentionScheduler = require('./services/logRetention');
+const FlakyPipelineScheduler = require('./services/flakyPipelineScheduler');
+const MetricRollupScheduler = require('./services/metricRollupScheduler');
+const AlertEvaluationScheduler = require('./services/alertEvaluationScheduler');
+const EscalationScheduler = require('./services/escalationScheduler');
 
 const app = express();
 const server = http.createServer(app);
@@ -51,9 +64,12 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware (raw body is kept for webhook signature verification)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Logging middleware
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
@@ -76,7 +92,13 @@ app.use('/api/metrics', metricsRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/jenkins', jenkinsRoutes);
+app.use('/api/azure', azureRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/failure-rules', failureRuleRoutes);
+app.use('/api/silences', silenceRoutes);
+app.use('/api/escalation-policies', escalationPolicyRoutes);
+app.use('/api/oncall-schedules', onCallScheduleRoutes);
+app.use('/api/incidents', incidentRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -96,11 +118,30 @@ app.use('*', (req, res) => {
   });
 });
 
-// Setup WebSocket
-setupWebSocket(io);
+// Setup WebSocket with live log tailing for build:<id>:logs rooms
+const logStreamer = new LogStreamer();
+setupWebSocket(io, { logStreamer });
 
 const PORT = process.env.PORT || 5000;
 
+// Background sync of pipelines on their configured interval
+const syncScheduler = new SyncScheduler();
+
+// Periodic purge of build logs past their retention
+const logRetentionScheduler = new LogRetentionScheduler();
+
+// Periodic flagging of failed builds that passed on a rerun of the same commit
+const flakyPipelineScheduler = new FlakyPipelineScheduler();
+
+// Hourly, daily, weekly and monthly build metric rollups read by the metrics routes
+const metricRollupScheduler = new MetricRollupScheduler();
+
+// Periodic evaluation of alert rules against their build windows
+const alertEvaluationScheduler = new AlertEvaluationScheduler();
+
+// Notifies the next escalation step of triggered alerts nobody acknowledged
+const escalationScheduler = new EscalationScheduler();
+
 async function startServer() {
   try {
     // Connect to database
@@ -116,6 +157,17 @@ async function startServer() {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Start background pipeline sync
+    if (process.env.SYNC_SCHEDULER_ENABLED !== 'false') {
+      syncScheduler.start();
+    }
+
+    logRetentionScheduler.start();
+    flakyPipelineScheduler.start();
+    metricRollupScheduler.start();
+    alertEvaluationScheduler.start();
+    escalationScheduler.start();
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -125,6 +177,13 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  syncScheduler.stop();
+  logStreamer.stopAll();
+  logRetentionScheduler.stop();
+  flakyPipelineScheduler.stop();
+  metricRollupScheduler.stop();
+  alertEvaluationScheduler.stop();
+  escalationScheduler.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -133,6 +192,13 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  syncScheduler.stop();
+  logStreamer.stopAll();
+  logRetentionScheduler.stop();
+  flakyPipelineScheduler.stop();
+  metricRollupScheduler.stop();
+  alertEvaluationScheduler.stop();
+  escalationScheduler.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
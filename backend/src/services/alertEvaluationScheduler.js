@@ -0,0 +1,50 @@
+const { withSchedulerLock } = require('../database/redis');
+const AlertEvaluator = require('./alertEvaluator');
+const IncidentService = require('./incidents');
+const { logger } = require('../utils/logger');
+
+// How often every alert rule is re-evaluated, so windows move on even without new builds
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Only one replica evaluates at a time
+const LOCK_KEY = 'alerts:evaluation:lock';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+class AlertEvaluationScheduler {
+  constructor(options = {}) {
+    this.intervalMinutes = options.intervalMinutes || parseFloat(process.env.ALERT_EVALUATION_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+    this.evaluator = options.evaluator || new AlertEvaluator();
+    this.incidentService = options.incidentService || new IncidentService();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Alert evaluation failed:', error));
+    }, this.intervalMinutes * 60 * 1000);
+
+    logger.info(`Alert evaluation scheduler started (every ${this.intervalMinutes}m)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Alert evaluation scheduler stopped');
+    }
+  }
+
+  // Evaluate all rules and resolve inactive incidents under a Redis lock; returns the results, or
+  // null when skipped
+  async run() {
+    return withSchedulerLock(LOCK_KEY, async () => {
+      const results = await this.evaluator.evaluateAll();
+      await this.incidentService.resolveInactive();
+      return results;
+    }, { ttlMs: LOCK_TTL_MS, label: 'Alert evaluation' });
+  }
+}
+
+module.exports = AlertEvaluationScheduler;
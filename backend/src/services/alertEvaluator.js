@@ -0,0 +1,400 @@
+const { Op } = require('sequelize');
+const { Alert, AlertHistory, Build, Pipeline } = require('../database/models');
+const AlertNotificationService = require('./alertNotification');
+const AlertSilenceService = require('./alertSilences');
+const EscalationService = require('./escalation');
+const IncidentService = require('./incidents');
+const { round, mean } = require('../utils/statistics');
+const { logger } = require('../utils/logger');
+
+const CONDITION_TYPES = ['success_rate', 'build_time', 'failure_count', 'consecutive_failures'];
+
+// Conditions driven by failed builds, which recover through a streak of successful builds
+const FAILURE_CONDITION_TYPES = ['success_rate', 'failure_count', 'consecutive_failures'];
+
+// Builds started this far back are evaluated unless the alert sets window_minutes
+const DEFAULT_WINDOW_MINUTES = 1440;
+
+// Builds needed to resolve a triggered alert unless it sets resolve_after_successes
+const DEFAULT_RESOLVE_AFTER_SUCCESSES = 1;
+
+// Most recent finished builds scanned for a consecutive_failures streak
+const CONSECUTIVE_FAILURE_LOOKBACK = 100;
+
+const OPERATORS = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+// Evaluates alert rules against the builds of their pipeline. Each rule's condition_type is
+// computed over its window of finished builds and compared with threshold using operator:
+//   success_rate         - percentage of successful builds
+//   build_time           - average duration (seconds) of builds with one
+//   failure_count        - failed builds
+//   consecutive_failures - failed builds in a row, counting back from the latest (ignores the window)
+// A met condition triggers the alert when canTrigger() allows it (enabled, not acknowledged,
+// out of cooldown), writes an AlertHistory row, groups it into an incident, notifies the alert's
+// channels unless the incident was already open, and starts its escalation policy unless the
+// alert was already triggered. While a silence or pipeline maintenance covers the alert, the
+// trigger is recorded as suppressed instead and nothing is sent. A triggered or acknowledged
+// alert resolves once its condition stayed unmet for resolve_after_successes builds: for
+// failure-based conditions the pipeline's last that many builds must have succeeded, for
+// build_time the condition must have been unmet at evaluations after that many different
+// latest builds (tracked in metadata.unmet_build_ids)
+class AlertEvaluator {
+  constructor(options = {}) {
+    this.notificationService = options.notificationService || AlertNotificationService.fromEnv();
+    this.silenceService = options.silenceService || new AlertSilenceService();
+    this.escalationService = options.escalationService || new EscalationService({ notificationService: this.notificationService });
+    this.incidentService = options.incidentService || new IncidentService();
+  }
+
+  // Evaluate the enabled rules of a pipeline, e.g. after one of its builds finished
+  async evaluatePipeline(pipelineId, { build = null } = {}) {
+    const alerts = await Alert.findAll({
+      where: { pipeline_id: pipelineId, enabled: true, condition_type: { [Op.ne]: null } },
+      include: [{ model: Pipeline, as: 'pipeline' }]
+    });
+
+    return this.evaluateAlerts(alerts, { build });
+  }
+
+  // Evaluate every enabled rule; run on a schedule so time windows are applied without new builds
+  async evaluateAll() {
+    const alerts = await Alert.findAll({
+      where: { enabled: true, pipeline_id: { [Op.ne]: null }, condition_type: { [Op.ne]: null } },
+      include: [{ model: Pipeline, as: 'pipeline' }]
+    });
+
+    const results = await this.evaluateAlerts(alerts);
+    const triggered = results.filter(result => result.triggered).length;
+    const suppressed = results.filter(result => result.suppressed).length;
+    const resolved = results.filter(result => result.resolved).length;
+    logger.info(`Evaluated ${results.length} alert rules, ${triggered} triggered, ${suppressed} suppressed, ${resolved} resolved`);
+    return results;
+  }
+
+  async evaluateAlerts(alerts, options = {}) {
+    const results = [];
+    for (const alert of alerts) {
+      try {
+        results.push(await this.evaluate(alert, options));
+      } catch (error) {
+        logger.error(`Error evaluating alert ${alert.id}:`, error);
+      }
+    }
+    return results;
+  }
+
+  // Evaluate one rule. With dryRun the result is only reported: nothing is triggered, recorded
+  // or sent
+  async evaluate(alert, { build = null, dryRun = false } = {}) {
+    const windowMinutes = alert.window_minutes || DEFAULT_WINDOW_MINUTES;
+    const { value, builds, latestBuild } = await this.computeValue(alert, windowMinutes);
+    const conditionMet = value !== null && this.compare(alert.operator, value, alert.threshold);
+    const canTrigger = alert.canTrigger();
+    const recovered = !conditionMet && value !== null && alert.isOpen() && await this.hasRecovered(alert, latestBuild, { dryRun });
+    const silence = conditionMet && canTrigger ? await this.silenceService.findSilence(alert) : null;
+
+    const result = {
+      alert_id: alert.id,
+      alert_name: alert.name,
+      pipeline_id: alert.pipeline_id,
+      condition: alert.getConditionDescription(),
+      condition_type: alert.condition_type,
+      operator: alert.operator,
+      threshold: alert.threshold,
+      window_minutes: windowMinutes,
+      value,
+      builds_evaluated: builds,
+      condition_met: conditionMet,
+      can_trigger: canTrigger,
+      would_trigger: conditionMet && canTrigger && !silence,
+      triggered: false,
+      silenced_by: silence,
+      suppressed: false,
+      would_resolve: recovered,
+      resolved: false,
+      evaluated_at: new Date().toISOString(),
+      dry_run: dryRun
+    };
+
+    if (dryRun) {
+      return result;
+    }
+
+    if (conditionMet && alert.metadata?.unmet_build_ids?.length > 0) {
+      await alert.update({ metadata: { ...alert.metadata, unmet_build_ids: [] } });
+    }
+
+    if (recovered) {
+      const resolution = await this.resolve(alert, { automatic: true, value });
+      result.resolved = true;
+      result.duration_seconds = resolution.duration_seconds;
+      return result;
+    }
+
+    if (silence) {
+      result.history_id = await this.suppress(alert, result, silence);
+      result.suppressed = true;
+      return result;
+    }
+
+    if (!result.would_trigger) {
+      return result;
+    }
+
+    const contextBuild = build || latestBuild;
+    if (contextBuild) {
+      contextBuild.pipeline = alert.pipeline;
+    }
+    result.history_id = await this.trigger(alert, result, contextBuild);
+    result.triggered = true;
+    return result;
+  }
+
+  // Current value of the rule's condition; null when the window has no builds to judge
+  async computeValue(alert, windowMinutes) {
+    if (!CONDITION_TYPES.includes(alert.condition_type)) {
+      throw new Error(`Unknown alert condition type ${alert.condition_type}`);
+    }
+
+    if (alert.condition_type === 'consecutive_failures') {
+      const recent = await Build.findAll({
+        where: { pipeline_id: alert.pipeline_id, status: { [Op.in]: ['success', 'failed'] } },
+        order: [['started_at', 'DESC']],
+        limit: CONSECUTIVE_FAILURE_LOOKBACK
+      });
+      const streak = recent.findIndex(build => build.status !== 'failed');
+      return {
+        value: streak === -1 ? recent.length : streak,
+        builds: recent.length,
+        latestBuild: recent[0] || null
+      };
+    }
+
+    const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+    const builds = await Build.findAll({
+      where: {
+        pipeline_id: alert.pipeline_id,
+        status: { [Op.in]: ['success', 'failed'] },
+        started_at: { [Op.gte]: since }
+      },
+      order: [['started_at', 'DESC']]
+    });
+
+    const failed = builds.filter(build => build.status === 'failed').length;
+    let value = null;
+    switch (alert.condition_type) {
+      case 'success_rate':
+        value = builds.length > 0 ? round(((builds.length - failed) / builds.length) * 100) : null;
+        break;
+      case 'build_time':
+        value = round(mean(builds.filter(build => build.duration > 0).map(build => build.duration)));
+        break;
+      case 'failure_count':
+        value = failed;
+        break;
+      default:
+        break;
+    }
+
+    return { value, builds: builds.length, latestBuild: builds[0] || null };
+  }
+
+  // Whether an open alert whose condition is unmet now has stayed unmet long enough to resolve.
+  // Failure-based conditions need the pipeline's last resolve_after_successes finished builds to
+  // have succeeded; build_time needs the condition unmet after that many different latest builds,
+  // which are remembered on the alert unless dryRun is set
+  async hasRecovered(alert, latestBuild = null, { dryRun = false } = {}) {
+    const required = alert.resolve_after_successes ?? DEFAULT_RESOLVE_AFTER_SUCCESSES;
+    if (required <= 0) return true;
+
+    if (!FAILURE_CONDITION_TYPES.includes(alert.condition_type)) {
+      const seen = alert.metadata?.unmet_build_ids || [];
+      if (!latestBuild || seen.includes(latestBuild.id)) {
+        return seen.length >= required;
+      }
+
+      const unmetBuildIds = [...seen, latestBuild.id].slice(-required);
+      if (!dryRun) {
+        await alert.update({ metadata: { ...alert.metadata, unmet_build_ids: unmetBuildIds } });
+      }
+      return unmetBuildIds.length >= required;
+    }
+
+    const recent = await Build.findAll({
+      where: { pipeline_id: alert.pipeline_id, status: { [Op.in]: ['success', 'failed'] } },
+      attributes: ['status'],
+      order: [['started_at', 'DESC']],
+      limit: required
+    });
+    return recent.length === required && recent.every(build => build.status === 'success');
+  }
+
+  compare(operator, value, threshold) {
+    const comparison = OPERATORS[operator];
+    if (!comparison) {
+      throw new Error(`Unknown alert operator ${operator}`);
+    }
+    return comparison(value, Number(threshold));
+  }
+
+  // Mark the alert triggered, record it in the history and its incident, notify its channels and
+  // start escalating it; returns the history row id. A trigger grouped into an incident that was
+  // already open, without escalating it, is not notified. Incident, notification and escalation
+  // failures are recorded or logged, not thrown
+  async trigger(alert, result, build) {
+    // A re-trigger of an alert nobody acknowledged keeps its escalation where it is
+    const startEscalation = alert.status !== 'triggered';
+
+    await alert.trigger({
+      last_value: result.value,
+      last_evaluated_at: result.evaluated_at,
+      last_build_id: build?.id || null
+    });
+
+    const history = await AlertHistory.create({
+      alert_id: alert.id,
+      status: 'triggered',
+      severity: alert.severity,
+      message: `${alert.name}: ${result.condition} (current value ${result.value})`,
+      triggered_at: alert.last_triggered,
+      metadata: {
+        value: result.value,
+        threshold: result.threshold,
+        operator: result.operator,
+        condition_type: result.condition_type,
+        window_minutes: result.window_minutes,
+        builds_evaluated: result.builds_evaluated,
+        build_id: build?.id || null
+      }
+    });
+
+    let grouped = false;
+    try {
+      const { incident, action } = await this.incidentService.recordAlertTrigger(alert, history.id, result, build);
+      grouped = action === 'grouped';
+      result.deduplicated = grouped;
+      if (incident) {
+        result.incident_id = incident.id;
+        await history.update({ metadata: { ...history.metadata, incident_id: incident.id, incident_action: action } });
+        await alert.update({ metadata: { ...alert.metadata, incident_id: incident.id } });
+      }
+    } catch (error) {
+      logger.error(`Error grouping trigger of alert ${alert.id} into an incident:`, error);
+    }
+
+    const channels = alert.channels || [];
+    if (channels.length > 0 && !grouped) {
+      const deliveries = await this.notificationService.sendNotification(alert, build, channels);
+      const failures = Object.entries(deliveries)
+        .filter(([, delivery]) => !delivery?.success)
+        .map(([channel, delivery]) => `${channel}: ${delivery?.error || 'not sent'}`);
+      await history.markNotificationSent(
+        Object.keys(deliveries).filter(channel => deliveries[channel]?.success),
+        failures.length > 0 ? failures.join('; ') : null
+      );
+    }
+
+    if (startEscalation) {
+      try {
+        await this.escalationService.start(alert);
+      } catch (error) {
+        logger.error(`Error starting escalation of alert ${alert.id}:`, error);
+      }
+    }
+
+    logger.warn(`Alert triggered: ${alert.name} (${alert.id}), ${result.condition_type} = ${result.value}`);
+    return history.id;
+  }
+
+  // Record a silenced trigger as suppressed without notifying; the cooldown still starts, so a
+  // silenced condition is recorded at most once per cooldown
+  async suppress(alert, result, silence) {
+    await alert.suppress({
+      last_value: result.value,
+      last_evaluated_at: result.evaluated_at
+    });
+
+    const history = await AlertHistory.create({
+      alert_id: alert.id,
+      status: 'suppressed',
+      severity: alert.severity,
+      message: `${alert.name}: ${result.condition} (current value ${result.value}), suppressed: ${silence.reason}`,
+      triggered_at: alert.last_triggered,
+      metadata: {
+        value: result.value,
+        threshold: result.threshold,
+        operator: result.operator,
+        condition_type: result.condition_type,
+        window_minutes: result.window_minutes,
+        builds_evaluated: result.builds_evaluated,
+        suppression_reason: silence.reason,
+        silence
+      }
+    });
+
+    logger.info(`Alert suppressed: ${alert.name} (${alert.id}), ${silence.type}: ${silence.reason}`);
+    return history.id;
+  }
+
+  // Close the alert's open triggers and set it back to active, automatically when its condition
+  // recovered or by a user. The duration runs from the earliest open trigger. The resolved notice
+  // goes to the channels that received those triggers
+  async resolve(alert, { resolvedBy = null, notes = '', automatic = false, value = null } = {}) {
+    const openTriggers = await AlertHistory.findAll({
+      where: { alert_id: alert.id, status: 'triggered', resolved_at: null },
+      order: [['triggered_at', 'ASC']]
+    });
+
+    const resolvedAt = new Date();
+    const firstTriggeredAt = openTriggers[0]?.triggered_at || alert.last_triggered;
+    const resolution = {
+      resolved_at: resolvedAt,
+      duration_seconds: firstTriggeredAt ? Math.floor((resolvedAt - new Date(firstTriggeredAt)) / 1000) : null,
+      automatic,
+      resolved_by: resolvedBy,
+      notes
+    };
+
+    for (const history of openTriggers) {
+      await history.markResolved(resolvedBy, notes, {
+        resolution: automatic ? 'auto' : 'manual',
+        resolved_value: value,
+        duration_seconds: Math.floor((resolvedAt - new Date(history.triggered_at)) / 1000)
+      });
+    }
+
+    await alert.resolve({ last_resolution: { ...resolution, value }, unmet_build_ids: [] });
+
+    const channels = [...new Set(openTriggers.flatMap(history => history.notification_channels || []))];
+    if (channels.length > 0) {
+      const deliveries = await this.notificationService.sendResolvedNotification(alert, resolution, channels);
+      resolution.notified_channels = Object.keys(deliveries).filter(channel => deliveries[channel]?.success);
+    }
+
+    try {
+      const incidents = await this.incidentService.resolveForAlert(alert);
+      resolution.incident_ids = incidents.map(incident => incident.id);
+    } catch (error) {
+      logger.error(`Error updating incidents of resolved alert ${alert.id}:`, error);
+    }
+
+    logger.info(`Alert resolved${automatic ? ' automatically' : ` by user ${resolvedBy}`}: ${alert.name} (${alert.id}) after ${resolution.duration_seconds}s`);
+    return {
+      ...resolution,
+      history_ids: openTriggers.map(history => history.id)
+    };
+  }
+}
+
+AlertEvaluator.CONDITION_TYPES = CONDITION_TYPES;
+AlertEvaluator.DEFAULT_WINDOW_MINUTES = DEFAULT_WINDOW_MINUTES;
+AlertEvaluator.DEFAULT_RESOLVE_AFTER_SUCCESSES = DEFAULT_RESOLVE_AFTER_SUCCESSES;
+
+module.exports = AlertEvaluator;
@@ -1,6 +1,6 @@
 const axios = require('axios');
 const nodemailer = require('nodemailer');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
 
 class AlertNotificationService {
   constructor(config) {
@@ -10,7 +10,7 @@ class AlertNotificationService {
     
     // Initialize email transporter if configured
     if (this.emailConfig) {
-      this.emailTransporter = nodemailer.createTransporter({
+      this.emailTransporter = nodemailer.createTransport({
         host: this.emailConfig.host,
         port: this.emailConfig.port,
         secure: this.emailConfig.secure || false,
@@ -24,19 +24,56 @@ class AlertNotificationService {
 
   // Send notification through multiple channels
   async sendNotification(alert, build, channels = []) {
+    return this.dispatch(channels, {
+      slack: () => this.sendSlackNotification(alert, build),
+      email: () => this.sendEmailNotification(alert, build),
+      webhook: () => this.sendWebhookNotification(alert, build)
+    });
+  }
+
+  // Tell the channels that received an alert that it was resolved; resolution holds
+  // resolved_at, duration_seconds, automatic, resolved_by and notes
+  async sendResolvedNotification(alert, resolution, channels = []) {
+    return this.dispatch(channels, {
+      slack: () => this.postToSlack(alert, this.formatResolvedSlackMessage(alert, resolution)),
+      email: () => this.deliverEmail(alert, this.formatResolvedEmailMessage(alert, resolution)),
+      webhook: () => this.postToWebhook(alert, this.formatResolvedWebhookPayload(alert, resolution))
+    });
+  }
+
+  // Escalation step notice; escalation holds level, step, round and recipients (on-call and
+  // step users, with their emails). The channels get the notice as usual, the recipients by email
+  async sendEscalationNotification(alert, escalation, channels = []) {
+    const results = await this.dispatch(channels, {
+      slack: () => this.postToSlack(alert, this.formatEscalationSlackMessage(alert, escalation)),
+      email: () => this.deliverEmail(alert, this.formatEscalationEmailMessage(alert, escalation)),
+      webhook: () => this.postToWebhook(alert, this.formatEscalationWebhookPayload(alert, escalation))
+    });
+
+    const emails = [...new Set(escalation.recipients.map(recipient => recipient.email).filter(Boolean))];
+    if (emails.length > 0) {
+      try {
+        results.recipients = await this.deliverEmail(alert, this.formatEscalationEmailMessage(alert, escalation), emails.join(', '));
+      } catch (error) {
+        logger.error('Error sending escalation email to recipients:', error);
+        results.recipients = { success: false, error: error.message };
+      }
+    }
+
+    return results;
+  }
+
+  // Run the sender of each channel; failures are reported per channel, not thrown
+  async dispatch(channels, senders) {
     const results = {};
     
     for (const channel of channels) {
       try {
         switch (channel) {
           case 'slack':
-            results.slack = await this.sendSlackNotification(alert, build);
-            break;
           case 'email':
-            results.email = await this.sendEmailNotification(alert, build);
-            break;
           case 'webhook':
-            results.webhook = await this.sendWebhookNotification(alert, build);
+            results[channel] = await senders[channel]();
             break;
           default:
             logger.warn(`Unknown notification channel: ${channel}`);
@@ -53,12 +90,14 @@ class AlertNotificationService {
 
   // Send Slack notification
   async sendSlackNotification(alert, build) {
+    return this.postToSlack(alert, this.formatSlackMessage(alert, build));
+  }
+
+  async postToSlack(alert, message) {
     if (!this.slackWebhookUrl) {
       throw new Error('Slack webhook URL not configured');
     }
 
-    const message = this.formatSlackMessage(alert, build);
-    
     try {
       const response = await axios.post(this.slackWebhookUrl, message, {
         headers: { 'Content-Type': 'application/json' },
@@ -79,16 +118,18 @@ class AlertNotificationService {
 
   // Send Email notification
   async sendEmailNotification(alert, build) {
+    return this.deliverEmail(alert, this.formatEmailMessage(alert, build));
+  }
+
+  async deliverEmail(alert, emailContent, to = null) {
     if (!this.emailTransporter) {
       throw new Error('Email transporter not configured');
     }
 
-    const emailContent = this.formatEmailMessage(alert, build);
-    
     try {
       const result = await this.emailTransporter.sendMail({
         from: this.emailConfig.from,
-        to: this.emailConfig.to,
+        to: to || this.emailConfig.to,
         cc: this.emailConfig.cc,
         bcc: this.emailConfig.bcc,
         subject: emailContent.subject,
@@ -106,12 +147,14 @@ class AlertNotificationService {
 
   // Send Webhook notification
   async sendWebhookNotification(alert, build) {
+    return this.postToWebhook(alert, this.formatWebhookPayload(alert, build));
+  }
+
+  async postToWebhook(alert, payload) {
     if (!this.config.webhook?.url) {
       throw new Error('Webhook URL not configured');
     }
 
-    const payload = this.formatWebhookPayload(alert, build);
-    
     try {
       const response = await axios.post(this.config.webhook.url, payload, {
         headers: {
@@ -178,6 +221,11 @@ class AlertNotificationService {
             title: 'Condition',
             value: alert.getConditionDescription(),
             short: true
+          },
+          {
+            title: 'Current Value',
+            value: this.formatValue(alert),
+            short: true
           }
         ],
         footer: 'CI/CD Pipeline Health Dashboard',
@@ -300,6 +348,10 @@ class AlertNotificationService {
             <div class="detail-label">Condition:</div>
             <div class="detail-value">${alert.getConditionDescription()}</div>
           </div>
+          <div class="detail-row">
+            <div class="detail-label">Current Value:</div>
+            <div class="detail-value">${this.formatValue(alert)}</div>
+          </div>
           <div class="detail-row">
             <div class="detail-label">Triggered At:</div>
             <div class="detail-value">${new Date().toLocaleString()}</div>
@@ -364,6 +416,7 @@ Pipeline Alert: ${alert.name}
 Severity: ${alert.severity.toUpperCase()}
 Description: ${alert.description || 'A pipeline alert has been triggered'}
 Condition: ${alert.getConditionDescription()}
+Current Value: ${this.formatValue(alert)}
 Triggered At: ${new Date().toLocaleString()}
 
 ${build ? `
@@ -388,9 +441,22 @@ To manage your alert preferences, visit the dashboard settings.
     return { subject, html, text };
   }
 
+  // Value the condition was evaluated to when the alert triggered, with its unit
+  formatValue(alert) {
+    const value = alert.metadata?.last_value;
+    if (value === null || value === undefined) return 'N/A';
+
+    switch (alert.condition_type) {
+      case 'success_rate': return `${value}%`;
+      case 'build_time': return `${Math.floor(value / 60)}m ${Math.round(value % 60)}s`;
+      default: return String(value);
+    }
+  }
+
   // Format Webhook payload
   formatWebhookPayload(alert, build) {
     return {
+      event: 'alert_triggered',
       alert: {
         id: alert.id,
         name: alert.name,
@@ -399,6 +465,7 @@ To manage your alert preferences, visit the dashboard settings.
         condition_type: alert.condition_type,
         threshold: alert.threshold,
         operator: alert.operator,
+        value: alert.metadata?.last_value ?? null,
         triggered_at: new Date().toISOString()
       },
       pipeline: build?.pipeline ? {
@@ -428,6 +495,341 @@ To manage your alert preferences, visit the dashboard settings.
     };
   }
 
+  // Format Slack message for a resolved alert
+  formatResolvedSlackMessage(alert, resolution) {
+    const fields = [
+      {
+        title: 'Severity',
+        value: alert.severity.toUpperCase(),
+        short: true
+      },
+      {
+        title: 'Pipeline',
+        value: alert.pipeline?.name || 'Unknown',
+        short: true
+      },
+      {
+        title: 'Condition',
+        value: alert.getConditionDescription(),
+        short: true
+      },
+      {
+        title: 'Duration',
+        value: this.formatDuration(resolution.duration_seconds),
+        short: true
+      },
+      {
+        title: 'Resolved',
+        value: resolution.automatic ? 'Automatically, condition recovered' : 'Manually',
+        short: true
+      }
+    ];
+
+    if (resolution.notes) {
+      fields.push({
+        title: 'Notes',
+        value: resolution.notes,
+        short: false
+      });
+    }
+
+    return {
+      attachments: [{
+        color: '#36a64f',
+        title: `✅ Resolved: ${alert.name}`,
+        text: alert.description || 'Pipeline alert resolved',
+        fields,
+        actions: [{
+          type: 'button',
+          text: 'View Dashboard',
+          url: `${this.config.dashboardUrl}/pipelines/${alert.pipeline_id}`,
+          style: 'primary'
+        }],
+        footer: 'CI/CD Pipeline Health Dashboard',
+        ts: Math.floor(new Date(resolution.resolved_at).getTime() / 1000)
+      }]
+    };
+  }
+
+  // Format Email message for a resolved alert
+  formatResolvedEmailMessage(alert, resolution) {
+    const subject = `[Resolved] Pipeline Alert: ${alert.name}`;
+    const how = resolution.automatic ? 'Automatically, condition recovered' : 'Manually';
+    const duration = this.formatDuration(resolution.duration_seconds);
+    const resolvedAt = new Date(resolution.resolved_at).toLocaleString();
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .alert-header { background-color: #f8f9fa; padding: 20px; border-left: 4px solid #28a745; }
+          .alert-title { color: #28a745; font-size: 24px; margin: 0 0 10px 0; }
+          .detail-row { display: flex; margin: 10px 0; }
+          .detail-label { font-weight: bold; width: 150px; }
+          .detail-value { flex: 1; }
+          .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="alert-header">
+          <h1 class="alert-title">✅ Pipeline Alert Resolved</h1>
+          <p>${alert.name}</p>
+        </div>
+
+        <div class="detail-row">
+          <div class="detail-label">Condition:</div>
+          <div class="detail-value">${alert.getConditionDescription()}</div>
+        </div>
+        <div class="detail-row">
+          <div class="detail-label">Resolved At:</div>
+          <div class="detail-value">${resolvedAt}</div>
+        </div>
+        <div class="detail-row">
+          <div class="detail-label">Duration:</div>
+          <div class="detail-value">${duration}</div>
+        </div>
+        <div class="detail-row">
+          <div class="detail-label">Resolved:</div>
+          <div class="detail-value">${how}</div>
+        </div>
+        ${resolution.notes ? `
+        <div class="detail-row">
+          <div class="detail-label">Notes:</div>
+          <div class="detail-value">${resolution.notes}</div>
+        </div>
+        ` : ''}
+
+        <div class="footer">
+          <p>This alert was sent by the CI/CD Pipeline Health Dashboard.</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+Pipeline Alert Resolved: ${alert.name}
+
+Condition: ${alert.getConditionDescription()}
+Resolved At: ${resolvedAt}
+Duration: ${duration}
+Resolved: ${how}
+${resolution.notes ? `Notes: ${resolution.notes}` : ''}
+
+This alert was sent by the CI/CD Pipeline Health Dashboard.
+    `;
+
+    return { subject, html, text };
+  }
+
+  // Format Webhook payload for a resolved alert
+  formatResolvedWebhookPayload(alert, resolution) {
+    return {
+      event: 'alert_resolved',
+      alert: {
+        id: alert.id,
+        name: alert.name,
+        severity: alert.severity,
+        condition_type: alert.condition_type,
+        threshold: alert.threshold,
+        operator: alert.operator,
+        pipeline_id: alert.pipeline_id
+      },
+      resolution: {
+        resolved_at: new Date(resolution.resolved_at).toISOString(),
+        duration_seconds: resolution.duration_seconds,
+        automatic: resolution.automatic,
+        resolved_by: resolution.resolved_by || null,
+        notes: resolution.notes || null
+      },
+      metadata: {
+        dashboard_url: this.config.dashboardUrl,
+        timestamp: new Date().toISOString(),
+        notification_id: `alert_${alert.id}_resolved_${Date.now()}`
+      }
+    };
+  }
+
+  // Format Slack message for an escalation step
+  formatEscalationSlackMessage(alert, escalation) {
+    const fields = [
+      {
+        title: 'Severity',
+        value: alert.severity.toUpperCase(),
+        short: true
+      },
+      {
+        title: 'Pipeline',
+        value: alert.pipeline?.name || 'Unknown',
+        short: true
+      },
+      {
+        title: 'Condition',
+        value: alert.getConditionDescription(),
+        short: true
+      },
+      {
+        title: 'Current Value',
+        value: this.formatValue(alert),
+        short: true
+      },
+      {
+        title: 'Unacknowledged For',
+        value: this.formatDuration(escalation.unacknowledged_seconds),
+        short: true
+      },
+      {
+        title: 'Escalation',
+        value: `${escalation.policy_name}, step ${escalation.step + 1}${escalation.round > 0 ? ` (repeat ${escalation.round})` : ''}`,
+        short: true
+      }
+    ];
+
+    if (escalation.recipients.length > 0) {
+      fields.push({
+        title: 'Escalated To',
+        value: escalation.recipients.map(recipient => recipient.name).join(', '),
+        short: false
+      });
+    }
+
+    return {
+      attachments: [{
+        color: '#ff0000',
+        title: `⏫ Escalated: ${alert.name}`,
+        text: alert.description || 'Pipeline alert not acknowledged',
+        fields,
+        actions: [{
+          type: 'button',
+          text: 'View Dashboard',
+          url: `${this.config.dashboardUrl}/pipelines/${alert.pipeline_id}`,
+          style: 'primary'
+        }],
+        footer: 'CI/CD Pipeline Health Dashboard',
+        ts: Math.floor(Date.now() / 1000)
+      }]
+    };
+  }
+
+  // Format Email message for an escalation step
+  formatEscalationEmailMessage(alert, escalation) {
+    const subject = `[Escalated] Pipeline Alert: ${alert.name}`;
+    const unacknowledged = this.formatDuration(escalation.unacknowledged_seconds);
+    const recipients = escalation.recipients.map(recipient => recipient.name).join(', ') || 'Notification channels';
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .alert-header { background-color: #f8f9fa; padding: 20px; border-left: 4px solid #dc3545; }
+          .alert-title { color: #dc3545; font-size: 24px; margin: 0 0 10px 0; }
+          .detail-row { display: flex; margin: 10px 0; }
+          .detail-label { font-weight: bold; width: 150px; }
+          .detail-value { flex: 1; }
+          .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666; }
+          .button { display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 10px 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="alert-header">
+          <h1 class="alert-title">⏫ Pipeline Alert Escalated</h1>
+          <p>${alert.name} has not been acknowledged for ${unacknowledged}.</p>
+        </div>
+
+        <div class="detail-row">
+          <div class="detail-label">Severity:</div>
+          <div class="detail-value">${alert.severity.toUpperCase()}</div>
+        </div>
+        <div class="detail-row">
+          <div class="detail-label">Condition:</div>
+          <div class="detail-value">${alert.getConditionDescription()}</div>
+        </div>
+        <div class="detail-row">
+          <div class="detail-label">Current Value:</div>
+          <div class="detail-value">${this.formatValue(alert)}</div>
+        </div>
+        <div class="detail-row">
+          <div class="detail-label">Escalation:</div>
+          <div class="detail-value">${escalation.policy_name}, step ${escalation.step + 1}</div>
+        </div>
+        <div class="detail-row">
+          <div class="detail-label">Escalated To:</div>
+          <div class="detail-value">${recipients}</div>
+        </div>
+
+        <a href="${this.config.dashboardUrl}/alerts" class="button">Acknowledge</a>
+
+        <div class="footer">
+          <p>This alert was sent by the CI/CD Pipeline Health Dashboard.</p>
+          <p>Escalation stops once the alert is acknowledged or resolved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+Pipeline Alert Escalated: ${alert.name}
+
+Not acknowledged for ${unacknowledged}.
+Severity: ${alert.severity.toUpperCase()}
+Condition: ${alert.getConditionDescription()}
+Current Value: ${this.formatValue(alert)}
+Escalation: ${escalation.policy_name}, step ${escalation.step + 1}
+Escalated To: ${recipients}
+
+Acknowledge: ${this.config.dashboardUrl}/alerts
+
+This alert was sent by the CI/CD Pipeline Health Dashboard.
+Escalation stops once the alert is acknowledged or resolved.
+    `;
+
+    return { subject, html, text };
+  }
+
+  // Format Webhook payload for an escalation step
+  formatEscalationWebhookPayload(alert, escalation) {
+    return {
+      event: 'alert_escalated',
+      alert: {
+        id: alert.id,
+        name: alert.name,
+        severity: alert.severity,
+        condition_type: alert.condition_type,
+        threshold: alert.threshold,
+        operator: alert.operator,
+        value: alert.metadata?.last_value ?? null,
+        pipeline_id: alert.pipeline_id,
+        triggered_at: alert.last_triggered ? new Date(alert.last_triggered).toISOString() : null
+      },
+      escalation: {
+        policy_id: escalation.policy_id,
+        policy_name: escalation.policy_name,
+        level: escalation.level,
+        step: escalation.step,
+        round: escalation.round,
+        unacknowledged_seconds: escalation.unacknowledged_seconds,
+        recipients: escalation.recipients
+      },
+      metadata: {
+        dashboard_url: this.config.dashboardUrl,
+        timestamp: new Date().toISOString(),
+        notification_id: `alert_${alert.id}_escalated_${escalation.level}_${Date.now()}`
+      }
+    };
+  }
+
+  formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return 'N/A';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${seconds % 60}s`;
+  }
+
   // Test notification channels
   async testChannels(channels = ['slack', 'email']) {
     const testAlert = {
@@ -507,4 +909,22 @@ To manage your alert preferences, visit the dashboard settings.
   }
 }
 
+// Service for the notification channels configured from the environment
+AlertNotificationService.fromEnv = function() {
+  return new AlertNotificationService({
+    dashboardUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+    slack: { webhookUrl: process.env.ALERT_SLACK_WEBHOOK_URL },
+    email: process.env.ALERT_SMTP_HOST ? {
+      host: process.env.ALERT_SMTP_HOST,
+      port: parseInt(process.env.ALERT_SMTP_PORT) || 587,
+      secure: process.env.ALERT_SMTP_SECURE === 'true',
+      user: process.env.ALERT_SMTP_USER,
+      password: process.env.ALERT_SMTP_PASSWORD,
+      from: process.env.ALERT_EMAIL_FROM,
+      to: process.env.ALERT_EMAIL_TO
+    } : null,
+    webhook: process.env.ALERT_WEBHOOK_URL ? { url: process.env.ALERT_WEBHOOK_URL } : null
+  });
+};
+
 module.exports = AlertNotificationService;
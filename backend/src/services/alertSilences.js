@@ -0,0 +1,169 @@
+const { Op } = require('sequelize');
+const { AlertSilence } = require('../database/models');
+const { parseCron, lastOccurrence, nextOccurrence } = require('../utils/cron');
+const { logger } = require('../utils/logger');
+
+// Longest recurring maintenance window, which bounds how far back a window start is searched
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+// How far ahead the next window of a recurring silence is looked up for display
+const NEXT_WINDOW_LOOKAHEAD_MINUTES = 31 * 24 * 60;
+
+// Decides whether an alert is silenced. An alert is silenced while its pipeline is in
+// maintenance, or while a silence matches it. A silence matches when each scope field it sets
+// (pipeline_id, alert_id, severity, labels) matches the alert. It is in force between starts_at
+// and ends_at; with a schedule, only during the duration_minutes after each cron occurrence
+// in that range
+class AlertSilenceService {
+  constructor() {
+    // Next window start of each recurring silence, by silence id, so listing silences doesn't
+    // scan a month of minutes per silence on every request (see nextWindowStart)
+    this.nextStarts = new Map();
+  }
+
+  // What silences the alert at the given time, or null; alert.pipeline must be loaded for the
+  // maintenance check
+  async findSilence(alert, at = new Date()) {
+    if (alert.pipeline?.status === 'maintenance') {
+      return {
+        type: 'pipeline_maintenance',
+        silence_id: null,
+        reason: `Pipeline ${alert.pipeline.name} is in maintenance`,
+        ends_at: null
+      };
+    }
+
+    const silences = await AlertSilence.findAll({
+      where: {
+        starts_at: { [Op.lte]: at },
+        [Op.or]: [{ ends_at: null }, { ends_at: { [Op.gt]: at } }]
+      },
+      order: [['created_at', 'ASC']]
+    });
+
+    for (const silence of silences) {
+      if (!this.matches(silence, alert)) continue;
+
+      const window = this.currentWindow(silence, at);
+      if (window) {
+        return {
+          type: silence.schedule ? 'maintenance_window' : 'silence',
+          silence_id: silence.id,
+          reason: silence.reason,
+          ends_at: window.ends_at
+        };
+      }
+    }
+
+    return null;
+  }
+
+  matches(silence, alert) {
+    if (silence.pipeline_id && silence.pipeline_id !== alert.pipeline_id) return false;
+    if (silence.alert_id && silence.alert_id !== alert.id) return false;
+    if (silence.severity && silence.severity !== alert.severity) return false;
+
+    const alertLabels = alert.labels || {};
+    return Object.entries(silence.labels || {}).every(([key, value]) => String(alertLabels[key]) === String(value));
+  }
+
+  // The stretch of the silence in force at the given time ({ starts_at, ends_at }), or null
+  currentWindow(silence, at = new Date()) {
+    const time = new Date(at);
+    if (new Date(silence.starts_at) > time || (silence.ends_at && new Date(silence.ends_at) <= time)) {
+      return null;
+    }
+
+    if (!silence.schedule) {
+      return { starts_at: new Date(silence.starts_at), ends_at: silence.ends_at ? new Date(silence.ends_at) : null };
+    }
+
+    try {
+      // The window holding this minute opened at most duration_minutes - 1 minutes ago
+      const duration = Math.min(silence.duration_minutes || 0, MAX_WINDOW_MINUTES);
+      const start = duration > 0 ? lastOccurrence(silence.schedule, time, duration - 1) : null;
+      return start ? { starts_at: start, ends_at: new Date(start.getTime() + duration * 60 * 1000) } : null;
+    } catch (error) {
+      logger.warn(`Ignoring silence ${silence.id} with invalid schedule: ${error.message}`);
+      return null;
+    }
+  }
+
+  // active: in force now; scheduled: starts later, or between windows of a recurring silence;
+  // expired: past its end
+  getState(silence, at = new Date()) {
+    if (silence.ends_at && new Date(silence.ends_at) <= new Date(at)) return 'expired';
+    return this.currentWindow(silence, at) ? 'active' : 'scheduled';
+  }
+
+  // Silence as returned by the API, with its state and current or next window
+  describe(silence, at = new Date()) {
+    const state = this.getState(silence, at);
+    let window = state === 'active' ? this.currentWindow(silence, at) : null;
+
+    if (!window && state === 'scheduled') {
+      const from = new Date(Math.max(new Date(at).getTime(), new Date(silence.starts_at).getTime() - 60 * 1000));
+      const start = silence.schedule ? this.nextWindowStart(silence, from) : new Date(silence.starts_at);
+      if (start && (!silence.ends_at || start < new Date(silence.ends_at))) {
+        window = {
+          starts_at: start,
+          ends_at: silence.schedule ? new Date(start.getTime() + silence.duration_minutes * 60 * 1000) : silence.ends_at
+        };
+      }
+    }
+
+    return {
+      ...silence.toJSON(),
+      state,
+      window
+    };
+  }
+
+  // First occurrence of a recurring silence after from, within NEXT_WINDOW_LOOKAHEAD_MINUTES. A
+  // cached start stays valid for later times before it, as nothing between the time it was
+  // searched from and the start matched the same schedule
+  nextWindowStart(silence, from) {
+    const cached = this.nextStarts.get(silence.id);
+    if (cached && cached.schedule === silence.schedule && cached.from <= from && cached.start > from) {
+      return cached.start;
+    }
+
+    const start = nextOccurrence(silence.schedule, from, NEXT_WINDOW_LOOKAHEAD_MINUTES);
+    if (start) {
+      this.nextStarts.set(silence.id, { schedule: silence.schedule, from, start });
+    } else {
+      this.nextStarts.delete(silence.id);
+    }
+    return start;
+  }
+
+  // Validation error message for a silence definition, or null when it is valid
+  validate({ pipeline_id, alert_id, severity, labels, starts_at, ends_at, schedule, duration_minutes }) {
+    if (!pipeline_id && !alert_id && !severity && Object.keys(labels || {}).length === 0) {
+      return 'A silence needs at least one of pipeline_id, alert_id, severity or labels';
+    }
+
+    if (starts_at && ends_at && new Date(ends_at) <= new Date(starts_at)) {
+      return 'ends_at must be after starts_at';
+    }
+
+    if (schedule) {
+      try {
+        parseCron(schedule);
+      } catch (error) {
+        return error.message;
+      }
+      if (!duration_minutes) {
+        return 'Recurring maintenance windows need duration_minutes';
+      }
+    } else if (!ends_at) {
+      return 'A one-off silence needs ends_at';
+    }
+
+    return null;
+  }
+}
+
+AlertSilenceService.MAX_WINDOW_MINUTES = MAX_WINDOW_MINUTES;
+
+module.exports = AlertSilenceService;
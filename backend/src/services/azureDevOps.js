@@ -0,0 +1,347 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+class AzureDevOpsService {
+  // config.adapter is passed through to axios so the client can be pointed at
+  // a recorded-fixture stub instead of dev.azure.com
+  constructor(config) {
+    this.organizationUrl = config.organizationUrl.replace(/\/+$/, '');
+    this.project = config.project;
+    this.accessToken = config.accessToken;
+    this.apiVersion = config.apiVersion || '7.1';
+    this.timeout = config.timeout || 30000;
+
+    // Personal access tokens are sent as the password of basic auth with an empty username
+    this.client = axios.create({
+      baseURL: `${this.organizationUrl}/${encodeURIComponent(this.project)}/_apis`,
+      timeout: this.timeout,
+      auth: {
+        username: '',
+        password: this.accessToken
+      },
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      adapter: config.adapter
+    });
+
+    // Every Azure DevOps REST call needs an explicit api-version
+    this.client.interceptors.request.use((requestConfig) => {
+      requestConfig.params = { 'api-version': this.apiVersion, ...requestConfig.params };
+      return requestConfig;
+    });
+
+    // Add response interceptor for error handling
+    this.client.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        logger.error('Azure DevOps API error:', {
+          status: error.response?.status,
+          statusText: error.response?.statusText,
+          url: error.config?.url,
+          method: error.config?.method,
+          error: error.message
+        });
+        throw error;
+      }
+    );
+  }
+
+  // Build the client config for a stored pipeline. Organization and project come from
+  // pipeline.config, or from a https://dev.azure.com/{organization}/{project}
+  // (or https://{organization}.visualstudio.com/{project}) URL. options (adapter, timeout,
+  // apiVersion) are merged in
+  static configFromPipeline(pipeline, options = {}) {
+    const config = pipeline.config || {};
+    const url = new URL(pipeline.url);
+    // Segments are decoded, since the client encodes the project again
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const hostedOrganization = url.hostname === 'dev.azure.com';
+
+    return {
+      organizationUrl: config.organization_url || (hostedOrganization ? `${url.origin}/${segments[0]}` : url.origin),
+      project: config.project || (hostedOrganization ? segments[1] : segments[0]),
+      accessToken: pipeline.token,
+      ...options
+    };
+  }
+
+  // Test connection to Azure DevOps by reading the configured project
+  async testConnection() {
+    try {
+      const response = await this.client.get(`${this.organizationUrl}/_apis/projects/${encodeURIComponent(this.project)}`);
+      return {
+        success: true,
+        data: {
+          project_id: response.data.id,
+          name: response.data.name,
+          state: response.data.state,
+          url: response.data.url
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        details: error.response?.data
+      };
+    }
+  }
+
+  // Get pipeline definitions in the project
+  async getPipelines() {
+    try {
+      const response = await this.client.get('/pipelines');
+
+      const pipelines = response.data.value.map(pipeline => ({
+        id: pipeline.id,
+        name: pipeline.name,
+        folder: pipeline.folder,
+        revision: pipeline.revision,
+        web_url: pipeline._links?.web?.href
+      }));
+
+      return {
+        success: true,
+        data: pipelines
+      };
+    } catch (error) {
+      logger.error(`Error fetching Azure DevOps pipelines for ${this.project}:`, error);
+      throw error;
+    }
+  }
+
+  // Get recent runs, optionally limited to one pipeline definition.
+  // Uses the builds API because pipeline runs omit branch, commit and requester
+  async getRuns(options = {}) {
+    try {
+      const params = {
+        $top: options.top || 20,
+        queryOrder: 'queueTimeDescending'
+      };
+
+      if (options.definitionId) {
+        params.definitions = options.definitionId;
+      }
+      if (options.branch) {
+        params.branchName = `refs/heads/${options.branch}`;
+      }
+
+      const response = await this.client.get('/build/builds', { params });
+
+      return {
+        success: true,
+        data: response.data.value.map(build => this.transformBuild(build))
+      };
+    } catch (error) {
+      logger.error(`Error fetching Azure DevOps runs for ${this.project}:`, error);
+      throw error;
+    }
+  }
+
+  // Get specific run details with its stage/job timeline
+  async getRun(runId) {
+    try {
+      const [buildResponse, timelineResponse] = await Promise.all([
+        this.client.get(`/build/builds/${runId}`),
+        this.client.get(`/build/builds/${runId}/timeline`).catch(() => ({ data: { records: [] } }))
+      ]);
+
+      return {
+        success: true,
+        data: {
+          ...this.transformBuild(buildResponse.data),
+          timeline: this.transformTimeline(timelineResponse.data?.records || [])
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching Azure DevOps run ${this.project}#${runId}:`, error);
+      throw error;
+    }
+  }
+
+  // Get the logs of a run; without a log id the available logs are listed
+  async getRunLogs(runId, logId = null) {
+    try {
+      if (logId) {
+        const response = await this.client.get(`/build/builds/${runId}/logs/${logId}`, {
+          headers: { 'Accept': 'text/plain' },
+          responseType: 'text'
+        });
+
+        return {
+          success: true,
+          data: {
+            log: response.data,
+            log_id: parseInt(logId),
+            run_id: runId
+          }
+        };
+      }
+
+      const response = await this.client.get(`/build/builds/${runId}/logs`);
+
+      return {
+        success: true,
+        data: {
+          run_id: runId,
+          logs: response.data.value.map(log => ({
+            id: log.id,
+            line_count: log.lineCount,
+            created_at: log.createdOn,
+            updated_at: log.lastChangedOn,
+            url: log.url
+          }))
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching Azure DevOps logs for run ${this.project}#${runId}:`, error);
+      throw error;
+    }
+  }
+
+  // Trigger a new run of a pipeline definition
+  async triggerPipeline(definitionId, branch, variables = {}) {
+    try {
+      const payload = {
+        resources: {
+          repositories: {
+            self: { refName: `refs/heads/${branch}` }
+          }
+        },
+        variables: Object.fromEntries(
+          Object.entries(variables).map(([key, value]) => [key, { value: String(value) }])
+        )
+      };
+
+      const response = await this.client.post(`/pipelines/${definitionId}/runs`, payload);
+
+      return {
+        success: true,
+        data: {
+          message: 'Pipeline run queued successfully',
+          run: {
+            id: response.data.id,
+            name: response.data.name,
+            state: response.data.state,
+            web_url: response.data._links?.web?.href
+          }
+        }
+      };
+    } catch (error) {
+      logger.error(`Error triggering Azure DevOps pipeline ${this.project}#${definitionId}:`, error);
+      throw error;
+    }
+  }
+
+  // Cancel a queued or running run
+  async cancelRun(runId) {
+    try {
+      const response = await this.client.patch(`/build/builds/${runId}`, { status: 'cancelling' });
+
+      return {
+        success: true,
+        data: {
+          message: 'Run cancellation requested successfully',
+          run: {
+            id: response.data.id,
+            status: response.data.status
+          }
+        }
+      };
+    } catch (error) {
+      logger.error(`Error cancelling Azure DevOps run ${this.project}#${runId}:`, error);
+      throw error;
+    }
+  }
+
+  // Retry the failed stages of a completed run
+  async retryRun(runId) {
+    try {
+      const response = await this.client.patch(`/build/builds/${runId}`, {}, { params: { retry: true } });
+
+      return {
+        success: true,
+        data: {
+          message: 'Run retry requested successfully',
+          run: {
+            id: response.data.id,
+            status: response.data.status
+          }
+        }
+      };
+    } catch (error) {
+      logger.error(`Error retrying Azure DevOps run ${this.project}#${runId}:`, error);
+      throw error;
+    }
+  }
+
+  // Transform an Azure DevOps build to our format
+  transformBuild(build) {
+    const startedAt = build.startTime ? new Date(build.startTime) : null;
+    const finishedAt = build.finishTime ? new Date(build.finishTime) : null;
+
+    return {
+      id: build.id,
+      build_number: build.buildNumber,
+      definition: {
+        id: build.definition?.id,
+        name: build.definition?.name
+      },
+      status: this.mapBuildStatus(build.status, build.result),
+      branch: build.sourceBranch?.replace('refs/heads/', ''),
+      commit_hash: build.sourceVersion,
+      requested_by: build.requestedFor?.displayName,
+      reason: build.reason,
+      queued_at: build.queueTime,
+      started_at: build.startTime,
+      finished_at: build.finishTime,
+      duration: startedAt && finishedAt ? Math.floor((finishedAt - startedAt) / 1000) : null,
+      web_url: build._links?.web?.href
+    };
+  }
+
+  // Flatten timeline records into stages and jobs, ordered as Azure runs them
+  transformTimeline(records) {
+    return records
+      .filter(record => ['Stage', 'Job'].includes(record.type))
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map(record => ({
+        id: record.id,
+        parent_id: record.parentId,
+        type: record.type.toLowerCase(),
+        name: record.name,
+        status: this.mapBuildStatus(record.state === 'completed' ? 'completed' : record.state, record.result),
+        started_at: record.startTime,
+        finished_at: record.finishTime,
+        worker: record.workerName,
+        log_id: record.log?.id || null
+      }));
+  }
+
+  // Utility methods for status mapping
+  mapBuildStatus(status, result) {
+    if (status === 'completed') {
+      switch (result) {
+        case 'succeeded': return 'success';
+        case 'partiallySucceeded': return 'failed';
+        case 'failed': return 'failed';
+        case 'canceled': return 'cancelled';
+        case 'skipped': return 'cancelled';
+        default: return 'failed';
+      }
+    }
+
+    switch (status) {
+      case 'inProgress': return 'running';
+      case 'cancelling': return 'cancelled';
+      case 'notStarted':
+      case 'pending':
+      case 'postponed':
+        return 'pending';
+      default: return 'pending';
+    }
+  }
+}
+
+module.exports = AzureDevOpsService;
@@ -0,0 +1,296 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+class CircleCIService {
+  constructor(config) {
+    this.baseUrl = config.baseUrl || 'https://circleci.com';
+    this.apiToken = config.apiToken;
+    this.timeout = config.timeout || 30000;
+
+    // Create axios instance for the v2 API with the personal API token
+    this.client = axios.create({
+      baseURL: `${this.baseUrl}/api/v2`,
+      timeout: this.timeout,
+      headers: {
+        'Circle-Token': this.apiToken,
+        'Content-Type': 'application/json'
+      },
+      adapter: config.adapter
+    });
+
+    // Add response interceptor for error handling
+    this.client.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        logger.error('CircleCI API error:', {
+          status: error.response?.status,
+          statusText: error.response?.statusText,
+          url: error.config?.url,
+          method: error.config?.method,
+          error: error.message
+        });
+        throw error;
+      }
+    );
+  }
+
+  // Test connection to CircleCI
+  async testConnection() {
+    try {
+      const response = await this.client.get('/me');
+      return {
+        success: true,
+        data: {
+          user_id: response.data.id,
+          login: response.data.login,
+          name: response.data.name
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        details: error.response?.data
+      };
+    }
+  }
+
+  // Get recent pipelines of a project, e.g. gh/org/repo
+  async getProjectPipelines(projectSlug, options = {}) {
+    try {
+      const params = {};
+      if (options.branch) params.branch = options.branch;
+      if (options.pageToken) params['page-token'] = options.pageToken;
+
+      const response = await this.client.get(`/project/${projectSlug}/pipeline`, { params });
+
+      const pipelines = response.data.items.map(pipeline => ({
+        id: pipeline.id,
+        number: pipeline.number,
+        state: pipeline.state,
+        created_at: pipeline.created_at,
+        updated_at: pipeline.updated_at,
+        trigger_type: pipeline.trigger?.type,
+        actor: pipeline.trigger?.actor?.login,
+        branch: pipeline.vcs?.branch,
+        tag: pipeline.vcs?.tag,
+        revision: pipeline.vcs?.revision,
+        commit_message: pipeline.vcs?.commit?.subject
+      }));
+
+      return {
+        success: true,
+        data: pipelines,
+        next_page_token: response.data.next_page_token
+      };
+    } catch (error) {
+      logger.error(`Error fetching CircleCI pipelines for ${projectSlug}:`, error);
+      throw error;
+    }
+  }
+
+  // Get specific pipeline details
+  async getPipeline(pipelineId) {
+    try {
+      const response = await this.client.get(`/pipeline/${pipelineId}`);
+      const pipeline = response.data;
+
+      return {
+        success: true,
+        data: {
+          id: pipeline.id,
+          number: pipeline.number,
+          state: pipeline.state,
+          created_at: pipeline.created_at,
+          trigger_type: pipeline.trigger?.type,
+          actor: pipeline.trigger?.actor?.login,
+          branch: pipeline.vcs?.branch,
+          tag: pipeline.vcs?.tag,
+          revision: pipeline.vcs?.revision,
+          commit_message: pipeline.vcs?.commit?.subject
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching CircleCI pipeline ${pipelineId}:`, error);
+      throw error;
+    }
+  }
+
+  // Get the workflows of a pipeline
+  async getPipelineWorkflows(pipelineId) {
+    try {
+      const response = await this.client.get(`/pipeline/${pipelineId}/workflow`);
+
+      return {
+        success: true,
+        data: response.data.items.map(workflow => this.transformWorkflow(workflow))
+      };
+    } catch (error) {
+      logger.error(`Error fetching CircleCI workflows for pipeline ${pipelineId}:`, error);
+      throw error;
+    }
+  }
+
+  // Get specific workflow details
+  async getWorkflow(workflowId) {
+    try {
+      const response = await this.client.get(`/workflow/${workflowId}`);
+
+      return {
+        success: true,
+        data: this.transformWorkflow(response.data)
+      };
+    } catch (error) {
+      logger.error(`Error fetching CircleCI workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  // Get the jobs of a workflow
+  async getWorkflowJobs(workflowId) {
+    try {
+      const response = await this.client.get(`/workflow/${workflowId}/job`);
+
+      const jobs = response.data.items.map(job => ({
+        id: job.id,
+        job_number: job.job_number,
+        name: job.name,
+        type: job.type,
+        status: job.status,
+        started_at: job.started_at,
+        stopped_at: job.stopped_at
+      }));
+
+      return {
+        success: true,
+        data: jobs
+      };
+    } catch (error) {
+      logger.error(`Error fetching CircleCI jobs for workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  // Trigger a new pipeline on a branch
+  async triggerPipeline(projectSlug, branch, parameters = {}) {
+    try {
+      const response = await this.client.post(`/project/${projectSlug}/pipeline`, {
+        branch,
+        parameters
+      });
+
+      return {
+        success: true,
+        data: {
+          message: 'Pipeline triggered successfully',
+          pipeline: {
+            id: response.data.id,
+            number: response.data.number,
+            state: response.data.state,
+            created_at: response.data.created_at
+          }
+        }
+      };
+    } catch (error) {
+      logger.error(`Error triggering CircleCI pipeline for ${projectSlug}:`, error);
+      throw error;
+    }
+  }
+
+  // Cancel a running workflow
+  async cancelWorkflow(workflowId) {
+    try {
+      await this.client.post(`/workflow/${workflowId}/cancel`);
+
+      return {
+        success: true,
+        data: {
+          message: 'Workflow cancelled successfully',
+          workflow_id: workflowId
+        }
+      };
+    } catch (error) {
+      logger.error(`Error cancelling CircleCI workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  // Rerun a workflow, optionally only its failed jobs
+  async rerunWorkflow(workflowId, fromFailed = false) {
+    try {
+      await this.client.post(`/workflow/${workflowId}/rerun`, { from_failed: fromFailed });
+
+      return {
+        success: true,
+        data: {
+          message: 'Workflow rerun initiated successfully',
+          workflow_id: workflowId
+        }
+      };
+    } catch (error) {
+      logger.error(`Error rerunning CircleCI workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  // Transform a CircleCI workflow to our format
+  transformWorkflow(workflow) {
+    const startedAt = workflow.created_at ? new Date(workflow.created_at) : null;
+    const stoppedAt = workflow.stopped_at ? new Date(workflow.stopped_at) : null;
+
+    return {
+      id: workflow.id,
+      name: workflow.name,
+      pipeline_id: workflow.pipeline_id,
+      pipeline_number: workflow.pipeline_number,
+      status: workflow.status,
+      created_at: workflow.created_at,
+      stopped_at: workflow.stopped_at,
+      duration: startedAt && stoppedAt ? Math.floor((stoppedAt - startedAt) / 1000) : null
+    };
+  }
+
+  // Utility methods for status mapping
+  mapWorkflowStatus(circleStatus) {
+    switch (circleStatus) {
+      case 'success': return 'success';
+      case 'failed':
+      case 'error':
+      case 'unauthorized':
+        return 'failed';
+      case 'canceled':
+      case 'not_run':
+        return 'cancelled';
+      case 'running':
+      case 'failing':
+        return 'running';
+      case 'on_hold': return 'pending';
+      default: return 'pending';
+    }
+  }
+
+  mapJobStatus(circleStatus) {
+    switch (circleStatus) {
+      case 'success': return 'success';
+      case 'failed':
+      case 'infrastructure_fail':
+      case 'timedout':
+      case 'terminated-unknown':
+      case 'unauthorized':
+        return 'failed';
+      case 'canceled':
+      case 'not_run':
+      case 'retried':
+        return 'cancelled';
+      case 'running': return 'running';
+      case 'queued':
+      case 'not_running':
+      case 'on_hold':
+      case 'blocked':
+        return 'pending';
+      default: return 'pending';
+    }
+  }
+}
+
+module.exports = CircleCIService;
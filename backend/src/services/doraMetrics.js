@@ -0,0 +1,209 @@
+const { Op, fn, col } = require('sequelize');
+const { Build, BuildJob, Pipeline } = require('../database/models');
+const { logger } = require('../utils/logger');
+const statistics = require('../utils/statistics');
+
+// Job names that mark a build as a deployment unless the pipeline sets config.deploy_job_pattern
+const DEFAULT_DEPLOY_JOB_PATTERN = process.env.DORA_DEPLOY_JOB_PATTERN || '^deploy';
+
+const ROLLUP_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// DORA metrics over the finished deployment builds of a window:
+// - deployment frequency: successful deployments per day
+// - lead time: commit time (committed_at, else the first build of the commit) to successful deploy
+// - change failure rate: share of deployments that failed
+// - time to restore: first failed deployment to the next successful one of the same pipeline
+// Durations are in seconds
+class DoraMetricsService {
+  async getMetrics({ days = 30, pipelineId = null } = {}) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const pipelines = await Pipeline.findAll({
+      where: pipelineId ? { id: pipelineId } : {},
+      attributes: ['id', 'name', 'config']
+    });
+
+    const builds = await Build.findAll({
+      where: {
+        pipeline_id: { [Op.in]: pipelines.map(pipeline => pipeline.id) },
+        status: { [Op.in]: ['success', 'failed'] },
+        started_at: { [Op.gte]: since }
+      },
+      attributes: ['id', 'pipeline_id', 'status', 'commit_hash', 'committed_at', 'started_at', 'completed_at'],
+      include: [{ model: BuildJob, as: 'jobs', attributes: ['name'], required: false }],
+      order: [['started_at', 'ASC']]
+    });
+
+    const matchers = new Map(pipelines.map(pipeline => [pipeline.id, this.deploymentMatcher(pipeline)]));
+    const deployments = builds
+      .filter(build => matchers.get(build.pipeline_id)(build))
+      .map(build => ({
+        id: build.id,
+        pipeline_id: build.pipeline_id,
+        status: build.status,
+        commit_hash: build.commit_hash,
+        committed_at: build.committed_at,
+        started_at: build.started_at,
+        finished_at: build.completed_at || build.started_at
+      }))
+      .sort((a, b) => new Date(a.finished_at) - new Date(b.finished_at));
+
+    const commitTimes = await this.getCommitTimes(deployments);
+    const leadTimes = deployments
+      .filter(deployment => deployment.status === 'success')
+      .map(deployment => {
+        const committedAt = deployment.committed_at || commitTimes.get(deployment.commit_hash);
+        if (!committedAt) return null;
+        const seconds = Math.round((new Date(deployment.finished_at) - new Date(committedAt)) / 1000);
+        return seconds >= 0 ? { at: deployment.finished_at, seconds } : null;
+      })
+      .filter(Boolean);
+    const restores = this.findRestores(deployments);
+
+    const rollups = {};
+    for (const period of ROLLUP_PERIODS) {
+      rollups[period] = this.rollup(period, deployments, leadTimes, restores);
+    }
+
+    return {
+      period_days: days,
+      pipeline_id: pipelineId,
+      summary: this.summarize(deployments, leadTimes, restores, days),
+      rollups
+    };
+  }
+
+  // Predicate telling whether a build of the pipeline is a deployment: every build of a pipeline
+  // with config.deploy_pipeline set is one, otherwise one of its jobs has to match the deploy job
+  // pattern. Build environments hold the CI provider ('github-actions', 'jenkins', ...) rather
+  // than a deploy target, so they are not used
+  deploymentMatcher(pipeline) {
+    if (pipeline.config?.deploy_pipeline) {
+      return () => true;
+    }
+
+    let jobPattern = null;
+    try {
+      jobPattern = new RegExp(pipeline.config?.deploy_job_pattern || DEFAULT_DEPLOY_JOB_PATTERN, 'i');
+    } catch (error) {
+      logger.warn(`Ignoring invalid deploy_job_pattern of pipeline ${pipeline.id}`);
+    }
+
+    return (build) => Boolean(jobPattern && (build.jobs || []).some(job => jobPattern.test(job.name)));
+  }
+
+  // Earliest build of each deployed commit, used as its commit time when committed_at is unknown
+  async getCommitTimes(deployments) {
+    const hashes = [...new Set(deployments
+      .filter(deployment => !deployment.committed_at && deployment.commit_hash)
+      .map(deployment => deployment.commit_hash))];
+    if (hashes.length === 0) return new Map();
+
+    const rows = await Build.findAll({
+      where: { commit_hash: { [Op.in]: hashes } },
+      attributes: ['commit_hash', [fn('MIN', col('started_at')), 'first_seen_at']],
+      group: ['commit_hash'],
+      raw: true
+    });
+
+    return new Map(rows.map(row => [row.commit_hash, row.first_seen_at]));
+  }
+
+  // Failed→success transitions per pipeline: a failure streak starts at its first failed
+  // deployment and is restored by the next successful one. Unrestored streaks are left out
+  findRestores(deployments) {
+    const failingSince = new Map();
+    const restores = [];
+
+    for (const deployment of deployments) {
+      const since = failingSince.get(deployment.pipeline_id);
+      if (deployment.status === 'failed') {
+        if (!since) failingSince.set(deployment.pipeline_id, deployment.finished_at);
+      } else if (since) {
+        restores.push({
+          pipeline_id: deployment.pipeline_id,
+          at: deployment.finished_at,
+          seconds: Math.round((new Date(deployment.finished_at) - new Date(since)) / 1000)
+        });
+        failingSince.delete(deployment.pipeline_id);
+      }
+    }
+
+    return restores;
+  }
+
+  summarize(deployments, leadTimes, restores, days) {
+    const successful = deployments.filter(deployment => deployment.status === 'success').length;
+    const failed = deployments.length - successful;
+
+    return {
+      deployments: deployments.length,
+      successful_deployments: successful,
+      failed_deployments: failed,
+      deployment_frequency: Math.round((successful / days) * 100) / 100,
+      lead_time: this.average(leadTimes.map(entry => entry.seconds)),
+      median_lead_time: this.median(leadTimes.map(entry => entry.seconds)),
+      change_failure_rate: deployments.length > 0 ? Math.round((failed / deployments.length) * 10000) / 100 : 0,
+      time_to_restore: this.average(restores.map(entry => entry.seconds)),
+      restores: restores.length
+    };
+  }
+
+  // Per-period figures, oldest period first
+  rollup(period, deployments, leadTimes, restores) {
+    const buckets = new Map();
+    const bucketFor = (date) => {
+      const key = this.periodStart(period, date);
+      if (!buckets.has(key)) {
+        buckets.set(key, { period_start: key, deployments: 0, failed_deployments: 0, lead_times: [], restore_times: [] });
+      }
+      return buckets.get(key);
+    };
+
+    deployments.forEach(deployment => {
+      const bucket = bucketFor(deployment.finished_at);
+      bucket.deployments++;
+      if (deployment.status === 'failed') bucket.failed_deployments++;
+    });
+    leadTimes.forEach(entry => bucketFor(entry.at).lead_times.push(entry.seconds));
+    restores.forEach(entry => bucketFor(entry.at).restore_times.push(entry.seconds));
+
+    return [...buckets.values()]
+      .sort((a, b) => a.period_start.localeCompare(b.period_start))
+      .map(({ lead_times: leadTimeValues, restore_times: restoreTimes, ...bucket }) => ({
+        ...bucket,
+        successful_deployments: bucket.deployments - bucket.failed_deployments,
+        change_failure_rate: bucket.deployments > 0
+          ? Math.round((bucket.failed_deployments / bucket.deployments) * 10000) / 100
+          : 0,
+        lead_time: this.average(leadTimeValues),
+        time_to_restore: this.average(restoreTimes)
+      }));
+  }
+
+  // UTC start date of the period containing the date; weeks start on Monday
+  periodStart(period, date) {
+    const start = new Date(date);
+    start.setUTCHours(0, 0, 0, 0);
+    if (period === 'weekly') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (period === 'monthly') {
+      start.setUTCDate(1);
+    }
+    return start.toISOString().split('T')[0];
+  }
+
+  average(values) {
+    return statistics.round(statistics.mean(values), 0);
+  }
+
+  median(values) {
+    return statistics.round(statistics.percentile([...values].sort((a, b) => a - b), 50), 0);
+  }
+}
+
+DoraMetricsService.DEFAULT_DEPLOY_JOB_PATTERN = DEFAULT_DEPLOY_JOB_PATTERN;
+DoraMetricsService.ROLLUP_PERIODS = ROLLUP_PERIODS;
+
+module.exports = DoraMetricsService;
@@ -93,6 +93,7 @@ class EmailService {
           .alert-details { background-color: white; padding: 15px; border-radius: 5px; margin-top: 15px; }
           .severity-badge { display: inline-block; padding: 5px 10px; border-radius: 15px; color: white; font-weight: bold; }
           .timestamp { color: #666; font-size: 12px; }
+          .excerpt { background-color: #263238; color: #eceff1; padding: 10px; border-radius: 5px; font-size: 12px; white-space: pre-wrap; }
         </style>
       </head>
       <body>
@@ -108,6 +109,8 @@ class EmailService {
             <p><strong>Severity:</strong> <span class="severity-badge" style="background-color: ${severityColor};">${alert.severity.toUpperCase()}</span></p>
             <p><strong>Build ID:</strong> ${alert.build_id || 'N/A'}</p>
             <p><strong>Pipeline ID:</strong> ${alert.pipeline_id || 'N/A'}</p>
+            ${alert.failure_category ? `<p><strong>Failure Category:</strong> ${this.formatFailureCategory(alert.failure_category)}</p>` : ''}
+            ${alert.failure_excerpt ? `<pre class="excerpt">${this.escapeHtml(alert.failure_excerpt)}</pre>` : ''}
             <p class="timestamp"><strong>Timestamp:</strong> ${new Date(alert.timestamp).toLocaleString()}</p>
           </div>
           
@@ -134,8 +137,8 @@ Type: ${alert.type.replace('_', ' ').toUpperCase()}
 Severity: ${alert.severity.toUpperCase()}
 Build ID: ${alert.build_id || 'N/A'}
 Pipeline ID: ${alert.pipeline_id || 'N/A'}
-Timestamp: ${new Date(alert.timestamp).toLocaleString()}
-
+${alert.failure_category ? `Failure Category: ${this.formatFailureCategory(alert.failure_category)}\n` : ''}Timestamp: ${new Date(alert.timestamp).toLocaleString()}
+${alert.failure_excerpt ? `\nLog excerpt:\n${alert.failure_excerpt}\n` : ''}
 This is an automated alert from your CI/CD Dashboard. 
 Please investigate the pipeline issue and take appropriate action.
     `;
@@ -168,6 +171,18 @@ Please investigate the pipeline issue and take appropriate action.
     }
   }
 
+  formatFailureCategory(category) {
+    return category.replace(/_/g, ' ').toUpperCase();
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   logAlertToConsole(alert) {
     const statusEmoji = this.getStatusEmoji(alert.status);
     const severityColor = this.getSeverityColor(alert.severity);
@@ -179,6 +194,9 @@ Please investigate the pipeline issue and take appropriate action.
     console.log(`Severity: ${alert.severity.toUpperCase()}`);
     console.log(`Build ID: ${alert.build_id || 'N/A'}`);
     console.log(`Pipeline ID: ${alert.pipeline_id || 'N/A'}`);
+    if (alert.failure_category) {
+      console.log(`Failure Category: ${this.formatFailureCategory(alert.failure_category)}`);
+    }
     console.log(`Timestamp: ${new Date(alert.timestamp).toLocaleString()}`);
     console.log('='.repeat(60) + '\n');
   }
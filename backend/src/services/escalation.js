@@ -0,0 +1,277 @@
+const { Op } = require('sequelize');
+const { Alert, AlertHistory, EscalationPolicy, IncidentEvent, OnCallSchedule, Pipeline, User } = require('../database/models');
+const AlertNotificationService = require('./alertNotification');
+const AlertSilenceService = require('./alertSilences');
+const OnCallService = require('./onCall');
+const { logger } = require('../utils/logger');
+
+const CHANNELS = ['slack', 'email', 'webhook'];
+
+// Longest wait before a step, so a typo cannot park an escalation for weeks
+const MAX_STEP_DELAY_MINUTES = 24 * 60;
+
+const MAX_REPEAT_COUNT = 10;
+
+// How long a due step waits before silences are checked again when the silence has no end,
+// e.g. while the pipeline is in maintenance
+const SILENCED_RECHECK_MINUTES = 15;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Escalates triggered alerts that nobody acknowledges. An alert with an escalation policy works
+// through the policy's steps once it triggers: each step waits delay_minutes after the previous
+// one (the first after the trigger), then notifies its users, whoever is on call for its
+// schedules and its channels, and records an 'escalated' history row. After the last step the
+// steps run again repeat_count times. Acknowledging or resolving the alert clears
+// next_escalation_at, which stops it. A step that falls due while a silence or pipeline
+// maintenance covers the alert is deferred until the silence ends
+class EscalationService {
+  constructor(options = {}) {
+    this.notificationService = options.notificationService || AlertNotificationService.fromEnv();
+    this.onCallService = options.onCallService || new OnCallService();
+    this.silenceService = options.silenceService || new AlertSilenceService();
+  }
+
+  // Start escalating a newly triggered alert; a first step without delay is notified right away.
+  // Returns the escalated history row id, or null
+  async start(alert) {
+    if (!alert.escalation_policy_id) return null;
+
+    const policy = await EscalationPolicy.findByPk(alert.escalation_policy_id);
+    if (!policy || policy.getTotalSteps() === 0) return null;
+
+    alert.escalation_level = 0;
+    alert.next_escalation_at = this.getStepTime(policy, 0, alert.last_triggered || new Date());
+    await alert.save();
+
+    if (alert.next_escalation_at <= new Date()) {
+      return this.escalate(alert, policy);
+    }
+    return null;
+  }
+
+  // Notify the steps that are due; run on a schedule
+  async escalateDue(at = new Date()) {
+    const alerts = await Alert.findAll({
+      where: { status: 'triggered', next_escalation_at: { [Op.lte]: at } },
+      include: [
+        { model: Pipeline, as: 'pipeline' },
+        { model: EscalationPolicy, as: 'escalation_policy' }
+      ],
+      order: [['next_escalation_at', 'ASC']]
+    });
+
+    const historyIds = [];
+    for (const alert of alerts) {
+      try {
+        const silence = await this.silenceService.findSilence(alert, at);
+        if (silence) {
+          await this.defer(alert, silence, at);
+          continue;
+        }
+
+        const historyId = await this.escalate(alert, alert.escalation_policy);
+        if (historyId) historyIds.push(historyId);
+      } catch (error) {
+        logger.error(`Error escalating alert ${alert.id}:`, error);
+      }
+    }
+
+    if (alerts.length > 0) {
+      logger.info(`Escalated ${historyIds.length} of ${alerts.length} due alerts`);
+    }
+    return historyIds;
+  }
+
+  // Push a silenced alert's due step back to the end of the silence
+  async defer(alert, silence, at = new Date()) {
+    alert.next_escalation_at = silence.ends_at
+      ? new Date(silence.ends_at)
+      : new Date(new Date(at).getTime() + SILENCED_RECHECK_MINUTES * 60 * 1000);
+    await alert.save();
+
+    logger.info(`Escalation of alert ${alert.id} deferred to ${alert.next_escalation_at.toISOString()}: ${silence.reason}`);
+  }
+
+  // Notify the alert's next step and schedule the one after; returns the history row id, or
+  // null when there is nothing left to escalate
+  async escalate(alert, policy) {
+    const level = alert.escalation_level || 0;
+    const steps = policy?.steps || [];
+
+    if (alert.status !== 'triggered' || level >= (policy ? policy.getTotalSteps() : 0)) {
+      alert.next_escalation_at = null;
+      await alert.save();
+      return null;
+    }
+
+    const now = new Date();
+    const stepIndex = level % steps.length;
+    const step = steps[stepIndex];
+    const recipients = await this.getRecipients(step, now);
+    const escalation = {
+      policy_id: policy.id,
+      policy_name: policy.name,
+      level,
+      step: stepIndex,
+      round: Math.floor(level / steps.length),
+      unacknowledged_seconds: alert.last_triggered ? Math.floor((now - new Date(alert.last_triggered)) / 1000) : null,
+      recipients
+    };
+
+    const history = await AlertHistory.create({
+      alert_id: alert.id,
+      status: 'escalated',
+      severity: alert.severity,
+      message: `${alert.name}: escalated to step ${stepIndex + 1} of ${policy.name}`,
+      triggered_at: now,
+      recipients,
+      metadata: {
+        escalation_policy_id: policy.id,
+        level,
+        step: stepIndex,
+        round: escalation.round,
+        unacknowledged_seconds: escalation.unacknowledged_seconds
+      }
+    });
+
+    const deliveries = await this.notificationService.sendEscalationNotification(alert, escalation, step.channels || []);
+    const failures = Object.entries(deliveries)
+      .filter(([, delivery]) => !delivery?.success)
+      .map(([channel, delivery]) => `${channel}: ${delivery?.error || 'not sent'}`);
+    await history.markNotificationSent(
+      Object.keys(deliveries).filter(channel => deliveries[channel]?.success),
+      failures.length > 0 ? failures.join('; ') : null
+    );
+
+    alert.escalation_level = level + 1;
+    alert.next_escalation_at = level + 1 < policy.getTotalSteps() ? this.getStepTime(policy, level + 1, now) : null;
+    alert.updated_at = now;
+    await alert.save();
+
+    // The step also goes on the timeline of the incident the trigger was grouped into. It was
+    // already sent, so a failed write must not make the step run again
+    if (alert.metadata?.incident_id) {
+      try {
+        await IncidentEvent.create({
+          incident_id: alert.metadata.incident_id,
+          type: 'alert_escalated',
+          alert_id: alert.id,
+          alert_history_id: history.id,
+          message: `${alert.name} escalated to step ${stepIndex + 1} of ${policy.name}`,
+          metadata: { level, recipients: recipients.map(recipient => recipient.name) }
+        });
+      } catch (error) {
+        logger.error(`Error adding escalation of alert ${alert.id} to incident ${alert.metadata.incident_id}:`, error);
+      }
+    }
+
+    logger.warn(`Alert escalated: ${alert.name} (${alert.id}), ${policy.name} step ${stepIndex + 1} to ${recipients.map(recipient => recipient.name).join(', ') || 'channels only'}`);
+    return history.id;
+  }
+
+  // When the step at the given level is due, counting from the previous step (or the trigger)
+  getStepTime(policy, level, from) {
+    const step = policy.steps[level % policy.steps.length];
+    return new Date(new Date(from).getTime() + (step.delay_minutes || 0) * 60 * 1000);
+  }
+
+  // Users a step notifies: its user_ids, then whoever is on call for its schedule_ids, each once
+  async getRecipients(step, at = new Date()) {
+    const recipients = [];
+    const add = (user, via, schedule = null) => {
+      if (!user || recipients.some(recipient => recipient.user_id === user.id)) return;
+      recipients.push({
+        user_id: user.id,
+        name: user.name,
+        email: user.email,
+        via,
+        schedule_id: schedule?.id || null
+      });
+    };
+
+    if ((step.user_ids || []).length > 0) {
+      const users = await User.findAll({ where: { id: step.user_ids }, attributes: ['id', 'name', 'email'] });
+      step.user_ids.forEach(userId => add(users.find(user => user.id === userId), 'user'));
+    }
+
+    if ((step.schedule_ids || []).length > 0) {
+      const schedules = await OnCallSchedule.findAll({ where: { id: step.schedule_ids } });
+      const onCall = await this.onCallService.getOnCallUsers(schedules, at);
+      schedules.forEach(schedule => add(onCall[schedule.id]?.user, 'schedule', schedule));
+    }
+
+    return recipients;
+  }
+
+  // Validation error message for a policy's steps, or null when they are valid
+  validateSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return 'An escalation policy needs at least one step';
+    }
+
+    for (const [index, step] of steps.entries()) {
+      const label = `Step ${index + 1}`;
+      if (!step || typeof step !== 'object') {
+        return `${label} must be an object`;
+      }
+      if (!Number.isInteger(step.delay_minutes) || step.delay_minutes < 0 || step.delay_minutes > MAX_STEP_DELAY_MINUTES) {
+        return `${label} delay_minutes must be 0-${MAX_STEP_DELAY_MINUTES}`;
+      }
+      for (const field of ['user_ids', 'schedule_ids', 'channels']) {
+        if (step[field] !== undefined && !Array.isArray(step[field])) {
+          return `${label} ${field} must be an array`;
+        }
+      }
+      const invalidId = [...(step.user_ids || []), ...(step.schedule_ids || [])].find(id => !UUID_PATTERN.test(id));
+      if (invalidId !== undefined) {
+        return `${label} has invalid id ${invalidId}`;
+      }
+      const unknownChannel = (step.channels || []).find(channel => !CHANNELS.includes(channel));
+      if (unknownChannel) {
+        return `${label} has unknown channel ${unknownChannel}`;
+      }
+      if ((step.user_ids || []).length + (step.schedule_ids || []).length + (step.channels || []).length === 0) {
+        return `${label} needs at least one user, schedule or channel`;
+      }
+    }
+
+    return null;
+  }
+
+  // Error message naming a user or schedule the steps refer to that does not exist, or null
+  async findMissingTargets(steps) {
+    const userIds = [...new Set(steps.flatMap(step => step.user_ids || []))];
+    const scheduleIds = [...new Set(steps.flatMap(step => step.schedule_ids || []))];
+
+    const users = userIds.length > 0 ? await User.findAll({ where: { id: userIds }, attributes: ['id'] }) : [];
+    const missingUser = userIds.find(id => !users.some(user => user.id === id));
+    if (missingUser) {
+      return `User ${missingUser} not found`;
+    }
+
+    const schedules = scheduleIds.length > 0 ? await OnCallSchedule.findAll({ where: { id: scheduleIds }, attributes: ['id'] }) : [];
+    const missingSchedule = scheduleIds.find(id => !schedules.some(schedule => schedule.id === id));
+    if (missingSchedule) {
+      return `On-call schedule ${missingSchedule} not found`;
+    }
+
+    return null;
+  }
+
+  // Normalized copy of the steps as stored
+  normalizeSteps(steps) {
+    return steps.map(step => ({
+      delay_minutes: step.delay_minutes,
+      user_ids: step.user_ids || [],
+      schedule_ids: step.schedule_ids || [],
+      channels: step.channels || []
+    }));
+  }
+}
+
+EscalationService.CHANNELS = CHANNELS;
+EscalationService.MAX_STEP_DELAY_MINUTES = MAX_STEP_DELAY_MINUTES;
+EscalationService.MAX_REPEAT_COUNT = MAX_REPEAT_COUNT;
+
+module.exports = EscalationService;
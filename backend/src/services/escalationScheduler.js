@@ -0,0 +1,43 @@
+const { withSchedulerLock } = require('../database/redis');
+const EscalationService = require('./escalation');
+const { logger } = require('../utils/logger');
+
+// How often due escalation steps are looked for; step delays are whole minutes
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+// Only one replica escalates at a time, so a step is never notified twice
+const LOCK_KEY = 'alerts:escalation:lock';
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+class EscalationScheduler {
+  constructor(options = {}) {
+    this.intervalMinutes = options.intervalMinutes || parseFloat(process.env.ALERT_ESCALATION_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+    this.escalationService = options.escalationService || new EscalationService();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Alert escalation failed:', error));
+    }, this.intervalMinutes * 60 * 1000);
+
+    logger.info(`Alert escalation scheduler started (every ${this.intervalMinutes}m)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Alert escalation scheduler stopped');
+    }
+  }
+
+  // Notify due escalation steps under a Redis lock; returns the history row ids, or null when skipped
+  async run() {
+    return withSchedulerLock(LOCK_KEY, () => this.escalationService.escalateDue(), { ttlMs: LOCK_TTL_MS, label: 'Alert escalation' });
+  }
+}
+
+module.exports = EscalationScheduler;
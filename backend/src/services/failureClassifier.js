@@ -0,0 +1,255 @@
+const vm = require('vm');
+const { Build, FailureRule, Pipeline } = require('../database/models');
+const LogStorageService = require('./logStorage');
+const { logger } = require('../utils/logger');
+
+const FAILURE_CATEGORIES = [
+  'compile_error',
+  'test_failure',
+  'dependency_error',
+  'out_of_memory',
+  'timeout',
+  'infrastructure',
+  'unknown'
+];
+
+// Built-in rules, checked after user rules with a lower priority number. Infrastructure, memory
+// and timeout signals come first because test and compile steps are often where they surface
+const DEFAULT_RULES = [
+  {
+    name: 'Agent or runner lost',
+    category: 'infrastructure',
+    priority: 1000,
+    pattern: 'agent (went )?offline|(agent|runner|node) (was )?(lost|disconnected)|lost communication with the server|' +
+      'ChannelClosedException|Job failed \\(system failure\\)|received a shutdown signal|no space left on device|' +
+      'Cannot connect to the Docker daemon|Unable to (create|schedule) pod'
+  },
+  {
+    name: 'Out of memory',
+    category: 'out_of_memory',
+    priority: 1010,
+    pattern: 'out of memory|OutOfMemoryError|heap out of memory|OOMKilled|exit code 137|Cannot allocate memory|' +
+      '\\bMemoryError\\b|Killed signal terminated program'
+  },
+  {
+    name: 'Build timeout',
+    category: 'timeout',
+    priority: 1020,
+    pattern: 'Build timed out|execution took longer than|exceeded the maximum execution time|' +
+      'Too long with no output|job exceeded (the )?(time|timeout) limit|timed out after \\d+ ?(minutes|mins|m)\\b'
+  },
+  {
+    name: 'Dependency or network error',
+    category: 'dependency_error',
+    priority: 1030,
+    pattern: 'Could not resolve (dependencies|host)|Could not (find|transfer) artifact|npm ERR! code (E404|ETIMEDOUT|ECONNRESET|ENOTFOUND|ERESOLVE|E5\\d\\d)|' +
+      '\\b(ENOTFOUND|ECONNREFUSED|ECONNRESET|EAI_AGAIN)\\b|No matching distribution found|Temporary failure in name resolution|' +
+      'TLS handshake timeout|pull access denied|manifest unknown|Failed to download|unable to access \'[^\']+\''
+  },
+  {
+    name: 'Compilation error',
+    category: 'compile_error',
+    priority: 1040,
+    pattern: 'error TS\\d+:|error\\[E\\d+\\]|error CS\\d+:|COMPILATION ERROR|Compilation failed|Failed to compile|' +
+      'cannot find symbol|undefined reference to|\\bSyntaxError:|\\.go:\\d+:\\d+: |fatal error: .+: No such file'
+  },
+  {
+    name: 'Test failure',
+    category: 'test_failure',
+    priority: 1050,
+    pattern: 'Tests? failed|FAILED TESTS|There (were|was) [1-9]\\d* failures?|Tests run: \\d+, Failures: [1-9]|' +
+      '\\b[1-9]\\d* (failing|failed)\\b|^FAIL\\s|--- FAIL:|AssertionError|There are test failures'
+  }
+];
+
+// Lines kept on each side of the matched line, and the cap on the stored excerpt
+const EXCERPT_CONTEXT = 3;
+const MAX_EXCERPT_LENGTH = 2000;
+
+// Lines from the end of the log stored when no rule matches
+const UNMATCHED_TAIL_LINES = 10;
+
+// Longest a classification with an unsaved test pattern may run before it is abandoned
+const TEST_TIMEOUT_MS = 1000;
+
+// Longest the saved user rules may take on a failed build's log; past it the build is
+// classified with the built-in rules alone
+const CLASSIFY_TIMEOUT_MS = 5000;
+
+const QUANTIFIERS = ['+', '*', '{'];
+
+class FailureClassifier {
+  constructor(options = {}) {
+    this.logStorage = options.logStorage || new LogStorageService();
+  }
+
+  // Classify a failed build from its log and store the category and excerpt on it.
+  // Sections ([{ name, content }]) can be passed when the log isn't in the store;
+  // returns null when there is no log to classify
+  async classifyBuild(build, sections = null) {
+    if (!sections) {
+      if (!build.pipeline) {
+        build.pipeline = await Pipeline.findByPk(build.pipeline_id);
+      }
+      sections = await this.logStorage.getOrArchiveLogs(build);
+    }
+
+    if (sections.length === 0) {
+      logger.warn(`No logs available to classify build ${build.id}`);
+      return null;
+    }
+
+    const result = this.classifyWithFallback(build, sections, await this.getRules());
+
+    await Build.update({
+      failure_category: result.category,
+      failure_excerpt: result.excerpt,
+      failure_rule: result.rule
+    }, { where: { id: build.id } });
+
+    build.failure_category = result.category;
+    build.failure_excerpt = result.excerpt;
+    build.failure_rule = result.rule;
+
+    logger.info(`Build ${build.id} failure classified as ${result.category}${result.rule ? ` (${result.rule})` : ''}`);
+
+    return result;
+  }
+
+  // Enabled user rules and the built-in rules, in the order they are tried
+  async getRules() {
+    const userRules = await FailureRule.findAll({ where: { enabled: true } });
+
+    return [
+      ...userRules.map(rule => ({
+        id: rule.id,
+        name: rule.name,
+        category: rule.category,
+        priority: rule.priority,
+        pattern: rule.pattern
+      })),
+      ...DEFAULT_RULES.map(rule => ({ ...rule, builtin: true }))
+    ].sort((a, b) => a.priority - b.priority);
+  }
+
+  // First rule (by priority) with a matching line decides the category; within a rule the
+  // earliest matching line wins
+  classify(sections, rules) {
+    const logLines = sections.flatMap((section, sectionIndex) =>
+      (section.content || '').split('\n').map((line, index) => ({ sectionIndex, index, line }))
+    );
+
+    for (const rule of rules) {
+      const regex = this.compilePattern(rule.pattern);
+      if (!regex) {
+        logger.warn(`Skipping failure rule "${rule.name}" with an invalid pattern`);
+        continue;
+      }
+
+      const match = logLines.find(({ line }) => regex.test(line));
+      if (match) {
+        return {
+          category: rule.category,
+          rule: rule.name,
+          rule_id: rule.id || null,
+          section: sections[match.sectionIndex].name,
+          line_number: match.index + 1,
+          excerpt: this.buildExcerpt(sections[match.sectionIndex], match.index)
+        };
+      }
+    }
+
+    const tail = logLines.filter(({ line }) => line.trim() !== '').slice(-UNMATCHED_TAIL_LINES);
+    return {
+      category: 'unknown',
+      rule: null,
+      rule_id: null,
+      section: null,
+      line_number: null,
+      excerpt: this.truncate(tail.map(({ line }) => line).join('\n')) || null
+    };
+  }
+
+  // Saved rules are validated when written, but a slow one must not stall the sync or webhook
+  // classifying the build, so user rules run under CLASSIFY_TIMEOUT_MS
+  classifyWithFallback(build, sections, rules) {
+    try {
+      return this.classifyWithTimeout(sections, rules, CLASSIFY_TIMEOUT_MS);
+    } catch (error) {
+      if (error.code !== 'PATTERN_TIMEOUT') throw error;
+      logger.warn(`Failure rules timed out on build ${build.id}, classifying with the built-in rules only`);
+      return this.classify(sections, rules.filter(rule => rule.builtin));
+    }
+  }
+
+  // Case-insensitive, multiline so ^ and $ work per line; null for an invalid pattern
+  compilePattern(pattern) {
+    try {
+      return new RegExp(pattern, 'im');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Whether a repeated group contains a repetition or an alternation, e.g. (a+)+, (\w*x)* or
+  // (a|aa)+. Such patterns can backtrack exponentially on a line that almost matches; telling
+  // overlapping branches from disjoint ones is not attempted, so any alternation counts
+  hasAmbiguousRepetition(pattern) {
+    // One entry per open group: whether it contains a quantifier or an alternation
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push(false);
+      } else if (char === ')') {
+        const ambiguous = groups.pop();
+        const quantified = QUANTIFIERS.includes(pattern[i + 1]);
+        if (ambiguous && quantified) return true;
+        if ((ambiguous || quantified) && groups.length > 0) {
+          groups[groups.length - 1] = true;
+        }
+      } else if ((QUANTIFIERS.includes(char) || char === '|') && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+    return false;
+  }
+
+  // classify() abandoned after timeoutMs, for patterns that have not been saved as rules; throws
+  // an error with code PATTERN_TIMEOUT when the patterns take too long
+  classifyWithTimeout(sections, rules, timeoutMs = TEST_TIMEOUT_MS) {
+    try {
+      return vm.runInNewContext('classify()', { classify: () => this.classify(sections, rules) }, { timeout: timeoutMs });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        const timeoutError = new Error(`Classification took longer than ${timeoutMs}ms`);
+        timeoutError.code = 'PATTERN_TIMEOUT';
+        throw timeoutError;
+      }
+      throw error;
+    }
+  }
+
+  buildExcerpt(section, index) {
+    const lines = (section.content || '').split('\n');
+    return this.truncate(lines.slice(Math.max(0, index - EXCERPT_CONTEXT), index + EXCERPT_CONTEXT + 1).join('\n'));
+  }
+
+  truncate(text) {
+    return text.length > MAX_EXCERPT_LENGTH ? `${text.slice(0, MAX_EXCERPT_LENGTH)}…` : text;
+  }
+}
+
+FailureClassifier.FAILURE_CATEGORIES = FAILURE_CATEGORIES;
+FailureClassifier.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = FailureClassifier;
@@ -0,0 +1,43 @@
+const { withSchedulerLock } = require('../database/redis');
+const FlakyPipelineDetector = require('./flakyPipelines');
+const { logger } = require('../utils/logger');
+
+// How often failed builds are matched against reruns
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Only one replica scans at a time
+const LOCK_KEY = 'builds:flaky-pipelines:lock';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+class FlakyPipelineScheduler {
+  constructor(options = {}) {
+    this.intervalMinutes = options.intervalMinutes || parseFloat(process.env.FLAKY_PIPELINE_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+    this.detector = options.detector || new FlakyPipelineDetector();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Flaky pipeline detection failed:', error));
+    }, this.intervalMinutes * 60 * 1000);
+
+    logger.info(`Flaky pipeline scheduler started (every ${this.intervalMinutes}m)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Flaky pipeline scheduler stopped');
+    }
+  }
+
+  // Detect recovered failures under a Redis lock; returns the pairs found, or null when skipped
+  async run() {
+    return withSchedulerLock(LOCK_KEY, () => this.detector.detect(), { ttlMs: LOCK_TTL_MS, label: 'Flaky pipeline detection' });
+  }
+}
+
+module.exports = FlakyPipelineScheduler;
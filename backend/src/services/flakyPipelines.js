@@ -0,0 +1,78 @@
+const { Op } = require('sequelize');
+const { Build } = require('../database/models');
+const { invalidateBuildCache } = require('../middleware/cache');
+const MetricRollupService = require('./metricRollups');
+const { logger } = require('../utils/logger');
+
+// How far back failed builds are matched against later reruns
+const DEFAULT_WINDOW_DAYS = 7;
+
+// A failed build is flaky_recovered when a later build of the same pipeline, commit and
+// branch succeeded, i.e. a rerun passed without any code change
+class FlakyPipelineDetector {
+  constructor(options = {}) {
+    this.rollupService = options.rollupService || new MetricRollupService();
+  }
+
+  // Flag failed builds in the window that a later rerun recovered; returns the pairs found
+  async detect({ days = DEFAULT_WINDOW_DAYS } = {}) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const failedBuilds = await Build.findAll({
+      where: {
+        status: 'failed',
+        flaky_recovered: false,
+        commit_hash: { [Op.ne]: null },
+        started_at: { [Op.gte]: since }
+      },
+      attributes: ['id', 'pipeline_id', 'commit_hash', 'branch', 'started_at']
+    });
+    if (failedBuilds.length === 0) return [];
+
+    const reruns = await Build.findAll({
+      where: {
+        status: 'success',
+        commit_hash: { [Op.in]: [...new Set(failedBuilds.map(build => build.commit_hash))] },
+        started_at: { [Op.gte]: since }
+      },
+      attributes: ['id', 'pipeline_id', 'commit_hash', 'branch', 'started_at'],
+      order: [['started_at', 'ASC']]
+    });
+
+    const recovered = [];
+    for (const failed of failedBuilds) {
+      const rerun = reruns.find(build =>
+        build.pipeline_id === failed.pipeline_id &&
+        build.commit_hash === failed.commit_hash &&
+        build.branch === failed.branch &&
+        new Date(build.started_at) > new Date(failed.started_at)
+      );
+      if (!rerun) continue;
+
+      await failed.update({ flaky_recovered: true, recovered_by: rerun.id });
+      recovered.push({ build_id: failed.id, recovered_by: rerun.id, pipeline_id: failed.pipeline_id });
+
+      // The rollups count flaky_recovered builds
+      await this.rollupService.recomputeBuild(failed);
+    }
+
+    if (recovered.length > 0) {
+      const pipelineIds = [...new Set(recovered.map(pair => pair.pipeline_id))];
+      await Promise.all(pipelineIds.map(pipelineId => invalidateBuildCache(pipelineId, 'builds flagged flaky_recovered')));
+      logger.info(`Marked ${recovered.length} failed builds as flaky_recovered`);
+    }
+
+    return recovered;
+  }
+
+  // Share of a pipeline's failed builds (as a percentage) that later passed on a rerun
+  score(failedBuilds, recoveredBuilds) {
+    return {
+      flaky_recovered_builds: recoveredBuilds,
+      flakiness_score: failedBuilds > 0 ? Math.round((recoveredBuilds / failedBuilds) * 10000) / 100 : 0
+    };
+  }
+}
+
+module.exports = FlakyPipelineDetector;
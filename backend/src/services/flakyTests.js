@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { Build, Pipeline, TestCase } = require('../database/models');
+const SimpleAlertService = require('./simpleAlertService');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_WINDOW_DAYS = 30;
+
+// Runs a test needs in the window before its flip rate means anything
+const DEFAULT_MIN_RUNS = 5;
+
+// Flip rate at which a test counts as flaky and raises an alert; pipelines can override it
+// with config.flaky_test_threshold
+const DEFAULT_THRESHOLD = process.env.FLAKY_TEST_THRESHOLD !== undefined
+  ? parseFloat(process.env.FLAKY_TEST_THRESHOLD)
+  : 0.2;
+
+// A test flips when its result differs from its previous run (skipped runs are ignored).
+// Only flips between two runs of the same commit happened with no code change, so only
+// those count towards the flip rate: same_commit_flips / (runs - 1). Flips across commits
+// are reported in flips but may just be a change breaking or fixing the test
+class FlakyTestAnalyzer {
+  constructor(options = {}) {
+    // Created on first alert, since the email transport is set up on construction
+    this.alertService = options.alertService || null;
+  }
+
+  // Flip statistics of every test that ran in the pipeline within the window, most flaky first
+  async analyze(pipelineId, { days = DEFAULT_WINDOW_DAYS, minRuns = DEFAULT_MIN_RUNS } = {}) {
+    const history = await this.loadHistory(pipelineId, days);
+
+    return [...history.values()]
+      .map(runs => this.scoreTest(runs))
+      .filter(test => test.runs >= minRuns)
+      .sort((a, b) => b.flip_rate - a.flip_rate || b.flips - a.flips);
+  }
+
+  // Tests at or above the threshold
+  async getFlakyTests(pipelineId, { days, minRuns, threshold = DEFAULT_THRESHOLD, limit = 50 } = {}) {
+    const tests = await this.analyze(pipelineId, { days, minRuns });
+    return tests.filter(test => test.flip_rate >= threshold).slice(0, limit);
+  }
+
+  // Alert on tests whose flip rate crossed the pipeline threshold with this build's results
+  async checkThresholds(build) {
+    const pipeline = build.pipeline || await Pipeline.findByPk(build.pipeline_id);
+    const threshold = pipeline.config?.flaky_test_threshold ?? DEFAULT_THRESHOLD;
+
+    // Only the tests this build ran can have crossed the threshold
+    const tests = await TestCase.findAll({
+      where: { build_id: build.id, status: { [Op.ne]: 'skipped' } },
+      attributes: ['name'],
+      raw: true
+    });
+    if (tests.length === 0) return [];
+
+    const names = [...new Set(tests.map(test => test.name))];
+    const history = await this.loadHistory(pipeline.id, DEFAULT_WINDOW_DAYS, names);
+
+    const crossed = [];
+    for (const runs of history.values()) {
+      if (!runs.some(run => run.build_id === build.id)) continue;
+
+      const after = this.scoreTest(runs);
+      const before = this.scoreTest(runs.filter(run => run.build_id !== build.id));
+      if (after.runs >= DEFAULT_MIN_RUNS && after.flip_rate >= threshold && before.flip_rate < threshold) {
+        crossed.push(after);
+      }
+    }
+
+    if (crossed.length > 0) {
+      logger.warn(`${crossed.length} tests in pipeline ${pipeline.id} crossed the flakiness threshold of ${threshold}`);
+      if (!this.alertService) {
+        this.alertService = new SimpleAlertService();
+      }
+      await this.alertService.sendFlakyTestAlert(build, pipeline, crossed, threshold);
+    }
+
+    return crossed;
+  }
+
+  // Non-skipped results per test ("classname::name"), oldest build first, optionally limited
+  // to tests with the given names
+  async loadHistory(pipelineId, days, names = null) {
+    const since = new Date();
+    since.setDate(since.getDate() - parseInt(days));
+
+    const where = { status: { [Op.ne]: 'skipped' } };
+    if (names) {
+      where.name = { [Op.in]: names };
+    }
+
+    const rows = await TestCase.findAll({
+      where,
+      attributes: ['name', 'classname', 'status', 'build_id'],
+      include: [{
+        model: Build,
+        as: 'build',
+        attributes: ['build_number', 'commit_hash', 'started_at'],
+        where: {
+          pipeline_id: pipelineId,
+          started_at: { [Op.gte]: since }
+        }
+      }],
+      order: [[{ model: Build, as: 'build' }, 'started_at', 'ASC']],
+      raw: true,
+      nest: true
+    });
+
+    const history = new Map();
+    for (const row of rows) {
+      const key = `${row.classname || ''}::${row.name}`;
+      if (!history.has(key)) {
+        history.set(key, []);
+      }
+      history.get(key).push({
+        name: row.name,
+        classname: row.classname,
+        status: row.status,
+        build_id: row.build_id,
+        build_number: row.build.build_number,
+        commit_hash: row.build.commit_hash,
+        started_at: row.build.started_at
+      });
+    }
+    return history;
+  }
+
+  scoreTest(runs) {
+    let flips = 0;
+    let sameCommitFlips = 0;
+    for (let i = 1; i < runs.length; i++) {
+      if (runs[i].status === runs[i - 1].status) continue;
+      flips++;
+      if (runs[i].commit_hash && runs[i].commit_hash === runs[i - 1].commit_hash) {
+        sameCommitFlips++;
+      }
+    }
+
+    const failures = runs.filter(run => run.status === 'failed');
+    const last = runs[runs.length - 1];
+
+    return {
+      name: last?.name,
+      classname: last?.classname,
+      runs: runs.length,
+      passed: runs.length - failures.length,
+      failed: failures.length,
+      flips,
+      same_commit_flips: sameCommitFlips,
+      flip_rate: runs.length > 1 ? Math.round((sameCommitFlips / (runs.length - 1)) * 1000) / 1000 : 0,
+      last_status: last?.status,
+      last_failed_build: failures.length > 0 ? failures[failures.length - 1].build_number : null
+    };
+  }
+}
+
+FlakyTestAnalyzer.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+FlakyTestAnalyzer.DEFAULT_MIN_RUNS = DEFAULT_MIN_RUNS;
+
+module.exports = FlakyTestAnalyzer;
@@ -1,6 +1,5 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
-const { emitBuildStatus } = require('../websocket/socket');
 
 class GitHubActionsService {
   constructor(token, baseURL = 'https://api.github.com') {
@@ -71,6 +70,65 @@ class GitHubActionsService {
     }
   }
 
+  // Fetch the jobs of a workflow run
+  async getWorkflowRunJobs(owner, repo, runId) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/actions/runs/${runId}/jobs`, {
+        params: { per_page: 100 }
+      });
+
+      logger.info(`Fetched ${response.data.jobs.length} jobs for workflow run ${runId} for ${owner}/${repo}`);
+
+      return response.data.jobs;
+    } catch (error) {
+      logger.error(`Error fetching jobs for workflow run ${runId} for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Fetch the plain-text log of a single job
+  async getJobLogs(owner, repo, jobId) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/actions/jobs/${jobId}/logs`, {
+        responseType: 'text'
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching logs for job ${jobId} for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Cancel a workflow run
+  async cancelWorkflowRun(owner, repo, runId) {
+    try {
+      const response = await this.client.post(`/repos/${owner}/${repo}/actions/runs/${runId}/cancel`);
+
+      logger.info(`Cancelled workflow run ${runId} for ${owner}/${repo}`);
+
+      return response.status === 202;
+    } catch (error) {
+      logger.error(`Error cancelling workflow run ${runId} for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Re-run a workflow run, or only its failed jobs
+  async rerunWorkflowRun(owner, repo, runId, failedOnly = false) {
+    try {
+      const path = failedOnly ? 'rerun-failed-jobs' : 'rerun';
+      const response = await this.client.post(`/repos/${owner}/${repo}/actions/runs/${runId}/${path}`);
+
+      logger.info(`Re-ran workflow run ${runId} for ${owner}/${repo}${failedOnly ? ' (failed jobs)' : ''}`);
+
+      return response.status === 201;
+    } catch (error) {
+      logger.error(`Error re-running workflow run ${runId} for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
   // Fetch workflows for a repository
   async getWorkflows(owner, repo) {
     try {
@@ -104,7 +162,8 @@ class GitHubActionsService {
     }
   }
 
-  // Handle webhook events
+  // Handle webhook events, keyed on the X-GitHub-Event header.
+  // Returns a normalized description of the event for the caller to persist, or null if unhandled
   async handleWebhookEvent(event, payload) {
     try {
       logger.info(`Processing GitHub webhook event: ${event}`);
@@ -112,10 +171,20 @@ class GitHubActionsService {
       switch (event) {
         case 'workflow_run':
           return await this.handleWorkflowRunEvent(payload);
+        case 'workflow_job':
+          return await this.handleWorkflowJobEvent(payload);
+        case 'deployment_status':
+          return await this.handleDeploymentStatusEvent(payload);
+        case 'check_suite':
+          return await this.handleCheckSuiteEvent(payload);
+        case 'release':
+          return await this.handleReleaseEvent(payload);
         case 'push':
           return await this.handlePushEvent(payload);
         case 'pull_request':
           return await this.handlePullRequestEvent(payload);
+        case 'ping':
+          return { type: 'ping', repository: payload.repository?.full_name, hook_id: payload.hook_id };
         default:
           logger.info(`Unhandled webhook event: ${event}`);
           return null;
@@ -128,45 +197,144 @@ class GitHubActionsService {
 
   // Handle workflow_run webhook event
   async handleWorkflowRunEvent(payload) {
-    const { workflow_run, repository } = payload;
-    
-    const buildData = {
-      external_id: workflow_run.id.toString(),
-      status: this.mapGitHubStatus(workflow_run.conclusion || workflow_run.status),
-      branch: workflow_run.head_branch,
-      commit_hash: workflow_run.head_sha,
-      commit_message: workflow_run.head_commit?.message || 'No commit message',
-      author: workflow_run.head_commit?.author?.name || 'Unknown',
-      started_at: workflow_run.run_started_at,
-      completed_at: workflow_run.updated_at,
-      duration: workflow_run.run_duration_ms,
-      trigger_type: this.mapTriggerType(workflow_run.event),
-      artifacts: {
-        workflow_name: workflow_run.name,
-        workflow_id: workflow_run.workflow_id,
-        run_number: workflow_run.run_number,
-        html_url: workflow_run.html_url
+    const { action, workflow_run, repository } = payload;
+    const status = this.mapRunStatus(workflow_run.status, workflow_run.conclusion);
+    const finished = workflow_run.status === 'completed';
+    const startedAt = new Date(workflow_run.run_started_at || workflow_run.created_at);
+    const completedAt = finished ? new Date(workflow_run.updated_at) : null;
+
+    return {
+      type: 'workflow_run',
+      action,
+      repository: repository.full_name,
+      build: {
+        external_id: workflow_run.id.toString(),
+        build_number: workflow_run.run_number,
+        status,
+        branch: workflow_run.head_branch,
+        commit_hash: workflow_run.head_sha,
+        committed_at: workflow_run.head_commit?.timestamp ? new Date(workflow_run.head_commit.timestamp) : null,
+        message: workflow_run.head_commit?.message || `GitHub Actions: ${workflow_run.name}`,
+        triggered_by: workflow_run.actor?.login || workflow_run.head_commit?.author?.name || 'Unknown',
+        environment: 'github-actions',
+        started_at: startedAt,
+        completed_at: completedAt,
+        duration: completedAt ? Math.floor((completedAt - startedAt) / 1000) : null
       }
     };
+  }
 
-    // Emit real-time update
-    emitBuildStatus(buildData);
+  // Handle workflow_job webhook event; the job belongs to the build of its workflow run
+  async handleWorkflowJobEvent(payload) {
+    const { action, workflow_job, repository } = payload;
+    const startedAt = workflow_job.started_at ? new Date(workflow_job.started_at) : null;
+    const completedAt = workflow_job.completed_at ? new Date(workflow_job.completed_at) : null;
 
-    return buildData;
+    return {
+      type: 'workflow_job',
+      action,
+      repository: repository.full_name,
+      run_id: workflow_job.run_id.toString(),
+      build: {
+        external_id: workflow_job.run_id.toString(),
+        status: 'running',
+        branch: workflow_job.head_branch,
+        commit_hash: workflow_job.head_sha,
+        message: `GitHub Actions: ${workflow_job.workflow_name || workflow_job.name}`,
+        triggered_by: payload.sender?.login || 'Unknown',
+        environment: 'github-actions',
+        started_at: startedAt || new Date(workflow_job.created_at || Date.now())
+      },
+      job: {
+        external_id: workflow_job.id.toString(),
+        name: workflow_job.name,
+        stage: workflow_job.workflow_name || null,
+        status: this.mapRunStatus(workflow_job.status, workflow_job.conclusion),
+        started_at: startedAt,
+        completed_at: completedAt,
+        duration: startedAt && completedAt ? Math.floor((completedAt - startedAt) / 1000) : null,
+        runner: workflow_job.runner_name || null,
+        log_url: workflow_job.html_url || null,
+        steps: (workflow_job.steps || []).map(step => ({
+          number: step.number,
+          name: step.name,
+          status: this.mapRunStatus(step.status, step.conclusion),
+          started_at: step.started_at || null,
+          completed_at: step.completed_at || null
+        }))
+      }
+    };
+  }
+
+  // Handle deployment_status webhook event
+  async handleDeploymentStatusEvent(payload) {
+    const { deployment_status, deployment, repository } = payload;
+    const finished = ['success', 'failure', 'error', 'inactive'].includes(deployment_status.state);
+    const startedAt = new Date(deployment.created_at);
+    const completedAt = finished ? new Date(deployment_status.created_at) : null;
+
+    return {
+      type: 'deployment_status',
+      repository: repository.full_name,
+      build: {
+        external_id: `deployment-${deployment.id}`,
+        status: this.mapDeploymentState(deployment_status.state),
+        branch: deployment.ref,
+        commit_hash: deployment.sha,
+        message: deployment_status.description || deployment.description || `Deployment to ${deployment.environment}`,
+        triggered_by: deployment.creator?.login || 'Unknown',
+        environment: deployment_status.environment || deployment.environment,
+        started_at: startedAt,
+        completed_at: completedAt,
+        duration: completedAt ? Math.floor((completedAt - startedAt) / 1000) : null
+      }
+    };
+  }
+
+  // Handle check_suite webhook event
+  async handleCheckSuiteEvent(payload) {
+    const { action, check_suite, repository } = payload;
+
+    logger.info(`Check suite ${action} for ${repository.full_name} (${check_suite.app?.slug || 'unknown app'})`);
+
+    return {
+      type: 'check_suite',
+      action,
+      repository: repository.full_name,
+      branch: check_suite.head_branch,
+      commit_hash: check_suite.head_sha,
+      status: this.mapRunStatus(check_suite.status, check_suite.conclusion)
+    };
+  }
+
+  // Handle release webhook event
+  async handleReleaseEvent(payload) {
+    const { action, release, repository } = payload;
+
+    logger.info(`Release ${action} for ${repository.full_name}: ${release.tag_name}`);
+
+    return {
+      type: 'release',
+      action,
+      repository: repository.full_name,
+      tag: release.tag_name,
+      name: release.name,
+      prerelease: release.prerelease
+    };
   }
 
   // Handle push webhook event
   async handlePushEvent(payload) {
-    const { ref, commits, repository } = payload;
+    const { ref, commits, head_commit, repository } = payload;
     
     logger.info(`Push event for ${repository.full_name} on ${ref}`);
     
-    // You might want to trigger workflows or update pipeline status here
     return {
       type: 'push',
       repository: repository.full_name,
       branch: ref.replace('refs/heads/', ''),
-      commits: commits.length
+      commits: (commits || []).length,
+      head_commit
     };
   }
 
@@ -181,7 +349,10 @@ class GitHubActionsService {
       action,
       repository: repository.full_name,
       pr_number: pull_request.number,
-      branch: pull_request.head.ref
+      branch: pull_request.head.ref,
+      commit_hash: pull_request.head.sha,
+      title: pull_request.title,
+      author: pull_request.user?.login
     };
   }
 
@@ -190,10 +361,11 @@ class GitHubActionsService {
     return {
       id: run.id,
       name: run.name,
-      status: this.mapGitHubStatus(run.conclusion || run.status),
+      status: this.mapRunStatus(run.status, run.conclusion),
       branch: run.head_branch,
       commit_hash: run.head_sha,
       commit_message: run.head_commit?.message || 'No commit message',
+      committed_at: run.head_commit?.timestamp || null,
       author: run.head_commit?.author?.name || 'Unknown',
       started_at: run.run_started_at,
       completed_at: run.updated_at,
@@ -211,20 +383,40 @@ class GitHubActionsService {
     };
   }
 
-  // Map GitHub status to our status format
-  mapGitHubStatus(githubStatus) {
-    const statusMap = {
+  // Map a status/conclusion pair from the API or a webhook payload to a build status
+  mapRunStatus(status, conclusion) {
+    if (status !== 'completed') {
+      return status === 'in_progress' ? 'running' : 'pending';
+    }
+
+    const conclusionMap = {
       'success': 'success',
+      'neutral': 'success',
       'failure': 'failed',
+      'timed_out': 'failed',
+      'startup_failure': 'failed',
+      'action_required': 'failed',
       'cancelled': 'cancelled',
-      'skipped': 'skipped',
+      'skipped': 'cancelled',
+      'stale': 'cancelled'
+    };
+
+    return conclusionMap[conclusion] || 'failed';
+  }
+
+  // Map a deployment_status state to a build status
+  mapDeploymentState(state) {
+    const stateMap = {
+      'success': 'success',
+      'failure': 'failed',
+      'error': 'failed',
+      'inactive': 'cancelled',
       'in_progress': 'running',
       'queued': 'pending',
-      'waiting': 'pending',
-      'requested': 'pending'
+      'pending': 'pending'
     };
 
-    return statusMap[githubStatus] || 'unknown';
+    return stateMap[state] || 'pending';
   }
 
   // Map GitHub trigger type to our format
@@ -251,13 +443,18 @@ class GitHubActionsService {
     }
   }
 
-  // Validate webhook signature
+  // Validate webhook signature against the raw request body
   validateWebhookSignature(payload, signature, secret) {
     const crypto = require('crypto');
+    const body = Buffer.isBuffer(payload) || typeof payload === 'string' ? payload : JSON.stringify(payload);
     const expectedSignature = 'sha256=' + crypto
       .createHmac('sha256', secret)
-      .update(JSON.stringify(payload))
+      .update(body)
       .digest('hex');
+
+    if (!signature || signature.length !== expectedSignature.length) {
+      return false;
+    }
     
     return crypto.timingSafeEqual(
       Buffer.from(signature),
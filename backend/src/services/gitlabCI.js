@@ -1,5 +1,5 @@
 const axios = require('axios');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
 
 class GitLabCIService {
   constructor(config) {
@@ -296,6 +296,60 @@ class GitLabCIService {
     }
   }
 
+  // Get the part of a job trace after a byte offset, using an HTTP range request
+  async getJobTraceFrom(projectId, jobId, offset = 0) {
+    try {
+      const response = await this.client.get(`/projects/${encodeURIComponent(projectId)}/jobs/${jobId}/trace`, {
+        headers: offset > 0 ? { Range: `bytes=${offset}-` } : {},
+        responseType: 'text',
+        // 416 means nothing was appended since the offset
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 416
+      });
+
+      let trace = response.status === 416 ? '' : response.data || '';
+      // Servers that ignore the range answer 200 with the whole trace
+      if (response.status === 200 && offset > 0) {
+        trace = Buffer.from(trace).subarray(offset).toString();
+      }
+
+      return {
+        success: true,
+        data: {
+          trace,
+          next_offset: offset + Buffer.byteLength(trace),
+          job_id: jobId,
+          project_id: projectId
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching GitLab job trace ${projectId}#${jobId} from ${offset}:`, error);
+      throw error;
+    }
+  }
+
+  // Get a single file from a job's artifacts archive; content is null when the file isn't there
+  async getJobArtifactFile(projectId, jobId, artifactPath) {
+    try {
+      const response = await this.client.get(`/projects/${encodeURIComponent(projectId)}/jobs/${jobId}/artifacts/${artifactPath}`, {
+        responseType: 'text',
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 404
+      });
+
+      return {
+        success: true,
+        data: {
+          content: response.status === 404 ? null : response.data,
+          path: artifactPath,
+          job_id: jobId,
+          project_id: projectId
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching GitLab job artifact ${projectId}#${jobId}:${artifactPath}:`, error);
+      throw error;
+    }
+  }
+
   // Trigger a new pipeline
   async triggerPipeline(projectId, ref, variables = {}) {
     try {
@@ -349,6 +403,27 @@ class GitLabCIService {
     }
   }
 
+  // Retry the failed jobs of a pipeline
+  async retryPipeline(projectId, pipelineId) {
+    try {
+      const response = await this.client.post(`/projects/${encodeURIComponent(projectId)}/pipelines/${pipelineId}/retry`);
+
+      return {
+        success: true,
+        data: {
+          message: 'Pipeline retry initiated successfully',
+          pipeline: {
+            id: response.data.id,
+            status: response.data.status
+          }
+        }
+      };
+    } catch (error) {
+      logger.error(`Error retrying GitLab pipeline ${projectId}#${pipelineId}:`, error);
+      throw error;
+    }
+  }
+
   // Retry a failed job
   async retryJob(projectId, jobId) {
     try {
@@ -468,7 +543,9 @@ class GitLabCIService {
   // Handle webhook event
   async handleWebhookEvent(payload) {
     try {
-      const { object_kind, project, pipeline, builds } = payload;
+      const { object_kind, project, builds } = payload;
+      // Pipeline hooks carry the pipeline in object_attributes
+      const pipeline = payload.object_attributes || payload.pipeline;
       
       if (!object_kind || !project) {
         throw new Error('Invalid webhook payload: missing object_kind or project information');
@@ -487,7 +564,9 @@ class GitLabCIService {
       if (object_kind === 'pipeline' && pipeline) {
         result.pipeline = {
           id: pipeline.id,
+          iid: pipeline.iid,
           status: pipeline.status,
+          stages: pipeline.stages || [],
           ref: pipeline.ref,
           sha: pipeline.sha,
           source: pipeline.source,
@@ -495,7 +574,9 @@ class GitLabCIService {
           updated_at: pipeline.updated_at,
           started_at: pipeline.started_at,
           finished_at: pipeline.finished_at,
-          duration: pipeline.duration
+          duration: pipeline.duration,
+          user: payload.user?.username || payload.user?.name,
+          commit_message: payload.commit?.message
         };
       }
 
@@ -509,7 +590,10 @@ class GitLabCIService {
           created_at: build.created_at,
           started_at: build.started_at,
           finished_at: build.finished_at,
-          duration: build.duration
+          duration: build.duration,
+          allow_failure: build.allow_failure || false,
+          runner: build.runner?.description || null,
+          trace_url: project.web_url ? `${project.web_url}/-/jobs/${build.id}` : null
         }));
       }
 
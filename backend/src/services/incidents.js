@@ -0,0 +1,437 @@
+const { Op } = require('sequelize');
+const { Incident, IncidentEvent, Alert, AlertHistory, Build, Pipeline } = require('../database/models');
+const { withSchedulerLock } = require('../database/redis');
+const EmailService = require('./emailService');
+const { logger } = require('../utils/logger');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const OPEN_STATUSES = ['open', 'acknowledged'];
+
+// A trigger joins an open incident when it comes at most this long after the incident's last event
+const DEFAULT_GROUP_WINDOW_MINUTES = 60;
+
+// Every this many grouped events the incident's severity goes up a level
+const DEFAULT_ESCALATE_EVERY = 5;
+
+// Severity a build failure incident opens with
+const BUILD_FAILURE_SEVERITY = 'high';
+
+// Events of one pipeline, source and category are grouped under a Redis lock, so concurrent
+// triggers (the sync, webhooks and other replicas) can't open two incidents for one group.
+// A waiting event retries for up to GROUP_LOCK_WAIT_MS, then is left ungrouped
+const GROUP_LOCK_TTL_MS = 30 * 1000;
+const GROUP_LOCK_WAIT_MS = 5 * 1000;
+
+const formatCategory = (category) => category.replace(/_/g, ' ');
+
+// Groups alert triggers into incidents so a broken pipeline notifies once instead of per build.
+// A trigger joins the open incident with the same pipeline, source and category if it comes
+// within the group window of the incident's last event; otherwise it opens a new incident.
+// Sources:
+//   build_failure - failed builds, grouped by failure category. Notified by email when the
+//                   incident opens, escalates or resolves. A later successful build of the
+//                   pipeline resolves it
+//   alert_rule    - alert rule triggers, grouped by condition type. The rule's channels are
+//                   notified by the evaluator; the incident resolves with its alerts
+// Every grouped event is added to the incident's timeline. Severity rises to the highest
+// severity grouped and one level every escalate-every events; each rise is an escalation.
+// Incidents without events for the group window are resolved as inactive
+class IncidentService {
+  constructor(options = {}) {
+    this.windowMinutes = options.windowMinutes || parseFloat(process.env.INCIDENT_GROUP_WINDOW_MINUTES) || DEFAULT_GROUP_WINDOW_MINUTES;
+    this.escalateEvery = options.escalateEvery || parseInt(process.env.INCIDENT_ESCALATE_EVERY) || DEFAULT_ESCALATE_EVERY;
+    this.emailService = options.emailService || null;
+  }
+
+  // Group a finished build; returns { incident, action } for a failure and { incidents, action }
+  // for a success
+  async recordBuild(build, pipeline) {
+    if (build.status === 'failed') {
+      return this.recordBuildFailure(build, pipeline);
+    }
+    if (build.status === 'success') {
+      const incidents = await this.resolveRecovered(build, pipeline);
+      return { incidents, action: incidents.length > 0 ? 'resolved' : 'none' };
+    }
+    return { incident: null, action: 'none' };
+  }
+
+  // Add a failed build to its pipeline's incident for the failure category. action is opened,
+  // grouped, escalated, or ignored for a build already grouped or older than the pipeline's
+  // latest success
+  async recordBuildFailure(build, pipeline) {
+    const alreadyGrouped = await IncidentEvent.count({
+      where: { build_id: build.id, type: { [Op.in]: ['opened', 'build_failed'] } },
+      include: [{ model: Incident, as: 'incident', where: { source: 'build_failure' } }]
+    });
+    if (alreadyGrouped > 0) {
+      return { incident: null, action: 'ignored' };
+    }
+
+    if (build.started_at) {
+      const laterSuccesses = await Build.count({
+        where: { pipeline_id: pipeline.id, status: 'success', started_at: { [Op.gt]: build.started_at } }
+      });
+      if (laterSuccesses > 0) {
+        return { incident: null, action: 'ignored' };
+      }
+    }
+
+    const category = build.failure_category || 'unknown';
+    const result = await this.record({
+      pipeline,
+      source: 'build_failure',
+      category,
+      severity: BUILD_FAILURE_SEVERITY,
+      title: `${pipeline.name}: ${formatCategory(category)} failures`,
+      at: build.completed_at || build.started_at || new Date(),
+      event: {
+        type: 'build_failed',
+        build_id: build.id,
+        message: `Build #${build.build_number} failed${build.branch ? ` on ${build.branch}` : ''}`,
+        metadata: {
+          build_number: build.build_number,
+          branch: build.branch || null,
+          commit_hash: build.commit_hash || null,
+          failure_excerpt: build.failure_excerpt || null
+        }
+      }
+    });
+
+    if (result.action === 'opened' || result.action === 'escalated') {
+      await this.notify(result.incident, result.action, { pipeline, build });
+    }
+    return result;
+  }
+
+  // Add an alert rule trigger to its pipeline's incident for the rule's condition type; the
+  // evaluator notifies the rule's channels only when the incident opens or escalates
+  async recordAlertTrigger(alert, historyId, result, build = null) {
+    const pipeline = alert.pipeline || await Pipeline.findByPk(alert.pipeline_id);
+
+    return this.record({
+      pipeline,
+      source: 'alert_rule',
+      category: alert.condition_type,
+      severity: alert.severity,
+      title: `${pipeline?.name || 'Unknown pipeline'}: ${alert.getConditionDescription()}`,
+      at: new Date(),
+      event: {
+        type: 'alert_triggered',
+        alert_id: alert.id,
+        alert_history_id: historyId,
+        build_id: build?.id || null,
+        message: `${alert.name}: ${result.condition} (current value ${result.value})`,
+        metadata: { value: result.value, threshold: result.threshold }
+      }
+    });
+  }
+
+  // Join the matching open incident or open a new one; returns { incident, action }. When the
+  // group lock can't be taken the event is not grouped: { incident: null, action: 'skipped' },
+  // and callers notify for it directly
+  async record(options) {
+    const { pipeline, source, category } = options;
+    const key = `incidents:lock:${pipeline?.id || 'none'}:${source}:${category}`;
+    return withSchedulerLock(key, () => this.findOrOpen(options), {
+      ttlMs: GROUP_LOCK_TTL_MS,
+      waitMs: GROUP_LOCK_WAIT_MS,
+      label: `Grouping ${source} event into an incident`,
+      onSkipped: () => ({ incident: null, action: 'skipped' })
+    });
+  }
+
+  async findOrOpen({ pipeline, source, category, severity, title, at, event }) {
+    const time = new Date(at);
+    const open = await Incident.findOne({
+      where: { pipeline_id: pipeline?.id || null, source, category, status: { [Op.in]: OPEN_STATUSES } },
+      order: [['last_event_at', 'DESC']]
+    });
+
+    if (open && time - new Date(open.last_event_at) <= this.windowMinutes * 60 * 1000) {
+      open.event_count += 1;
+      if (time > new Date(open.last_event_at)) {
+        open.last_event_at = time;
+      }
+
+      const escalatedTo = this.getEscalatedSeverity(open, severity);
+      if (escalatedTo) {
+        open.metadata = { ...open.metadata, escalated_from: open.severity };
+        open.severity = escalatedTo;
+      }
+      open.updated_at = new Date();
+      await open.save();
+      await this.addEvent(open, event);
+
+      if (escalatedTo) {
+        await this.addEvent(open, {
+          type: 'escalated',
+          message: `Escalated to ${escalatedTo} after ${open.event_count} events`,
+          metadata: { severity: escalatedTo, event_count: open.event_count }
+        });
+        logger.warn(`Incident escalated: ${open.title} (${open.id}) to ${escalatedTo}`);
+        return { incident: open, action: 'escalated' };
+      }
+      return { incident: open, action: 'grouped' };
+    }
+
+    if (open) {
+      await this.resolve(open, { resolution: 'inactive', pipeline });
+    }
+
+    const incident = await Incident.create({
+      pipeline_id: pipeline?.id || null,
+      source,
+      category,
+      title,
+      severity,
+      status: 'open',
+      event_count: 1,
+      opened_at: time,
+      last_event_at: time
+    });
+    await this.addEvent(incident, { ...event, type: 'opened' });
+
+    logger.warn(`Incident opened: ${incident.title} (${incident.id})`);
+    return { incident, action: 'opened' };
+  }
+
+  // Severity the incident escalates to after counting a new event of the given severity, or null
+  getEscalatedSeverity(incident, severity) {
+    const current = SEVERITIES.indexOf(incident.severity);
+    let target = Math.max(current, SEVERITIES.indexOf(severity));
+    if (incident.event_count % this.escalateEvery === 0) {
+      target = Math.max(target, current + 1);
+    }
+    target = Math.min(target, SEVERITIES.length - 1);
+    return target > current ? SEVERITIES[target] : null;
+  }
+
+  async addEvent(incident, { type, message = null, build_id = null, alert_id = null, alert_history_id = null, user_id = null, metadata = null }) {
+    return IncidentEvent.create({
+      incident_id: incident.id,
+      type,
+      message,
+      build_id,
+      alert_id,
+      alert_history_id,
+      user_id,
+      metadata
+    });
+  }
+
+  // Resolve the pipeline's open build failure incidents after a successful build
+  async resolveRecovered(build, pipeline) {
+    const incidents = await Incident.findAll({
+      where: {
+        pipeline_id: pipeline.id,
+        source: 'build_failure',
+        status: { [Op.in]: OPEN_STATUSES },
+        ...(build.started_at && { opened_at: { [Op.lte]: build.completed_at || build.started_at } })
+      }
+    });
+
+    for (const incident of incidents) {
+      await this.resolve(incident, {
+        resolution: 'recovered',
+        pipeline,
+        build,
+        notes: `Build #${build.build_number} succeeded`
+      });
+    }
+    return incidents;
+  }
+
+  // Record that an alert resolved on its incidents; an incident resolves once none of its alerts
+  // is triggered or acknowledged
+  async resolveForAlert(alert) {
+    const events = await IncidentEvent.findAll({
+      where: { alert_id: alert.id },
+      attributes: ['incident_id'],
+      include: [{ model: Incident, as: 'incident', where: { source: 'alert_rule', status: { [Op.in]: OPEN_STATUSES } } }]
+    });
+
+    const incidents = [...new Map(events.map(event => [event.incident.id, event.incident])).values()];
+    for (const incident of incidents) {
+      await this.addEvent(incident, {
+        type: 'alert_resolved',
+        alert_id: alert.id,
+        message: `${alert.name} resolved`
+      });
+
+      if (!(await this.hasOpenAlerts(incident))) {
+        await this.resolve(incident, { resolution: 'alert_resolved' });
+      }
+    }
+    return incidents;
+  }
+
+  async getAlertIds(incident) {
+    const events = await IncidentEvent.findAll({
+      where: { incident_id: incident.id, alert_id: { [Op.ne]: null } },
+      attributes: ['alert_id']
+    });
+    return [...new Set(events.map(event => event.alert_id))];
+  }
+
+  async hasOpenAlerts(incident) {
+    const alertIds = await this.getAlertIds(incident);
+    if (alertIds.length === 0) return false;
+
+    const open = await Alert.count({ where: { id: alertIds, status: { [Op.in]: ['triggered', 'acknowledged'] } } });
+    return open > 0;
+  }
+
+  // Acknowledge the incident and its triggered alerts, which stops their escalation; returns the
+  // ids of the alerts acknowledged
+  async acknowledge(incident, userId, notes = '') {
+    const now = new Date();
+    await incident.update({
+      status: 'acknowledged',
+      acknowledged_at: now,
+      acknowledged_by: userId,
+      updated_at: now
+    });
+    await this.addEvent(incident, {
+      type: 'acknowledged',
+      user_id: userId,
+      message: notes || 'Acknowledged'
+    });
+
+    const alertIds = await this.acknowledgeAlerts(incident, userId, notes);
+
+    logger.info(`Incident acknowledged: ${incident.id} by user ${userId}`);
+    return alertIds;
+  }
+
+  // Acknowledge the incident's triggered alerts, which clears their next_escalation_at; returns
+  // their ids
+  async acknowledgeAlerts(incident, userId, notes = '') {
+    const now = new Date();
+    const alertIds = await this.getAlertIds(incident);
+    const alerts = alertIds.length > 0
+      ? await Alert.findAll({ where: { id: alertIds, status: 'triggered' } })
+      : [];
+
+    for (const alert of alerts) {
+      await alert.acknowledge(userId);
+      await AlertHistory.create({
+        alert_id: alert.id,
+        triggered_at: now,
+        status: 'acknowledged',
+        severity: alert.severity,
+        metadata: {
+          acknowledged_by: userId,
+          notes,
+          action: 'acknowledged',
+          incident_id: incident.id
+        }
+      });
+    }
+
+    return alerts.map(alert => alert.id);
+  }
+
+  // Close the incident; build failure incidents send a resolved notice
+  async resolve(incident, { resolution, userId = null, notes = '', pipeline = null, build = null }) {
+    const now = new Date();
+    await incident.update({
+      status: 'resolved',
+      resolved_at: now,
+      resolved_by: userId,
+      resolution,
+      updated_at: now
+    });
+    await this.addEvent(incident, {
+      type: 'resolved',
+      user_id: userId,
+      build_id: build?.id || null,
+      message: notes || `Resolved (${resolution.replace(/_/g, ' ')})`,
+      metadata: { resolution, duration_seconds: incident.getDuration(), event_count: incident.event_count }
+    });
+
+    if (incident.source === 'build_failure') {
+      await this.notify(incident, 'resolved', { pipeline, build });
+    }
+
+    logger.info(`Incident resolved: ${incident.title} (${incident.id}), ${resolution}`);
+    return incident;
+  }
+
+  // Resolve incidents without events for the group window; alert rule incidents stay open while
+  // one of their alerts is
+  async resolveInactive(at = new Date()) {
+    const cutoff = new Date(new Date(at).getTime() - this.windowMinutes * 60 * 1000);
+    const incidents = await Incident.findAll({
+      where: { status: { [Op.in]: OPEN_STATUSES }, last_event_at: { [Op.lt]: cutoff } },
+      include: [{ model: Pipeline, as: 'pipeline' }]
+    });
+
+    const resolved = [];
+    for (const incident of incidents) {
+      try {
+        if (incident.source === 'alert_rule' && await this.hasOpenAlerts(incident)) continue;
+        await this.resolve(incident, { resolution: 'inactive', pipeline: incident.pipeline });
+        resolved.push(incident.id);
+      } catch (error) {
+        logger.error(`Error resolving inactive incident ${incident.id}:`, error);
+      }
+    }
+
+    if (resolved.length > 0) {
+      logger.info(`Resolved ${resolved.length} inactive incidents`);
+    }
+    return resolved;
+  }
+
+  // Email an incident notice (opened, escalated or resolved); failures are logged, not thrown
+  async notify(incident, type, { pipeline = null, build = null } = {}) {
+    const alert = {
+      id: Date.now(),
+      timestamp: new Date(),
+      type: `incident_${type}`,
+      severity: incident.severity,
+      message: this.formatMessage(incident, type, pipeline, build),
+      build_id: build?.id || null,
+      pipeline_id: incident.pipeline_id,
+      status: type === 'resolved' ? 'success' : 'failed',
+      failure_category: incident.source === 'build_failure' ? incident.category : null,
+      incident_id: incident.id
+    };
+
+    try {
+      this.emailService = this.emailService || new EmailService();
+      const emailResult = await this.emailService.sendAlertEmail(alert);
+      if (!emailResult.success) {
+        logger.warn(`Incident email failed: ${emailResult.message || emailResult.error}`);
+      }
+    } catch (error) {
+      logger.error(`Error sending incident ${type} email:`, error);
+    }
+    return alert;
+  }
+
+  formatMessage(incident, type, pipeline, build) {
+    const name = pipeline?.name ? `Pipeline "${pipeline.name}"` : incident.title;
+    const category = formatCategory(incident.category);
+
+    switch (type) {
+      case 'opened':
+        return `🚨 Incident opened: ${name} - ${category}${build ? ` - Build #${build.build_number}` : ''}`;
+      case 'escalated':
+        return `⏫ Incident escalated to ${incident.severity.toUpperCase()}: ${name} - ${category} - ${incident.event_count} failures since ${new Date(incident.opened_at).toLocaleString()}`;
+      case 'resolved': {
+        const minutes = Math.round(incident.getDuration() / 60);
+        return `✅ Incident resolved: ${name} - ${category} - ${incident.event_count} failures over ${minutes}m (${incident.resolution.replace(/_/g, ' ')})`;
+      }
+      default:
+        return `${name} - ${category}`;
+    }
+  }
+}
+
+IncidentService.SEVERITIES = SEVERITIES;
+IncidentService.DEFAULT_GROUP_WINDOW_MINUTES = DEFAULT_GROUP_WINDOW_MINUTES;
+
+module.exports = IncidentService;
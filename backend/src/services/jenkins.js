@@ -152,6 +152,30 @@ class JenkinsService {
     }
   }
 
+  // Get console output from a byte offset (progressiveText); moreData is true while the build runs
+  async getProgressiveConsoleOutput(jobName, buildNumber, start = 0) {
+    try {
+      const response = await this.client.get(`/job/${encodeURIComponent(jobName)}/${buildNumber}/logText/progressiveText`, {
+        params: { start },
+        responseType: 'text'
+      });
+
+      return {
+        success: true,
+        data: {
+          text: response.data,
+          next_offset: parseInt(response.headers['x-text-size']) || start,
+          more_data: response.headers['x-more-data'] === 'true',
+          build_number: buildNumber,
+          job_name: jobName
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching Jenkins progressive console output ${jobName}#${buildNumber}:`, error);
+      throw error;
+    }
+  }
+
   // Trigger a build
   async triggerBuild(jobName, parameters = {}) {
     try {
@@ -182,6 +206,25 @@ class JenkinsService {
     }
   }
 
+  // Stop a running build
+  async stopBuild(jobName, buildNumber) {
+    try {
+      await this.client.post(`/job/${encodeURIComponent(jobName)}/${buildNumber}/stop`);
+
+      return {
+        success: true,
+        data: {
+          message: 'Build stop requested successfully',
+          job_name: jobName,
+          build_number: buildNumber
+        }
+      };
+    } catch (error) {
+      logger.error(`Error stopping Jenkins build ${jobName}#${buildNumber}:`, error);
+      throw error;
+    }
+  }
+
   // Get build queue
   async getBuildQueue() {
     try {
@@ -379,6 +422,28 @@ class JenkinsService {
     }
   }
 
+  // Get the content of a text artifact such as a test report
+  async getArtifactContent(jobName, buildNumber, artifactPath) {
+    try {
+      const response = await this.client.get(`/job/${encodeURIComponent(jobName)}/${buildNumber}/artifact/${artifactPath}`, {
+        responseType: 'text'
+      });
+
+      return {
+        success: true,
+        data: {
+          content: response.data,
+          path: artifactPath,
+          build_number: buildNumber,
+          job_name: jobName
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching Jenkins artifact content ${jobName}#${buildNumber}:${artifactPath}:`, error);
+      throw error;
+    }
+  }
+
   // Get build changes
   async getBuildChanges(jobName, buildNumber) {
     try {
@@ -0,0 +1,43 @@
+const { withSchedulerLock } = require('../database/redis');
+const LogStorageService = require('./logStorage');
+const { logger } = require('../utils/logger');
+
+// How often expired log chunks are purged
+const DEFAULT_INTERVAL_HOURS = 6;
+
+// Only one replica purges at a time
+const LOCK_KEY = 'logs:retention:lock';
+const LOCK_TTL_MS = 30 * 60 * 1000;
+
+class LogRetentionScheduler {
+  constructor(options = {}) {
+    this.intervalHours = options.intervalHours || parseFloat(process.env.LOG_RETENTION_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+    this.logStorage = options.logStorage || new LogStorageService();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Log retention run failed:', error));
+    }, this.intervalHours * 60 * 60 * 1000);
+
+    logger.info(`Log retention scheduler started (every ${this.intervalHours}h)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Log retention scheduler stopped');
+    }
+  }
+
+  // Purge expired chunks under a Redis lock; returns the number deleted, or null when skipped
+  async run() {
+    return withSchedulerLock(LOCK_KEY, () => this.logStorage.purgeExpired(), { ttlMs: LOCK_TTL_MS, label: 'Log retention run' });
+  }
+}
+
+module.exports = LogRetentionScheduler;
@@ -0,0 +1,235 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { Op } = require('sequelize');
+const { sequelize, Build, BuildLogChunk, Pipeline } = require('../database/models');
+const { getProvider, hasProviderRun } = require('../providers');
+const { logger } = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Lines per chunk; chunks are also cut at MAX_CHUNK_BYTES so each search vector stays small
+const DEFAULT_CHUNK_LINES = 1000;
+const MAX_CHUNK_BYTES = 256 * 1024;
+
+// Days a stored log is kept; 0 keeps logs forever. Pipelines can override it with
+// config.log_retention_days
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Candidate chunks decompressed per search
+const MAX_SEARCH_CHUNKS = 200;
+
+class LogStorageService {
+  constructor(options = {}) {
+    this.chunkLines = options.chunkLines || DEFAULT_CHUNK_LINES;
+    this.retentionDays = options.retentionDays ?? (
+      process.env.LOG_RETENTION_DAYS !== undefined ? parseInt(process.env.LOG_RETENTION_DAYS) : DEFAULT_RETENTION_DAYS
+    );
+  }
+
+  // Replace the stored log of a build with the given sections ([{ name, content }])
+  async storeLogs(build, sections) {
+    const retentionDays = build.pipeline?.config?.log_retention_days ?? this.retentionDays;
+    const expiresAt = retentionDays > 0 ? new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000) : null;
+
+    const chunks = [];
+    sections.forEach((section, sectionIndex) => {
+      this.splitIntoChunks(section.content || '').forEach((chunk, chunkIndex) => {
+        chunks.push({ ...chunk, section: section.name || 'console', section_index: sectionIndex, chunk_index: chunkIndex });
+      });
+    });
+
+    await sequelize.transaction(async (transaction) => {
+      await BuildLogChunk.destroy({ where: { build_id: build.id }, transaction });
+
+      for (const { text, ...chunk } of chunks) {
+        await BuildLogChunk.create({
+          ...chunk,
+          build_id: build.id,
+          content: await gzip(text),
+          // Positions aren't needed for matching, so strip them to keep the vector small
+          search_vector: sequelize.fn('strip', sequelize.fn('to_tsvector', 'simple', text)),
+          expires_at: expiresAt
+        }, { transaction });
+      }
+    });
+
+    const summary = {
+      sections: sections.length,
+      chunks: chunks.length,
+      lines: chunks.reduce((sum, chunk) => sum + chunk.line_count, 0),
+      bytes: chunks.reduce((sum, chunk) => sum + chunk.byte_size, 0)
+    };
+
+    logger.info(`Stored logs for build ${build.id}: ${summary.lines} lines in ${summary.chunks} chunks`);
+
+    return summary;
+  }
+
+  // Decompressed sections of a build's stored log; [] when nothing is stored
+  async getLogs(buildId) {
+    const chunks = await BuildLogChunk.findAll({
+      where: { build_id: buildId },
+      order: [['section_index', 'ASC'], ['chunk_index', 'ASC']]
+    });
+
+    const sections = [];
+    for (const chunk of chunks) {
+      let section = sections[sections.length - 1];
+      if (!section || section.index !== chunk.section_index) {
+        section = { index: chunk.section_index, name: chunk.section, line_count: 0, parts: [] };
+        sections.push(section);
+      }
+
+      section.parts.push((await gunzip(chunk.content)).toString('utf8'));
+      section.line_count += chunk.line_count;
+    }
+
+    return sections.map(({ name, line_count, parts }) => ({
+      name,
+      line_count,
+      content: parts.join('\n')
+    }));
+  }
+
+  // Stored sections of a build; finished runs keep their logs at the provider, so the first
+  // read of one with nothing stored copies them into the store
+  async getOrArchiveLogs(build) {
+    const sections = await this.getLogs(build.id);
+    const finished = !['pending', 'running'].includes(build.status);
+    if (sections.length > 0 || !finished || !hasProviderRun(build)) {
+      return sections;
+    }
+
+    try {
+      const pipeline = build.pipeline || await Pipeline.findByPk(build.pipeline_id);
+      const providerLogs = await getProvider(pipeline).getLogs(build.external_id);
+      await this.storeLogs({ id: build.id, pipeline }, providerLogs);
+      return this.getLogs(build.id);
+    } catch (providerError) {
+      logger.warn(`Could not archive logs of build ${build.id} from provider: ${providerError.message}`);
+      return sections;
+    }
+  }
+
+  // Lines matching every word of the query, with surrounding lines, grouped by build (newest first).
+  // Postgres full-text search picks candidate chunks; context does not cross chunk boundaries
+  async searchLogs(query, { pipelineId, limit = 50, context = 2 } = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const buildInclude = {
+      model: Build,
+      as: 'build',
+      attributes: ['id', 'pipeline_id', 'build_number', 'status', 'branch', 'commit_hash', 'started_at'],
+      include: [{
+        model: Pipeline,
+        as: 'pipeline',
+        attributes: ['id', 'name', 'type']
+      }]
+    };
+    if (pipelineId) {
+      buildInclude.where = { pipeline_id: pipelineId };
+    }
+
+    const chunks = await BuildLogChunk.findAll({
+      attributes: ['id', 'build_id', 'section', 'start_line', 'content'],
+      where: {
+        search_vector: { [Op.match]: sequelize.fn('plainto_tsquery', 'simple', query) }
+      },
+      include: [buildInclude],
+      order: [
+        [{ model: Build, as: 'build' }, 'started_at', 'DESC'],
+        ['section_index', 'ASC'],
+        ['chunk_index', 'ASC']
+      ],
+      limit: MAX_SEARCH_CHUNKS
+    });
+
+    const results = new Map();
+    let matchCount = 0;
+
+    for (const chunk of chunks) {
+      if (matchCount >= limit) break;
+
+      const lines = (await gunzip(chunk.content)).toString('utf8').split('\n');
+
+      for (let i = 0; i < lines.length && matchCount < limit; i++) {
+        const line = lines[i].toLowerCase();
+        if (!terms.every(term => line.includes(term))) continue;
+
+        if (!results.has(chunk.build_id)) {
+          results.set(chunk.build_id, { build: chunk.build, matches: [] });
+        }
+
+        results.get(chunk.build_id).matches.push({
+          section: chunk.section,
+          line_number: chunk.start_line + i,
+          line: lines[i],
+          before: lines.slice(Math.max(0, i - context), i),
+          after: lines.slice(i + 1, i + 1 + context)
+        });
+        matchCount++;
+      }
+    }
+
+    return [...results.values()];
+  }
+
+  // Delete chunks past their retention date
+  async purgeExpired() {
+    const deleted = await BuildLogChunk.destroy({
+      where: { expires_at: { [Op.lt]: new Date() } }
+    });
+
+    if (deleted > 0) {
+      logger.info(`Purged ${deleted} expired build log chunks`);
+    }
+
+    return deleted;
+  }
+
+  // Split text into chunks of at most chunkLines lines and MAX_CHUNK_BYTES bytes
+  splitIntoChunks(text) {
+    const lines = text.split('\n');
+    // A trailing newline doesn't start another line
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    const chunks = [];
+    let current = [];
+    let currentBytes = 0;
+    let startLine = 1;
+
+    const flush = () => {
+      const chunkText = current.join('\n');
+      chunks.push({
+        start_line: startLine,
+        line_count: current.length,
+        byte_size: Buffer.byteLength(chunkText),
+        text: chunkText
+      });
+      startLine += current.length;
+      current = [];
+      currentBytes = 0;
+    };
+
+    for (const line of lines) {
+      const lineBytes = Buffer.byteLength(line) + 1;
+      if (current.length > 0 && (current.length >= this.chunkLines || currentBytes + lineBytes > MAX_CHUNK_BYTES)) {
+        flush();
+      }
+      current.push(line);
+      currentBytes += lineBytes;
+    }
+
+    if (current.length > 0 && !(current.length === 1 && current[0] === '')) {
+      flush();
+    }
+
+    return chunks;
+  }
+}
+
+module.exports = LogStorageService;
@@ -0,0 +1,209 @@
+const { Build, Pipeline } = require('../database/models');
+const { getProvider } = require('../providers');
+const LogStorageService = require('./logStorage');
+const {
+  emitBuildLogChunks,
+  emitBuildLogsEnd,
+  getBuildLogsListenerCount
+} = require('../websocket/socket');
+const { logger } = require('../utils/logger');
+
+// How often a followed build's provider is polled for new output
+const DEFAULT_POLL_SECONDS = 3;
+
+// Consecutive provider errors before a tail gives up
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// Output kept in memory per tail for replaying to late subscribers; older chunks are dropped
+// and the full log is fetched from the provider when the run finishes
+const MAX_BACKLOG_BYTES = 1024 * 1024;
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+// Tails provider logs of builds that have subscribers in their build:<id>:logs room.
+// One tail runs per build no matter how many sockets follow it, and it stops as soon as
+// the room is empty or the run has finished
+class LogStreamer {
+  constructor(options = {}) {
+    this.pollSeconds = options.pollSeconds || parseInt(process.env.LOG_STREAM_POLL_SECONDS) || DEFAULT_POLL_SECONDS;
+    this.maxFailures = options.maxFailures || MAX_CONSECUTIVE_FAILURES;
+    this.maxBacklogBytes = options.maxBacklogBytes || MAX_BACKLOG_BYTES;
+    this.logStorage = options.logStorage || new LogStorageService();
+    this.streams = new Map();
+  }
+
+  // Start tailing a build; a socket joining a running tail gets the recent output, flagged
+  // truncated when older output no longer fits the backlog
+  async watch(buildId, socket = null) {
+    const existing = this.streams.get(buildId);
+    if (existing) {
+      if (socket && existing.backlog.length > 0) {
+        socket.emit('build:logs', { buildId, chunks: existing.backlog, replay: true, truncated: existing.truncated });
+      }
+      return;
+    }
+
+    const stream = { cursor: {}, backlog: [], backlogBytes: 0, truncated: false, failures: 0, busy: false, timer: null };
+    this.streams.set(buildId, stream);
+
+    let build;
+    try {
+      build = await Build.findByPk(buildId, {
+        include: [{ model: Pipeline, as: 'pipeline' }]
+      });
+    } catch (error) {
+      this.finish(buildId, 'error', error.message);
+      throw error;
+    }
+
+    if (build && !ACTIVE_STATUSES.includes(build.status)) {
+      await this.replayStored(buildId, build);
+      return;
+    }
+
+    if (!build || !build.external_id || !build.pipeline) {
+      this.finish(buildId, 'unavailable', 'Build is not linked to a provider run');
+      return;
+    }
+
+    stream.build = build;
+    stream.runId = build.external_id;
+    try {
+      stream.provider = getProvider(build.pipeline);
+    } catch (error) {
+      this.finish(buildId, 'unsupported', error.message);
+      return;
+    }
+
+    logger.info(`Started log tail for build ${buildId} (${build.pipeline.type} run ${build.external_id})`);
+
+    await this.poll(buildId);
+    if (this.streams.get(buildId) === stream) {
+      stream.timer = setInterval(() => {
+        this.poll(buildId).catch(error => logger.error(`Log tail poll failed for build ${buildId}:`, error));
+      }, this.pollSeconds * 1000);
+    }
+  }
+
+  // Fetch output appended since the last poll and push it to the room
+  async poll(buildId) {
+    const stream = this.streams.get(buildId);
+    if (!stream || stream.busy) return;
+
+    if (getBuildLogsListenerCount(buildId) === 0) {
+      this.stop(buildId);
+      return;
+    }
+
+    stream.busy = true;
+    try {
+      const { chunks, cursor, complete } = await stream.provider.tailLogs(stream.runId, stream.cursor);
+      stream.cursor = cursor;
+      stream.failures = 0;
+
+      if (chunks.length > 0) {
+        this.appendBacklog(stream, chunks);
+        emitBuildLogChunks(buildId, chunks);
+      }
+
+      if (complete) {
+        this.finish(buildId, 'completed');
+        await this.archive(stream);
+      }
+    } catch (error) {
+      if (error.code === 'PROVIDER_OPERATION_UNSUPPORTED') {
+        this.finish(buildId, 'unsupported', error.message);
+        return;
+      }
+
+      stream.failures++;
+      logger.warn(`Log tail for build ${buildId} failed (${stream.failures}/${this.maxFailures}): ${error.message}`);
+
+      if (stream.failures >= this.maxFailures) {
+        this.finish(buildId, 'error', error.message);
+      }
+    } finally {
+      stream.busy = false;
+    }
+  }
+
+  // A finished build has nothing left to tail: send its stored log (archiving it from the
+  // provider on first read) and end the stream
+  async replayStored(buildId, build) {
+    let sections;
+    try {
+      sections = await this.logStorage.getOrArchiveLogs(build);
+    } catch (error) {
+      this.finish(buildId, 'error', error.message);
+      throw error;
+    }
+
+    if (sections.length === 0) {
+      this.finish(buildId, 'unavailable', 'No logs are stored for this build');
+      return;
+    }
+
+    emitBuildLogChunks(buildId, sections.map(({ name, content }) => ({ name, content })), { replay: true });
+    this.finish(buildId, 'completed');
+  }
+
+  // Add chunks to the replay backlog, dropping the oldest once it outgrows maxBacklogBytes
+  appendBacklog(stream, chunks) {
+    for (const chunk of chunks) {
+      stream.backlog.push(chunk);
+      stream.backlogBytes += Buffer.byteLength(chunk.content || '');
+    }
+
+    while (stream.backlogBytes > this.maxBacklogBytes && stream.backlog.length > 1) {
+      const dropped = stream.backlog.shift();
+      stream.backlogBytes -= Buffer.byteLength(dropped.content || '');
+      stream.truncated = true;
+    }
+  }
+
+  // Keep the complete output of a finished run in the log store, one section per job; a
+  // truncated backlog no longer holds it all, so the provider's copy is stored instead
+  async archive(stream) {
+    try {
+      if (stream.truncated) {
+        await this.logStorage.storeLogs(stream.build, await stream.provider.getLogs(stream.runId));
+        return;
+      }
+
+      const sections = new Map();
+      for (const chunk of stream.backlog) {
+        sections.set(chunk.name, (sections.get(chunk.name) || '') + chunk.content);
+      }
+      await this.logStorage.storeLogs(stream.build, [...sections].map(([name, content]) => ({ name, content })));
+    } catch (error) {
+      logger.error(`Failed to archive streamed logs of build ${stream.build.id}:`, error);
+    }
+  }
+
+  // End a tail and tell the subscribers why
+  finish(buildId, reason, error = null) {
+    emitBuildLogsEnd(buildId, reason, error);
+    this.stop(buildId);
+  }
+
+  // Drop a tail without notifying anyone
+  stop(buildId) {
+    const stream = this.streams.get(buildId);
+    if (!stream) return;
+
+    if (stream.timer) {
+      clearInterval(stream.timer);
+    }
+    this.streams.delete(buildId);
+    logger.info(`Stopped log tail for build ${buildId}`);
+  }
+
+  // Stop every tail, e.g. on shutdown
+  stopAll() {
+    for (const buildId of [...this.streams.keys()]) {
+      this.stop(buildId);
+    }
+  }
+}
+
+module.exports = LogStreamer;
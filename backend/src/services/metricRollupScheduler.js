@@ -0,0 +1,83 @@
+const { Op, fn, col } = require('sequelize');
+const { Build, Metrics } = require('../database/models');
+const { withSchedulerLock } = require('../database/redis');
+const MetricRollupService = require('./metricRollups');
+const { logger } = require('../utils/logger');
+
+// How often recent rollups are refreshed
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Trailing window rebuilt on every run, long enough to pick up status changes of running builds
+// and failures flagged flaky_recovered after a rerun
+const DEFAULT_REFRESH_DAYS = 7;
+
+// Only one replica writes rollups at a time. Without Redis every replica runs, which is safe
+// since rebuilding a period is idempotent
+const LOCK_KEY = 'metrics:rollups:lock';
+const LOCK_TTL_MS = 30 * 60 * 1000;
+
+class MetricRollupScheduler {
+  constructor(options = {}) {
+    this.intervalMinutes = options.intervalMinutes || parseFloat(process.env.METRIC_ROLLUP_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+    this.refreshDays = options.refreshDays || DEFAULT_REFRESH_DAYS;
+    this.rollupService = options.rollupService || new MetricRollupService();
+    this.lastRunAt = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Metric rollup run failed:', error));
+    }, this.intervalMinutes * 60 * 1000);
+
+    // Rollups back the metrics routes, so bring them up to date right away
+    this.run().catch(error => logger.error('Metric rollup run failed:', error));
+
+    logger.info(`Metric rollup scheduler started (every ${this.intervalMinutes}m)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Metric rollup scheduler stopped');
+    }
+  }
+
+  // Rebuild the trailing window, plus any older periods that received builds since the last
+  // run (everything on the first run); returns the rows written, or null when skipped
+  async run() {
+    return withSchedulerLock(LOCK_KEY, () => this.refresh(), { ttlMs: LOCK_TTL_MS, label: 'Metric rollup run' });
+  }
+
+  async refresh() {
+    const now = new Date();
+    const refreshFrom = new Date(now);
+    refreshFrom.setDate(refreshFrom.getDate() - this.refreshDays);
+
+    // Rollups recomputed for single builds also set calculated_at, so the table only tells the
+    // last run on this replica's first run
+    const lastRun = this.lastRunAt || await Metrics.max('calculated_at', { where: { period: { [Op.ne]: null } } });
+    const late = await Build.findOne({
+      where: {
+        started_at: { [Op.lt]: refreshFrom },
+        ...(lastRun && { created_at: { [Op.gt]: lastRun } })
+      },
+      attributes: [[fn('MIN', col('started_at')), 'earliest']],
+      raw: true
+    });
+
+    const from = late?.earliest ? new Date(late.earliest) : refreshFrom;
+    if (late?.earliest) {
+      logger.info(`Recomputing metric rollups from ${from.toISOString()} for late builds`);
+    }
+
+    const written = await this.rollupService.recompute(from, now);
+    this.lastRunAt = now;
+    return written;
+  }
+}
+
+module.exports = MetricRollupScheduler;
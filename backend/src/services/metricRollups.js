@@ -0,0 +1,348 @@
+const { Op, fn, col, literal } = require('sequelize');
+const { sequelize, Build, Metrics } = require('../database/models');
+const { invalidateRollupCache } = require('../middleware/cache');
+const { round, stddevFromMoments } = require('../utils/statistics');
+const { logger } = require('../utils/logger');
+
+const ROLLUP_PERIODS = ['hourly', 'daily', 'weekly', 'monthly'];
+
+// Postgres date_trunc unit of each period; weeks start on Monday
+const PERIOD_UNITS = { hourly: 'hour', daily: 'day', weekly: 'week', monthly: 'month' };
+
+const BUILD_STATUSES = ['success', 'failed', 'running', 'pending', 'cancelled'];
+
+// JSON with object keys sorted, since JSONB hands metadata back in its own key order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Rows written per pipeline and period:
+//   build_count   - builds started in the period; metadata holds the count per status
+//   success_rate  - successful builds as a percentage of all builds
+//   build_time    - average duration (seconds) of builds with one;
+//                   metadata { count, sum, sum_squares, min, max }, enough to merge means and stddevs
+//   failure_count - failed builds; metadata { categories, flaky_recovered }
+const METRIC_UNITS = {
+  build_count: 'builds',
+  success_rate: 'percent',
+  build_time: 'seconds',
+  failure_count: 'builds'
+};
+
+// Pre-aggregated build metrics kept in the metrics table, one set of rows per pipeline and
+// hourly, daily, weekly or monthly period (UTC). Periods are always rebuilt whole, so
+// recomputing a range after late builds arrive is idempotent. Cached metrics responses are
+// only invalidated for the days whose rollups actually changed
+class MetricRollupService {
+  // Rebuild every period type over the periods overlapping [start, end)
+  async recompute(start, end = new Date()) {
+    const written = {};
+    const changedDays = [];
+    for (const period of ROLLUP_PERIODS) {
+      const result = await this.rollup(period, start, end);
+      written[period] = result.written;
+      changedDays.push(...result.changedDays);
+    }
+    if (changedDays.length > 0) {
+      await invalidateRollupCache(changedDays, 'rollups recomputed');
+    }
+
+    logger.info(`Metric rollups recomputed from ${new Date(start).toISOString()} to ${new Date(end).toISOString()}`);
+    return written;
+  }
+
+  // Rebuild the periods containing a build's start, for its pipeline only, so a finished build
+  // shows up in the rollups without waiting for the scheduler
+  async recomputeBuild(build) {
+    if (!build.pipeline_id || !build.started_at) return null;
+
+    const written = {};
+    const changedDays = [];
+    for (const period of ROLLUP_PERIODS) {
+      const start = this.periodStart(period, build.started_at);
+      const result = await this.rollup(period, start, this.periodEnd(period, start), { pipelineId: build.pipeline_id });
+      written[period] = result.written;
+      changedDays.push(...result.changedDays);
+    }
+    if (changedDays.length > 0) {
+      await invalidateRollupCache(changedDays, `rollups of build ${build.id} recomputed`);
+    }
+
+    return written;
+  }
+
+  // Rebuild one period type over the periods overlapping [start, end), for every pipeline or
+  // only options.pipelineId. Returns the rows written and the UTC days covered by periods whose
+  // rows differ from the ones replaced
+  async rollup(period, start, end, { pipelineId = null } = {}) {
+    const rangeStart = this.periodStart(period, start);
+    const lastStart = this.periodStart(period, end);
+    const rangeEnd = lastStart < new Date(end) ? this.periodEnd(period, lastStart) : lastStart;
+
+    const groups = await Build.findAll({
+      where: {
+        pipeline_id: pipelineId || { [Op.ne]: null },
+        started_at: { [Op.gte]: rangeStart, [Op.lt]: rangeEnd }
+      },
+      attributes: [
+        'pipeline_id',
+        'status',
+        'failure_category',
+        [fn('date_trunc', PERIOD_UNITS[period], col('started_at')), 'period_start'],
+        [fn('COUNT', col('id')), 'builds'],
+        [literal('COUNT(*) FILTER (WHERE duration > 0)'), 'duration_count'],
+        [literal('SUM(duration) FILTER (WHERE duration > 0)'), 'duration_sum'],
+        [literal('SUM(duration::bigint * duration) FILTER (WHERE duration > 0)'), 'duration_sum_squares'],
+        [literal('MIN(duration) FILTER (WHERE duration > 0)'), 'duration_min'],
+        [fn('MAX', col('duration')), 'duration_max'],
+        [literal('COUNT(*) FILTER (WHERE flaky_recovered)'), 'flaky_recovered']
+      ],
+      group: ['pipeline_id', 'status', 'failure_category', fn('date_trunc', PERIOD_UNITS[period], col('started_at'))],
+      raw: true
+    });
+
+    const rows = this.buildRows(period, groups);
+    const where = {
+      period,
+      period_start: { [Op.gte]: rangeStart, [Op.lt]: rangeEnd },
+      ...(pipelineId && { pipeline_id: pipelineId })
+    };
+
+    const changed = await sequelize.transaction(async (transaction) => {
+      const previous = await Metrics.findAll({
+        where,
+        attributes: ['pipeline_id', 'metric_type', 'period_start', 'value', 'metadata'],
+        raw: true,
+        transaction
+      });
+      await Metrics.destroy({ where, transaction });
+      await Metrics.bulkCreate(rows, { transaction });
+      return this.changedPeriods(previous, rows);
+    });
+
+    return {
+      written: rows.length,
+      changedDays: changed.flatMap(periodStart => this.daysOf(period, periodStart))
+    };
+  }
+
+  // Start times of the periods whose rows were added, removed or got another value or metadata
+  changedPeriods(previous, rows) {
+    const rowKey = row => `${row.pipeline_id}|${row.metric_type}|${new Date(row.period_start).toISOString()}`;
+    // value is stored as DECIMAL(10,2)
+    const rowValue = row => `${Number(row.value).toFixed(2)}|${stableStringify(row.metadata)}`;
+
+    const before = new Map(previous.map(row => [rowKey(row), rowValue(row)]));
+    const changed = new Set();
+    for (const row of rows) {
+      const key = rowKey(row);
+      if (before.get(key) !== rowValue(row)) {
+        changed.add(new Date(row.period_start).toISOString());
+      }
+      before.delete(key);
+    }
+    for (const key of before.keys()) {
+      changed.add(key.split('|')[2]);
+    }
+
+    return [...changed].map(periodStart => new Date(periodStart));
+  }
+
+  // UTC days a period overlaps
+  daysOf(period, periodStart) {
+    const days = [];
+    const end = this.periodEnd(period, periodStart);
+    for (const day = this.periodStart('daily', periodStart); day < end; day.setUTCDate(day.getUTCDate() + 1)) {
+      days.push(new Date(day));
+    }
+    return days;
+  }
+
+  // Metric rows from build counts grouped by pipeline, period start, status and failure category
+  buildRows(period, groups) {
+    const buckets = new Map();
+    for (const group of groups) {
+      const periodStart = new Date(group.period_start);
+      const key = `${group.pipeline_id}|${periodStart.toISOString()}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          pipeline_id: group.pipeline_id,
+          period_start: periodStart,
+          statuses: Object.fromEntries(BUILD_STATUSES.map(status => [status, 0])),
+          total: 0,
+          duration: { count: 0, sum: 0, sum_squares: 0, min: null, max: null },
+          categories: {},
+          flaky_recovered: 0
+        });
+      }
+
+      const bucket = buckets.get(key);
+      const builds = Number(group.builds);
+      bucket.total += builds;
+      bucket.statuses[group.status] = (bucket.statuses[group.status] || 0) + builds;
+
+      const durationCount = Number(group.duration_count);
+      if (durationCount > 0) {
+        bucket.duration.count += durationCount;
+        bucket.duration.sum += Number(group.duration_sum);
+        bucket.duration.sum_squares += Number(group.duration_sum_squares);
+        bucket.duration.min = Math.min(bucket.duration.min ?? Infinity, Number(group.duration_min));
+        bucket.duration.max = Math.max(bucket.duration.max ?? 0, Number(group.duration_max));
+      }
+
+      if (group.status === 'failed') {
+        const category = group.failure_category || 'unknown';
+        bucket.categories[category] = (bucket.categories[category] || 0) + builds;
+        bucket.flaky_recovered += Number(group.flaky_recovered);
+      }
+    }
+
+    const calculatedAt = new Date();
+    return [...buckets.values()].flatMap(bucket => {
+      const base = {
+        pipeline_id: bucket.pipeline_id,
+        period,
+        period_start: bucket.period_start,
+        period_end: this.periodEnd(period, bucket.period_start),
+        timestamp: bucket.period_start,
+        calculated_at: calculatedAt
+      };
+      const metric = (type, value, metadata) => ({ ...base, metric_type: type, unit: METRIC_UNITS[type], value, metadata });
+
+      return [
+        metric('build_count', bucket.total, bucket.statuses),
+        metric('success_rate', Math.round((bucket.statuses.success / bucket.total) * 10000) / 100, {
+          success: bucket.statuses.success,
+          total: bucket.total
+        }),
+        metric('build_time', bucket.duration.count > 0 ? round(bucket.duration.sum / bucket.duration.count) : 0, bucket.duration),
+        metric('failure_count', bucket.statuses.failed, {
+          categories: bucket.categories,
+          flaky_recovered: bucket.flaky_recovered
+        })
+      ];
+    });
+  }
+
+  // Rollup rows of a period type starting at or after since, optionally for some pipelines
+  async getRollups(period, since, { pipelineIds = null, metricTypes = ['build_count', 'build_time', 'failure_count'] } = {}) {
+    return Metrics.findAll({
+      where: {
+        period,
+        period_start: { [Op.gte]: this.periodStart(period, since) },
+        metric_type: { [Op.in]: metricTypes },
+        ...(pipelineIds && { pipeline_id: { [Op.in]: pipelineIds } })
+      },
+      order: [['period_start', 'ASC']],
+      raw: true
+    });
+  }
+
+  // Fold rollup rows into build statistics grouped by keyFn(row)
+  collect(rows, keyFn = () => 'all') {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = keyFn(row);
+      if (!groups.has(key)) {
+        groups.set(key, this.emptyStats());
+      }
+      this.addRow(groups.get(key), row);
+    }
+    return groups;
+  }
+
+  // Build statistics over all rows
+  totals(rows) {
+    return rows.reduce((stats, row) => this.addRow(stats, row), this.emptyStats());
+  }
+
+  emptyStats() {
+    return {
+      total: 0,
+      ...Object.fromEntries(BUILD_STATUSES.map(status => [status, 0])),
+      duration_count: 0,
+      duration_sum: 0,
+      duration_sum_squares: 0,
+      duration_min: null,
+      duration_max: null,
+      failure_categories: {},
+      flaky_recovered: 0
+    };
+  }
+
+  addRow(stats, row) {
+    const metadata = row.metadata || {};
+    switch (row.metric_type) {
+      case 'build_count':
+        stats.total += Number(row.value);
+        BUILD_STATUSES.forEach(status => { stats[status] += metadata[status] || 0; });
+        break;
+      case 'build_time':
+        if (metadata.count > 0) {
+          stats.duration_count += metadata.count;
+          stats.duration_sum += metadata.sum;
+          stats.duration_sum_squares += metadata.sum_squares || 0;
+          stats.duration_min = Math.min(stats.duration_min ?? Infinity, metadata.min);
+          stats.duration_max = Math.max(stats.duration_max ?? 0, metadata.max);
+        }
+        break;
+      case 'failure_count':
+        Object.entries(metadata.categories || {}).forEach(([category, count]) => {
+          stats.failure_categories[category] = (stats.failure_categories[category] || 0) + count;
+        });
+        stats.flaky_recovered += metadata.flaky_recovered || 0;
+        break;
+      default:
+        break;
+    }
+    return stats;
+  }
+
+  successRate(stats) {
+    return stats.total > 0 ? Math.round((stats.success / stats.total) * 10000) / 100 : 0;
+  }
+
+  averageDuration(stats) {
+    return stats.duration_count > 0 ? round(stats.duration_sum / stats.duration_count) : 0;
+  }
+
+  durationStddev(stats) {
+    return round(stddevFromMoments(stats.duration_count, stats.duration_sum, stats.duration_sum_squares)) ?? 0;
+  }
+
+  // Start of the UTC period containing the date
+  periodStart(period, date) {
+    const start = new Date(date);
+    start.setUTCMinutes(0, 0, 0);
+    if (period === 'hourly') return start;
+
+    start.setUTCHours(0);
+    if (period === 'weekly') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (period === 'monthly') {
+      start.setUTCDate(1);
+    }
+    return start;
+  }
+
+  // Start of the following period
+  periodEnd(period, periodStart) {
+    const end = new Date(periodStart);
+    switch (period) {
+      case 'hourly': end.setUTCHours(end.getUTCHours() + 1); break;
+      case 'daily': end.setUTCDate(end.getUTCDate() + 1); break;
+      case 'weekly': end.setUTCDate(end.getUTCDate() + 7); break;
+      case 'monthly': end.setUTCMonth(end.getUTCMonth() + 1); break;
+      default: throw new Error(`Unknown rollup period ${period}`);
+    }
+    return end;
+  }
+}
+
+MetricRollupService.ROLLUP_PERIODS = ROLLUP_PERIODS;
+
+module.exports = MetricRollupService;
@@ -0,0 +1,107 @@
+const { Op } = require('sequelize');
+const { OnCallOverride, User } = require('../database/models');
+
+// Upcoming rotation shifts listed when a schedule is described
+const UPCOMING_SHIFTS = 4;
+
+// Works out who is on call. A schedule's users take rotation_hours shifts in turn, starting with
+// the first user at handoff_at. An override puts another user on call between its starts_at and
+// ends_at; when overrides overlap, the most recently created one wins
+class OnCallService {
+  // { user_id, source: 'override' | 'rotation', override_id, until } for the given time, or
+  // null when nobody is on call
+  async getOnCall(schedule, at = new Date()) {
+    const time = new Date(at);
+    const override = await OnCallOverride.findOne({
+      where: {
+        schedule_id: schedule.id,
+        starts_at: { [Op.lte]: time },
+        ends_at: { [Op.gt]: time }
+      },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (override) {
+      return {
+        user_id: override.user_id,
+        source: 'override',
+        override_id: override.id,
+        until: override.ends_at
+      };
+    }
+
+    const userId = schedule.getRotationUserId(time);
+    if (!userId) return null;
+
+    return {
+      user_id: userId,
+      source: 'rotation',
+      override_id: null,
+      until: this.getShiftEnd(schedule, time)
+    };
+  }
+
+  // End of the rotation shift covering the given time
+  getShiftEnd(schedule, at = new Date()) {
+    const shiftMs = schedule.rotation_hours * 60 * 60 * 1000;
+    const handoff = new Date(schedule.handoff_at).getTime();
+    const shift = Math.max(0, Math.floor((new Date(at).getTime() - handoff) / shiftMs));
+    return new Date(handoff + (shift + 1) * shiftMs);
+  }
+
+  // Next rotation shifts from the given time, overrides not applied
+  getUpcomingShifts(schedule, at = new Date(), count = UPCOMING_SHIFTS) {
+    const shifts = [];
+    if ((schedule.user_ids || []).length === 0) return shifts;
+
+    const shiftMs = schedule.rotation_hours * 60 * 60 * 1000;
+    let start = new Date(Math.max(new Date(at).getTime(), new Date(schedule.handoff_at).getTime()));
+    for (let i = 0; i < count; i++) {
+      const ends = this.getShiftEnd(schedule, start);
+      shifts.push({
+        user_id: schedule.getRotationUserId(start),
+        starts_at: new Date(ends.getTime() - shiftMs),
+        ends_at: ends
+      });
+      start = ends;
+    }
+    return shifts;
+  }
+
+  // Users on call now for each schedule, keyed by schedule id, with their name and email
+  async getOnCallUsers(schedules, at = new Date()) {
+    const onCall = {};
+    for (const schedule of schedules) {
+      onCall[schedule.id] = await this.getOnCall(schedule, at);
+    }
+
+    const userIds = [...new Set(Object.values(onCall).filter(Boolean).map(entry => entry.user_id))];
+    const users = userIds.length > 0
+      ? await User.findAll({ where: { id: userIds }, attributes: ['id', 'name', 'email'] })
+      : [];
+
+    for (const entry of Object.values(onCall)) {
+      if (entry) {
+        entry.user = users.find(user => user.id === entry.user_id) || null;
+      }
+    }
+    return onCall;
+  }
+
+  // Schedule as returned by the API, with the rotation's users in order, who is on call now and
+  // the upcoming shifts
+  async describe(schedule, at = new Date()) {
+    const onCall = await this.getOnCallUsers([schedule], at);
+    const users = await User.findAll({ where: { id: schedule.user_ids || [] }, attributes: ['id', 'name', 'email'] });
+    return {
+      ...schedule.toJSON(),
+      members: (schedule.user_ids || []).map(id => users.find(user => user.id === id)).filter(Boolean),
+      on_call: onCall[schedule.id],
+      upcoming_shifts: this.getUpcomingShifts(schedule, at)
+    };
+  }
+}
+
+OnCallService.UPCOMING_SHIFTS = UPCOMING_SHIFTS;
+
+module.exports = OnCallService;
@@ -0,0 +1,204 @@
+const { Build, BuildJob } = require('../database/models');
+const { getProvider } = require('../providers');
+const FailureClassifier = require('./failureClassifier');
+const TestResultService = require('./testResults');
+const AlertEvaluator = require('./alertEvaluator');
+const IncidentService = require('./incidents');
+const MetricRollupService = require('./metricRollups');
+const { invalidateBuildCache } = require('../middleware/cache');
+const { emitBuildStatus } = require('../websocket/socket');
+const { logger } = require('../utils/logger');
+
+// Number of recent runs pulled from the provider on each sync
+const DEFAULT_RUN_LIMIT = 30;
+
+// Statuses after which a run's logs and reports are final
+const FINISHED_STATUSES = ['success', 'failed'];
+
+// Fields compared to decide whether an existing build needs an update
+const TRACKED_FIELDS = ['status', 'build_number', 'triggered_by', 'started_at', 'completed_at', 'duration', 'branch', 'commit_hash', 'committed_at', 'message'];
+
+class PipelineSyncService {
+  constructor(options = {}) {
+    this.runLimit = options.runLimit || DEFAULT_RUN_LIMIT;
+    this.failureClassifier = options.failureClassifier || new FailureClassifier();
+    this.testResultService = options.testResultService || new TestResultService();
+    this.alertEvaluator = options.alertEvaluator || new AlertEvaluator();
+    this.incidentService = options.incidentService || new IncidentService();
+    this.rollupService = options.rollupService || new MetricRollupService();
+  }
+
+  // Pull recent runs for a pipeline from its provider and upsert them into builds
+  async syncPipeline(pipeline) {
+    const startedAt = new Date();
+    const report = {
+      pipeline_id: pipeline.id,
+      provider: pipeline.type,
+      fetched: 0,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      failed: 0,
+      errors: []
+    };
+
+    const runs = await this.fetchRuns(pipeline);
+    report.fetched = runs.length;
+
+    for (const run of runs) {
+      try {
+        const outcome = await this.upsertBuild(pipeline, run);
+        report[outcome]++;
+      } catch (error) {
+        logger.error(`Error syncing run ${run.external_id} for pipeline ${pipeline.id}:`, error);
+        report.failed++;
+        report.errors.push({ external_id: run.external_id, error: error.message });
+      }
+    }
+
+    await pipeline.update({ last_sync: new Date() });
+
+    report.started_at = startedAt.toISOString();
+    report.finished_at = new Date().toISOString();
+
+    logger.info(`Pipeline ${pipeline.id} synced: ${report.created} created, ${report.updated} updated, ${report.skipped} skipped`);
+
+    return report;
+  }
+
+  // Recent runs from the provider adapter registered for the pipeline type
+  async fetchRuns(pipeline) {
+    return getProvider(pipeline).listRuns({ limit: this.runLimit });
+  }
+
+  // Create or update the build for a provider run; returns the report bucket it falls into.
+  // Used by both the scheduled sync and webhook ingestion. With options.partial the run only
+  // seeds a missing build (e.g. a job event that arrived before its run event) and otherwise
+  // just moves a pending build to running
+  async upsertBuild(pipeline, { jobs, ...run }, options = {}) {
+    const existingBuild = await Build.findOne({
+      where: { pipeline_id: pipeline.id, external_id: run.external_id }
+    });
+
+    if (!existingBuild) {
+      const build = await Build.create({
+        ...run,
+        pipeline_id: pipeline.id,
+        // Push and pull request events carry no provider build number
+        build_number: run.build_number || await this.nextBuildNumber(pipeline.id)
+      });
+      await this.upsertJobs(build, jobs);
+      if (FINISHED_STATUSES.includes(build.status)) {
+        await this.processFinishedBuild(build, pipeline);
+      }
+      emitBuildStatus(build.toJSON());
+      await invalidateBuildCache(pipeline.id, `build ${build.id} created`);
+      return 'created';
+    }
+
+    await this.upsertJobs(existingBuild, jobs);
+
+    const changes = {};
+    if (options.partial) {
+      const started = (jobs || []).some(job => job.status !== 'pending');
+      if (existingBuild.status === 'pending' && started) {
+        changes.status = 'running';
+      }
+    } else {
+      for (const field of TRACKED_FIELDS) {
+        if (run[field] === undefined || run[field] === null) continue;
+        if (!this.isSameValue(existingBuild[field], run[field])) {
+          changes[field] = run[field];
+        }
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return 'skipped';
+    }
+
+    await existingBuild.update(changes);
+    if (FINISHED_STATUSES.includes(changes.status)) {
+      await this.processFinishedBuild(existingBuild, pipeline);
+    }
+    emitBuildStatus(existingBuild.toJSON());
+    await invalidateBuildCache(pipeline.id, `build ${existingBuild.id} updated`);
+    return 'updated';
+  }
+
+  // Work done once a build completes: tag failures with their category, group the build into
+  // the pipeline's incidents, collect the run's test reports, evaluate the pipeline's alert
+  // rules and rebuild the metric rollups the build falls into. Errors are logged and never fail
+  // the upsert
+  async processFinishedBuild(build, pipeline) {
+    build.pipeline = pipeline;
+
+    if (build.status === 'failed') {
+      try {
+        await this.failureClassifier.classifyBuild(build);
+      } catch (error) {
+        logger.error(`Error classifying failure of build ${build.id}:`, error);
+      }
+    }
+
+    try {
+      await this.incidentService.recordBuild(build, pipeline);
+    } catch (error) {
+      logger.error(`Error recording build ${build.id} in incidents:`, error);
+    }
+
+    try {
+      const summary = await this.testResultService.fetchFromProvider(build);
+      if (summary) {
+        build.test_results = summary;
+      }
+    } catch (error) {
+      if (error.code !== 'PROVIDER_OPERATION_UNSUPPORTED') {
+        logger.error(`Error collecting test reports of build ${build.id}:`, error);
+      }
+    }
+
+    try {
+      await this.alertEvaluator.evaluatePipeline(pipeline.id, { build });
+    } catch (error) {
+      logger.error(`Error evaluating alerts after build ${build.id}:`, error);
+    }
+
+    try {
+      await this.rollupService.recomputeBuild(build);
+    } catch (error) {
+      logger.error(`Error recomputing metric rollups of build ${build.id}:`, error);
+    }
+  }
+
+  // Create or update the jobs reported for a run, keyed on the provider job id
+  async upsertJobs(build, jobs = []) {
+    for (const jobData of jobs) {
+      const [job, created] = await BuildJob.findOrCreate({
+        where: { build_id: build.id, external_id: jobData.external_id },
+        defaults: jobData
+      });
+
+      if (!created) {
+        await job.update({ ...jobData, updated_at: new Date() });
+      }
+    }
+  }
+
+  // Next sequential build number for builds whose provider doesn't supply one
+  async nextBuildNumber(pipelineId) {
+    const current = await Build.max('build_number', { where: { pipeline_id: pipelineId } });
+    return (current || 0) + 1;
+  }
+
+  isSameValue(current, next) {
+    if (current instanceof Date || next instanceof Date) {
+      return current && next && new Date(current).getTime() === new Date(next).getTime();
+    }
+    return current === next;
+  }
+}
+
+PipelineSyncService.FINISHED_STATUSES = FINISHED_STATUSES;
+
+module.exports = PipelineSyncService;
@@ -1,14 +1,17 @@
 const { logger } = require('../utils/logger');
 const EmailService = require('./emailService');
+const IncidentService = require('./incidents');
 
 class SimpleAlertService {
   constructor() {
     this.notifications = [];
     this.emailService = new EmailService();
+    this.incidentService = new IncidentService({ emailService: this.emailService });
   }
 
-  // Send alert for build status change
-  async sendBuildAlert(build, pipeline, status) {
+  // Send alert for build status change. Failed builds are grouped into incidents, which email
+  // when they open, escalate or resolve; the alert is only kept in the notification list
+  async sendBuildAlert(build, pipeline, status, { group = true } = {}) {
     try {
       const message = this.formatBuildMessage(build, pipeline, status);
       const alert = {
@@ -19,31 +22,30 @@ class SimpleAlertService {
         message: message,
         build_id: build.id,
         pipeline_id: pipeline.id,
-        status: status
+        status: status,
+        failure_category: build.failure_category || null,
+        failure_excerpt: build.failure_excerpt || null
       };
 
-      // Store notification
-      this.notifications.push(alert);
-
       // Log the alert
       logger.info(`Build Alert: ${message}`);
 
-      // Send email alert
-      try {
-        const emailResult = await this.emailService.sendAlertEmail(alert);
-        if (emailResult.success) {
-          logger.info(`Email alert sent successfully: ${emailResult.messageId}`);
-          logger.info(`Preview URL: ${emailResult.previewURL}`);
+      if (status === 'failed' && group) {
+        const { incident, action } = await this.incidentService.recordBuildFailure(build, pipeline);
+        alert.incident_id = incident?.id || null;
+        alert.incident_action = action;
+        if (action === 'skipped') {
+          await this.deliverAlert(alert);
         } else {
-          logger.warn(`Email alert failed: ${emailResult.message || emailResult.error}`);
+          this.notifications.push(alert);
         }
-      } catch (emailError) {
-        logger.error('Error sending email alert:', emailError);
+      } else {
+        await this.deliverAlert(alert);
       }
 
       // Log the alert
       if (status === 'failed') {
-        logger.warn(`🚨 BUILD FAILED: Pipeline ${pipeline.name} - Build #${build.build_number}`);
+        logger.warn(`🚨 BUILD FAILED: Pipeline ${pipeline.name} - Build #${build.build_number}${build.failure_category ? ` (${build.failure_category})` : ''}`);
       } else if (status === 'success') {
         logger.info(`✅ BUILD SUCCESS: Pipeline ${pipeline.name} - Build #${build.build_number}`);
       }
@@ -55,12 +57,60 @@ class SimpleAlertService {
     }
   }
 
+  // Send alert for tests whose flip rate crossed the flakiness threshold
+  async sendFlakyTestAlert(build, pipeline, tests, threshold) {
+    try {
+      const testList = tests
+        .map(test => `${test.classname ? `${test.classname} › ` : ''}${test.name} (${Math.round(test.flip_rate * 100)}% flip rate over ${test.runs} runs)`)
+        .join('; ');
+      const alert = {
+        id: Date.now(),
+        timestamp: new Date(),
+        type: 'flaky_test',
+        severity: 'medium',
+        message: `⚠️ ${tests.length} flaky test${tests.length === 1 ? '' : 's'} in pipeline "${pipeline.name}" crossed the ${Math.round(threshold * 100)}% flip rate threshold: ${testList}`,
+        build_id: build.id,
+        pipeline_id: pipeline.id,
+        tests: tests
+      };
+
+      logger.info(`Flaky Test Alert: ${alert.message}`);
+
+      await this.deliverAlert(alert);
+
+      return alert;
+    } catch (error) {
+      logger.error('Error sending flaky test alert:', error);
+      throw error;
+    }
+  }
+
+  // Store the notification and send it by email; email failures are logged, not thrown
+  async deliverAlert(alert) {
+    this.notifications.push(alert);
+
+    try {
+      const emailResult = await this.emailService.sendAlertEmail(alert);
+      if (emailResult.success) {
+        logger.info(`Email alert sent successfully: ${emailResult.messageId}`);
+        logger.info(`Preview URL: ${emailResult.previewURL}`);
+      } else {
+        logger.warn(`Email alert failed: ${emailResult.message || emailResult.error}`);
+      }
+    } catch (emailError) {
+      logger.error('Error sending email alert:', emailError);
+    }
+  }
+
   // Format build message
   formatBuildMessage(build, pipeline, status) {
     const emoji = status === 'failed' ? '🚨' : status === 'success' ? '✅' : '⚠️';
     const statusText = status.toUpperCase();
+    const category = status === 'failed' && build.failure_category
+      ? ` - ${build.failure_category.replace(/_/g, ' ')}`
+      : '';
     
-    return `${emoji} Build ${statusText}: Pipeline "${pipeline.name}" - Build #${build.build_number} - ${new Date().toLocaleString()}`;
+    return `${emoji} Build ${statusText}: Pipeline "${pipeline.name}" - Build #${build.build_number}${category} - ${new Date().toLocaleString()}`;
   }
 
   // Get all notifications
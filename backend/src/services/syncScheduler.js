@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { Pipeline } = require('../database/models');
+const { withSchedulerLock, isRedisReady } = require('../database/redis');
+const { invalidatePipelineCache } = require('../middleware/cache');
+const PipelineSyncService = require('./pipelineSync');
+const { logger } = require('../utils/logger');
+
+// How often the scheduler looks for pipelines that are due
+const DEFAULT_TICK_SECONDS = 30;
+
+// Consecutive provider failures before a pipeline is moved to the error state
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// Upper bound for the exponential backoff between failed attempts
+const MAX_BACKOFF_MINUTES = 24 * 60;
+
+// Lock expiry guards against a replica dying mid-sync and holding the lock forever
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+// Pipelines in maintenance keep syncing; only their alerts are silenced
+const SYNCED_STATUSES = ['active', 'maintenance'];
+
+class SyncScheduler {
+  constructor(options = {}) {
+    this.tickSeconds = options.tickSeconds || parseInt(process.env.SYNC_SCHEDULER_TICK_SECONDS) || DEFAULT_TICK_SECONDS;
+    this.maxFailures = options.maxFailures || MAX_CONSECUTIVE_FAILURES;
+    this.syncService = options.syncService || new PipelineSyncService();
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Start polling on a fixed tick
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Sync scheduler tick failed:', error));
+    }, this.tickSeconds * 1000);
+
+    logger.info(`Sync scheduler started (tick: ${this.tickSeconds}s)`);
+  }
+
+  // Stop polling; an in-flight tick is allowed to finish
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Sync scheduler stopped');
+    }
+  }
+
+  // Sync every active or maintenance pipeline whose next run is due
+  async tick() {
+    if (this.running) {
+      logger.debug('Sync scheduler tick skipped, previous tick still running');
+      return;
+    }
+
+    // Without Redis no pipeline can be locked, so nothing would sync
+    if (!isRedisReady()) {
+      logger.warn('Sync scheduler tick skipped, Redis unavailable');
+      return;
+    }
+
+    this.running = true;
+    try {
+      const duePipelines = await Pipeline.findAll({
+        where: {
+          status: { [Op.in]: SYNCED_STATUSES },
+          [Op.or]: [
+            { next_sync_at: null },
+            { next_sync_at: { [Op.lte]: new Date() } }
+          ]
+        }
+      });
+
+      for (const pipeline of duePipelines) {
+        await this.runPipeline(pipeline);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Sync a single pipeline under a Redis lock so only one replica works on it; returns the sync
+  // report, or null when skipped. A manual run (POST /api/pipelines/:id/sync) syncs whatever the
+  // pipeline's status and schedule, and throws instead of skipping or backing off: code
+  // SYNC_IN_PROGRESS when another sync holds the lock, SYNC_LOCK_UNAVAILABLE without Redis, or
+  // the provider error. Any successful run resets the failure backoff
+  async runPipeline(pipeline, { manual = false } = {}) {
+    return withSchedulerLock(`sync:lock:${pipeline.id}`, () => this.syncLocked(pipeline, manual), {
+      ttlMs: LOCK_TTL_MS,
+      label: `Sync for pipeline ${pipeline.id}`,
+      onSkipped: (reason) => {
+        if (!manual) return null;
+        const error = new Error(reason === 'held'
+          ? `A sync of pipeline ${pipeline.id} is already running`
+          : 'Pipeline sync lock is unavailable, Redis is down');
+        error.code = reason === 'held' ? 'SYNC_IN_PROGRESS' : 'SYNC_LOCK_UNAVAILABLE';
+        throw error;
+      }
+    });
+  }
+
+  async syncLocked(pipeline, manual) {
+    try {
+      // Another replica may have synced it between our query and taking the lock
+      await pipeline.reload();
+      const due = SYNCED_STATUSES.includes(pipeline.status) && !(pipeline.next_sync_at && pipeline.next_sync_at > new Date());
+      if (!manual && !due) {
+        return null;
+      }
+
+      const report = await this.syncService.syncPipeline(pipeline);
+
+      await pipeline.update({
+        sync_failures: 0,
+        last_sync_error: null,
+        next_sync_at: this.nextRunAt(pipeline.sync_interval)
+      });
+
+      return report;
+    } catch (error) {
+      if (manual) throw error;
+      await this.recordFailure(pipeline, error);
+      return null;
+    }
+  }
+
+  // Back off exponentially and flag the pipeline after repeated failures. A pipeline in
+  // maintenance keeps its status, so its alerts stay silenced, and retries at the longest backoff
+  async recordFailure(pipeline, error) {
+    const failures = (pipeline.sync_failures || 0) + 1;
+    const updates = { sync_failures: failures, last_sync_error: error.message };
+
+    if (failures >= this.maxFailures && pipeline.status === 'maintenance') {
+      updates.next_sync_at = this.nextRunAt(MAX_BACKOFF_MINUTES);
+      logger.error(`Pipeline ${pipeline.id} in maintenance failed ${failures} syncs, retrying in ${MAX_BACKOFF_MINUTES}m:`, error);
+    } else if (failures >= this.maxFailures) {
+      updates.status = 'error';
+      updates.next_sync_at = null;
+      logger.error(`Pipeline ${pipeline.id} moved to error after ${failures} failed syncs:`, error);
+    } else {
+      const backoffMinutes = Math.min((pipeline.sync_interval || 5) * Math.pow(2, failures), MAX_BACKOFF_MINUTES);
+      updates.next_sync_at = this.nextRunAt(backoffMinutes);
+      logger.warn(`Sync failed for pipeline ${pipeline.id} (attempt ${failures}), retrying in ${backoffMinutes}m: ${error.message}`);
+    }
+
+    await pipeline.update(updates);
+    if (updates.status) {
+      await invalidatePipelineCache(pipeline.id, 'moved to error by the sync scheduler');
+    }
+  }
+
+  nextRunAt(minutes) {
+    return new Date(Date.now() + (minutes || 5) * 60 * 1000);
+  }
+}
+
+module.exports = SyncScheduler;
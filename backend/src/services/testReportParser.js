@@ -0,0 +1,200 @@
+const { XMLParser } = require('fast-xml-parser');
+
+const REPORT_FORMATS = ['junit', 'tap', 'jest'];
+
+// Failure output kept per test case
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Parses JUnit XML, TAP and Jest JSON reports into
+//   { format, suites: [{ name, tests, passed, failed, skipped, duration, cases }] }
+// with cases as [{ name, classname, status, duration, message }], status being passed, failed
+// or skipped and durations in seconds. Unreadable reports throw an error with code TEST_REPORT_INVALID
+class TestReportParser {
+  constructor() {
+    this.xmlParser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '',
+      parseTagValue: false,
+      parseAttributeValue: false,
+      isArray: (name) => ['testsuites', 'testsuite', 'testcase', 'failure', 'error', 'skipped'].includes(name)
+    });
+  }
+
+  // content is the report text, or an already parsed Jest JSON object
+  parse(content, { format, name } = {}) {
+    const reportFormat = format || this.detectFormat(content, name);
+
+    switch (reportFormat) {
+      case 'junit': return { format: 'junit', suites: this.parseJUnit(content) };
+      case 'tap': return { format: 'tap', suites: this.parseTap(content, name) };
+      case 'jest': return { format: 'jest', suites: this.parseJest(content) };
+      default: throw this.invalid(`Unrecognized test report format${name ? ` for ${name}` : ''}`);
+    }
+  }
+
+  detectFormat(content, name = '') {
+    if (typeof content === 'object' && content !== null) return 'jest';
+    if (/\.xml$/i.test(name)) return 'junit';
+    if (/\.tap$/i.test(name)) return 'tap';
+    if (/\.json$/i.test(name)) return 'jest';
+
+    const text = String(content).trim();
+    if (text.startsWith('<')) return 'junit';
+    if (text.startsWith('{')) return 'jest';
+    if (/^TAP version \d+/.test(text) || /^(not )?ok\b/m.test(text) || /^1\.\.\d+/m.test(text)) return 'tap';
+    return null;
+  }
+
+  parseJUnit(content) {
+    let document;
+    try {
+      document = this.xmlParser.parse(String(content), true);
+    } catch (error) {
+      throw this.invalid(`Invalid JUnit XML: ${error.message}`);
+    }
+
+    // <testsuites> may nest further <testsuite> elements; a bare <testsuite> is also valid
+    const suites = [];
+    const collect = (node) => {
+      (node.testsuite || []).forEach(suite => {
+        suites.push(suite);
+        collect(suite);
+      });
+    };
+    (document.testsuites || []).forEach(collect);
+    collect(document);
+
+    if (suites.length === 0) {
+      throw this.invalid('JUnit XML contains no <testsuite> elements');
+    }
+
+    return suites
+      .filter(suite => (suite.testcase || []).length > 0)
+      .map(suite => this.summarizeSuite(suite.name || 'JUnit', (suite.testcase || []).map(testCase => {
+        const problem = (testCase.failure || testCase.error || [])[0];
+        let status = 'passed';
+        if (problem !== undefined) status = 'failed';
+        else if (testCase.skipped) status = 'skipped';
+
+        return {
+          name: testCase.name || 'unnamed',
+          classname: testCase.classname || null,
+          status,
+          duration: this.parseSeconds(testCase.time),
+          message: problem === undefined ? null : this.problemText(problem)
+        };
+      }), this.parseSeconds(suite.time)));
+  }
+
+  // Top-level test points become the cases of a single suite; indented subtest output is ignored
+  parseTap(content, name) {
+    const lines = String(content).split('\n');
+    const cases = [];
+    let diagnostics = null;
+
+    for (const line of lines) {
+      const point = line.match(/^(not )?ok\b(?:\s+\d+)?\s*(?:-\s*)?([^#]*?)\s*(?:#\s*(SKIP|TODO)\b\s*(.*))?$/i);
+      if (point) {
+        const [, notOk, description, directive, reason] = point;
+        let status = notOk ? 'failed' : 'passed';
+        // Skipped points and failing TODO points don't count as failures
+        if (directive && (directive.toUpperCase() === 'SKIP' || notOk)) status = 'skipped';
+
+        diagnostics = status === 'failed' ? [] : null;
+        cases.push({
+          name: description || `test ${cases.length + 1}`,
+          classname: null,
+          status,
+          duration: null,
+          message: directive ? reason || null : null
+        });
+        continue;
+      }
+
+      // YAML diagnostics of the preceding failed point
+      if (diagnostics && /^\s+/.test(line)) {
+        diagnostics.push(line.trim());
+        const current = cases[cases.length - 1];
+        current.message = this.truncate(diagnostics.filter(text => text !== '---' && text !== '...').join('\n')) || null;
+        const durationMs = line.match(/^\s+duration_ms:\s*([\d.]+)/);
+        if (durationMs) current.duration = parseFloat(durationMs[1]) / 1000;
+      } else {
+        diagnostics = null;
+      }
+    }
+
+    if (cases.length === 0) {
+      throw this.invalid('TAP report contains no test points');
+    }
+
+    return [this.summarizeSuite(name || 'TAP', cases)];
+  }
+
+  // One suite per test file
+  parseJest(content) {
+    let report = content;
+    if (typeof content !== 'object') {
+      try {
+        report = JSON.parse(content);
+      } catch (error) {
+        throw this.invalid(`Invalid Jest JSON: ${error.message}`);
+      }
+    }
+
+    if (!Array.isArray(report?.testResults)) {
+      throw this.invalid('Jest JSON report has no testResults array');
+    }
+
+    return report.testResults.map(file => {
+      const cases = (file.assertionResults || []).map(assertion => ({
+        name: assertion.fullName || assertion.title || 'unnamed',
+        classname: (assertion.ancestorTitles || []).join(' > ') || null,
+        status: assertion.status === 'passed' ? 'passed' : assertion.status === 'failed' ? 'failed' : 'skipped',
+        duration: assertion.duration !== undefined && assertion.duration !== null ? assertion.duration / 1000 : null,
+        message: assertion.failureMessages?.length ? this.truncate(assertion.failureMessages.join('\n')) : null
+      }));
+
+      const duration = file.endTime && file.startTime ? (file.endTime - file.startTime) / 1000 : null;
+      return this.summarizeSuite(file.name || 'Jest', cases, duration);
+    });
+  }
+
+  summarizeSuite(name, cases, duration = null) {
+    const count = (status) => cases.filter(testCase => testCase.status === status).length;
+    return {
+      name,
+      tests: cases.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      duration: duration ?? cases.reduce((sum, testCase) => sum + (testCase.duration || 0), 0),
+      cases
+    };
+  }
+
+  // <failure message="...">stack</failure> or a bare <failure/>
+  problemText(problem) {
+    if (typeof problem !== 'object') return this.truncate(String(problem)) || null;
+    const parts = [problem.message, problem['#text']].filter(Boolean);
+    return this.truncate(parts.join('\n')) || null;
+  }
+
+  parseSeconds(value) {
+    const seconds = parseFloat(String(value ?? '').replace(/,/g, ''));
+    return Number.isFinite(seconds) ? seconds : null;
+  }
+
+  truncate(text) {
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.code = 'TEST_REPORT_INVALID';
+    return error;
+  }
+}
+
+TestReportParser.REPORT_FORMATS = REPORT_FORMATS;
+
+module.exports = TestReportParser;
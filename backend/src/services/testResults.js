@@ -0,0 +1,115 @@
+const { sequelize, Build, Pipeline, TestSuite, TestCase } = require('../database/models');
+const { getProvider, hasProviderRun } = require('../providers');
+const TestReportParser = require('./testReportParser');
+const FlakyTestAnalyzer = require('./flakyTests');
+const { logger } = require('../utils/logger');
+
+// Failing cases returned with a build's test results
+const MAX_FAILING_CASES = 200;
+
+class TestResultService {
+  constructor(options = {}) {
+    this.parser = options.parser || new TestReportParser();
+    this.flakyTestAnalyzer = options.flakyTestAnalyzer || new FlakyTestAnalyzer();
+  }
+
+  // Parse reports ([{ name, format?, content }]) and store their suites and cases on the build.
+  // Every report is parsed before anything is written, so one bad report rejects the upload;
+  // a report whose name was ingested before replaces the earlier one
+  async ingestReports(build, reports) {
+    const parsed = reports.map((report, index) => {
+      const source = report.name || `report-${index + 1}`;
+      return { source, ...this.parser.parse(report.content, { format: report.format, name: report.name }) };
+    });
+
+    await sequelize.transaction(async (transaction) => {
+      for (const { source, format, suites } of parsed) {
+        await TestSuite.destroy({ where: { build_id: build.id, source }, transaction });
+
+        for (const { cases, ...suiteData } of suites) {
+          const suite = await TestSuite.create({
+            ...suiteData,
+            build_id: build.id,
+            source,
+            format
+          }, { transaction });
+
+          await TestCase.bulkCreate(cases.map(testCase => ({
+            ...testCase,
+            suite_id: suite.id,
+            build_id: build.id
+          })), { transaction });
+        }
+      }
+    });
+
+    const summary = await this.summarize(build.id);
+    await Build.update({ test_results: summary }, { where: { id: build.id } });
+
+    logger.info(`Ingested ${parsed.length} test reports for build ${build.id}: ${summary.passed}/${summary.total} passed`);
+
+    try {
+      await this.flakyTestAnalyzer.checkThresholds(build);
+    } catch (error) {
+      logger.error(`Error checking test flakiness after build ${build.id}:`, error);
+    }
+
+    return summary;
+  }
+
+  // Totals over every stored suite of a build, as kept in builds.test_results
+  async summarize(buildId) {
+    const suites = await TestSuite.findAll({
+      where: { build_id: buildId },
+      attributes: ['source', 'tests', 'passed', 'failed', 'skipped', 'duration']
+    });
+
+    const sum = (field) => suites.reduce((total, suite) => total + (suite[field] || 0), 0);
+
+    return {
+      total: sum('tests'),
+      passed: sum('passed'),
+      failed: sum('failed'),
+      skipped: sum('skipped'),
+      duration: Math.round(sum('duration') * 1000) / 1000,
+      suites: suites.length,
+      reports: [...new Set(suites.map(suite => suite.source))],
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  // Summary, suites and failing cases of a build
+  async getTestResults(buildId) {
+    const [summary, suites, failing] = await Promise.all([
+      this.summarize(buildId),
+      TestSuite.findAll({
+        where: { build_id: buildId },
+        attributes: { exclude: ['build_id'] },
+        order: [['failed', 'DESC'], ['name', 'ASC']]
+      }),
+      TestCase.findAll({
+        where: { build_id: buildId, status: 'failed' },
+        attributes: ['id', 'suite_id', 'name', 'classname', 'duration', 'message'],
+        include: [{ model: TestSuite, as: 'suite', attributes: ['name', 'source'] }],
+        order: [['classname', 'ASC'], ['name', 'ASC']],
+        limit: MAX_FAILING_CASES
+      })
+    ]);
+
+    return { summary, suites, failing };
+  }
+
+  // Download test reports from the build's provider artifacts and ingest them;
+  // returns null when the run has no reports
+  async fetchFromProvider(build) {
+    if (!hasProviderRun(build)) return null;
+
+    const pipeline = build.pipeline || await Pipeline.findByPk(build.pipeline_id);
+    const reports = await getProvider(pipeline).getTestReports(build.external_id);
+    if (reports.length === 0) return null;
+
+    return this.ingestReports(build, reports);
+  }
+}
+
+module.exports = TestResultService;
@@ -0,0 +1,242 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+class TravisCIService {
+  constructor(config) {
+    this.baseUrl = config.baseUrl || 'https://api.travis-ci.com';
+    this.apiToken = config.apiToken;
+    this.timeout = config.timeout || 30000;
+
+    // Create axios instance for the v3 API
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      headers: {
+        'Travis-API-Version': '3',
+        'Authorization': `token ${this.apiToken}`,
+        'Content-Type': 'application/json'
+      },
+      adapter: config.adapter
+    });
+
+    // Add response interceptor for error handling
+    this.client.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        logger.error('Travis CI API error:', {
+          status: error.response?.status,
+          statusText: error.response?.statusText,
+          url: error.config?.url,
+          method: error.config?.method,
+          error: error.message
+        });
+        throw error;
+      }
+    );
+  }
+
+  // Test connection to Travis CI
+  async testConnection() {
+    try {
+      const response = await this.client.get('/user');
+      return {
+        success: true,
+        data: {
+          user_id: response.data.id,
+          login: response.data.login,
+          name: response.data.name
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        details: error.response?.data
+      };
+    }
+  }
+
+  // Get recent builds of a repository, e.g. org/repo
+  async getRepositoryBuilds(repository, limit = 20, offset = 0) {
+    try {
+      const response = await this.client.get(`/repo/${encodeURIComponent(repository)}/builds`, {
+        params: {
+          limit,
+          offset,
+          sort_by: 'id:desc'
+        }
+      });
+
+      return {
+        success: true,
+        data: response.data.builds.map(build => this.transformBuild(build)),
+        pagination: {
+          offset: parseInt(offset),
+          limit: parseInt(limit),
+          total: response.data['@pagination']?.count
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching Travis CI builds for ${repository}:`, error);
+      throw error;
+    }
+  }
+
+  // Get specific build details
+  async getBuild(buildId) {
+    try {
+      const response = await this.client.get(`/build/${buildId}`);
+
+      return {
+        success: true,
+        data: this.transformBuild(response.data)
+      };
+    } catch (error) {
+      logger.error(`Error fetching Travis CI build ${buildId}:`, error);
+      throw error;
+    }
+  }
+
+  // Get the jobs of a build
+  async getBuildJobs(buildId) {
+    try {
+      const response = await this.client.get(`/build/${buildId}/jobs`);
+
+      const jobs = response.data.jobs.map(job => ({
+        id: job.id,
+        number: job.number,
+        state: job.state,
+        stage: job.stage?.name || null,
+        started_at: job.started_at,
+        finished_at: job.finished_at,
+        allow_failure: job.allow_failure || false
+      }));
+
+      return {
+        success: true,
+        data: jobs
+      };
+    } catch (error) {
+      logger.error(`Error fetching Travis CI jobs for build ${buildId}:`, error);
+      throw error;
+    }
+  }
+
+  // Get job log
+  async getJobLog(jobId) {
+    try {
+      const response = await this.client.get(`/job/${jobId}/log`);
+
+      return {
+        success: true,
+        data: {
+          log: response.data.content || '',
+          job_id: jobId
+        }
+      };
+    } catch (error) {
+      logger.error(`Error fetching Travis CI log for job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  // Trigger a build by creating a request on a branch
+  async triggerBuild(repository, branch, config = {}) {
+    try {
+      const response = await this.client.post(`/repo/${encodeURIComponent(repository)}/requests`, {
+        request: {
+          branch,
+          ...(Object.keys(config).length > 0 && { config })
+        }
+      });
+
+      return {
+        success: true,
+        data: {
+          message: 'Build requested successfully',
+          request: {
+            id: response.data.request?.id,
+            branch
+          }
+        }
+      };
+    } catch (error) {
+      logger.error(`Error triggering Travis CI build for ${repository}:`, error);
+      throw error;
+    }
+  }
+
+  // Cancel a build
+  async cancelBuild(buildId) {
+    try {
+      await this.client.post(`/build/${buildId}/cancel`);
+
+      return {
+        success: true,
+        data: {
+          message: 'Build cancelled successfully',
+          build_id: buildId
+        }
+      };
+    } catch (error) {
+      logger.error(`Error cancelling Travis CI build ${buildId}:`, error);
+      throw error;
+    }
+  }
+
+  // Restart a build
+  async restartBuild(buildId) {
+    try {
+      await this.client.post(`/build/${buildId}/restart`);
+
+      return {
+        success: true,
+        data: {
+          message: 'Build restart initiated successfully',
+          build_id: buildId
+        }
+      };
+    } catch (error) {
+      logger.error(`Error restarting Travis CI build ${buildId}:`, error);
+      throw error;
+    }
+  }
+
+  // Transform a Travis CI build to our format
+  transformBuild(build) {
+    return {
+      id: build.id,
+      number: build.number,
+      state: build.state,
+      event_type: build.event_type,
+      branch: build.branch?.name,
+      commit_hash: build.commit?.sha,
+      commit_message: build.commit?.message,
+      author: build.created_by?.login,
+      started_at: build.started_at,
+      finished_at: build.finished_at,
+      // Travis reports the summed job duration in seconds
+      duration: build.duration,
+      jobs: (build.jobs || []).map(job => job.id)
+    };
+  }
+
+  // Utility methods for status mapping
+  mapBuildState(travisState) {
+    switch (travisState) {
+      case 'passed': return 'success';
+      case 'failed':
+      case 'errored':
+        return 'failed';
+      case 'canceled': return 'cancelled';
+      case 'started': return 'running';
+      case 'created':
+      case 'received':
+      case 'queued':
+        return 'pending';
+      default: return 'pending';
+    }
+  }
+}
+
+module.exports = TravisCIService;
@@ -0,0 +1,121 @@
+// Minimal five-field cron expressions ("minute hour day-of-month month day-of-week"), evaluated
+// in UTC. Fields accept *, numbers, ranges (1-5), steps (*/15, 1-30/5) and comma-separated lists;
+// day-of-week runs 0-6 from Sunday, with 7 also meaning Sunday. As in cron, when both day fields
+// are restricted a date matches if either one does.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${part}"`);
+    }
+
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start);
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} "${part}" is out of range ${min}-${max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parsed schedule: a set of allowed values per field; throws on an invalid expression
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether the UTC minute containing date matches the schedule
+function cronMatches(schedule, date) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const at = new Date(date);
+
+  const dayOfMonth = parsed.daysOfMonth.has(at.getUTCDate());
+  const dayOfWeek = parsed.daysOfWeek.has(at.getUTCDay());
+  const day = parsed.anyDayOfMonth || parsed.anyDayOfWeek ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+
+  return parsed.minutes.has(at.getUTCMinutes()) &&
+    parsed.hours.has(at.getUTCHours()) &&
+    parsed.months.has(at.getUTCMonth() + 1) &&
+    day;
+}
+
+// Latest minute at or before date, at most lookbackMinutes back, that matches the schedule;
+// null when there is none
+function lastOccurrence(schedule, date, lookbackMinutes) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const minute = new Date(date);
+  minute.setUTCSeconds(0, 0);
+
+  for (let offset = 0; offset <= lookbackMinutes; offset++) {
+    const candidate = new Date(minute.getTime() - offset * 60 * 1000);
+    if (cronMatches(parsed, candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// First minute after date, at most lookaheadMinutes ahead, that matches the schedule; null when
+// there is none
+function nextOccurrence(schedule, date, lookaheadMinutes) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const minute = new Date(date);
+  minute.setUTCSeconds(0, 0);
+
+  for (let offset = 1; offset <= lookaheadMinutes; offset++) {
+    const candidate = new Date(minute.getTime() + offset * 60 * 1000);
+    if (cronMatches(parsed, candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  cronMatches,
+  lastOccurrence,
+  nextOccurrence
+};
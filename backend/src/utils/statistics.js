@@ -0,0 +1,143 @@
+// Descriptive statistics for build metrics. Durations are in seconds throughout: builds.duration
+// and build_jobs.duration are stored as whole seconds, and provider values in other units go
+// through durationInSeconds before they are stored.
+
+const DURATION_UNITS = {
+  ms: 0.001,
+  seconds: 1,
+  minutes: 60,
+  hours: 3600
+};
+
+// Upper bounds (seconds) of the default duration histogram buckets: 30s up to 2h, plus overflow
+const DEFAULT_DURATION_BUCKETS = [30, 60, 120, 300, 600, 900, 1800, 3600, 7200];
+
+const DEFAULT_PERCENTILES = [50, 90, 95, 99];
+
+// Whole seconds from a duration in the given unit; null for missing or invalid values
+function durationInSeconds(value, unit = 'seconds') {
+  if (!(unit in DURATION_UNITS)) {
+    throw new Error(`Unknown duration unit ${unit}`);
+  }
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number) || number < 0) {
+    return null;
+  }
+  return Math.floor(number * DURATION_UNITS[unit]);
+}
+
+function round(value, decimals = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Finite numeric values, ignoring nulls and anything unparseable
+function numericValues(values) {
+  return values.map(Number).filter((value, index) =>
+    values[index] !== null && values[index] !== undefined && Number.isFinite(value)
+  );
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Population standard deviation
+function stddev(values) {
+  if (values.length === 0) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+}
+
+// Population standard deviation from count, sum and sum of squares, so it can be derived from
+// pre-aggregated totals
+function stddevFromMoments(count, sum, sumSquares) {
+  if (!count) return null;
+  const average = sum / count;
+  return Math.sqrt(Math.max(0, sumSquares / count - average * average));
+}
+
+// p-th percentile (0-100) of ascending sorted values, interpolating linearly between the closest
+// ranks (the same definition as Postgres percentile_cont)
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null;
+  const rank = (Math.min(Math.max(p, 0), 100) / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+// Counts per bucket, where buckets are ascending upper bounds (inclusive). Values above the last
+// bound land in a final bucket with le: null
+function histogram(values, buckets = DEFAULT_DURATION_BUCKETS) {
+  const bounds = [...new Set(buckets.map(Number))].filter(Number.isFinite).sort((a, b) => a - b);
+  const counts = bounds.map(le => ({ le, count: 0 }));
+  const overflow = { le: null, count: 0 };
+
+  for (const value of values) {
+    const bucket = counts.find(entry => value <= entry.le) || overflow;
+    bucket.count++;
+  }
+
+  return [...counts, overflow];
+}
+
+// Summary of a set of values: count, min, max, mean, median, stddev, p<N> for each requested
+// percentile and the histogram
+function describe(values, { percentiles = DEFAULT_PERCENTILES, buckets = DEFAULT_DURATION_BUCKETS } = {}) {
+  const sorted = numericValues(values).sort((a, b) => a - b);
+
+  const summary = {
+    count: sorted.length,
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    mean: round(mean(sorted)),
+    median: round(percentile(sorted, 50)),
+    stddev: round(stddev(sorted))
+  };
+  for (const p of percentiles) {
+    summary[`p${p}`] = round(percentile(sorted, p));
+  }
+  summary.histogram = histogram(sorted, buckets);
+
+  return summary;
+}
+
+// describe() per group, e.g. per branch or environment; items without a key go under 'unknown'
+function breakdown(items, keyFn, valueFn, options = {}) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item) || 'unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(valueFn(item));
+  }
+
+  return Object.fromEntries([...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([key, values]) => [key, describe(values, options)]));
+}
+
+// Histogram bucket bounds from a "30,60,300" query string; null when it isn't one
+function parseBuckets(text) {
+  if (!text) return null;
+  const bounds = String(text).split(',').map(part => Number(part.trim()));
+  return bounds.length > 0 && bounds.every(bound => Number.isFinite(bound) && bound > 0) ? bounds : null;
+}
+
+module.exports = {
+  DURATION_UNITS,
+  DEFAULT_DURATION_BUCKETS,
+  DEFAULT_PERCENTILES,
+  durationInSeconds,
+  round,
+  mean,
+  stddev,
+  stddevFromMoments,
+  percentile,
+  histogram,
+  describe,
+  breakdown,
+  parseBuckets
+};
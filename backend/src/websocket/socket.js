@@ -2,9 +2,14 @@ const { logger } = require('../utils/logger');
 const jwt = require('jsonwebtoken');
 
 let io;
+let logStreamer;
 
-function setupWebSocket(socketIo) {
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// options.logStreamer tails provider logs for build:<id>:logs subscribers
+function setupWebSocket(socketIo, options = {}) {
   io = socketIo;
+  logStreamer = options.logStreamer;
   
   // Authentication middleware
   io.use(async (socket, next) => {
@@ -54,6 +59,28 @@ function setupWebSocket(socketIo) {
       logger.info(`User ${socket.userId} unsubscribed from dashboard updates`);
     });
 
+    // Handle live build log subscriptions
+    socket.on('subscribe:build-logs', (buildId) => {
+      if (typeof buildId !== 'string' || !UUID_PATTERN.test(buildId)) {
+        socket.emit('build:logs:end', { buildId, reason: 'invalid', error: 'Build ID must be a UUID' });
+        return;
+      }
+
+      socket.join(buildLogsRoom(buildId));
+      logger.info(`User ${socket.userId} subscribed to logs of build ${buildId}`);
+
+      if (logStreamer) {
+        logStreamer.watch(buildId, socket).catch(error => {
+          logger.error(`Failed to stream logs of build ${buildId}:`, error);
+        });
+      }
+    });
+
+    socket.on('unsubscribe:build-logs', (buildId) => {
+      socket.leave(buildLogsRoom(buildId));
+      logger.info(`User ${socket.userId} unsubscribed from logs of build ${buildId}`);
+    });
+
     // Handle metrics requests
     socket.on('request:metrics', async () => {
       try {
@@ -119,6 +146,26 @@ function emitToUser(userId, event, data) {
   }
 }
 
+function buildLogsRoom(buildId) {
+  return `build:${buildId}:logs`;
+}
+
+function emitToBuildLogs(buildId, event, data) {
+  if (io) {
+    io.to(buildLogsRoom(buildId)).emit(event, {
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+    logger.debug(`Emitted ${event} to logs of build ${buildId}`);
+  }
+}
+
+// Number of sockets currently following a build's logs
+function getBuildLogsListenerCount(buildId) {
+  if (!io) return 0;
+  return io.sockets.adapter.rooms.get(buildLogsRoom(buildId))?.size || 0;
+}
+
 function broadcastToAll(event, data) {
   if (io) {
     io.emit(event, {
@@ -153,6 +200,23 @@ function emitBuildStatus(buildData) {
   });
 }
 
+// replay marks output that replaces what subscribers have shown so far
+function emitBuildLogChunks(buildId, chunks, { replay = false } = {}) {
+  emitToBuildLogs(buildId, 'build:logs', {
+    buildId,
+    chunks,
+    replay
+  });
+}
+
+function emitBuildLogsEnd(buildId, reason, error = null) {
+  emitToBuildLogs(buildId, 'build:logs:end', {
+    buildId,
+    reason,
+    error
+  });
+}
+
 function emitMetricsUpdate(metricsData) {
   emitToDashboard('metrics:update', {
     type: 'realtime',
@@ -192,9 +256,13 @@ module.exports = {
   emitToPipeline,
   emitToDashboard,
   emitToUser,
+  emitToBuildLogs,
+  getBuildLogsListenerCount,
   broadcastToAll,
   emitPipelineUpdate,
   emitBuildStatus,
+  emitBuildLogChunks,
+  emitBuildLogsEnd,
   emitMetricsUpdate,
   emitAlertTriggered,
   emitSystemNotification
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const { AxiosError } = require('axios');
+
+// Full URL of a request, resolving a relative url against the client's baseURL
+function requestUrl(config) {
+  if (/^https?:\/\//.test(config.url)) return new URL(config.url);
+  return new URL(`${config.baseURL.replace(/\/+$/, '')}/${config.url.replace(/^\/+/, '')}`);
+}
+
+// Axios adapter answering requests from recorded exchanges instead of the network. A
+// fixture file is a JSON array of { request: { method, path }, response: { status, data } };
+// requests are matched on method and path. Every request is kept in adapter.requests so
+// tests can check what was sent
+function createFixtureAdapter(fixturePath) {
+  const exchanges = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  const adapter = async (config) => {
+    const url = requestUrl(config);
+    const method = config.method.toUpperCase();
+
+    adapter.requests.push({
+      method,
+      path: url.pathname,
+      params: config.params || {},
+      data: typeof config.data === 'string' ? JSON.parse(config.data) : config.data,
+      auth: config.auth
+    });
+
+    const exchange = exchanges.find(e => e.request.method === method && e.request.path === url.pathname);
+    if (!exchange) {
+      throw new Error(`No recorded exchange for ${method} ${url.pathname}`);
+    }
+
+    const response = {
+      data: exchange.response.data,
+      status: exchange.response.status,
+      statusText: String(exchange.response.status),
+      headers: {},
+      config,
+      request: {}
+    };
+
+    if (response.status >= 400) {
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+    return response;
+  };
+
+  adapter.requests = [];
+  return adapter;
+}
+
+module.exports = { createFixtureAdapter };
@@ -0,0 +1,198 @@
+const path = require('path');
+const AzureDevOpsService = require('../../src/services/azureDevOps');
+const AzureProvider = require('../../src/providers/azureProvider');
+const { createFixtureAdapter } = require('../helpers/fixtureAdapter');
+
+const FIXTURES = path.join(__dirname, '../fixtures/azure-devops.json');
+
+const pipeline = {
+  id: 'pipeline-1',
+  type: 'azure-devops',
+  url: 'https://dev.azure.com/contoso/Web%20App',
+  token: 'pat-token',
+  branch: 'main',
+  config: { definition_id: 12 }
+};
+
+describe('AzureDevOpsService', () => {
+  let adapter;
+  let service;
+
+  beforeEach(() => {
+    adapter = createFixtureAdapter(FIXTURES);
+    service = new AzureDevOpsService({
+      organizationUrl: 'https://dev.azure.com/contoso/',
+      project: 'Web App',
+      accessToken: 'pat-token',
+      adapter
+    });
+  });
+
+  describe('configFromPipeline', () => {
+    it('reads organization and project from a dev.azure.com URL', () => {
+      const config = AzureDevOpsService.configFromPipeline({
+        url: 'https://dev.azure.com/contoso/WebApp/_build',
+        token: 'pat-token'
+      });
+
+      expect(config).toEqual({
+        organizationUrl: 'https://dev.azure.com/contoso',
+        project: 'WebApp',
+        accessToken: 'pat-token'
+      });
+    });
+
+    it('reads the project from a visualstudio.com URL', () => {
+      const config = AzureDevOpsService.configFromPipeline({
+        url: 'https://contoso.visualstudio.com/WebApp',
+        token: 'pat-token'
+      });
+
+      expect(config.organizationUrl).toBe('https://contoso.visualstudio.com');
+      expect(config.project).toBe('WebApp');
+    });
+
+    it('prefers pipeline.config and merges client options', () => {
+      const config = AzureDevOpsService.configFromPipeline({
+        url: 'https://dev.azure.com/contoso/WebApp',
+        token: 'pat-token',
+        config: { organization_url: 'https://azure.example.com/tfs/contoso', project: 'Other' }
+      }, { adapter, timeout: 1000 });
+
+      expect(config.organizationUrl).toBe('https://azure.example.com/tfs/contoso');
+      expect(config.project).toBe('Other');
+      expect(config.adapter).toBe(adapter);
+      expect(config.timeout).toBe(1000);
+    });
+  });
+
+  it('sends the api-version and the access token as basic auth password', async () => {
+    await service.getPipelines();
+
+    expect(adapter.requests[0].params['api-version']).toBe('7.1');
+    expect(adapter.requests[0].auth).toEqual({ username: '', password: 'pat-token' });
+  });
+
+  it('tests the connection against the project', async () => {
+    const result = await service.testConnection();
+
+    expect(result).toEqual({
+      success: true,
+      data: {
+        project_id: '6ce954b1-ce1f-45d1-b94d-e6bf2464ba2c',
+        name: 'Web App',
+        state: 'wellFormed',
+        url: 'https://dev.azure.com/contoso/_apis/projects/6ce954b1-ce1f-45d1-b94d-e6bf2464ba2c'
+      }
+    });
+  });
+
+  it('lists pipeline definitions', async () => {
+    const result = await service.getPipelines();
+
+    expect(result.data.map(p => [p.id, p.name])).toEqual([[12, 'web-app-ci'], [15, 'web-app-deploy']]);
+    expect(result.data[0].web_url).toContain('definitionId=12');
+  });
+
+  it('lists runs with their definition, branch and mapped status', async () => {
+    const result = await service.getRuns({ definitionId: 12, branch: 'main', top: 5 });
+
+    expect(adapter.requests[0].params).toMatchObject({
+      $top: 5,
+      definitions: 12,
+      branchName: 'refs/heads/main',
+      queryOrder: 'queueTimeDescending'
+    });
+    expect(result.data).toHaveLength(2);
+    expect(result.data[0]).toMatchObject({
+      id: 1234,
+      build_number: '20261019.3',
+      status: 'failed',
+      branch: 'main',
+      commit_hash: '9f2c1e7a4b3d5f60718293a4b5c6d7e8f9012345',
+      requested_by: 'Robin Park',
+      duration: 375
+    });
+    expect(result.data[1]).toMatchObject({ status: 'running', branch: 'feature/login', duration: null });
+  });
+
+  it('gets a run with its stages and jobs in order', async () => {
+    const result = await service.getRun(1234);
+
+    expect(result.data.timeline.map(record => [record.type, record.name, record.status])).toEqual([
+      ['stage', 'Build', 'failed'],
+      ['job', 'Compile', 'success'],
+      ['job', 'Unit tests', 'failed']
+    ]);
+    expect(result.data.timeline[2]).toMatchObject({ log_id: 9, worker: 'Hosted Agent 3' });
+  });
+
+  it('rejects with the API error for an unknown run', async () => {
+    await expect(service.getRun(9999)).rejects.toMatchObject({ response: { status: 404 } });
+  });
+
+  it('lists the logs of a run and reads one as text', async () => {
+    const list = await service.getRunLogs(1234);
+    expect(list.data.logs.map(log => [log.id, log.line_count])).toEqual([[7, 412], [9, 188]]);
+
+    const log = await service.getRunLogs(1234, '9');
+    expect(log.data.log_id).toBe(9);
+    expect(log.data.log).toContain('Tests: 2 failed');
+  });
+
+  it('queues a run on the branch with string variables', async () => {
+    const result = await service.triggerPipeline(12, 'release/1.2', { DEPLOY: true });
+
+    expect(adapter.requests[0].data).toEqual({
+      resources: { repositories: { self: { refName: 'refs/heads/release/1.2' } } },
+      variables: { DEPLOY: { value: 'true' } }
+    });
+    expect(result.data.run).toMatchObject({ id: 1236, name: '20261019.5', state: 'inProgress' });
+  });
+
+  it('requests cancellation of a run', async () => {
+    const result = await service.cancelRun(1235);
+
+    expect(adapter.requests[0]).toMatchObject({ method: 'PATCH', data: { status: 'cancelling' } });
+    expect(result.data.run).toEqual({ id: 1235, status: 'cancelling' });
+  });
+});
+
+describe('AzureProvider with an injected adapter', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new AzureProvider(pipeline, { adapter: createFixtureAdapter(FIXTURES) });
+  });
+
+  it('normalizes runs into the builds table shape', async () => {
+    const runs = await provider.listRuns();
+
+    expect(runs[0]).toMatchObject({
+      external_id: '1234',
+      build_number: 1234,
+      status: 'failed',
+      branch: 'main',
+      triggered_by: 'Robin Park',
+      environment: 'azure-devops',
+      duration: 375
+    });
+    expect(runs[0].completed_at).toEqual(new Date('2026-10-19T10:04:35.9Z'));
+  });
+
+  it('returns jobs with their stage', async () => {
+    const run = await provider.getRun(1234);
+
+    expect(run.jobs.map(job => [job.name, job.stage, job.stage_index, job.status])).toEqual([
+      ['Compile', 'Build', 0, 'success'],
+      ['Unit tests', 'Build', 0, 'failed']
+    ]);
+  });
+
+  it('reads one log per job', async () => {
+    const logs = await provider.getLogs(1234);
+
+    expect(logs.map(log => log.name)).toEqual(['Compile', 'Unit tests']);
+    expect(logs[1].content).toContain('##[error]');
+  });
+});
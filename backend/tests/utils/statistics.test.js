@@ -0,0 +1,143 @@
+const statistics = require('../../src/utils/statistics');
+
+describe('statistics', () => {
+  describe('percentile', () => {
+    it('returns null for no values', () => {
+      expect(statistics.percentile([], 50)).toBeNull();
+    });
+
+    it('returns the only value for every percentile', () => {
+      expect(statistics.percentile([42], 0)).toBe(42);
+      expect(statistics.percentile([42], 50)).toBe(42);
+      expect(statistics.percentile([42], 99)).toBe(42);
+    });
+
+    it('returns the shared value when all values are equal', () => {
+      expect(statistics.percentile([7, 7, 7, 7], 95)).toBe(7);
+    });
+
+    it('interpolates linearly between the closest ranks', () => {
+      expect(statistics.percentile([10, 20, 30, 40], 50)).toBe(25);
+      expect(statistics.percentile([10, 20, 30, 40], 90)).toBeCloseTo(37);
+      expect(statistics.percentile([10, 20, 30, 40], 100)).toBe(40);
+    });
+
+    it('clamps percentiles outside 0-100', () => {
+      expect(statistics.percentile([10, 20], -5)).toBe(10);
+      expect(statistics.percentile([10, 20], 150)).toBe(20);
+    });
+  });
+
+  describe('histogram', () => {
+    it('returns empty buckets and the overflow bucket for no values', () => {
+      expect(statistics.histogram([], [10, 20])).toEqual([
+        { le: 10, count: 0 },
+        { le: 20, count: 0 },
+        { le: null, count: 0 }
+      ]);
+    });
+
+    it('counts a value equal to a bound in that bucket', () => {
+      expect(statistics.histogram([10], [10, 20])[0]).toEqual({ le: 10, count: 1 });
+    });
+
+    it('puts values above the last bound in the overflow bucket', () => {
+      expect(statistics.histogram([5, 15, 25, 25], [10, 20])).toEqual([
+        { le: 10, count: 1 },
+        { le: 20, count: 1 },
+        { le: null, count: 2 }
+      ]);
+    });
+
+    it('sorts and deduplicates the bounds', () => {
+      expect(statistics.histogram([15], [20, 10, 20]).map(bucket => bucket.le)).toEqual([10, 20, null]);
+    });
+  });
+
+  describe('describe', () => {
+    it('summarizes no values as nulls with an empty histogram', () => {
+      const summary = statistics.describe([], { buckets: [60] });
+
+      expect(summary).toEqual({
+        count: 0,
+        min: null,
+        max: null,
+        mean: null,
+        median: null,
+        stddev: null,
+        p50: null,
+        p90: null,
+        p95: null,
+        p99: null,
+        histogram: [{ le: 60, count: 0 }, { le: null, count: 0 }]
+      });
+    });
+
+    it('summarizes a single value with zero spread', () => {
+      const summary = statistics.describe([90]);
+
+      expect(summary.count).toBe(1);
+      expect(summary.min).toBe(90);
+      expect(summary.max).toBe(90);
+      expect(summary.mean).toBe(90);
+      expect(summary.median).toBe(90);
+      expect(summary.stddev).toBe(0);
+      expect(summary.p99).toBe(90);
+    });
+
+    it('summarizes equal values with zero spread', () => {
+      const summary = statistics.describe([30, 30, 30], { buckets: [30] });
+
+      expect(summary.mean).toBe(30);
+      expect(summary.p50).toBe(30);
+      expect(summary.p95).toBe(30);
+      expect(summary.stddev).toBe(0);
+      expect(summary.histogram).toEqual([{ le: 30, count: 3 }, { le: null, count: 0 }]);
+    });
+
+    it('ignores missing and unparseable values', () => {
+      const summary = statistics.describe([null, undefined, 'abc', '20', 10]);
+
+      expect(summary.count).toBe(2);
+      expect(summary.min).toBe(10);
+      expect(summary.max).toBe(20);
+    });
+
+    it('uses the population standard deviation and the requested percentiles', () => {
+      const summary = statistics.describe([2, 4, 4, 4, 5, 5, 7, 9], { percentiles: [25] });
+
+      expect(summary.stddev).toBe(2);
+      expect(summary.p25).toBe(4);
+      expect(summary).not.toHaveProperty('p95');
+    });
+  });
+
+  describe('breakdown', () => {
+    it('returns no groups for no items', () => {
+      expect(statistics.breakdown([], item => item.branch, item => item.duration)).toEqual({});
+    });
+
+    it('describes each group and puts items without a key under unknown', () => {
+      const groups = statistics.breakdown([
+        { branch: 'main', duration: 60 },
+        { branch: null, duration: 30 },
+        { branch: 'main', duration: 60 }
+      ], item => item.branch, item => item.duration);
+
+      expect(Object.keys(groups)).toEqual(['main', 'unknown']);
+      expect(groups.main.count).toBe(2);
+      expect(groups.main.stddev).toBe(0);
+      expect(groups.unknown.median).toBe(30);
+    });
+
+    it('orders groups by their number of items', () => {
+      const groups = statistics.breakdown(
+        [{ env: 'a' }, { env: 'b' }, { env: 'b' }],
+        item => item.env,
+        () => 1
+      );
+
+      expect(Object.keys(groups)).toEqual(['b', 'a']);
+    });
+  });
+});
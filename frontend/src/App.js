@@ -13,6 +13,7 @@ import Register from './pages/Register';
 import Pipelines from './pages/Pipelines';
 import Builds from './pages/Builds';
 import Alerts from './pages/Alerts';
+import Incidents from './pages/Incidents';
 import Settings from './pages/Settings';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 
@@ -140,6 +141,7 @@ function App() {
                   <Route path="pipelines" element={<Pipelines />} />
                   <Route path="builds" element={<Builds />} />
                   <Route path="alerts" element={<Alerts />} />
+                  <Route path="incidents" element={<Incidents />} />
                   <Route path="settings" element={<Settings />} />
                 </Route>
                 
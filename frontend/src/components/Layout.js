@@ -30,7 +30,8 @@ import {
   Settings as SettingsIcon,
   AccountCircle,
   Logout,
-  NotificationsActive
+  NotificationsActive,
+  ReportProblem as IncidentIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { useSelector } from 'react-redux';
@@ -42,6 +43,7 @@ const menuItems = [
   { text: 'Pipelines', icon: <PipelineIcon />, path: '/pipelines' },
   { text: 'Builds', icon: <BuildIcon />, path: '/builds' },
   { text: 'Alerts', icon: <NotificationsIcon />, path: '/alerts' },
+  { text: 'Incidents', icon: <IncidentIcon />, path: '/incidents' },
   { text: 'Settings', icon: <SettingsIcon />, path: '/settings' },
 ];
 
@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box, Typography, Card, CardContent, Chip, IconButton, Button, Grid,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, Alert,
+  LinearProgress, List, ListItem, ListItemText, Divider
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon, Person as PersonIcon, SwapHoriz as TakeShiftIcon
+} from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import { fetchOnCallSchedules, createOnCallOverride, fetchEscalationPolicies } from '../store/slices/alertsSlice';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const describeStep = (step, schedules) => {
+  const targets = [];
+  if (step.user_ids.length > 0) {
+    targets.push(`${step.user_ids.length} user${step.user_ids.length === 1 ? '' : 's'}`);
+  }
+  step.schedule_ids.forEach(id => {
+    const schedule = schedules.find(s => s.id === id);
+    targets.push(`on call: ${schedule ? schedule.name : 'unknown schedule'}`);
+  });
+  targets.push(...step.channels);
+  return targets.join(', ');
+};
+
+function OnCall() {
+  const dispatch = useDispatch();
+  const { enqueueSnackbar } = useSnackbar();
+  const { user } = useAuth();
+  const { onCallSchedules, escalationPolicies, onCallLoading } = useSelector(state => state.alerts);
+
+  const [shiftSchedule, setShiftSchedule] = useState(null);
+  const [shiftHours, setShiftHours] = useState(8);
+  const [shiftReason, setShiftReason] = useState('');
+
+  useEffect(() => {
+    dispatch(fetchOnCallSchedules());
+    dispatch(fetchEscalationPolicies());
+  }, [dispatch]);
+
+  const handleRefresh = () => {
+    dispatch(fetchOnCallSchedules());
+    dispatch(fetchEscalationPolicies());
+  };
+
+  const handleCloseDialog = () => {
+    setShiftSchedule(null);
+    setShiftHours(8);
+    setShiftReason('');
+  };
+
+  // Put the current user on call from now for the chosen number of hours
+  const handleTakeShift = async () => {
+    const startsAt = new Date();
+    const endsAt = new Date(startsAt.getTime() + parseInt(shiftHours) * 60 * 60 * 1000);
+
+    try {
+      await dispatch(createOnCallOverride({
+        scheduleId: shiftSchedule.id,
+        data: {
+          user_id: user.id,
+          starts_at: startsAt.toISOString(),
+          ends_at: endsAt.toISOString(),
+          reason: shiftReason || undefined
+        }
+      })).unwrap();
+      enqueueSnackbar(`You are on call for ${shiftSchedule.name}`, { variant: 'success' });
+      handleCloseDialog();
+      dispatch(fetchOnCallSchedules());
+    } catch (error) {
+      enqueueSnackbar(error || 'Failed to take shift', { variant: 'error' });
+    }
+  };
+
+  return (
+    <Box sx={{ px: 3, pb: 3 }}>
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Typography variant="h6">
+                  On-Call Schedules
+                </Typography>
+                <IconButton onClick={handleRefresh} disabled={onCallLoading}>
+                  <RefreshIcon />
+                </IconButton>
+              </Box>
+
+              {onCallLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+              {onCallSchedules.length === 0 ? (
+                <Alert severity="info">
+                  No on-call schedules. Admins can create them with POST /api/oncall-schedules.
+                </Alert>
+              ) : (
+                <List disablePadding>
+                  {onCallSchedules.map((schedule, index) => (
+                    <React.Fragment key={schedule.id}>
+                      {index > 0 && <Divider component="li" />}
+                      <ListItem
+                        alignItems="flex-start"
+                        secondaryAction={
+                          <Button
+                            size="small"
+                            startIcon={<TakeShiftIcon />}
+                            onClick={() => setShiftSchedule(schedule)}
+                          >
+                            Take shift
+                          </Button>
+                        }
+                      >
+                        <ListItemText
+                          primary={
+                            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                              <Typography variant="subtitle1">{schedule.name}</Typography>
+                              {schedule.on_call ? (
+                                <Chip
+                                  icon={<PersonIcon />}
+                                  label={schedule.on_call.user?.name || 'Unknown user'}
+                                  color={schedule.on_call.source === 'override' ? 'warning' : 'primary'}
+                                  size="small"
+                                />
+                              ) : (
+                                <Chip label="Nobody on call" size="small" />
+                              )}
+                            </Box>
+                          }
+                          secondary={
+                            <>
+                              {schedule.on_call && (
+                                <Typography variant="body2" component="span" display="block">
+                                  {schedule.on_call.source === 'override' ? 'Override' : 'Rotation'} until {formatDate(schedule.on_call.until)}
+                                </Typography>
+                              )}
+                              <Typography variant="body2" component="span" display="block">
+                                {schedule.rotation_hours}h shifts: {schedule.members.map(member => member.name).join(' → ')}
+                              </Typography>
+                              {schedule.upcoming_shifts.slice(1).map(shift => (
+                                <Typography key={shift.starts_at} variant="caption" component="span" display="block">
+                                  {formatDate(shift.starts_at)}: {schedule.members.find(member => member.id === shift.user_id)?.name || 'Unknown user'}
+                                </Typography>
+                              ))}
+                            </>
+                          }
+                        />
+                      </ListItem>
+                    </React.Fragment>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="h6" sx={{ mb: 2 }}>
+                Escalation Policies
+              </Typography>
+
+              {escalationPolicies.length === 0 ? (
+                <Alert severity="info">
+                  No escalation policies. Unacknowledged alerts only notify their own channels.
+                </Alert>
+              ) : (
+                <List disablePadding>
+                  {escalationPolicies.map((policy, index) => (
+                    <React.Fragment key={policy.id}>
+                      {index > 0 && <Divider component="li" />}
+                      <ListItem alignItems="flex-start">
+                        <ListItemText
+                          primary={
+                            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                              <Typography variant="subtitle1">{policy.name}</Typography>
+                              <Chip label={`${policy.alerts.length} alerts`} size="small" variant="outlined" />
+                              {policy.repeat_count > 0 && (
+                                <Chip label={`repeats ${policy.repeat_count}x`} size="small" variant="outlined" />
+                              )}
+                            </Box>
+                          }
+                          secondary={policy.steps.map((step, stepIndex) => (
+                            <Typography key={stepIndex} variant="body2" component="span" display="block">
+                              {stepIndex + 1}. After {step.delay_minutes}m: {describeStep(step, onCallSchedules)}
+                            </Typography>
+                          ))}
+                        />
+                      </ListItem>
+                    </React.Fragment>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      {/* Take Shift Dialog */}
+      <Dialog open={!!shiftSchedule} onClose={handleCloseDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Take shift: {shiftSchedule?.name}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              fullWidth
+              label="Hours"
+              type="number"
+              value={shiftHours}
+              onChange={(e) => setShiftHours(e.target.value)}
+              helperText="You are on call from now, in place of the rotation"
+            />
+            <TextField
+              fullWidth
+              label="Reason"
+              value={shiftReason}
+              onChange={(e) => setShiftReason(e.target.value)}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button
+            onClick={handleTakeShift}
+            variant="contained"
+            disabled={!(parseInt(shiftHours) > 0)}
+          >
+            Take shift
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default OnCall;
@@ -0,0 +1,400 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box, Typography, Card, CardContent, Chip, IconButton, Button, Grid,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, FormControl,
+  InputLabel, Select, MenuItem, Alert, LinearProgress, Tooltip,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+  ToggleButton, ToggleButtonGroup
+} from '@mui/material';
+import {
+  Add as AddIcon, Delete as DeleteIcon, Refresh as RefreshIcon,
+  AlarmOff as ExpireIcon, NotificationsOff as SilenceIcon
+} from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import { fetchSilences, createSilence, expireSilence, deleteSilence, fetchAlerts } from '../store/slices/alertsSlice';
+import { fetchPipelines } from '../store/slices/pipelinesSlice';
+import { useAuth } from '../contexts/AuthContext';
+
+const stateColors = {
+  active: 'warning',
+  scheduled: 'info',
+  expired: 'default'
+};
+
+const emptyForm = {
+  kind: 'one_off',
+  reason: '',
+  pipeline_id: '',
+  alert_id: '',
+  severity: '',
+  labels: '',
+  starts_at: '',
+  ends_at: '',
+  schedule: '',
+  duration_minutes: 60
+};
+
+// "team=web, env=prod" -> { team: 'web', env: 'prod' }
+const parseLabels = (text) => Object.fromEntries(
+  text.split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([key, value]) => key && value)
+);
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const describeScope = (silence) => {
+  const parts = [];
+  if (silence.pipeline) parts.push(`Pipeline: ${silence.pipeline.name}`);
+  if (silence.alert) parts.push(`Alert: ${silence.alert.name}`);
+  if (silence.severity) parts.push(`Severity: ${silence.severity}`);
+  Object.entries(silence.labels || {}).forEach(([key, value]) => parts.push(`${key}=${value}`));
+  return parts;
+};
+
+function Silences() {
+  const dispatch = useDispatch();
+  const { enqueueSnackbar } = useSnackbar();
+  const { user } = useAuth();
+  const canDelete = ['admin', 'super_admin'].includes(user?.role);
+  const { silences, maintenancePipelines, silencesLoading, items: alerts } = useSelector(state => state.alerts);
+  const { items: pipelines } = useSelector(state => state.pipelines);
+
+  const [openDialog, setOpenDialog] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    dispatch(fetchSilences());
+    dispatch(fetchPipelines());
+    dispatch(fetchAlerts({ limit: 100 }));
+  }, [dispatch]);
+
+  const handleInputChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async () => {
+    const recurring = formData.kind === 'recurring';
+    const labels = parseLabels(formData.labels);
+
+    try {
+      await dispatch(createSilence({
+        reason: formData.reason,
+        pipeline_id: formData.pipeline_id || null,
+        alert_id: formData.alert_id || null,
+        severity: formData.severity || null,
+        labels: Object.keys(labels).length > 0 ? labels : null,
+        starts_at: formData.starts_at ? new Date(formData.starts_at).toISOString() : null,
+        ends_at: formData.ends_at ? new Date(formData.ends_at).toISOString() : null,
+        schedule: recurring ? formData.schedule : null,
+        duration_minutes: recurring ? parseInt(formData.duration_minutes) : null
+      })).unwrap();
+      enqueueSnackbar(recurring ? 'Maintenance window created' : 'Silence created', { variant: 'success' });
+      handleCloseDialog();
+    } catch (error) {
+      enqueueSnackbar(error || 'Failed to create silence', { variant: 'error' });
+    }
+  };
+
+  const handleExpire = async (silenceId) => {
+    try {
+      await dispatch(expireSilence(silenceId)).unwrap();
+      enqueueSnackbar('Silence expired', { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error || 'Failed to expire silence', { variant: 'error' });
+    }
+  };
+
+  const handleDelete = async (silenceId) => {
+    if (window.confirm('Are you sure you want to delete this silence?')) {
+      try {
+        await dispatch(deleteSilence(silenceId)).unwrap();
+        enqueueSnackbar('Silence deleted', { variant: 'success' });
+      } catch (error) {
+        enqueueSnackbar(error || 'Failed to delete silence', { variant: 'error' });
+      }
+    }
+  };
+
+  const hasScope = formData.pipeline_id || formData.alert_id || formData.severity || Object.keys(parseLabels(formData.labels)).length > 0;
+  const canSubmit = formData.reason && hasScope && (formData.kind === 'recurring'
+    ? formData.schedule && formData.duration_minutes > 0
+    : formData.ends_at);
+
+  return (
+    <Box sx={{ px: 3, pb: 3 }}>
+      <Card>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">
+              Silences & Maintenance Windows
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <Button
+                variant="outlined"
+                startIcon={<AddIcon />}
+                onClick={() => setOpenDialog(true)}
+              >
+                New Silence
+              </Button>
+              <IconButton onClick={() => dispatch(fetchSilences())} disabled={silencesLoading}>
+                <RefreshIcon />
+              </IconButton>
+            </Box>
+          </Box>
+
+          {silencesLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+          {maintenancePipelines.length > 0 && (
+            <Alert severity="warning" icon={<SilenceIcon />} sx={{ mb: 2 }}>
+              In maintenance, all alerts silenced: {maintenancePipelines.map(pipeline => pipeline.name).join(', ')}
+            </Alert>
+          )}
+
+          {silences.length === 0 ? (
+            <Alert severity="info">
+              No silences. Triggers covered by a silence are recorded as suppressed instead of being sent.
+            </Alert>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Scope</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell>Schedule</TableCell>
+                    <TableCell>Window</TableCell>
+                    <TableCell>State</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {silences.map((silence) => (
+                    <TableRow key={silence.id}>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                          {describeScope(silence).map(part => (
+                            <Chip key={part} label={part} size="small" variant="outlined" />
+                          ))}
+                        </Box>
+                      </TableCell>
+                      <TableCell>{silence.reason}</TableCell>
+                      <TableCell>
+                        {silence.schedule ? (
+                          <Tooltip title="Cron schedule (UTC) of the window starts">
+                            <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                              {silence.schedule} for {silence.duration_minutes}m
+                            </Typography>
+                          </Tooltip>
+                        ) : 'One-off'}
+                      </TableCell>
+                      <TableCell>
+                        {silence.window
+                          ? `${formatDate(silence.window.starts_at)} – ${formatDate(silence.window.ends_at)}`
+                          : `${formatDate(silence.starts_at)} – ${formatDate(silence.ends_at)}`}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={silence.state}
+                          color={stateColors[silence.state]}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell align="right">
+                        {silence.state !== 'expired' && (
+                          <Tooltip title="Expire now">
+                            <IconButton size="small" onClick={() => handleExpire(silence.id)}>
+                              <ExpireIcon />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canDelete && (
+                          <Tooltip title="Delete">
+                            <IconButton size="small" onClick={() => handleDelete(silence.id)}>
+                              <DeleteIcon />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* New Silence Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>New Silence</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2 }}>
+            <Grid container spacing={2}>
+              <Grid item xs={12}>
+                <ToggleButtonGroup
+                  value={formData.kind}
+                  exclusive
+                  size="small"
+                  onChange={(e, kind) => kind && setFormData({ ...formData, kind })}
+                >
+                  <ToggleButton value="one_off">One-off</ToggleButton>
+                  <ToggleButton value="recurring">Recurring maintenance</ToggleButton>
+                </ToggleButtonGroup>
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  label="Reason"
+                  name="reason"
+                  value={formData.reason}
+                  onChange={handleInputChange}
+                  required
+                />
+              </Grid>
+              <Grid item xs={6}>
+                <FormControl fullWidth>
+                  <InputLabel>Pipeline</InputLabel>
+                  <Select
+                    name="pipeline_id"
+                    value={formData.pipeline_id}
+                    onChange={handleInputChange}
+                    label="Pipeline"
+                  >
+                    <MenuItem value="">Any</MenuItem>
+                    {pipelines.map((pipeline) => (
+                      <MenuItem key={pipeline.id} value={pipeline.id}>{pipeline.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={6}>
+                <FormControl fullWidth>
+                  <InputLabel>Alert</InputLabel>
+                  <Select
+                    name="alert_id"
+                    value={formData.alert_id}
+                    onChange={handleInputChange}
+                    label="Alert"
+                  >
+                    <MenuItem value="">Any</MenuItem>
+                    {alerts.map((alert) => (
+                      <MenuItem key={alert.id} value={alert.id}>{alert.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={6}>
+                <FormControl fullWidth>
+                  <InputLabel>Severity</InputLabel>
+                  <Select
+                    name="severity"
+                    value={formData.severity}
+                    onChange={handleInputChange}
+                    label="Severity"
+                  >
+                    <MenuItem value="">Any</MenuItem>
+                    <MenuItem value="low">Low</MenuItem>
+                    <MenuItem value="medium">Medium</MenuItem>
+                    <MenuItem value="high">High</MenuItem>
+                    <MenuItem value="critical">Critical</MenuItem>
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  label="Labels"
+                  name="labels"
+                  value={formData.labels}
+                  onChange={handleInputChange}
+                  placeholder="team=web, env=prod"
+                />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  label="Starts"
+                  name="starts_at"
+                  type="datetime-local"
+                  value={formData.starts_at}
+                  onChange={handleInputChange}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="Now when empty"
+                />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  label="Ends"
+                  name="ends_at"
+                  type="datetime-local"
+                  value={formData.ends_at}
+                  onChange={handleInputChange}
+                  InputLabelProps={{ shrink: true }}
+                  required={formData.kind === 'one_off'}
+                  helperText={formData.kind === 'recurring' ? 'Repeats indefinitely when empty' : ''}
+                />
+              </Grid>
+              {formData.kind === 'recurring' && (
+                <>
+                  <Grid item xs={8}>
+                    <TextField
+                      fullWidth
+                      label="Schedule"
+                      name="schedule"
+                      value={formData.schedule}
+                      onChange={handleInputChange}
+                      required
+                      placeholder="0 2 * * 6"
+                      helperText="Cron expression (UTC) for when each window starts"
+                    />
+                  </Grid>
+                  <Grid item xs={4}>
+                    <TextField
+                      fullWidth
+                      label="Duration (minutes)"
+                      name="duration_minutes"
+                      type="number"
+                      value={formData.duration_minutes}
+                      onChange={handleInputChange}
+                      required
+                    />
+                  </Grid>
+                </>
+              )}
+              {!hasScope && (
+                <Grid item xs={12}>
+                  <Alert severity="info">
+                    Choose a pipeline, alert, severity or labels to silence.
+                  </Alert>
+                </Grid>
+              )}
+            </Grid>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button
+            onClick={handleSubmit}
+            variant="contained"
+            disabled={!canSubmit}
+          >
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default Silences;
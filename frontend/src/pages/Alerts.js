@@ -1,8 +1,16 @@
 import React from 'react';
 import Notifications from '../components/Notifications';
+import Silences from '../components/Silences';
+import OnCall from '../components/OnCall';
 
 function Alerts() {
-  return <Notifications />;
+  return (
+    <>
+      <Notifications />
+      <OnCall />
+      <Silences />
+    </>
+  );
 }
 
 export default Alerts;
@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Box, Typography, Card, CardContent, Grid, Chip, IconButton,
@@ -10,11 +11,14 @@ import {
 import {
   Refresh as RefreshIcon, Visibility as ViewIcon, Download as DownloadIcon,
   ExpandMore as ExpandMoreIcon, Build as BuildIcon, CheckCircle as SuccessIcon,
-  Error as ErrorIcon, Schedule as PendingIcon, PlayArrow as RunningIcon
+  Error as ErrorIcon, Schedule as PendingIcon, PlayArrow as RunningIcon,
+  Stop as StopIcon, Replay as ReplayIcon, Pause as PauseIcon
 } from '@mui/icons-material';
 import { useSnackbar } from 'notistack';
-import { fetchBuilds, fetchBuildLogs } from '../store/slices/buildsSlice';
+import { fetchBuilds, fetchBuildLogs, fetchBuildTestResults, cancelBuild, retryBuild } from '../store/slices/buildsSlice';
 import { fetchPipelines } from '../store/slices/pipelinesSlice';
+import { useAuth } from '../contexts/AuthContext';
+import { formatDuration } from '../utils/duration';
 
 const buildStatuses = [
   { value: 'pending', label: 'Pending', icon: <PendingIcon />, color: 'default' },
@@ -34,21 +38,18 @@ const getStatusIcon = (status) => {
   return statusConfig?.icon || <BuildIcon />;
 };
 
-const formatDuration = (seconds) => {
-  if (!seconds) return 'N/A';
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = seconds % 60;
-  
-  if (hours > 0) {
-    return `${hours}h ${minutes}m ${secs}s`;
-  } else if (minutes > 0) {
-    return `${minutes}m ${secs}s`;
-  } else {
-    return `${secs}s`;
-  }
+const formatFailureCategory = (category) => {
+  const label = category.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
 };
 
+// Concatenate streamed chunks, starting a header whenever the output switches to another job
+const formatLogChunks = (chunks, lastNameRef) => chunks.map(chunk => {
+  const header = chunk.name !== lastNameRef.current ? `\n==> ${chunk.name} <==\n` : '';
+  lastNameRef.current = chunk.name;
+  return header + chunk.content;
+}).join('');
+
 const formatDate = (dateString) => {
   if (!dateString) return 'N/A';
   return new Date(dateString).toLocaleString();
@@ -57,30 +58,153 @@ const formatDate = (dateString) => {
 function Builds() {
   const dispatch = useDispatch();
   const { enqueueSnackbar } = useSnackbar();
-  const { items: builds, loading } = useSelector(state => state.builds);
+  const { items: builds, loading, testResults } = useSelector(state => state.builds);
   const { items: pipelines, loading: pipelinesLoading } = useSelector(state => state.pipelines);
+  const { user } = useAuth();
+  const canControlBuilds = ['admin', 'super_admin'].includes(user?.role);
   
   const [selectedBuild, setSelectedBuild] = useState(null);
   const [logsDialogOpen, setLogsDialogOpen] = useState(false);
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterPipeline, setFilterPipeline] = useState('all');
   const [expandedBuild, setExpandedBuild] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [liveLogs, setLiveLogs] = useState('');
+  const [streamEnd, setStreamEnd] = useState(null);
+  const [logsPaused, setLogsPaused] = useState(false);
+  const logsRef = useRef(null);
+  const logsPausedRef = useRef(false);
+  const pendingLogsRef = useRef('');
+  const lastChunkNameRef = useRef(null);
 
   useEffect(() => {
     dispatch(fetchBuilds());
     dispatch(fetchPipelines());
   }, [dispatch]);
 
-  const handleViewLogs = async (buildId) => {
+  // Follow the logs of the open build over the build:<id>:logs room while it is running
+  useEffect(() => {
+    if (!logsDialogOpen || !selectedBuild?.live) return undefined;
+
+    const buildId = selectedBuild.id;
+    setLiveLogs('');
+    setStreamEnd(null);
+    pendingLogsRef.current = '';
+    lastChunkNameRef.current = null;
+
+    const socket = io({ auth: { token: localStorage.getItem('token') } });
+
+    socket.on('connect', () => {
+      socket.emit('subscribe:build-logs', buildId);
+    });
+
+    socket.on('build:logs', (message) => {
+      if (message.buildId !== buildId) return;
+
+      // A replay carries everything streamed so far (or only the recent part when truncated),
+      // e.g. after a reconnect
+      if (message.replay) {
+        lastChunkNameRef.current = null;
+        pendingLogsRef.current = '';
+        const notice = message.truncated ? '[earlier output omitted]\n' : '';
+        setLiveLogs(notice + formatLogChunks(message.chunks, lastChunkNameRef));
+        return;
+      }
+
+      const text = formatLogChunks(message.chunks, lastChunkNameRef);
+      if (logsPausedRef.current) {
+        pendingLogsRef.current += text;
+      } else {
+        setLiveLogs(prev => prev + text);
+      }
+    });
+
+    socket.on('build:logs:end', (message) => {
+      if (message.buildId !== buildId) return;
+      setStreamEnd(message);
+      if (message.error) {
+        enqueueSnackbar(`Log streaming stopped: ${message.error}`, { variant: 'warning' });
+      }
+    });
+
+    return () => {
+      socket.emit('unsubscribe:build-logs', buildId);
+      socket.disconnect();
+    };
+  }, [logsDialogOpen, selectedBuild?.id, selectedBuild?.live, enqueueSnackbar]);
+
+  // Keep the newest output in view unless the user paused the stream
+  useEffect(() => {
+    if (!logsPaused && logsRef.current) {
+      logsRef.current.scrollTop = logsRef.current.scrollHeight;
+    }
+  }, [liveLogs, logsPaused]);
+
+  const handleViewLogs = async (build) => {
+    if (['pending', 'running'].includes(build.status)) {
+      setSelectedBuild({ id: build.id, live: true });
+      setLogsDialogOpen(true);
+      return;
+    }
+
     try {
-      const logs = await dispatch(fetchBuildLogs(buildId)).unwrap();
-      setSelectedBuild({ id: buildId, logs });
+      const { logs } = await dispatch(fetchBuildLogs(build.id)).unwrap();
+      setSelectedBuild({ id: build.id, logs: logs.logs || logs.message });
       setLogsDialogOpen(true);
     } catch (error) {
       enqueueSnackbar('Failed to fetch build logs', { variant: 'error' });
     }
   };
 
+  const handleToggleLogsPaused = () => {
+    if (logsPaused) {
+      // Flush what arrived while paused
+      const pending = pendingLogsRef.current;
+      pendingLogsRef.current = '';
+      setLiveLogs(prev => prev + pending);
+    }
+    logsPausedRef.current = !logsPaused;
+    setLogsPaused(!logsPaused);
+  };
+
+  const handleCloseLogs = () => {
+    setLogsDialogOpen(false);
+    logsPausedRef.current = false;
+    setLogsPaused(false);
+  };
+
+  const handleCancel = async (buildId) => {
+    setPendingAction(buildId);
+    try {
+      await dispatch(cancelBuild(buildId)).unwrap();
+      enqueueSnackbar('Build cancellation requested', { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error || 'Failed to cancel build', { variant: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRetry = async (buildId) => {
+    setPendingAction(buildId);
+    try {
+      await dispatch(retryBuild({ id: buildId })).unwrap();
+      enqueueSnackbar('Build retry requested', { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error || 'Failed to retry build', { variant: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleToggleDetails = (build) => {
+    const expanding = expandedBuild !== build.id;
+    setExpandedBuild(expanding ? build.id : null);
+    if (expanding && build.test_results) {
+      dispatch(fetchBuildTestResults(build.id));
+    }
+  };
+
   const handleRefresh = () => {
     dispatch(fetchBuilds());
   };
@@ -182,6 +306,23 @@ function Builds() {
                           size="small"
                           sx={{ ml: 2 }}
                         />
+                        {build.status === 'failed' && build.failure_category && (
+                          <Tooltip
+                            title={
+                              <Box component="pre" sx={{ m: 0, fontSize: 11, whiteSpace: 'pre-wrap' }}>
+                                {build.failure_excerpt || build.failure_rule || 'No excerpt'}
+                              </Box>
+                            }
+                          >
+                            <Chip
+                              label={formatFailureCategory(build.failure_category)}
+                              color="error"
+                              variant="outlined"
+                              size="small"
+                              sx={{ ml: 1 }}
+                            />
+                          </Tooltip>
+                        )}
                       </Box>
                       
                       <Typography variant="body2" color="text.secondary" gutterBottom>
@@ -202,10 +343,38 @@ function Builds() {
                     </Box>
                     
                     <Box sx={{ display: 'flex', gap: 1 }}>
+                      {canControlBuilds && ['pending', 'running'].includes(build.status) && (
+                        <Tooltip title="Cancel Build">
+                          <span>
+                            <IconButton
+                              size="small"
+                              color="error"
+                              disabled={pendingAction === build.id}
+                              onClick={() => handleCancel(build.id)}
+                            >
+                              <StopIcon />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      )}
+                      {canControlBuilds && ['failed', 'cancelled'].includes(build.status) && (
+                        <Tooltip title="Retry Build">
+                          <span>
+                            <IconButton
+                              size="small"
+                              color="primary"
+                              disabled={pendingAction === build.id}
+                              onClick={() => handleRetry(build.id)}
+                            >
+                              <ReplayIcon />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      )}
                       <Tooltip title="View Logs">
                         <IconButton
                           size="small"
-                          onClick={() => handleViewLogs(build.id)}
+                          onClick={() => handleViewLogs(build)}
                         >
                           <ViewIcon />
                         </IconButton>
@@ -229,7 +398,7 @@ function Builds() {
 
                   <Accordion
                     expanded={expandedBuild === build.id}
-                    onChange={() => setExpandedBuild(expandedBuild === build.id ? null : build.id)}
+                    onChange={() => handleToggleDetails(build)}
                     sx={{ mt: 2 }}
                   >
                     <AccordionSummary expandIcon={<ExpandMoreIcon />}>
@@ -254,9 +423,47 @@ function Builds() {
                         </Grid>
                         <Grid item xs={6}>
                           <Typography variant="body2">
-                            <strong>Tests:</strong> {build.testResults ? `${build.testResults.passed}/${build.testResults.total}` : 'N/A'}
+                            <strong>Tests:</strong> {build.test_results ? `${build.test_results.passed}/${build.test_results.total} passed` : 'N/A'}
                           </Typography>
                         </Grid>
+                        {build.test_results && (
+                          <Grid item xs={12}>
+                            <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                              <Chip label={`${build.test_results.passed} passed`} color="success" size="small" />
+                              <Chip label={`${build.test_results.failed} failed`} color={build.test_results.failed > 0 ? 'error' : 'default'} size="small" />
+                              <Chip label={`${build.test_results.skipped} skipped`} size="small" />
+                              <Chip label={formatDuration(build.test_results.duration)} variant="outlined" size="small" />
+                            </Box>
+                            {testResults[build.id]?.failing?.length > 0 && (
+                              <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 240 }}>
+                                <Table size="small" stickyHeader>
+                                  <TableHead>
+                                    <TableRow>
+                                      <TableCell>Failing test</TableCell>
+                                      <TableCell>Suite</TableCell>
+                                      <TableCell>Message</TableCell>
+                                    </TableRow>
+                                  </TableHead>
+                                  <TableBody>
+                                    {testResults[build.id].failing.map((testCase) => (
+                                      <TableRow key={testCase.id}>
+                                        <TableCell>
+                                          {testCase.classname ? `${testCase.classname} › ` : ''}{testCase.name}
+                                        </TableCell>
+                                        <TableCell>{testCase.suite?.name}</TableCell>
+                                        <TableCell sx={{ maxWidth: 320, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                          <Tooltip title={testCase.message || ''}>
+                                            <span>{testCase.message?.split('\n')[0] || '—'}</span>
+                                          </Tooltip>
+                                        </TableCell>
+                                      </TableRow>
+                                    ))}
+                                  </TableBody>
+                                </Table>
+                              </TableContainer>
+                            )}
+                          </Grid>
+                        )}
                       </Grid>
                     </AccordionDetails>
                   </Accordion>
@@ -270,15 +477,40 @@ function Builds() {
       {/* Build Logs Dialog */}
       <Dialog
         open={logsDialogOpen}
-        onClose={() => setLogsDialogOpen(false)}
+        onClose={handleCloseLogs}
         maxWidth="lg"
         fullWidth
       >
-        <DialogTitle>
-          Build Logs - Build #{selectedBuild?.id}
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <span>Build Logs - Build #{selectedBuild?.id}</span>
+          {selectedBuild?.live && (
+            <Chip
+              label={streamEnd ? `Stream ${streamEnd.reason}` : logsPaused ? 'Paused' : 'Live'}
+              color={streamEnd ? 'default' : logsPaused ? 'warning' : 'success'}
+              size="small"
+            />
+          )}
         </DialogTitle>
         <DialogContent>
-          {selectedBuild?.logs ? (
+          {selectedBuild?.live ? (
+            <Box
+              component="pre"
+              ref={logsRef}
+              sx={{
+                backgroundColor: '#f5f5f5',
+                p: 2,
+                borderRadius: 1,
+                fontFamily: 'monospace',
+                fontSize: '0.875rem',
+                maxHeight: '400px',
+                overflow: 'auto',
+                whiteSpace: 'pre-wrap',
+                wordBreak: 'break-word'
+              }}
+            >
+              {liveLogs || (streamEnd ? 'No log output' : 'Waiting for log output...')}
+            </Box>
+          ) : selectedBuild?.logs ? (
             <Box
               component="pre"
               sx={{
@@ -300,7 +532,15 @@ function Builds() {
           )}
         </DialogContent>
         <DialogActions>
-          <Button onClick={() => setLogsDialogOpen(false)}>Close</Button>
+          {selectedBuild?.live && (!streamEnd || logsPaused) && (
+            <Button
+              startIcon={logsPaused ? <RunningIcon /> : <PauseIcon />}
+              onClick={handleToggleLogsPaused}
+            >
+              {logsPaused ? 'Resume' : 'Pause'}
+            </Button>
+          )}
+          <Button onClick={handleCloseLogs}>Close</Button>
         </DialogActions>
       </Dialog>
     </Box>
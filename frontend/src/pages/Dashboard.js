@@ -10,6 +10,8 @@ import {
   LinearProgress,
   IconButton,
   Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
   useTheme,
   useMediaQuery,
 } from '@mui/material';
@@ -24,10 +26,11 @@ import {
   Speed as SpeedIcon,
 } from '@mui/icons-material';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { fetchDashboardMetrics } from '../store/slices/metricsSlice';
+import { fetchDashboardMetrics, fetchDoraMetrics } from '../store/slices/metricsSlice';
 import { fetchPipelines } from '../store/slices/pipelinesSlice';
 import { fetchBuilds } from '../store/slices/buildsSlice';
 import { useSnackbar } from 'notistack';
+import { formatDuration } from '../utils/duration';
 
 const Dashboard = () => {
   const dispatch = useDispatch();
@@ -35,11 +38,12 @@ const Dashboard = () => {
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const { enqueueSnackbar } = useSnackbar();
   
-  const { dashboard: metrics, loading: metricsLoading } = useSelector(state => state.metrics);
+  const { dashboard: metrics, dora, loading: metricsLoading } = useSelector(state => state.metrics);
   const { items: pipelines, loading: pipelinesLoading } = useSelector(state => state.pipelines);
   const { items: builds, loading: buildsLoading } = useSelector(state => state.builds);
   
   const [refreshKey, setRefreshKey] = useState(0);
+  const [doraPeriod, setDoraPeriod] = useState('weekly');
 
   useEffect(() => {
     loadDashboardData();
@@ -49,6 +53,7 @@ const Dashboard = () => {
     try {
       await Promise.all([
         dispatch(fetchDashboardMetrics({ days: 30 })),
+        dispatch(fetchDoraMetrics({ days: 90 })),
         dispatch(fetchPipelines()),
         dispatch(fetchBuilds({ days: 7 }))
       ]);
@@ -82,17 +87,6 @@ const Dashboard = () => {
     }
   };
 
-  const formatDuration = (seconds) => {
-    if (!seconds) return '0s';
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    
-    if (hours > 0) return `${hours}h ${minutes}m`;
-    if (minutes > 0) return `${minutes}m ${secs}s`;
-    return `${secs}s`;
-  };
-
   const formatPercentage = (value) => {
     return `${Math.round(value * 100) / 100}%`;
   };
@@ -110,6 +104,29 @@ const Dashboard = () => {
     ].filter(item => item.value > 0); // Only show statuses with values > 0
   };
 
+  const formatFailureCategory = (category) => {
+    const label = (category || 'unknown').replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  };
+
+  const getFailureCategoryData = () => {
+    if (!metrics?.overview?.failure_categories) return [];
+
+    const total = Object.values(metrics.overview.failure_categories).reduce((sum, count) => sum + count, 0);
+    return Object.entries(metrics.overview.failure_categories)
+      .map(([category, count]) => ({
+        category,
+        name: formatFailureCategory(category),
+        count,
+        percentage: total > 0 ? (count / total) * 100 : 0
+      }))
+      .sort((a, b) => b.count - a.count);
+  };
+
+  const getRecentFailures = () => {
+    return (builds || []).filter(build => build.status === 'failed').slice(0, 6);
+  };
+
   const getSuccessRateData = () => {
     if (!metrics?.trends?.daily) return [];
     
@@ -128,6 +145,20 @@ const Dashboard = () => {
     })).slice(-7); // Last 7 days
   };
 
+  const getDoraData = () => {
+    if (!dora?.rollups?.[doraPeriod]) return [];
+
+    return dora.rollups[doraPeriod].map(bucket => ({
+      date: new Date(bucket.period_start).toLocaleDateString('en-US', {
+        month: 'short',
+        ...(doraPeriod !== 'monthly' && { day: 'numeric' }),
+        timeZone: 'UTC'
+      }),
+      deployments: bucket.successful_deployments,
+      failureRate: bucket.change_failure_rate
+    }));
+  };
+
   const isLoading = metricsLoading || pipelinesLoading || buildsLoading;
 
   return (
@@ -182,12 +213,14 @@ const Dashboard = () => {
                 </Typography>
               </Box>
               <Typography variant="h4" component="div" sx={{ fontWeight: 'bold', mb: 1 }}>
-                {metrics?.overview?.average_duration ? formatDuration(metrics.overview.average_duration) : '0s'}
+                {formatDuration(metrics?.overview?.average_duration, '0s')}
               </Typography>
               <Box sx={{ display: 'flex', alignItems: 'center' }}>
                 <TrendingDownIcon color="error" sx={{ mr: 0.5, fontSize: 16 }} />
                 <Typography variant="body2" color="text.secondary">
-                  {metrics?.overview?.average_duration ? 'Based on real data' : 'No data available'}
+                  {metrics?.overview?.average_duration
+                    ? `± ${formatDuration(metrics.overview.duration_stddev, '0s')} std. dev.`
+                    : 'No data available'}
                 </Typography>
               </Box>
             </CardContent>
@@ -377,6 +410,148 @@ const Dashboard = () => {
           </Card>
         </Grid>
       </Grid>
+
+      {/* Failure Analysis */}
+      <Grid container spacing={3} sx={{ mt: 0 }}>
+        {/* Failure Categories */}
+        <Grid item xs={12} md={4}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" component="div" sx={{ mb: 2 }}>
+                Failure Categories
+              </Typography>
+              {getFailureCategoryData().length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No failed builds in this period
+                </Typography>
+              ) : (
+                getFailureCategoryData().map((item) => (
+                  <Box key={item.category} sx={{ mb: 1.5 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                      <Typography variant="body2">{item.name}</Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {item.count} ({formatPercentage(item.percentage)})
+                      </Typography>
+                    </Box>
+                    <LinearProgress variant="determinate" value={item.percentage} color="error" />
+                  </Box>
+                ))
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Recent Failures */}
+        <Grid item xs={12} md={8}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" component="div" sx={{ mb: 2 }}>
+                Recent Failures
+              </Typography>
+              <Box sx={{ maxHeight: 300, overflow: 'auto' }}>
+                {getRecentFailures().length === 0 && (
+                  <Typography variant="body2" color="text.secondary">
+                    No recent failed builds
+                  </Typography>
+                )}
+                {getRecentFailures().map((build) => (
+                  <Box
+                    key={build.id}
+                    sx={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'space-between',
+                      p: 1,
+                      borderBottom: '1px solid',
+                      borderColor: 'divider',
+                      '&:last-child': { borderBottom: 'none' },
+                    }}
+                  >
+                    <Box sx={{ display: 'flex', alignItems: 'center', minWidth: 0 }}>
+                      <ErrorIcon color="error" />
+                      <Box sx={{ ml: 1, minWidth: 0 }}>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                          {build.pipeline?.name || 'Unknown pipeline'} #{build.build_number}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary" noWrap component="div">
+                          {build.failure_excerpt?.split('\n').find(line => line.trim()) || build.branch}
+                        </Typography>
+                      </Box>
+                    </Box>
+                    <Tooltip title={build.failure_rule || 'Not classified yet'}>
+                      <Chip
+                        label={formatFailureCategory(build.failure_category)}
+                        color={build.failure_category ? 'error' : 'default'}
+                        variant="outlined"
+                        size="small"
+                        sx={{ ml: 1 }}
+                      />
+                    </Tooltip>
+                  </Box>
+                ))}
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+      {/* DORA Metrics */}
+      <Grid container spacing={3} sx={{ mt: 0 }}>
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Typography variant="h6" component="div">
+                  DORA Metrics (90 days)
+                </Typography>
+                <ToggleButtonGroup
+                  value={doraPeriod}
+                  exclusive
+                  size="small"
+                  onChange={(event, value) => value && setDoraPeriod(value)}
+                >
+                  <ToggleButton value="daily">Daily</ToggleButton>
+                  <ToggleButton value="weekly">Weekly</ToggleButton>
+                  <ToggleButton value="monthly">Monthly</ToggleButton>
+                </ToggleButtonGroup>
+              </Box>
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                {[
+                  { label: 'Deployment Frequency', value: `${dora?.summary?.deployment_frequency || 0}/day` },
+                  { label: 'Lead Time for Changes', value: formatDuration(dora?.summary?.lead_time) },
+                  { label: 'Change Failure Rate', value: formatPercentage(dora?.summary?.change_failure_rate || 0) },
+                  { label: 'Time to Restore', value: formatDuration(dora?.summary?.time_to_restore) }
+                ].map((item) => (
+                  <Grid item xs={6} md={3} key={item.label}>
+                    <Typography variant="body2" color="text.secondary">
+                      {item.label}
+                    </Typography>
+                    <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                      {item.value}
+                    </Typography>
+                  </Grid>
+                ))}
+              </Grid>
+              {getDoraData().length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No deployments in this period
+                </Typography>
+              ) : (
+                <ResponsiveContainer width="100%" height={250}>
+                  <LineChart data={getDoraData()}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" />
+                    <YAxis yAxisId="deployments" allowDecimals={false} />
+                    <YAxis yAxisId="rate" orientation="right" domain={[0, 100]} unit="%" />
+                    <RechartsTooltip />
+                    <Line yAxisId="deployments" type="monotone" dataKey="deployments" name="Deployments" stroke={theme.palette.primary.main} strokeWidth={2} />
+                    <Line yAxisId="rate" type="monotone" dataKey="failureRate" name="Change failure rate" stroke={theme.palette.error.main} strokeWidth={2} />
+                  </LineChart>
+                </ResponsiveContainer>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
     </Box>
   );
 };
@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box, Typography, Card, CardContent, Chip, IconButton, Button, Tooltip,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, Alert,
+  LinearProgress, FormControl, InputLabel, Select, MenuItem, TablePagination,
+  List, ListItem, ListItemText, Divider
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon, Visibility as ViewIcon, CheckCircle as ResolveIcon,
+  DoneAll as AcknowledgeIcon
+} from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import {
+  fetchIncidents, fetchIncidentById, acknowledgeIncident, resolveIncident, clearCurrentIncident
+} from '../store/slices/incidentsSlice';
+import { formatDuration } from '../utils/duration';
+
+const incidentStatuses = [
+  { value: 'open', label: 'Open', color: 'error' },
+  { value: 'acknowledged', label: 'Acknowledged', color: 'warning' },
+  { value: 'resolved', label: 'Resolved', color: 'success' }
+];
+
+const incidentSources = [
+  { value: 'build_failure', label: 'Build failures' },
+  { value: 'alert_rule', label: 'Alert rules' }
+];
+
+const severityColors = {
+  low: 'info',
+  medium: 'warning',
+  high: 'error',
+  critical: 'error'
+};
+
+// Timeline event types that mark a change to the incident rather than a grouped trigger
+const statusEvents = ['opened', 'escalated', 'acknowledged', 'resolved'];
+
+const getStatusColor = (status) => incidentStatuses.find(s => s.value === status)?.color || 'default';
+
+const formatLabel = (value) => {
+  const label = (value || '').replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleString();
+};
+
+const getQuery = (page, status, source) => ({
+  page,
+  status: status !== 'all' ? status : undefined,
+  source: source !== 'all' ? source : undefined
+});
+
+// Open incidents run until now
+const getDuration = (incident) => {
+  const end = incident.resolved_at ? new Date(incident.resolved_at) : new Date();
+  return (end - new Date(incident.opened_at)) / 1000;
+};
+
+function Incidents() {
+  const dispatch = useDispatch();
+  const { enqueueSnackbar } = useSnackbar();
+  const { items: incidents, currentIncident, loading, detailLoading, pagination } = useSelector(state => state.incidents);
+
+  const [filterStatus, setFilterStatus] = useState('all');
+  const [filterSource, setFilterSource] = useState('all');
+  const [page, setPage] = useState(1);
+  const [detailOpen, setDetailOpen] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [actionNotes, setActionNotes] = useState('');
+
+  useEffect(() => {
+    dispatch(fetchIncidents(getQuery(page, filterStatus, filterSource)));
+  }, [dispatch, page, filterStatus, filterSource]);
+
+  const handleRefresh = () => {
+    dispatch(fetchIncidents(getQuery(page, filterStatus, filterSource)));
+  };
+
+  const handleView = (incident) => {
+    dispatch(fetchIncidentById(incident.id));
+    setDetailOpen(true);
+  };
+
+  const handleCloseDetail = () => {
+    setDetailOpen(false);
+    dispatch(clearCurrentIncident());
+  };
+
+  const handleCloseAction = () => {
+    setPendingAction(null);
+    setActionNotes('');
+  };
+
+  // Acknowledge or resolve the incident, then reload its timeline if it is open
+  const handleConfirmAction = async () => {
+    const { type, incident } = pendingAction;
+    const thunk = type === 'acknowledge' ? acknowledgeIncident : resolveIncident;
+
+    try {
+      const result = await dispatch(thunk({ id: incident.id, notes: actionNotes || undefined })).unwrap();
+      enqueueSnackbar(
+        type === 'acknowledge'
+          ? `Incident acknowledged${result.acknowledged_alert_ids?.length ? ` with ${result.acknowledged_alert_ids.length} alerts` : ''}`
+          : 'Incident resolved',
+        { variant: 'success' }
+      );
+      handleCloseAction();
+      if (currentIncident?.id === incident.id) {
+        dispatch(fetchIncidentById(incident.id));
+      }
+    } catch (error) {
+      enqueueSnackbar(error || `Failed to ${type} incident`, { variant: 'error' });
+    }
+  };
+
+  const renderActions = (incident) => (
+    <>
+      {incident.status === 'open' && (
+        <Tooltip title="Acknowledge">
+          <IconButton size="small" onClick={() => setPendingAction({ type: 'acknowledge', incident })}>
+            <AcknowledgeIcon />
+          </IconButton>
+        </Tooltip>
+      )}
+      {incident.status !== 'resolved' && (
+        <Tooltip title="Resolve">
+          <IconButton size="small" onClick={() => setPendingAction({ type: 'resolve', incident })}>
+            <ResolveIcon />
+          </IconButton>
+        </Tooltip>
+      )}
+    </>
+  );
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold' }}>
+          Incidents
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Status</InputLabel>
+            <Select
+              value={filterStatus}
+              onChange={(e) => { setFilterStatus(e.target.value); setPage(1); }}
+              label="Status"
+            >
+              <MenuItem value="all">All Statuses</MenuItem>
+              {incidentStatuses.map(status => (
+                <MenuItem key={status.value} value={status.value}>
+                  {status.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Source</InputLabel>
+            <Select
+              value={filterSource}
+              onChange={(e) => { setFilterSource(e.target.value); setPage(1); }}
+              label="Source"
+            >
+              <MenuItem value="all">All Sources</MenuItem>
+              {incidentSources.map(source => (
+                <MenuItem key={source.value} value={source.value}>
+                  {source.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <IconButton onClick={handleRefresh} disabled={loading}>
+            <RefreshIcon />
+          </IconButton>
+        </Box>
+      </Box>
+
+      <Card>
+        <CardContent>
+          {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+          {!loading && incidents.length === 0 ? (
+            <Alert severity="info">
+              No incidents. Failed builds and alert triggers for the same pipeline and category are grouped here.
+            </Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Incident</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Severity</TableCell>
+                    <TableCell>Category</TableCell>
+                    <TableCell align="right">Events</TableCell>
+                    <TableCell>Opened</TableCell>
+                    <TableCell>Duration</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {incidents.map(incident => (
+                    <TableRow key={incident.id} hover>
+                      <TableCell>
+                        <Typography variant="body2">{incident.title}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {incident.pipeline?.name || 'Unknown pipeline'} · {incidentSources.find(s => s.value === incident.source)?.label}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={formatLabel(incident.status)} color={getStatusColor(incident.status)} size="small" />
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={incident.severity.toUpperCase()}
+                          color={severityColors[incident.severity] || 'default'}
+                          variant={incident.severity === 'critical' ? 'filled' : 'outlined'}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell>{formatLabel(incident.category)}</TableCell>
+                      <TableCell align="right">{incident.event_count}</TableCell>
+                      <TableCell>{formatDate(incident.opened_at)}</TableCell>
+                      <TableCell>{formatDuration(getDuration(incident))}</TableCell>
+                      <TableCell align="right">
+                        <Tooltip title="Timeline">
+                          <IconButton size="small" onClick={() => handleView(incident)}>
+                            <ViewIcon />
+                          </IconButton>
+                        </Tooltip>
+                        {renderActions(incident)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          {pagination.total > pagination.limit && (
+            <TablePagination
+              component="div"
+              count={pagination.total}
+              page={page - 1}
+              rowsPerPage={pagination.limit}
+              rowsPerPageOptions={[pagination.limit]}
+              onPageChange={(e, newPage) => setPage(newPage + 1)}
+            />
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Incident Timeline Dialog */}
+      <Dialog open={detailOpen} onClose={handleCloseDetail} maxWidth="md" fullWidth>
+        <DialogTitle>{currentIncident?.title || 'Incident'}</DialogTitle>
+        <DialogContent>
+          {detailLoading && <LinearProgress sx={{ mb: 2 }} />}
+          {currentIncident && (
+            <>
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                <Chip label={formatLabel(currentIncident.status)} color={getStatusColor(currentIncident.status)} size="small" />
+                <Chip label={currentIncident.severity.toUpperCase()} color={severityColors[currentIncident.severity] || 'default'} size="small" />
+                <Chip label={formatLabel(currentIncident.category)} size="small" variant="outlined" />
+                <Chip label={`${currentIncident.event_count} events`} size="small" variant="outlined" />
+                <Chip label={formatDuration(currentIncident.duration_seconds)} size="small" variant="outlined" />
+              </Box>
+
+              {currentIncident.acknowledger && (
+                <Typography variant="body2" color="text.secondary">
+                  Acknowledged by {currentIncident.acknowledger.name} at {formatDate(currentIncident.acknowledged_at)}
+                </Typography>
+              )}
+              {currentIncident.resolved_at && (
+                <Typography variant="body2" color="text.secondary">
+                  Resolved{currentIncident.resolver ? ` by ${currentIncident.resolver.name}` : ''} at {formatDate(currentIncident.resolved_at)} ({formatLabel(currentIncident.resolution)})
+                </Typography>
+              )}
+
+              <List dense>
+                {currentIncident.events.map((event, index) => (
+                  <React.Fragment key={event.id}>
+                    {index > 0 && <Divider component="li" />}
+                    <ListItem>
+                      <ListItemText
+                        primary={
+                          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                            <Chip
+                              label={formatLabel(event.type)}
+                              size="small"
+                              variant={statusEvents.includes(event.type) ? 'filled' : 'outlined'}
+                            />
+                            <Typography variant="body2">{event.message}</Typography>
+                          </Box>
+                        }
+                        secondary={[
+                          formatDate(event.created_at),
+                          event.build && `Build #${event.build.build_number}${event.build.branch ? ` (${event.build.branch})` : ''}`,
+                          event.alert && `Alert: ${event.alert.name}`,
+                          event.user && event.user.name
+                        ].filter(Boolean).join(' · ')}
+                      />
+                    </ListItem>
+                  </React.Fragment>
+                ))}
+              </List>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {currentIncident && renderActions(currentIncident)}
+          <Button onClick={handleCloseDetail}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Acknowledge / Resolve Dialog */}
+      <Dialog open={!!pendingAction} onClose={handleCloseAction} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {pendingAction?.type === 'acknowledge' ? 'Acknowledge' : 'Resolve'} incident
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2 }}>
+            <TextField
+              fullWidth
+              multiline
+              rows={3}
+              label="Notes"
+              value={actionNotes}
+              onChange={(e) => setActionNotes(e.target.value)}
+              helperText={pendingAction?.type === 'acknowledge'
+                ? 'Triggered alerts in this incident are acknowledged and stop escalating'
+                : 'Alerts in this incident are left as they are'}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseAction}>Cancel</Button>
+          <Button onClick={handleConfirmAction} variant="contained">
+            {pendingAction?.type === 'acknowledge' ? 'Acknowledge' : 'Resolve'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default Incidents;
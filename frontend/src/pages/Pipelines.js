@@ -13,24 +13,29 @@ import {
 } from '@mui/icons-material';
 import { useSnackbar } from 'notistack';
 import { fetchPipelines, createPipeline, updatePipeline, deletePipeline } from '../store/slices/pipelinesSlice';
+import { fetchDashboardMetrics } from '../store/slices/metricsSlice';
 
 function Pipelines() {
   const pipelineTypes = [
     { value: 'github-actions', label: 'GitHub Actions', icon: <GitHubIcon /> },
     { value: 'jenkins', label: 'Jenkins', icon: <BuildIcon /> },
     { value: 'gitlab-ci', label: 'GitLab CI', icon: <PipelineIcon /> },
-    { value: 'azure-devops', label: 'Azure DevOps', icon: <PipelineIcon /> }
+    { value: 'azure-devops', label: 'Azure DevOps', icon: <PipelineIcon /> },
+    { value: 'circleci', label: 'CircleCI', icon: <PipelineIcon /> },
+    { value: 'travis-ci', label: 'Travis CI', icon: <PipelineIcon /> }
   ];
 
   const statusColors = {
     active: 'success',
     inactive: 'default',
     error: 'error',
-    warning: 'warning'
+    warning: 'warning',
+    maintenance: 'warning'
   };
   const dispatch = useDispatch();
   const { enqueueSnackbar } = useSnackbar();
   const { items: pipelines, loading } = useSelector(state => state.pipelines);
+  const { dashboard: metrics } = useSelector(state => state.metrics);
   
   const [openDialog, setOpenDialog] = useState(false);
   const [editingPipeline, setEditingPipeline] = useState(null);
@@ -45,8 +50,19 @@ function Pipelines() {
 
   useEffect(() => {
     dispatch(fetchPipelines());
+    dispatch(fetchDashboardMetrics({ days: 30 }));
   }, [dispatch]);
 
+  const getPipelineMetrics = (pipelineId) => {
+    return metrics?.pipelines?.find(metric => metric.pipeline_id === pipelineId);
+  };
+
+  const getFlakinessColor = (score) => {
+    if (score >= 20) return 'error';
+    if (score >= 5) return 'warning';
+    return 'success';
+  };
+
   const handleOpenDialog = (pipeline = null) => {
     if (pipeline) {
       setEditingPipeline(pipeline);
@@ -120,6 +136,7 @@ function Pipelines() {
 
   const handleRefresh = () => {
     dispatch(fetchPipelines());
+    dispatch(fetchDashboardMetrics({ days: 30 }));
   };
 
   const getPipelineTypeIcon = (type) => {
@@ -188,6 +205,7 @@ function Pipelines() {
                 <TableCell>Status</TableCell>
                 <TableCell>Branch</TableCell>
                 <TableCell>Last Build</TableCell>
+                <TableCell>Flakiness</TableCell>
                 <TableCell>Actions</TableCell>
               </TableRow>
             </TableHead>
@@ -230,6 +248,22 @@ function Pipelines() {
                       </Typography>
                     )}
                   </TableCell>
+                  <TableCell>
+                    {getPipelineMetrics(pipeline.id)?.total_builds > 0 ? (
+                      <Tooltip title={`${getPipelineMetrics(pipeline.id).flaky_recovered_builds} failed builds passed on a rerun of the same commit (30 days)`}>
+                        <Chip
+                          label={`${getPipelineMetrics(pipeline.id).flakiness_score}%`}
+                          color={getFlakinessColor(getPipelineMetrics(pipeline.id).flakiness_score)}
+                          size="small"
+                          variant="outlined"
+                        />
+                      </Tooltip>
+                    ) : (
+                      <Typography variant="body2" color="text.secondary">
+                        N/A
+                      </Typography>
+                    )}
+                  </TableCell>
                   <TableCell>
                     <Box sx={{ display: 'flex', gap: 1 }}>
                       <Tooltip title="Edit Pipeline">
@@ -340,6 +374,7 @@ function Pipelines() {
                   >
                     <MenuItem value="active">Active</MenuItem>
                     <MenuItem value="inactive">Inactive</MenuItem>
+                    <MenuItem value="maintenance">Maintenance</MenuItem>
                   </Select>
                 </FormControl>
               </Grid>
@@ -3,6 +3,7 @@ import pipelinesReducer from './slices/pipelinesSlice';
 import buildsReducer from './slices/buildsSlice';
 import metricsReducer from './slices/metricsSlice';
 import alertsReducer from './slices/alertsSlice';
+import incidentsReducer from './slices/incidentsSlice';
 import uiReducer from './slices/uiSlice';
 
 export const store = configureStore({
@@ -11,6 +12,7 @@ export const store = configureStore({
     builds: buildsReducer,
     metrics: metricsReducer,
     alerts: alertsReducer,
+    incidents: incidentsReducer,
     ui: uiReducer,
   },
   middleware: (getDefaultMiddleware) =>
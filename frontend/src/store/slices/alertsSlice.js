@@ -110,10 +110,104 @@ export const acknowledgeAlert = createAsyncThunk(
   }
 );
 
+export const fetchSilences = createAsyncThunk(
+  'alerts/fetchSilences',
+  async ({ state, pipeline_id } = {}, { rejectWithValue }) => {
+    try {
+      const params = new URLSearchParams();
+      if (state) params.append('state', state);
+      if (pipeline_id) params.append('pipeline_id', pipeline_id);
+
+      const response = await axios.get(`/api/silences?${params.toString()}`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to fetch silences');
+    }
+  }
+);
+
+export const createSilence = createAsyncThunk(
+  'alerts/createSilence',
+  async (silenceData, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/silences', silenceData);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to create silence');
+    }
+  }
+);
+
+export const expireSilence = createAsyncThunk(
+  'alerts/expireSilence',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/silences/${id}/expire`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to expire silence');
+    }
+  }
+);
+
+export const deleteSilence = createAsyncThunk(
+  'alerts/deleteSilence',
+  async (id, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/silences/${id}`);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to delete silence');
+    }
+  }
+);
+
+export const fetchOnCallSchedules = createAsyncThunk(
+  'alerts/fetchOnCallSchedules',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/oncall-schedules');
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to fetch on-call schedules');
+    }
+  }
+);
+
+export const createOnCallOverride = createAsyncThunk(
+  'alerts/createOnCallOverride',
+  async ({ scheduleId, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/oncall-schedules/${scheduleId}/overrides`, data);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to create on-call override');
+    }
+  }
+);
+
+export const fetchEscalationPolicies = createAsyncThunk(
+  'alerts/fetchEscalationPolicies',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/escalation-policies');
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to fetch escalation policies');
+    }
+  }
+);
+
 const initialState = {
   items: [],
   currentAlert: null,
   history: [],
+  silences: [],
+  maintenancePipelines: [],
+  silencesLoading: false,
+  onCallSchedules: [],
+  escalationPolicies: [],
+  onCallLoading: false,
   loading: false,
   error: null,
   pagination: {
@@ -241,7 +335,60 @@ const alertsSlice = createSlice({
         if (index !== -1) {
           state.items[index].status = 'acknowledged';
           state.items[index].acknowledged_at = action.payload.acknowledged_at;
+          state.items[index].next_escalation_at = null;
+        }
+      })
+
+      // Fetch silences
+      .addCase(fetchSilences.pending, (state) => {
+        state.silencesLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchSilences.fulfilled, (state, action) => {
+        state.silencesLoading = false;
+        state.silences = action.payload.silences;
+        state.maintenancePipelines = action.payload.maintenance_pipelines;
+      })
+      .addCase(fetchSilences.rejected, (state, action) => {
+        state.silencesLoading = false;
+        state.error = action.payload;
+      })
+
+      // Create silence
+      .addCase(createSilence.fulfilled, (state, action) => {
+        state.silences.unshift(action.payload);
+      })
+
+      // Expire silence
+      .addCase(expireSilence.fulfilled, (state, action) => {
+        const index = state.silences.findIndex(s => s.id === action.payload.id);
+        if (index !== -1) {
+          state.silences[index] = { ...state.silences[index], ...action.payload };
         }
+      })
+
+      // Delete silence
+      .addCase(deleteSilence.fulfilled, (state, action) => {
+        state.silences = state.silences.filter(s => s.id !== action.payload);
+      })
+
+      // Fetch on-call schedules
+      .addCase(fetchOnCallSchedules.pending, (state) => {
+        state.onCallLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchOnCallSchedules.fulfilled, (state, action) => {
+        state.onCallLoading = false;
+        state.onCallSchedules = action.payload;
+      })
+      .addCase(fetchOnCallSchedules.rejected, (state, action) => {
+        state.onCallLoading = false;
+        state.error = action.payload;
+      })
+
+      // Fetch escalation policies
+      .addCase(fetchEscalationPolicies.fulfilled, (state, action) => {
+        state.escalationPolicies = action.payload;
       });
   },
 });
@@ -45,6 +45,18 @@ export const fetchBuildLogs = createAsyncThunk(
   }
 );
 
+export const fetchBuildTestResults = createAsyncThunk(
+  'builds/fetchBuildTestResults',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/builds/${id}/test-results`);
+      return { id, testResults: response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to fetch test results');
+    }
+  }
+);
+
 export const fetchBuildMetrics = createAsyncThunk(
   'builds/fetchBuildMetrics',
   async ({ pipeline_id, days = 30 } = {}, { rejectWithValue }) => {
@@ -73,10 +85,35 @@ export const updateBuildStatus = createAsyncThunk(
   }
 );
 
+export const cancelBuild = createAsyncThunk(
+  'builds/cancelBuild',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/builds/${id}/cancel`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to cancel build');
+    }
+  }
+);
+
+export const retryBuild = createAsyncThunk(
+  'builds/retryBuild',
+  async ({ id, failedOnly = true }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/builds/${id}/retry`, { failed_only: failedOnly });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to retry build');
+    }
+  }
+);
+
 const initialState = {
   items: [],
   currentBuild: null,
   buildLogs: {},
+  testResults: {},
   metrics: null,
   loading: false,
   error: null,
@@ -168,11 +205,28 @@ const buildsSlice = createSlice({
         state.buildLogs[action.payload.id] = action.payload.logs;
       })
       
+      // Fetch build test results
+      .addCase(fetchBuildTestResults.fulfilled, (state, action) => {
+        state.testResults[action.payload.id] = action.payload.testResults;
+      })
+      
       // Fetch build metrics
       .addCase(fetchBuildMetrics.fulfilled, (state, action) => {
         state.metrics = action.payload;
       })
       
+      // Cancel build
+      .addCase(cancelBuild.fulfilled, (state, action) => {
+        const { build_id, status } = action.payload;
+        const index = state.items.findIndex(b => b.id === build_id);
+        if (index !== -1) {
+          state.items[index].status = status;
+        }
+        if (state.currentBuild?.id === build_id) {
+          state.currentBuild.status = status;
+        }
+      })
+      
       // Update build status
       .addCase(updateBuildStatus.fulfilled, (state, action) => {
         const index = state.items.findIndex(b => b.id === action.payload.id);
@@ -0,0 +1,141 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+
+// Async thunks
+export const fetchIncidents = createAsyncThunk(
+  'incidents/fetchIncidents',
+  async ({ page = 1, limit = 20, status, source, pipeline_id } = {}, { rejectWithValue }) => {
+    try {
+      const params = new URLSearchParams();
+      if (page) params.append('page', page);
+      if (limit) params.append('limit', limit);
+      if (status) params.append('status', status);
+      if (source) params.append('source', source);
+      if (pipeline_id) params.append('pipeline_id', pipeline_id);
+
+      const response = await axios.get(`/api/incidents?${params.toString()}`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to fetch incidents');
+    }
+  }
+);
+
+export const fetchIncidentById = createAsyncThunk(
+  'incidents/fetchIncidentById',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/incidents/${id}`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to fetch incident');
+    }
+  }
+);
+
+export const acknowledgeIncident = createAsyncThunk(
+  'incidents/acknowledgeIncident',
+  async ({ id, notes }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/incidents/${id}/acknowledge`, { notes });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to acknowledge incident');
+    }
+  }
+);
+
+export const resolveIncident = createAsyncThunk(
+  'incidents/resolveIncident',
+  async ({ id, notes }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/incidents/${id}/resolve`, { notes });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to resolve incident');
+    }
+  }
+);
+
+const initialState = {
+  items: [],
+  currentIncident: null,
+  loading: false,
+  detailLoading: false,
+  error: null,
+  pagination: {
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0,
+  },
+};
+
+// Apply a status change returned by acknowledge or resolve to the list and the open incident
+const applyUpdate = (state, { incident_id, ...updates }) => {
+  const index = state.items.findIndex(i => i.id === incident_id);
+  if (index !== -1) {
+    state.items[index] = { ...state.items[index], ...updates };
+  }
+  if (state.currentIncident?.id === incident_id) {
+    state.currentIncident = { ...state.currentIncident, ...updates };
+  }
+};
+
+const incidentsSlice = createSlice({
+  name: 'incidents',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearCurrentIncident: (state) => {
+      state.currentIncident = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch incidents
+      .addCase(fetchIncidents.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchIncidents.fulfilled, (state, action) => {
+        state.loading = false;
+        state.items = action.payload.incidents;
+        state.pagination = action.payload.pagination;
+      })
+      .addCase(fetchIncidents.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Fetch incident by ID
+      .addCase(fetchIncidentById.pending, (state) => {
+        state.detailLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchIncidentById.fulfilled, (state, action) => {
+        state.detailLoading = false;
+        state.currentIncident = action.payload;
+      })
+      .addCase(fetchIncidentById.rejected, (state, action) => {
+        state.detailLoading = false;
+        state.error = action.payload;
+      })
+
+      // Acknowledge incident
+      .addCase(acknowledgeIncident.fulfilled, (state, action) => {
+        applyUpdate(state, action.payload);
+      })
+
+      // Resolve incident
+      .addCase(resolveIncident.fulfilled, (state, action) => {
+        applyUpdate(state, action.payload);
+      });
+  },
+});
+
+export const { clearError, clearCurrentIncident } = incidentsSlice.actions;
+
+export default incidentsSlice.reducer;
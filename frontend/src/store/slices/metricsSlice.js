@@ -54,11 +54,28 @@ export const fetchPerformanceBenchmarks = createAsyncThunk(
   }
 );
 
+export const fetchDoraMetrics = createAsyncThunk(
+  'metrics/fetchDoraMetrics',
+  async ({ days = 30, pipeline_id } = {}, { rejectWithValue }) => {
+    try {
+      const params = new URLSearchParams();
+      params.append('days', days);
+      if (pipeline_id) params.append('pipeline_id', pipeline_id);
+
+      const response = await axios.get(`/api/metrics/dora?${params.toString()}`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error || 'Failed to fetch DORA metrics');
+    }
+  }
+);
+
 const initialState = {
   dashboard: null,
   pipelineMetrics: {},
   trends: null,
   performance: null,
+  dora: null,
   loading: false,
   error: null,
   filters: {
@@ -124,6 +141,11 @@ const metricsSlice = createSlice({
       // Fetch performance benchmarks
       .addCase(fetchPerformanceBenchmarks.fulfilled, (state, action) => {
         state.performance = action.payload;
+      })
+      
+      // Fetch DORA metrics
+      .addCase(fetchDoraMetrics.fulfilled, (state, action) => {
+        state.dora = action.payload;
       });
   },
 });
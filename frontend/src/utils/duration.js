@@ -0,0 +1,15 @@
+// Durations from the API are in seconds; averages, percentiles and standard deviations can be
+// fractional and are rounded to the nearest second
+export const formatDuration = (seconds, fallback = 'N/A') => {
+  const value = Number(seconds);
+  if (!seconds || !Number.isFinite(value)) return fallback;
+
+  const total = Math.round(value);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+};